@@ -0,0 +1,8 @@
+// Admin console entry point
+import { AdminConsole } from './components/AdminConsole';
+
+document.addEventListener('DOMContentLoaded', () => {
+  new AdminConsole();
+});
+
+export {}; // Make this a module
@@ -0,0 +1,332 @@
+import { AdminRoomInfo, AuditLogEntry, Level } from "@shared/types";
+
+// Per-tab, like the player session token
+const ADMIN_TOKEN_KEY = "catchme.adminToken";
+const REFRESH_INTERVAL = 2000;
+
+// Admin page: polls the admin REST API and renders controls for every room
+export class AdminConsole {
+  private token: string | null = null;
+  private refreshTimer: number | null = null;
+  private levelsByRoom = new Map<string, { id: string; name: string; seed?: number }[]>();
+
+  constructor() {
+    this.initializeUI();
+
+    const savedToken = this.loadToken();
+    if (savedToken) {
+      this.connect(savedToken);
+    }
+  }
+
+  private initializeUI(): void {
+    const tokenInput = document.getElementById("tokenInput") as HTMLInputElement | null;
+    document.getElementById("tokenButton")?.addEventListener("click", () => {
+      if (tokenInput && tokenInput.value.trim()) {
+        this.connect(tokenInput.value.trim());
+      }
+    });
+    tokenInput?.addEventListener("keypress", (e) => {
+      if (e.key === "Enter" && tokenInput.value.trim()) {
+        this.connect(tokenInput.value.trim());
+      }
+    });
+
+    document.getElementById("announcementButton")?.addEventListener("click", () => this.sendAnnouncement());
+  }
+
+  private connect(token: string): void {
+    this.token = token;
+    this.saveToken(token);
+    this.refresh();
+
+    if (this.refreshTimer === null) {
+      this.refreshTimer = window.setInterval(() => this.refresh(), REFRESH_INTERVAL);
+    }
+  }
+
+  private disconnect(message: string): void {
+    this.token = null;
+    this.saveToken(null);
+    if (this.refreshTimer !== null) {
+      window.clearInterval(this.refreshTimer);
+      this.refreshTimer = null;
+    }
+    this.setStatus(message, true);
+  }
+
+  private async request<T>(method: string, path: string, body?: unknown): Promise<T | null> {
+    if (!this.token) return null;
+
+    try {
+      const response = await fetch(`/admin/api${path}`, {
+        method,
+        headers: {
+          Authorization: `Bearer ${this.token}`,
+          ...(body !== undefined ? { "Content-Type": "application/json" } : {}),
+        },
+        body: body !== undefined ? JSON.stringify(body) : undefined,
+      });
+
+      const data = await response.json().catch(() => ({}));
+      if (response.status === 401 || response.status === 503) {
+        this.disconnect(data.error || "Unauthorized");
+        return null;
+      }
+      if (!response.ok) {
+        this.setStatus(data.error || `Request failed (${response.status})`, true);
+        return null;
+      }
+
+      return data as T;
+    } catch (error) {
+      console.error("Admin request failed:", error);
+      this.setStatus("Server unreachable", true);
+      return null;
+    }
+  }
+
+  private async refresh(): Promise<void> {
+    const rooms = await this.request<AdminRoomInfo[]>("GET", "/rooms");
+    if (!rooms) return;
+
+    this.setStatus(`Connected - ${rooms.length} room(s)`, false);
+    await this.loadMissingLevels(rooms);
+    this.renderRooms(rooms);
+    this.updateAnnouncementRooms(rooms);
+
+    const audit = await this.request<AuditLogEntry[]>("GET", "/audit?limit=50");
+    if (audit) {
+      this.renderAudit(audit);
+    }
+  }
+
+  private async loadMissingLevels(rooms: AdminRoomInfo[]): Promise<void> {
+    for (const room of rooms) {
+      if (this.levelsByRoom.has(room.code)) continue;
+      const levels = await this.request<{ id: string; name: string; seed?: number }[]>("GET", `/rooms/${room.code}/levels`);
+      if (levels) {
+        this.levelsByRoom.set(room.code, levels);
+      }
+    }
+  }
+
+  // Run an action, then refresh so the result shows up right away
+  private async action(method: string, path: string, body?: unknown): Promise<void> {
+    await this.request(method, path, body);
+    await this.refresh();
+  }
+
+  // Download a level as a file for the levels directory, e.g. a generated one worth keeping
+  private async saveLevel(code: string, levelId: string): Promise<void> {
+    const level = await this.request<Level>("GET", `/rooms/${code}/levels/${encodeURIComponent(levelId)}`);
+    if (!level) return;
+
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(new Blob([JSON.stringify(level, null, 2)], { type: "application/json" }));
+    link.download = `${level.id}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  }
+
+  private renderRooms(rooms: AdminRoomInfo[]): void {
+    const container = document.getElementById("adminRooms");
+    if (!container) return;
+
+    // Don't rebuild while the admin is typing into a room's inputs
+    const active = document.activeElement;
+    if (active && container.contains(active) && active.tagName !== "BUTTON") return;
+
+    container.innerHTML = "";
+    rooms.forEach((room) => container.appendChild(this.createRoomPanel(room)));
+  }
+
+  private createRoomPanel(room: AdminRoomInfo): HTMLElement {
+    const panel = document.createElement("div");
+    panel.className = "admin-panel";
+
+    const title = document.createElement("h2");
+    const seconds = Math.ceil(room.roundTimeRemaining / 1000);
+    title.textContent =
+      `${room.code} - ${room.name}${room.isPrivate ? " (private)" : ""} | ${room.levelName}` +
+      ` | ${room.paused ? "PAUSED" : room.phase === "playing" ? `${seconds}s left` : room.phase} | ${room.spectatorCount} spectator(s)`;
+    panel.appendChild(title);
+
+    const base = `/rooms/${room.code}`;
+    const actions = document.createElement("div");
+    actions.className = "room-actions";
+
+    actions.appendChild(
+      this.createButton(room.paused ? "Resume" : "Pause", () =>
+        this.action("POST", `${base}/${room.paused ? "resume" : "pause"}`)
+      )
+    );
+    actions.appendChild(this.createButton("End round", () => this.action("POST", `${base}/round-end`)));
+    actions.appendChild(this.createButton("Add bot", () => this.action("POST", `${base}/bots`)));
+    actions.appendChild(this.createButton("Remove bot", () => this.action("DELETE", `${base}/bots`)));
+    actions.appendChild(
+      this.createButton(`Auto-fill bots: ${room.autoFillBots ? "on" : "off"}`, () =>
+        this.action("PUT", `${base}/bots/auto`, { enabled: !room.autoFillBots })
+      )
+    );
+
+    const levelSelect = document.createElement("select");
+    (this.levelsByRoom.get(room.code) || []).forEach((level) => {
+      const option = document.createElement("option");
+      option.value = level.id;
+      option.textContent = level.seed !== undefined ? `${level.name} (seed ${level.seed})` : level.name;
+      option.selected = level.id === room.levelId;
+      levelSelect.appendChild(option);
+    });
+    actions.appendChild(levelSelect);
+    actions.appendChild(
+      this.createButton("Force level", () => this.action("POST", `${base}/level`, { levelId: levelSelect.value }))
+    );
+    actions.appendChild(this.createButton("Save level", () => this.saveLevel(room.code, levelSelect.value)));
+
+    const durationInput = document.createElement("input");
+    durationInput.type = "number";
+    durationInput.min = "10";
+    durationInput.max = "1800";
+    durationInput.value = String(Math.round(room.roundDuration / 1000));
+    durationInput.title = "Round duration (seconds)";
+    actions.appendChild(durationInput);
+    actions.appendChild(
+      this.createButton("Set duration", () =>
+        this.action("PUT", `${base}/round-duration`, { duration: Number(durationInput.value) * 1000 })
+      )
+    );
+    panel.appendChild(actions);
+
+    const table = document.createElement("table");
+    table.innerHTML =
+      "<thead><tr><th>Name</th><th>Score</th><th>Time as IT</th><th>State</th><th>Position</th><th></th></tr></thead>";
+    const body = document.createElement("tbody");
+    room.players
+      .slice()
+      .sort((a, b) => b.score - a.score)
+      .forEach((player) => {
+        const row = document.createElement("tr");
+        const state = [
+          player.isAI ? "bot" : player.connected ? "connected" : "disconnected",
+          player.isIt ? "IT" : "",
+          player.isStunned ? "stunned" : "",
+          player.isReconnecting ? "reconnecting" : "",
+        ].filter(Boolean).join(", ");
+
+        [player.name, String(player.score), `${Math.round(player.timeAsIt / 1000)}s`, state, `${player.x}, ${player.y}`]
+          .forEach((text) => {
+            const cell = document.createElement("td");
+            cell.textContent = text;
+            row.appendChild(cell);
+          });
+
+        const actionCell = document.createElement("td");
+        const kick = player.isAI
+          ? this.createButton("Remove", () => this.action("DELETE", `${base}/bots/${encodeURIComponent(player.id)}`))
+          : this.createButton("Kick", () => {
+              const reason = window.prompt(`Kick ${player.name}? Reason:`, "Removed by an admin");
+              if (reason !== null) {
+                this.action("POST", `${base}/players/${encodeURIComponent(player.id)}/kick`, { reason });
+              }
+            });
+        kick.classList.add("danger");
+        actionCell.appendChild(kick);
+        row.appendChild(actionCell);
+        body.appendChild(row);
+      });
+    table.appendChild(body);
+    panel.appendChild(table);
+
+    return panel;
+  }
+
+  private renderAudit(entries: AuditLogEntry[]): void {
+    const body = document.querySelector("#auditTable tbody");
+    if (!body) return;
+
+    body.innerHTML = "";
+    entries.forEach((entry) => {
+      const row = document.createElement("tr");
+      [
+        new Date(entry.time).toLocaleTimeString(),
+        entry.action,
+        entry.roomCode || "",
+        entry.target || "",
+        entry.details ? JSON.stringify(entry.details) : "",
+        entry.ip || "",
+        entry.success ? "yes" : "no",
+      ].forEach((text) => {
+        const cell = document.createElement("td");
+        cell.textContent = text;
+        row.appendChild(cell);
+      });
+      body.appendChild(row);
+    });
+  }
+
+  private updateAnnouncementRooms(rooms: AdminRoomInfo[]): void {
+    const select = document.getElementById("announcementRoomSelect") as HTMLSelectElement | null;
+    if (!select || document.activeElement === select) return;
+
+    const selected = select.value;
+    select.innerHTML = '<option value="">All rooms</option>';
+    rooms.forEach((room) => {
+      const option = document.createElement("option");
+      option.value = room.code;
+      option.textContent = `${room.code} - ${room.name}`;
+      option.selected = room.code === selected;
+      select.appendChild(option);
+    });
+  }
+
+  private async sendAnnouncement(): Promise<void> {
+    const input = document.getElementById("announcementInput") as HTMLInputElement | null;
+    const select = document.getElementById("announcementRoomSelect") as HTMLSelectElement | null;
+    if (!input || !input.value.trim()) return;
+
+    const result = await this.request("POST", "/announcements", {
+      message: input.value.trim(),
+      roomCode: select?.value || undefined,
+    });
+    if (result) {
+      input.value = "";
+    }
+    await this.refresh();
+  }
+
+  private createButton(label: string, onClick: () => void): HTMLButtonElement {
+    const button = document.createElement("button");
+    button.textContent = label;
+    button.addEventListener("click", onClick);
+    return button;
+  }
+
+  private setStatus(message: string, isError: boolean): void {
+    const status = document.getElementById("adminStatus");
+    if (status) {
+      status.textContent = message;
+      status.className = isError ? "status-error" : "status-ok";
+    }
+  }
+
+  private loadToken(): string | null {
+    try {
+      return sessionStorage.getItem(ADMIN_TOKEN_KEY);
+    } catch {
+      return null;
+    }
+  }
+
+  private saveToken(token: string | null): void {
+    try {
+      if (token) {
+        sessionStorage.setItem(ADMIN_TOKEN_KEY, token);
+      } else {
+        sessionStorage.removeItem(ADMIN_TOKEN_KEY);
+      }
+    } catch {
+      // Storage can be unavailable (e.g. private mode); the token just won't persist
+    }
+  }
+}
@@ -3,11 +3,62 @@ import {
   PlayerState,
   InputState,
   Position,
+  GameJoinedData,
+  SpectateJoinedData,
+  RoomSummary,
+  PlayerHint,
+  Level,
+  LevelTransitionData,
+  StateSnapshot,
+  StateDelta,
+  ReplayData,
+  ReplayMetadata,
+  GameConfig,
+  DEFAULT_GAME_CONFIG,
+  PowerUpCollectedData,
+  POWER_UP_RENDER_HINTS,
+  PowerUpUtils,
+  GameModeId,
+  ModeState,
+  TEAM_COLORS,
+  TagRejectReason,
+  TagRejectedData,
+  RoundPhase,
+  RoundPhaseData,
 } from "@shared/types";
+import { StateSyncUtils } from "@shared/utils/StateSyncUtils";
+import { Arena, ArenaUtils } from "@shared/utils/ArenaUtils";
+import { TeamUtils } from "@shared/utils/TeamUtils";
 import { NetworkManager } from "../network/NetworkManager";
-import { Renderer } from "./Renderer";
+import { Renderer, SpectatorView } from "./Renderer";
+import { ReplayPlayer } from "./ReplayPlayer";
 import { InputManager } from "../utils/InputManager";
 
+const GAME_MODE_LABELS: Record<GameModeId, string> = {
+  classic: "Classic",
+  infection: "Infection",
+  freezeTag: "Freeze Tag",
+  hotPotato: "Hot Potato",
+};
+
+const TAG_REJECT_LABELS: Record<TagRejectReason, string> = {
+  transparent: "Target is transparent",
+  spawn_protection: "Spawn protection",
+  stun_immunity: "Just recovered from a stun",
+  no_tag_back: "No tag-backs",
+  simultaneous_contact: "Someone closer got the tag",
+};
+
+const ROUND_PHASE_LABELS: Record<RoundPhase, string> = {
+  waiting: "Waiting for players",
+  readyCheck: "Ready check",
+  countdown: "Starting",
+  playing: "In progress",
+  roundEnd: "Round over",
+  preview: "Next level",
+  transition: "Changing level",
+};
+
 interface PredictedPlayerState {
   x: number;
   y: number;
@@ -25,9 +76,40 @@ interface CorrectionState {
 export class Game {
   private gameState: GameStateData | null = null;
   private myPlayerId: string | null = null;
-  private gameActive = false;
   private lastUpdate = Date.now();
 
+  // Round lifecycle from the server; the deadline is on our clock
+  private roundPhase: RoundPhaseData | null = null;
+  private roundPhaseEndsAt: number | null = null;
+
+  // Gameplay rules - defaults until the server's config arrives
+  private rules: GameConfig = DEFAULT_GAME_CONFIG;
+
+  // Room state
+  private playerName: string | null = null;
+  private currentRoom: RoomSummary | null = null;
+  private roomListInterval = 10000;
+  private joiningFromUrl = false;
+
+  // Snapshot/delta sync state - level geometry arrives on join and with level transitions
+  private lastSnapshot: StateSnapshot | null = null;
+  private currentLevel: Level | null = null;
+  private pendingLevel: Level | null = null;
+  private resyncRequested = false;
+
+  // Spectating - watching a room without a player of our own
+  private isSpectating = false;
+  private spectatorFollowId: string | null = null;
+  private spectatorFreeCamera = false;
+
+  // Replay viewer - while active the live state is still tracked but not rendered
+  private replayPlayer: ReplayPlayer | null = null;
+
+  // Free camera panning for spectators and replays
+  private cameraPanKeys = new Set<string>();
+  private cameraPanSpeed = 400; // px per second
+  private cameraDrag: Position | null = null;
+
   // Client-side prediction state
   private localPlayerState: PlayerState | null = null;
   private predictedPlayerState: PredictedPlayerState | null = null;
@@ -68,6 +150,10 @@ export class Game {
     (window as any).network = this.network; // Make network globally available for InputManager
     this.detectMobile();
     this.initializeUI();
+    this.initializeRoomUI();
+    this.initializeSpectatorUI();
+    this.initializeReplayUI();
+    this.loadRules();
     this.setupCanvas();
     this.setupFullscreenSupport();
     this.initializeInput();
@@ -108,6 +194,566 @@ export class Game {
     });
   }
 
+  private initializeRoomUI(): void {
+    const joinRoomButton = document.getElementById("joinRoomButton");
+    const createRoomButton = document.getElementById("createRoomButton");
+    const refreshRoomsButton = document.getElementById("refreshRoomsButton");
+    const roomCodeInput = document.getElementById(
+      "roomCodeInput"
+    ) as HTMLInputElement | null;
+
+    if (joinRoomButton && roomCodeInput) {
+      joinRoomButton.addEventListener("click", () => {
+        const roomCode = roomCodeInput.value.trim().toUpperCase();
+        if (roomCode) {
+          this.switchRoom(roomCode);
+        }
+      });
+
+      roomCodeInput.addEventListener("keypress", (e) => {
+        if (e.key === "Enter") {
+          const roomCode = roomCodeInput.value.trim().toUpperCase();
+          if (roomCode) {
+            this.switchRoom(roomCode);
+          }
+        }
+      });
+    }
+
+    if (createRoomButton) {
+      createRoomButton.addEventListener("click", () => {
+        const playerName = this.playerName || this.generateRandomPlayerName();
+        this.playerName = playerName;
+        const modeSelect = document.getElementById("gameModeSelect") as HTMLSelectElement | null;
+        const mode = (modeSelect?.value || "classic") as GameModeId;
+        const teamsCheckbox = document.getElementById("teamsCheckbox") as HTMLInputElement | null;
+        const votingCheckbox = document.getElementById("levelVotingCheckbox") as HTMLInputElement | null;
+        this.network.createRoom(playerName, `${playerName}'s room`, true, mode, !!teamsCheckbox?.checked, !!votingCheckbox?.checked);
+      });
+    }
+
+    if (refreshRoomsButton) {
+      refreshRoomsButton.addEventListener("click", () => {
+        this.network.requestRoomList();
+      });
+    }
+
+    // Keep the public room list reasonably fresh
+    setInterval(() => this.network.requestRoomList(), this.roomListInterval);
+  }
+
+  private initializeSpectatorUI(): void {
+    const spectateRoomButton = document.getElementById("spectateRoomButton");
+    const roomCodeInput = document.getElementById(
+      "roomCodeInput"
+    ) as HTMLInputElement | null;
+
+    if (spectateRoomButton) {
+      spectateRoomButton.addEventListener("click", () => {
+        const roomCode = roomCodeInput?.value.trim().toUpperCase();
+        this.spectateRoom(roomCode || this.currentRoom?.code);
+      });
+    }
+
+    document.getElementById("readyButton")?.addEventListener("click", () => {
+      if (!this.roundPhase || !this.myPlayerId) return;
+      this.network.setReady(!this.roundPhase.readyPlayerIds.includes(this.myPlayerId));
+    });
+
+    document
+      .getElementById("spectatorPrevButton")
+      ?.addEventListener("click", () => this.cycleSpectatorTarget(-1));
+    document
+      .getElementById("spectatorNextButton")
+      ?.addEventListener("click", () => this.cycleSpectatorTarget(1));
+    document
+      .getElementById("spectatorFreeButton")
+      ?.addEventListener("click", () => this.toggleSpectatorFreeCamera());
+    document
+      .getElementById("spectatorPlayButton")
+      ?.addEventListener("click", () => {
+        if (!this.currentRoom) return;
+        const playerName = this.playerName || this.generateRandomPlayerName();
+        this.playerName = playerName;
+        this.network.joinRoom(playerName, this.currentRoom.code);
+      });
+
+    // Free camera: arrow keys / WASD and dragging the canvas
+    const panKeys = ["KeyW", "KeyA", "KeyS", "KeyD", "ArrowUp", "ArrowDown", "ArrowLeft", "ArrowRight"];
+    document.addEventListener("keydown", (e) => {
+      const target = e.target as HTMLElement | null;
+      if (target && (target.tagName === "INPUT" || target.tagName === "TEXTAREA")) return;
+
+      if (this.isWatching() && panKeys.includes(e.code)) {
+        this.cameraPanKeys.add(e.code);
+      }
+
+      // Camera shortcuts only apply to the live spectator view
+      if (this.isSpectating && !this.replayPlayer) {
+        if (e.code === "KeyQ") this.cycleSpectatorTarget(-1);
+        if (e.code === "KeyE") this.cycleSpectatorTarget(1);
+        if (e.code === "KeyF") this.toggleSpectatorFreeCamera();
+      }
+    });
+    document.addEventListener("keyup", (e) => {
+      this.cameraPanKeys.delete(e.code);
+    });
+
+    const canvas = document.getElementById("gameCanvas");
+    if (canvas) {
+      canvas.addEventListener("mousedown", (e) => {
+        if (this.isWatching()) {
+          this.cameraDrag = { x: e.clientX, y: e.clientY };
+        }
+      });
+      window.addEventListener("mousemove", (e) => {
+        if (!this.cameraDrag || !this.renderer) return;
+        this.renderer.panCamera(this.cameraDrag.x - e.clientX, this.cameraDrag.y - e.clientY);
+        this.cameraDrag = { x: e.clientX, y: e.clientY };
+      });
+      window.addEventListener("mouseup", () => {
+        this.cameraDrag = null;
+      });
+
+      // Level vote cards are clicked or tapped
+      canvas.addEventListener("click", (e) => this.handleCanvasTap(e.clientX, e.clientY));
+      canvas.addEventListener("touchend", (e) => {
+        const touch = e.changedTouches[0];
+        if (touch) this.handleCanvasTap(touch.clientX, touch.clientY);
+      });
+    }
+  }
+
+  private handleCanvasTap(clientX: number, clientY: number): void {
+    const canvas = document.getElementById("gameCanvas") as HTMLCanvasElement | null;
+    if (!canvas || !this.renderer || !this.myPlayerId || this.isSpectating) return;
+
+    // Canvas pixels, as the canvas may be scaled on screen
+    const rect = canvas.getBoundingClientRect();
+    const x = (clientX - rect.left) * (canvas.width / rect.width);
+    const y = (clientY - rect.top) * (canvas.height / rect.height);
+    const levelId = this.renderer.getLevelVoteCardAt(x, y);
+    if (levelId) {
+      this.renderer.setMyLevelVote(levelId);
+      this.network.sendLevelVote(levelId);
+    }
+  }
+
+  private spectateRoom(roomCode?: string): void {
+    if (this.isSpectating && roomCode && this.currentRoom?.code === roomCode) {
+      return;
+    }
+
+    this.network.showMessage(`Spectating room ${roomCode || "MAIN"}...`, "info");
+    this.network.spectate(roomCode);
+  }
+
+  // Watching someone else's game, either live or a replay
+  private isWatching(): boolean {
+    return this.isSpectating || !!this.replayPlayer;
+  }
+
+  private getLiveSpectatorView(): SpectatorView | null {
+    if (!this.isSpectating) return null;
+    return {
+      cameraMode: this.spectatorFreeCamera ? "free" : "follow",
+      followPlayerId: this.spectatorFollowId,
+    };
+  }
+
+  private applySpectatorView(): void {
+    // The replay owns the camera while it plays
+    if (this.renderer && !this.replayPlayer) {
+      this.renderer.setSpectatorView(this.getLiveSpectatorView());
+    }
+
+    const targetText = document.getElementById("spectatorTargetText");
+    if (targetText) {
+      const target = this.gameState?.players.find((p) => p.id === this.spectatorFollowId);
+      targetText.textContent = this.spectatorFreeCamera ? "Free camera" : target ? target.name : "-";
+    }
+  }
+
+  private cycleSpectatorTarget(step: number): void {
+    const players = this.gameState?.players ?? [];
+    if (players.length === 0) return;
+
+    const index = players.findIndex((p) => p.id === this.spectatorFollowId);
+    const nextIndex = index === -1 ? 0 : (index + step + players.length) % players.length;
+    this.spectatorFollowId = players[nextIndex].id;
+    this.spectatorFreeCamera = false;
+    this.applySpectatorView();
+  }
+
+  private toggleSpectatorFreeCamera(): void {
+    this.spectatorFreeCamera = !this.spectatorFreeCamera;
+    this.applySpectatorView();
+  }
+
+  private initializeReplayUI(): void {
+    const refreshReplaysButton = document.getElementById("refreshReplaysButton");
+    const playButton = document.getElementById("replayPlayButton");
+    const seekInput = document.getElementById(
+      "replaySeek"
+    ) as HTMLInputElement | null;
+    const speedSelect = document.getElementById(
+      "replaySpeedSelect"
+    ) as HTMLSelectElement | null;
+    const cameraSelect = document.getElementById(
+      "replayCameraSelect"
+    ) as HTMLSelectElement | null;
+    const exitButton = document.getElementById("exitReplayButton");
+
+    if (refreshReplaysButton) {
+      refreshReplaysButton.addEventListener("click", () => this.loadReplayList());
+    }
+
+    if (playButton) {
+      playButton.addEventListener("click", () => {
+        if (!this.replayPlayer) return;
+        this.replayPlayer.togglePlaying();
+        this.updateReplayControls();
+      });
+    }
+
+    if (seekInput) {
+      seekInput.addEventListener("input", () => {
+        if (!this.replayPlayer) return;
+        const fraction = Number(seekInput.value) / Number(seekInput.max);
+        this.replayPlayer.seek(fraction * this.replayPlayer.getDuration());
+        if (this.renderer) {
+          this.renderer.resetInterpolation();
+        }
+      });
+    }
+
+    if (speedSelect) {
+      speedSelect.addEventListener("change", () => {
+        if (this.replayPlayer) {
+          this.replayPlayer.setSpeed(Number(speedSelect.value));
+        }
+      });
+    }
+
+    if (cameraSelect) {
+      cameraSelect.addEventListener("change", () => {
+        if (!this.renderer) return;
+        const followPlayerId = cameraSelect.value || null;
+        this.renderer.setSpectatorView({
+          cameraMode: followPlayerId ? "follow" : "free",
+          followPlayerId,
+        });
+      });
+    }
+
+    if (exitButton) {
+      exitButton.addEventListener("click", () => this.stopReplay());
+    }
+
+    this.loadReplayList();
+  }
+
+  private async loadRules(): Promise<void> {
+    try {
+      const response = await fetch("/config");
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      this.rules = await response.json();
+    } catch (error) {
+      console.error("Failed to load game rules, using defaults:", error);
+    }
+    this.renderRules();
+  }
+
+  private renderRules(): void {
+    const rulesList = document.getElementById("rulesList");
+    if (!rulesList) return;
+
+    const { round, scoring, tag, movement, powerUps } = this.rules;
+    const minutes = Math.floor(round.duration / 60000);
+    const seconds = Math.round((round.duration % 60000) / 1000);
+    const duration = seconds > 0 ? `${minutes}:${seconds.toString().padStart(2, "0")}` : `${minutes} min`;
+
+    const rules = [
+      `Rounds last ${duration} or until someone reaches ${round.pointThreshold} points`,
+      `Tagging a player: +${scoring.tagPoints} points, they are stunned for ${tag.stunDuration / 1000}s`,
+      `Stars: +${scoring.starPointsIt} as IT, +${scoring.starPointsRunner} otherwise`,
+      `Being IT costs ${scoring.itPenaltyPerSecond} points per second`,
+      `IT moves ${Math.round((movement.itSpeedMultiplier - 1) * 100)}% faster`,
+      `Speed power-ups make you ${Math.round((powerUps.speedMultiplier - 1) * 100)}% faster`,
+    ];
+
+    rulesList.innerHTML = "";
+    rules.forEach((rule) => {
+      const item = document.createElement("li");
+      item.textContent = rule;
+      rulesList.appendChild(item);
+    });
+  }
+
+  private async loadReplayList(): Promise<void> {
+    const replayListDiv = document.getElementById("replayList");
+    if (!replayListDiv) return;
+
+    let replays: ReplayMetadata[];
+    try {
+      const response = await fetch("/replays");
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      replays = await response.json();
+    } catch (error) {
+      console.error("Failed to load replays:", error);
+      replayListDiv.textContent = "Replays unavailable";
+      return;
+    }
+
+    replayListDiv.innerHTML = "";
+    if (replays.length === 0) {
+      replayListDiv.textContent = "No recorded rounds yet";
+      return;
+    }
+
+    replays.forEach((replay) => {
+      const entry = document.createElement("div");
+      entry.className = "room-entry";
+
+      const label = document.createElement("span");
+      const recordedAt = new Date(replay.recordedAt).toLocaleString();
+      const duration = this.renderer ? this.renderer.formatTime(replay.duration) : "";
+      label.textContent = `${replay.levelName} · ${replay.roomCode} · ${duration} · ${recordedAt}`;
+      entry.appendChild(label);
+
+      const watchButton = document.createElement("button");
+      watchButton.textContent = "Watch";
+      watchButton.addEventListener("click", () => this.startReplay(replay.id));
+      entry.appendChild(watchButton);
+
+      const downloadLink = document.createElement("a");
+      downloadLink.href = `/replays/${encodeURIComponent(replay.id)}`;
+      downloadLink.textContent = "Download";
+      entry.appendChild(downloadLink);
+
+      replayListDiv.appendChild(entry);
+    });
+  }
+
+  private async startReplay(replayId: string): Promise<void> {
+    let replay: ReplayData;
+    try {
+      const response = await fetch(`/replays/${encodeURIComponent(replayId)}`);
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      replay = await response.json();
+    } catch (error) {
+      console.error("Failed to load replay:", error);
+      this.network.showError("Could not load replay");
+      return;
+    }
+
+    if (replay.frames.length === 0) {
+      this.network.showError("Replay is empty");
+      return;
+    }
+
+    this.replayPlayer = new ReplayPlayer(replay);
+
+    if (this.renderer) {
+      this.renderer.setSpectatorView({ cameraMode: "free", followPlayerId: null });
+      this.renderer.resetInterpolation();
+    }
+
+    const gameCanvas = document.getElementById("gameCanvas");
+    if (gameCanvas) gameCanvas.classList.add("visible");
+
+    const metadata = replay.metadata;
+    const replayTitle = document.getElementById("replayTitle");
+    if (replayTitle) {
+      replayTitle.textContent = `${metadata.levelName} in ${metadata.roomName}${
+        metadata.winner ? ` · winner: ${metadata.winner}` : ""
+      }`;
+    }
+
+    const cameraSelect = document.getElementById(
+      "replayCameraSelect"
+    ) as HTMLSelectElement | null;
+    if (cameraSelect) {
+      cameraSelect.innerHTML = "";
+      const freeOption = document.createElement("option");
+      freeOption.value = "";
+      freeOption.textContent = "Free camera";
+      cameraSelect.appendChild(freeOption);
+
+      metadata.players.forEach((player) => {
+        const option = document.createElement("option");
+        option.value = player.id;
+        option.textContent = `Follow ${player.name}${player.isAI ? " (AI)" : ""}`;
+        cameraSelect.appendChild(option);
+      });
+    }
+
+    const speedSelect = document.getElementById(
+      "replaySpeedSelect"
+    ) as HTMLSelectElement | null;
+    if (speedSelect) speedSelect.value = "1";
+
+    document.getElementById("replayControls")?.classList.remove("hidden");
+    document.getElementById("replayList")?.classList.add("hidden");
+    this.updateReplayControls();
+  }
+
+  private stopReplay(): void {
+    if (!this.replayPlayer) return;
+
+    this.replayPlayer = null;
+    this.cameraPanKeys.clear();
+    this.cameraDrag = null;
+
+    document.getElementById("replayControls")?.classList.add("hidden");
+    document.getElementById("replayList")?.classList.remove("hidden");
+
+    if (this.renderer) {
+      this.renderer.setSpectatorView(this.getLiveSpectatorView());
+      this.renderer.resetInterpolation();
+      if (this.gameState) {
+        this.renderer.setGameState(this.gameState);
+      }
+    }
+
+    if (!this.myPlayerId && !this.isSpectating) {
+      const gameCanvas = document.getElementById("gameCanvas");
+      if (gameCanvas) gameCanvas.classList.remove("visible");
+    }
+  }
+
+  // Pan the free camera with the keyboard
+  private updateCameraPan(deltaTime: number): void {
+    if (!this.renderer || this.cameraPanKeys.size === 0) return;
+
+    const distance = this.cameraPanSpeed * (deltaTime / 1000);
+    let dx = 0;
+    let dy = 0;
+    if (this.cameraPanKeys.has("KeyW") || this.cameraPanKeys.has("ArrowUp")) dy -= distance;
+    if (this.cameraPanKeys.has("KeyS") || this.cameraPanKeys.has("ArrowDown")) dy += distance;
+    if (this.cameraPanKeys.has("KeyA") || this.cameraPanKeys.has("ArrowLeft")) dx -= distance;
+    if (this.cameraPanKeys.has("KeyD") || this.cameraPanKeys.has("ArrowRight")) dx += distance;
+    this.renderer.panCamera(dx, dy);
+  }
+
+  private updateReplay(deltaTime: number): void {
+    if (!this.replayPlayer || !this.renderer) return;
+
+    const replayState = this.replayPlayer.update(deltaTime);
+    if (replayState) {
+      this.renderer.setGameState(replayState);
+    }
+
+    this.updateReplayControls();
+  }
+
+  private updateReplayControls(): void {
+    if (!this.replayPlayer) return;
+
+    const playhead = this.replayPlayer.getPlayhead();
+    const duration = this.replayPlayer.getDuration();
+
+    const seekInput = document.getElementById(
+      "replaySeek"
+    ) as HTMLInputElement | null;
+    if (seekInput && document.activeElement !== seekInput) {
+      seekInput.value = String(
+        duration > 0 ? Math.round((playhead / duration) * Number(seekInput.max)) : 0
+      );
+    }
+
+    const timeText = document.getElementById("replayTimeText");
+    if (timeText && this.renderer) {
+      timeText.textContent = `${this.renderer.formatTime(playhead)} / ${this.renderer.formatTime(duration)}`;
+    }
+
+    const playButton = document.getElementById("replayPlayButton");
+    if (playButton) {
+      playButton.textContent = this.replayPlayer.isPlaying() ? "Pause" : "Play";
+    }
+  }
+
+  private switchRoom(roomCode: string): void {
+    if (this.currentRoom && this.currentRoom.code === roomCode && !this.isSpectating) {
+      return;
+    }
+
+    const playerName = this.playerName || this.generateRandomPlayerName();
+    this.playerName = playerName;
+    this.network.showMessage(`Joining room ${roomCode}...`, "info");
+    this.network.joinRoom(playerName, roomCode);
+  }
+
+  private getRoomCodeFromUrl(): string | null {
+    const params = new URLSearchParams(window.location.search);
+    const roomCode = params.get("room");
+    return roomCode ? roomCode.trim().toUpperCase() : null;
+  }
+
+  public onRoomList(rooms: RoomSummary[]): void {
+    const roomListDiv = document.getElementById("roomList");
+    if (!roomListDiv) return;
+
+    roomListDiv.innerHTML = "";
+
+    rooms.forEach((room) => {
+      const entry = document.createElement("div");
+      const isCurrentRoom = this.currentRoom?.code === room.code;
+      entry.className = `room-entry${isCurrentRoom ? " current-room" : ""}`;
+
+      const label = document.createElement("span");
+      const spectators = room.spectatorCount > 0 ? ` · 👁 ${room.spectatorCount}` : "";
+      label.textContent = `${room.name} (${room.code}) · ${room.playerCount}/${room.maxPlayers}${spectators} · ${room.levelName} · ${GAME_MODE_LABELS[room.mode] || room.mode}${room.teams ? " · Teams" : ""}${room.levelVoting ? " · Voting" : ""}`;
+      entry.appendChild(label);
+
+      if ((!isCurrentRoom || this.isSpectating) && room.playerCount < room.maxPlayers) {
+        const joinButton = document.createElement("button");
+        joinButton.textContent = "Join";
+        joinButton.addEventListener("click", () => this.switchRoom(room.code));
+        entry.appendChild(joinButton);
+      }
+
+      if ((!isCurrentRoom || !this.isSpectating) && room.spectatorCount < room.maxSpectators) {
+        const watchButton = document.createElement("button");
+        watchButton.textContent = "Watch";
+        watchButton.addEventListener("click", () => this.spectateRoom(room.code));
+        entry.appendChild(watchButton);
+      }
+
+      roomListDiv.appendChild(entry);
+    });
+  }
+
+  public onJoinError(error: string): void {
+    // A stale room link should not leave us without a game - fall back to quick join
+    if (!this.myPlayerId && this.playerName && this.joiningFromUrl) {
+      this.joiningFromUrl = false;
+      console.log(`Join failed (${error}), falling back to quick join`);
+      this.network.joinGame(this.playerName);
+    }
+  }
+
+  private updateRoomInfo(room: RoomSummary): void {
+    this.currentRoom = room;
+
+    const roomCodeText = document.getElementById("roomCodeText");
+    if (roomCodeText) {
+      roomCodeText.textContent = room.code;
+    }
+
+    const roomNameText = document.getElementById("roomNameText");
+    if (roomNameText) {
+      roomNameText.textContent = room.isPrivate
+        ? `${room.name} (private - share the code to invite friends)`
+        : room.name;
+    }
+
+    // Keep the room in the URL so the link can be shared or reloaded
+    const url = new URL(window.location.href);
+    url.searchParams.set("room", room.code);
+    window.history.replaceState(null, "", url.toString());
+  }
+
   private setupCanvas(): void {
     const canvas = document.getElementById("gameCanvas") as HTMLCanvasElement;
     if (!canvas) {
@@ -376,11 +1022,41 @@ export class Game {
       // Show connecting message
       this.network.showMessage(`Connecting as ${randomName}...`, "info");
 
-      // Join the game
-      this.network.joinGame(randomName);
+      this.playerName = randomName;
+
+      // After a reload, try to get our previous player back first
+      const sessionToken = this.network.getSessionToken();
+      if (sessionToken) {
+        this.network.resumeSession(sessionToken);
+        return;
+      }
+
+      // Join the room from the URL if there is one, otherwise quick join
+      const roomCode = this.getRoomCodeFromUrl();
+      if (roomCode) {
+        this.joiningFromUrl = true;
+        this.network.joinRoom(randomName, roomCode);
+      } else {
+        this.network.joinGame(randomName);
+      }
     }, 500);
   }
 
+  public onSessionExpired(): void {
+    // Our player is gone - join again as a new one, preferably in the same room
+    this.myPlayerId = null;
+    const playerName = this.playerName || this.generateRandomPlayerName();
+    this.playerName = playerName;
+
+    const roomCode = this.currentRoom?.code || this.getRoomCodeFromUrl();
+    if (roomCode) {
+      this.joiningFromUrl = true;
+      this.network.joinRoom(playerName, roomCode);
+    } else {
+      this.network.joinGame(playerName);
+    }
+  }
+
   private joinGame(): void {
     const nameInput = document.getElementById("nameInput") as HTMLInputElement;
     const playerName = nameInput.value.trim();
@@ -401,18 +1077,29 @@ export class Game {
     joinButton.disabled = true;
     joinButton.textContent = "Joining...";
 
+    this.playerName = playerName;
     this.network.joinGame(playerName);
   }
 
-  public onGameJoined(data: {
-    playerId: string;
-    gameState: GameStateData;
-  }): void {
+  public onGameJoined(data: GameJoinedData): void {
     this.myPlayerId = data.playerId;
     if (this.renderer) {
       this.renderer.setMyPlayerId(this.myPlayerId);
     }
 
+    // Joining as a player ends spectating
+    this.isSpectating = false;
+    this.applySpectatorView();
+    document.getElementById("spectatorControls")?.classList.add("hidden");
+
+    // Reset prediction state - the player may have switched rooms
+    this.localPlayerState = null;
+    this.predictedPlayerState = null;
+    this.correction.needsCorrection = false;
+
+    this.updateRoomInfo(data.room);
+    this.network.requestRoomList();
+
     // Hide join form and show game
     const joinForm = document.getElementById("joinForm");
     const gameCanvas = document.getElementById("gameCanvas");
@@ -429,15 +1116,64 @@ export class Game {
     if (playerNameText) {
       playerNameText.textContent = player ? player.name : "Unknown";
     }
+    if (player) {
+      // A resumed session keeps the name the player joined with
+      this.playerName = player.name;
+    }
+
+    this.updateGameState(data.gameState);
+    this.network.showMessage(
+      `Welcome to CatchMe! Room: ${data.room.code}`,
+      "info"
+    );
+  }
+
+  public onSpectateJoined(data: SpectateJoinedData): void {
+    this.myPlayerId = null;
+    this.isSpectating = true;
+    this.spectatorFollowId = null;
+    this.spectatorFreeCamera = false;
+
+    // No local player to predict
+    this.localPlayerState = null;
+    this.predictedPlayerState = null;
+    this.correction.needsCorrection = false;
+
+    this.updateRoomInfo(data.room);
+    this.network.requestRoomList();
+
+    const joinForm = document.getElementById("joinForm");
+    const gameCanvas = document.getElementById("gameCanvas");
+    if (joinForm) joinForm.classList.add("hidden");
+    if (gameCanvas) gameCanvas.classList.add("visible");
+    this.updateCanvasSize();
+
+    const playerNameText = document.getElementById("playerNameText");
+    if (playerNameText) {
+      playerNameText.textContent = "Spectator";
+    }
+    document.getElementById("spectatorControls")?.classList.remove("hidden");
 
     this.updateGameState(data.gameState);
-    this.network.showMessage("Welcome to CatchMe!", "info");
+    this.network.showMessage(`Spectating room ${data.room.code}`, "info");
   }
 
-  public updateGameState(gameState: GameStateData): void {
+  public updateGameState(update: GameStateData | StateSnapshot | StateDelta): void {
+    const gameState = this.resolveStateUpdate(update);
+    if (!gameState) return;
+
     this.gameState = gameState;
     this.lastServerUpdate = Date.now();
 
+    // Keep following someone when the followed player leaves
+    if (
+      this.isSpectating &&
+      !gameState.players.some((p) => p.id === this.spectatorFollowId)
+    ) {
+      this.spectatorFollowId = gameState.players[0]?.id ?? null;
+      this.applySpectatorView();
+    }
+
     // Debug: Always log AI player data to diagnose rendering issue
     const aiPlayers = gameState.players.filter((p) => p.isAI);
     if (aiPlayers.length > 0) {
@@ -500,9 +1236,10 @@ export class Game {
             timeSinceLastCorrection >= this.correctionCooldown &&
             this.consecutiveCorrections < this.maxConsecutiveCorrections
           ) {
-            const distanceError = Math.sqrt(
-              Math.pow(this.predictedPlayerState.x - serverPlayer.x, 2) +
-                Math.pow(this.predictedPlayerState.y - serverPlayer.y, 2)
+            const distanceError = ArenaUtils.getDistance(
+              this.predictedPlayerState,
+              serverPlayer,
+              this.getArena()
             );
 
             // Calculate adaptive correction threshold
@@ -568,38 +1305,132 @@ export class Game {
       modifiedGameState.players = gameState.players;
     }
 
-    // Pass modified state to renderer
-    if (this.renderer) {
+    // Pass modified state to renderer (the replay owns the view while active)
+    if (this.renderer && !this.replayPlayer) {
       this.renderer.setGameState(modifiedGameState);
     }
 
     // Update UI elements
     this.updateUI(gameState);
-    this.gameActive = gameState.gameActive;
+  }
+
+  public onLevelTransitionStart(data: LevelTransitionData): void {
+    // The level switch itself arrives later as a levelId change in the delta stream
+    this.pendingLevel = data.toLevel;
+  }
+
+  // Resolve a full state, snapshot or delta into the full game state,
+  // requesting a resync when the delta stream or level data is out of step
+  private resolveStateUpdate(
+    update: GameStateData | StateSnapshot | StateDelta
+  ): GameStateData | null {
+    if (!("kind" in update)) {
+      // Full state from gameJoined carries the level geometry
+      this.currentLevel = update.currentLevel;
+      this.pendingLevel = null;
+      this.lastSnapshot = null;
+      return update;
+    }
+
+    let snapshot: StateSnapshot;
+    if (update.kind === "snapshot") {
+      snapshot = update;
+      this.resyncRequested = false;
+      if (update.level) {
+        this.currentLevel = update.level;
+      }
+    } else {
+      if (!this.lastSnapshot || this.lastSnapshot.seq !== update.baseSeq) {
+        this.requestResync(false);
+        return null;
+      }
+      snapshot = StateSyncUtils.applySnapshotDelta(this.lastSnapshot, update);
+    }
+    this.lastSnapshot = snapshot;
+
+    if (!this.currentLevel || this.currentLevel.id !== snapshot.levelId) {
+      if (this.pendingLevel && this.pendingLevel.id === snapshot.levelId) {
+        this.currentLevel = this.pendingLevel;
+        this.pendingLevel = null;
+      } else {
+        this.requestResync(true);
+        return null;
+      }
+    }
+
+    const level = this.currentLevel;
+    return {
+      players: snapshot.players,
+      playerHints: snapshot.playerHints,
+      gameActive: snapshot.gameActive,
+      timeRemaining: snapshot.timeRemaining,
+      gameWidth: level.boundaries.width,
+      gameHeight: level.boundaries.height,
+      obstacles: level.obstacles,
+      powerUps: snapshot.powerUps,
+      stars: snapshot.stars,
+      stunOrbs: snapshot.stunOrbs,
+      crushers: snapshot.crushers,
+      dynamicObstacles: snapshot.dynamicObstacles,
+      elevators: snapshot.elevators,
+      projectiles: snapshot.projectiles,
+      portals: snapshot.portals,
+      mode: snapshot.mode,
+      currentLevel: level,
+    };
+  }
+
+  private requestResync(includeLevel: boolean): void {
+    // One outstanding request at a time; the next snapshot clears the flag
+    if (this.resyncRequested) return;
+
+    this.resyncRequested = true;
+    this.lastSnapshot = null;
+    console.warn(`[CLIENT] State out of sync, requesting ${includeLevel ? "snapshot with level" : "snapshot"}`);
+    this.network.requestResync(includeLevel);
   }
 
   private updateUI(gameState: GameStateData): void {
     const playerCountText = document.getElementById("playerCountText");
     if (playerCountText) {
-      playerCountText.textContent = gameState.players.length.toString();
+      // Players outside our sight only arrive as hints
+      const playerCount = gameState.players.length + gameState.playerHints.length;
+      playerCountText.textContent = playerCount.toString();
+    }
+
+    const spectatorCountText = document.getElementById("spectatorCountText");
+    if (spectatorCountText) {
+      spectatorCountText.textContent = (gameState.spectatorCount || 0).toString();
     }
 
     const timeRemainingText = document.getElementById("timeRemainingText");
     if (timeRemainingText && this.renderer) {
+      const phaseTimeLeft = this.getRoundPhaseTimeLeft();
       timeRemainingText.textContent = gameState.gameActive
         ? this.renderer.formatTime(gameState.timeRemaining)
-        : "-";
+        : phaseTimeLeft !== null
+          ? this.renderer.formatTime(phaseTimeLeft)
+          : "-";
+    }
+    this.updateRoundPhaseUI();
+
+    const gameModeText = document.getElementById("gameModeText");
+    if (gameModeText) {
+      gameModeText.textContent = gameState.mode ? GAME_MODE_LABELS[gameState.mode.id] : "-";
     }
 
     const myPlayer = gameState.players.find((p) => p.id === this.myPlayerId);
-    if (myPlayer) {
+    if (this.isSpectating) {
+      const gameStatusText = document.getElementById("gameStatusText");
+      if (gameStatusText) {
+        gameStatusText.textContent = gameState.gameActive ? "Spectating" : `Spectating - ${this.getRoundPhaseStatus()}`;
+      }
+    } else if (myPlayer) {
       const gameStatusText = document.getElementById("gameStatusText");
       if (gameStatusText) {
         gameStatusText.textContent = gameState.gameActive
-          ? myPlayer.isIt
-            ? "You are IT!"
-            : "Run!"
-          : "Waiting for players...";
+          ? this.getModeStatus(myPlayer, gameState.mode)
+          : this.getRoundPhaseStatus();
       }
 
       const playerScoreText = document.getElementById("playerScoreText");
@@ -608,11 +1439,103 @@ export class Game {
       }
     }
 
+    // Star mission progress and countdown while we have one
+    const missionInfo = document.getElementById("missionInfo");
+    const missionText = document.getElementById("missionText");
+    const mission = this.isSpectating ? undefined : myPlayer?.mission;
+    if (missionInfo && missionText) {
+      missionInfo.classList.toggle("hidden", !mission);
+      if (mission) {
+        const seconds = Math.ceil(mission.timeLeft / 1000);
+        missionText.textContent = `⭐ ${mission.collected}/${mission.required} stars · ${seconds}s left`;
+      }
+    }
+
     // Update leaderboard
-    this.updateLeaderboard(gameState.players);
+    this.updateLeaderboard([...gameState.players, ...gameState.playerHints]);
+  }
+
+  public onRoundPhase(data: RoundPhaseData): void {
+    const previous = this.roundPhase?.phase;
+    this.roundPhase = data;
+    this.roundPhaseEndsAt = data.timeLeft !== undefined ? Date.now() + data.timeLeft : null;
+    this.updateRoundPhaseUI();
+
+    if (previous === data.phase) return;
+    if (data.phase === "countdown") {
+      this.network.showMessage(`⏱️ Round starts in ${Math.ceil((data.timeLeft || 0) / 1000)}...`, "info");
+    } else if (data.phase === "playing") {
+      this.network.showMessage("🏁 Go!", "success");
+    }
+  }
+
+  private getRoundPhaseTimeLeft(): number | null {
+    return this.roundPhaseEndsAt === null ? null : Math.max(0, this.roundPhaseEndsAt - Date.now());
   }
 
-  private updateLeaderboard(players: PlayerState[]): void {
+  // Status line outside the round itself
+  private getRoundPhaseStatus(): string {
+    const data = this.roundPhase;
+    if (!data) return "Waiting for players...";
+
+    const seconds = Math.ceil((this.getRoundPhaseTimeLeft() || 0) / 1000);
+    switch (data.phase) {
+      case "waiting":
+        return "Waiting for players...";
+      case "readyCheck": {
+        const missing = Math.max(0, data.requiredReady - data.readyPlayerIds.length);
+        return missing > 0 ? `Waiting for ${missing} more ready player(s)` : `Starting when everyone is ready (${seconds}s)`;
+      }
+      case "countdown":
+        return `Round starts in ${seconds}...`;
+      default:
+        return ROUND_PHASE_LABELS[data.phase];
+    }
+  }
+
+  // Phase, ready count and the ready button for players who can still get ready
+  private updateRoundPhaseUI(): void {
+    const data = this.roundPhase;
+    const roundPhaseText = document.getElementById("roundPhaseText");
+    if (roundPhaseText) {
+      const seconds = this.getRoundPhaseTimeLeft();
+      roundPhaseText.textContent = data
+        ? `${ROUND_PHASE_LABELS[data.phase]}${seconds !== null && data.phase !== "playing" ? ` · ${Math.ceil(seconds / 1000)}s` : ""}` +
+          (data.phase === "readyCheck" || data.phase === "countdown" ? ` · ${data.readyPlayerIds.length} ready` : "")
+        : "-";
+    }
+
+    const readyButton = document.getElementById("readyButton");
+    if (readyButton) {
+      const canGetReady = !!data && !this.isSpectating && !!this.myPlayerId && ["waiting", "readyCheck", "countdown"].includes(data.phase);
+      readyButton.classList.toggle("hidden", !canGetReady);
+      const ready = !!data && !!this.myPlayerId && data.readyPlayerIds.includes(this.myPlayerId);
+      readyButton.textContent = ready ? "Not Ready" : "Ready";
+    }
+  }
+
+  // What the player should be doing under the round's mode
+  private getModeStatus(myPlayer: PlayerState, mode?: ModeState): string {
+    switch (mode?.id) {
+      case "infection":
+        return myPlayer.isIt
+          ? `Infect them all! ${mode.runners ?? 0} left`
+          : `Survive! ${mode.runners ?? 0} still running`;
+      case "freezeTag":
+        if (myPlayer.isIt) return `Freeze them all! ${mode.frozen ?? 0} frozen, ${mode.runners ?? 0} running`;
+        return myPlayer.frozen
+          ? "Frozen! Wait for a teammate to touch you"
+          : `Run! Touch frozen teammates to free them (${mode.frozen ?? 0} frozen)`;
+      case "hotPotato": {
+        const seconds = Math.ceil((mode.bombTimeLeft ?? 0) / 1000);
+        return myPlayer.isIt ? `💣 You have the bomb! Pass it on (${seconds}s)` : `Bomb goes off in ${seconds}s`;
+      }
+      default:
+        return myPlayer.isIt ? "You are IT!" : "Run!";
+    }
+  }
+
+  private updateLeaderboard(players: Array<PlayerState | PlayerHint>): void {
     const leaderboardDiv = document.getElementById("playerScores");
     if (!leaderboardDiv) return;
 
@@ -621,6 +1544,18 @@ export class Game {
       (a, b) => (b.score || 0) - (a.score || 0)
     );
 
+    // Team totals come first in team rooms
+    const teamHTML = (TeamUtils.getTeamScores(players.map((p) => ({ team: p.team, score: p.score || 0 }))) || [])
+      .map(
+        (team) => `
+        <div class="score-entry team-score" style="color: ${TEAM_COLORS[team.team]}">
+          <span>🚩 ${team.team.toUpperCase()} (${team.players})</span>
+          <span>${team.score}</span>
+        </div>
+      `
+      )
+      .join("");
+
     // Generate leaderboard HTML
     const leaderboardHTML = sortedPlayers
       .map((player, index) => {
@@ -641,17 +1576,19 @@ export class Game {
             ? "🥉"
             : `${rank}.`;
         const itIndicator = isItPlayer ? " 🎯" : "";
+        const reconnectingIndicator = player.isReconnecting ? " (reconnecting)" : "";
+        const teamIndicator = player.team ? `<span style="color: ${TEAM_COLORS[player.team]}">●</span> ` : "";
 
         return `
         <div class="score-entry ${classes.join(" ")}">
-          <span>${rankEmoji} ${player.name}${itIndicator}</span>
+          <span>${rankEmoji} ${teamIndicator}${player.name}${itIndicator}${reconnectingIndicator}</span>
           <span>${player.score || 0}</span>
         </div>
       `;
       })
       .join("");
 
-    leaderboardDiv.innerHTML = leaderboardHTML;
+    leaderboardDiv.innerHTML = teamHTML + leaderboardHTML;
   }
 
   // Event handlers
@@ -663,6 +1600,17 @@ export class Game {
         `+${data.change} points for tagging ${data.playerName}!`,
         "success"
       );
+    } else if (data.reason === "thaw") {
+      this.network.showMessage(`+${data.change} points for ${data.playerName} freeing a teammate!`, "success");
+    } else if (data.reason === "bomb_exploded") {
+      this.network.showMessage(`💥 The bomb went off on ${data.playerName}! ${data.change} points`, "tagged");
+    } else if (data.reason === "mission_complete") {
+      const who = data.playerId === this.myPlayerId ? "You" : data.playerName;
+      this.network.showMessage(`🌟 ${who} completed a star mission! +${data.change} points`, "success");
+    } else if (data.reason === "mission_failed") {
+      if (data.playerId === this.myPlayerId) {
+        this.network.showMessage("❌ Star mission failed", "info");
+      }
     } else if (data.reason === "star_collection") {
       const points = data.change;
       const bonus = points === 50 ? " (IT bonus!)" : "";
@@ -680,13 +1628,19 @@ export class Game {
     );
   }
 
-  public onPowerUpCollected(data: any): void {
-    const powerUpName =
-      data.powerUpType === "transparency" ? "transparency" : data.powerUpType;
+  public onPowerUpCollected(data: PowerUpCollectedData): void {
+    const powerUpName = POWER_UP_RENDER_HINTS[data.powerUpType]?.label || data.powerUpType;
     this.network.showMessage(
       `⚡ ${data.playerName} collected ${powerUpName} power-up!`,
       "info"
     );
+
+    // Our position jumped - restart prediction from the next server state instead of correcting towards it
+    if (data.powerUpType === "teleport" && data.playerId === this.myPlayerId) {
+      this.predictedPlayerState = null;
+      this.correction.needsCorrection = false;
+      this.renderer?.resetInterpolation();
+    }
   }
 
   public onPlayerTagged(data: any): void {
@@ -698,8 +1652,23 @@ export class Game {
     }
   }
 
+  // Shown in the debug panel; the tagger also gets told why the tag didn't count
+  public onTagRejected(data: TagRejectedData): void {
+    const name = (id: string) =>
+      [...(this.gameState?.players || []), ...(this.gameState?.playerHints || [])].find((p) => p.id === id)?.name || id;
+    const label = TAG_REJECT_LABELS[data.reason] || data.reason;
+
+    const tagRejectedValue = document.getElementById("tag-rejected-value");
+    if (tagRejectedValue) {
+      tagRejectedValue.textContent = `${name(data.taggerId)} → ${name(data.targetId)}: ${label}`;
+    }
+
+    if (data.taggerId === this.myPlayerId) {
+      this.network.showMessage(`🚫 Tag didn't count: ${label}`, "info");
+    }
+  }
+
   public onGameEnd(reason: string): void {
-    this.gameActive = false;
     this.network.showMessage(`Game Over: ${reason}`, "info");
     const gameStatusText = document.getElementById("gameStatusText");
     if (gameStatusText) {
@@ -707,6 +1676,45 @@ export class Game {
     }
   }
 
+  public onKicked(reason: string): void {
+    // Back to the join form; the player can join again by hand
+    this.myPlayerId = null;
+    this.localPlayerState = null;
+    this.predictedPlayerState = null;
+    this.correction.needsCorrection = false;
+
+    const joinForm = document.getElementById("joinForm");
+    const gameCanvas = document.getElementById("gameCanvas");
+    if (joinForm) {
+      joinForm.style.display = "";
+      joinForm.classList.remove("hidden");
+    }
+    if (gameCanvas) gameCanvas.classList.remove("visible");
+
+    const joinButton = document.getElementById("joinButton") as HTMLButtonElement | null;
+    if (joinButton) {
+      joinButton.disabled = false;
+      joinButton.textContent = "Join Game";
+    }
+
+    this.network.showError(`Removed from the game: ${reason}`);
+  }
+
+  public onRoomClosed(): void {
+    // Only spectators are left when a room closes; keep watching in the public arena, which always exists
+    if (this.isSpectating) {
+      this.spectateRoom();
+    }
+  }
+
+  public onGamePaused(paused: boolean): void {
+    // No state updates arrive while paused; the next one after resuming restores the status
+    const gameStatusText = document.getElementById("gameStatusText");
+    if (gameStatusText && paused) {
+      gameStatusText.textContent = "Paused";
+    }
+  }
+
   private showScoreChangeAnimation(data: any): void {
     // Trigger canvas-based score animation for all players
     if (this.renderer) {
@@ -747,9 +1755,23 @@ export class Game {
       x: this.predictedPlayerState.x,
       y: this.predictedPlayerState.y,
     };
+    // Correct along the shortest way, which may cross the seam on wrap-around levels
+    const offset = ArenaUtils.getOffset(
+      this.predictedPlayerState,
+      serverPlayer,
+      this.getArena()
+    );
     this.correction.targetPos = {
-      x: serverPlayer.x,
-      y: serverPlayer.y,
+      x: this.predictedPlayerState.x + offset.dx,
+      y: this.predictedPlayerState.y + offset.dy,
+    };
+  }
+
+  private getArena(): Arena {
+    return {
+      width: this.gameState?.gameWidth || 800,
+      height: this.gameState?.gameHeight || 600,
+      wrap: !!this.gameState?.currentLevel?.wrap,
     };
   }
 
@@ -765,12 +1787,15 @@ export class Game {
       if (progress >= 1) {
         // Correction complete
         this.correction.needsCorrection = false;
-        this.predictedPlayerState.x = this.correction.targetPos.x;
-        this.predictedPlayerState.y = this.correction.targetPos.y;
-        return {
-          x: this.correction.targetPos.x,
-          y: this.correction.targetPos.y,
-        };
+        const target = ArenaUtils.confine(
+          this.correction.targetPos.x,
+          this.correction.targetPos.y,
+          0, // Both ends are in bounds already; this only wraps
+          this.getArena()
+        );
+        this.predictedPlayerState.x = target.x;
+        this.predictedPlayerState.y = target.y;
+        return target;
       } else {
         // Smooth interpolation during correction
         const easedProgress = this.easeOutCubic(progress);
@@ -782,7 +1807,12 @@ export class Game {
           this.correction.startPos.y +
           (this.correction.targetPos.y - this.correction.startPos.y) *
             easedProgress;
-        return { x: correctedX, y: correctedY };
+        return ArenaUtils.confine(
+          correctedX,
+          correctedY,
+          0, // Both ends are in bounds already; this only wraps
+          this.getArena()
+        );
       }
     }
 
@@ -843,30 +1873,28 @@ export class Game {
     }
 
     // Apply speed and time scaling (same as server)
-    const currentSpeed = this.localPlayerState.isIt
-      ? this.localPlayerState.speed * 1.3
+    let currentSpeed = this.localPlayerState.isIt
+      ? this.localPlayerState.speed * this.rules.movement.itSpeedMultiplier
       : this.localPlayerState.speed;
+    if (PowerUpUtils.hasEffect(this.localPlayerState, "speed")) {
+      currentSpeed *= this.rules.powerUps.speedMultiplier;
+    }
+    if (this.localPlayerState.netted === "rooted" || this.localPlayerState.frozen) {
+      currentSpeed = 0;
+    } else if (this.localPlayerState.netted === "slowed") {
+      currentSpeed *= this.rules.nets.slowMultiplier;
+    }
     const moveDistance = currentSpeed * (deltaTime / 1000);
 
     dx *= moveDistance;
     dy *= moveDistance;
 
-    // Apply movement with bounds checking (using actual game dimensions)
-    const gameWidth = this.gameState?.gameWidth || 800;
-    const gameHeight = this.gameState?.gameHeight || 600;
-    const newX = Math.max(
+    // Apply movement with bounds checking (using actual game dimensions), wrapping on wrap-around levels
+    const { x: newX, y: newY } = ArenaUtils.confine(
+      this.localPlayerState.x + dx,
+      this.localPlayerState.y + dy,
       this.localPlayerState.radius,
-      Math.min(
-        gameWidth - this.localPlayerState.radius,
-        this.localPlayerState.x + dx
-      )
-    );
-    const newY = Math.max(
-      this.localPlayerState.radius,
-      Math.min(
-        gameHeight - this.localPlayerState.radius,
-        this.localPlayerState.y + dy
-      )
+      this.getArena()
     );
 
     // Update predicted position
@@ -886,8 +1914,8 @@ export class Game {
     const now = Date.now();
     const deltaTime = now - this.lastUpdate;
 
-    // Handle input with immediate client-side prediction
-    if (this.gameActive && this.myPlayerId && this.input) {
+    // Handle input with immediate client-side prediction (the keys pan the camera while replaying)
+    if (this.myPlayerId && this.input && !this.replayPlayer) {
       const inputState = this.input.update(); // This already sends input to server at 30 FPS
 
       // Apply client-side prediction immediately
@@ -900,6 +1928,11 @@ export class Game {
       }
     }
 
+    if (this.isWatching()) {
+      this.updateCameraPan(deltaTime);
+    }
+    this.updateReplay(deltaTime);
+
     // Render the game
     if (this.renderer) {
       this.renderer.render();
@@ -0,0 +1,445 @@
+import { FloorPosition, Level, LEVEL_THEMES, Obstacle, Position, POWER_UP_TYPES, PowerUpType, SpawnPoint } from "@shared/types";
+import { LevelValidator } from "@shared/utils/LevelValidator";
+import { Renderer } from "./Renderer";
+
+// Work in progress survives reloads
+const DRAFT_KEY = "catchme.editorLevel";
+const SPAWN_RADIUS = 20; // Player radius, as the server checks spawn points
+const PICKUP_RADIUS = 15;
+const MIN_SHAPE_SIZE = 10; // px; shorter drags don't make an obstacle
+
+const SPAWN_COLORS: Record<SpawnPoint["type"], string> = {
+  safe: "#4caf50",
+  risky: "#f44336",
+  strategic: "#ffc107",
+};
+
+type EditorTool = "select" | "rectangle" | "circle" | "tree" | "spawn" | "pickup" | "erase";
+
+// Something placed in the level, by list and index
+interface Item {
+  list: "obstacles" | "spawnPoints" | "powerUpPositions";
+  index: number;
+}
+
+interface Drag {
+  start: Position;
+  current: Position;
+  item: Item | null; // Being moved with the select tool
+  offset: Position; // From the cursor to the moved item's centre
+}
+
+function createEmptyLevel(): Level {
+  return {
+    id: "new_level",
+    name: "New Level",
+    theme: "classic",
+    description: "",
+    boundaries: { x: 0, y: 0, width: 800, height: 600 },
+    obstacles: [],
+    spawnPoints: [],
+    powerUpConfig: { spawnRate: 8000, maxActive: 3, types: ["speed"], locations: "fixed" },
+    powerUpPositions: [],
+    backgroundElements: [],
+    difficulty: 1,
+  };
+}
+
+// Level editor page: draws the level with the game's Renderer, checks it with the server's
+// LevelValidator, imports and exports Level JSON and starts a test-play in a private room
+export class LevelEditor {
+  private canvas: HTMLCanvasElement;
+  private renderer: Renderer;
+  private level: Level;
+  private tool: EditorTool = "select";
+  private drag: Drag | null = null;
+
+  constructor() {
+    this.canvas = document.getElementById("editorCanvas") as HTMLCanvasElement;
+    this.renderer = new Renderer(this.canvas);
+    this.level = this.loadDraft() || createEmptyLevel();
+
+    this.initializeUI();
+    this.writeForm();
+    this.changed();
+  }
+
+  private initializeUI(): void {
+    document.querySelectorAll<HTMLButtonElement>("#editorTools button[data-tool]").forEach((button) => {
+      button.addEventListener("click", () => this.selectTool(button.dataset.tool as EditorTool));
+    });
+
+    const themeSelect = document.getElementById("levelThemeSelect") as HTMLSelectElement | null;
+    LEVEL_THEMES.forEach((theme) => {
+      const option = document.createElement("option");
+      option.value = theme;
+      option.textContent = theme;
+      themeSelect?.appendChild(option);
+    });
+
+    const types = document.getElementById("powerUpTypes");
+    POWER_UP_TYPES.forEach((type) => {
+      const label = document.createElement("label");
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.value = type;
+      label.appendChild(checkbox);
+      label.appendChild(document.createTextNode(type));
+      types?.appendChild(label);
+    });
+
+    document.getElementById("levelForm")?.addEventListener("input", () => {
+      this.readForm();
+      this.changed();
+    });
+
+    this.canvas.addEventListener("mousedown", (e) => this.onPointerDown(this.toWorld(e)));
+    this.canvas.addEventListener("mousemove", (e) => this.onPointerMove(this.toWorld(e)));
+    window.addEventListener("mouseup", () => this.onPointerUp());
+
+    document.getElementById("newLevelButton")?.addEventListener("click", () => {
+      if (window.confirm("Start a new level? The current one is lost unless you exported it.")) {
+        this.setLevel(createEmptyLevel());
+      }
+    });
+    document.getElementById("importInput")?.addEventListener("change", (e) => this.importLevel(e.target as HTMLInputElement));
+    document.getElementById("exportButton")?.addEventListener("click", () => this.exportLevel());
+    document.getElementById("testPlayButton")?.addEventListener("click", () => this.testPlay());
+  }
+
+  private selectTool(tool: EditorTool): void {
+    this.tool = tool;
+    document.querySelectorAll<HTMLButtonElement>("#editorTools button[data-tool]").forEach((button) => {
+      button.classList.toggle("active", button.dataset.tool === tool);
+    });
+  }
+
+  private setLevel(level: Level): void {
+    this.level = level;
+    this.writeForm();
+    this.changed();
+  }
+
+  // Level settings from the form; numbers that don't parse stay NaN so the checks report them
+  private readForm(): void {
+    const value = (id: string) => (document.getElementById(id) as HTMLInputElement | null)?.value ?? "";
+    const number = (id: string) => (document.getElementById(id) as HTMLInputElement | null)?.valueAsNumber ?? NaN;
+
+    this.level.id = value("levelIdInput").trim();
+    this.level.name = value("levelNameInput");
+    this.level.description = value("levelDescriptionInput");
+    this.level.theme = value("levelThemeSelect") as Level["theme"];
+    this.level.difficulty = number("levelDifficultyInput");
+    this.level.boundaries = { ...this.level.boundaries, width: number("levelWidthInput"), height: number("levelHeightInput") };
+    this.level.powerUpConfig = {
+      spawnRate: number("spawnRateInput"),
+      maxActive: number("maxActiveInput"),
+      locations: value("locationsSelect") as Level["powerUpConfig"]["locations"],
+      types: Array.from(document.querySelectorAll<HTMLInputElement>("#powerUpTypes input:checked")).map((input) => input.value as PowerUpType),
+    };
+  }
+
+  private writeForm(): void {
+    const set = (id: string, value: string | number) => {
+      const input = document.getElementById(id) as HTMLInputElement | null;
+      if (input) input.value = String(value);
+    };
+
+    set("levelIdInput", this.level.id);
+    set("levelNameInput", this.level.name);
+    set("levelDescriptionInput", this.level.description);
+    set("levelThemeSelect", this.level.theme);
+    set("levelDifficultyInput", this.level.difficulty);
+    set("levelWidthInput", this.level.boundaries.width);
+    set("levelHeightInput", this.level.boundaries.height);
+    set("spawnRateInput", this.level.powerUpConfig.spawnRate);
+    set("maxActiveInput", this.level.powerUpConfig.maxActive);
+    set("locationsSelect", this.level.powerUpConfig.locations);
+    document.querySelectorAll<HTMLInputElement>("#powerUpTypes input").forEach((input) => {
+      input.checked = this.level.powerUpConfig.types.includes(input.value as PowerUpType);
+    });
+  }
+
+  private changed(): void {
+    this.saveDraft();
+    this.check();
+    this.render();
+  }
+
+  // Same rules the server loads levels with; layout problems are only warnings, as on the server
+  private check(): void {
+    const errors = LevelValidator.validate(this.level);
+    const warnings = errors.length === 0 && !this.level.floors && !this.level.wrap ? LevelValidator.checkLayout(this.level) : [];
+
+    const list = document.getElementById("editorProblems");
+    if (list) {
+      list.innerHTML = "";
+      [...errors.map((text) => ({ text, className: "status-error" })), ...warnings.map((text) => ({ text, className: "status-warning" }))]
+        .forEach(({ text, className }) => {
+          const item = document.createElement("li");
+          item.textContent = text;
+          item.className = className;
+          list.appendChild(item);
+        });
+    }
+
+    const testPlayButton = document.getElementById("testPlayButton") as HTMLButtonElement | null;
+    if (testPlayButton) testPlayButton.disabled = errors.length > 0;
+    this.setStatus(errors.length > 0 ? `${errors.length} problem(s) to fix` : "Level is valid", errors.length > 0);
+  }
+
+  private render(): void {
+    const { width, height } = this.level.boundaries;
+    if (!(width > 0 && height > 0)) return;
+    if (this.canvas.width !== width || this.canvas.height !== height) {
+      this.canvas.width = width;
+      this.canvas.height = height;
+    }
+
+    this.renderer.showLevel(this.level);
+    this.renderer.render();
+    this.drawMarkers();
+    this.drawShapePreview();
+  }
+
+  // Spawn points and pickup spots aren't drawn in the game, so the editor marks them itself
+  private drawMarkers(): void {
+    const ctx = this.canvas.getContext("2d");
+    if (!ctx) return;
+
+    ctx.save();
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.font = "bold 14px Arial";
+    this.level.spawnPoints.forEach((spawn) => {
+      const screen = this.renderer.worldToScreen(spawn.x, spawn.y);
+      ctx.globalAlpha = 0.6;
+      ctx.fillStyle = SPAWN_COLORS[spawn.type] || "#ffffff";
+      ctx.beginPath();
+      ctx.arc(screen.x, screen.y, SPAWN_RADIUS, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.globalAlpha = 1;
+      ctx.fillStyle = "#000000";
+      ctx.fillText(spawn.type.charAt(0).toUpperCase(), screen.x, screen.y);
+    });
+
+    (this.level.powerUpPositions || []).forEach((pickup) => {
+      const screen = this.renderer.worldToScreen(pickup.x, pickup.y);
+      ctx.fillStyle = "#00bcd4";
+      ctx.strokeStyle = "#ffffff";
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.moveTo(screen.x, screen.y - PICKUP_RADIUS);
+      ctx.lineTo(screen.x + PICKUP_RADIUS, screen.y);
+      ctx.lineTo(screen.x, screen.y + PICKUP_RADIUS);
+      ctx.lineTo(screen.x - PICKUP_RADIUS, screen.y);
+      ctx.closePath();
+      ctx.fill();
+      ctx.stroke();
+    });
+    ctx.restore();
+  }
+
+  // Outline of the obstacle being dragged out
+  private drawShapePreview(): void {
+    const ctx = this.canvas.getContext("2d");
+    const shape = this.drag && !this.drag.item ? this.createShape(this.drag.start, this.drag.current) : null;
+    if (!ctx || !shape) return;
+
+    const screen = this.renderer.worldToScreen(shape.x, shape.y);
+    ctx.save();
+    ctx.strokeStyle = "#667eea";
+    ctx.lineWidth = 2;
+    ctx.setLineDash([6, 4]);
+    if (shape.type === "rectangle") {
+      ctx.strokeRect(screen.x - shape.width! / 2, screen.y - shape.height! / 2, shape.width!, shape.height!);
+    } else {
+      ctx.beginPath();
+      ctx.arc(screen.x, screen.y, shape.radius!, 0, Math.PI * 2);
+      ctx.stroke();
+    }
+    ctx.restore();
+  }
+
+  private toWorld(e: MouseEvent): Position {
+    const rect = this.canvas.getBoundingClientRect();
+    const world = this.renderer.screenToWorld(
+      (e.clientX - rect.left) * (this.canvas.width / rect.width),
+      (e.clientY - rect.top) * (this.canvas.height / rect.height)
+    );
+    return { x: Math.round(world.x), y: Math.round(world.y) };
+  }
+
+  private onPointerDown(point: Position): void {
+    switch (this.tool) {
+      case "select": {
+        const item = this.findItemAt(point);
+        if (item) {
+          const position = this.getItemPosition(item);
+          this.drag = { start: point, current: point, item, offset: { x: position.x - point.x, y: position.y - point.y } };
+        }
+        break;
+      }
+      case "spawn": {
+        const type = (document.getElementById("spawnTypeSelect") as HTMLSelectElement | null)?.value as SpawnPoint["type"] || "safe";
+        const visibility = (document.getElementById("spawnVisibilitySelect") as HTMLSelectElement | null)?.value as SpawnPoint["visibility"] || "open";
+        this.level.spawnPoints.push({ ...point, type, visibility, nearbyFeatures: [] });
+        this.changed();
+        break;
+      }
+      case "pickup":
+        this.level.powerUpPositions = [...(this.level.powerUpPositions || []), point];
+        this.changed();
+        break;
+      case "erase": {
+        const item = this.findItemAt(point);
+        if (item) {
+          (this.level[item.list] as unknown[]).splice(item.index, 1);
+          this.changed();
+        }
+        break;
+      }
+      default:
+        this.drag = { start: point, current: point, item: null, offset: { x: 0, y: 0 } };
+    }
+  }
+
+  private onPointerMove(point: Position): void {
+    if (!this.drag) return;
+    this.drag.current = point;
+
+    if (this.drag.item) {
+      const position = this.getItemPosition(this.drag.item);
+      position.x = point.x + this.drag.offset.x;
+      position.y = point.y + this.drag.offset.y;
+    }
+    this.render();
+  }
+
+  private onPointerUp(): void {
+    if (!this.drag) return;
+    const { start, current, item } = this.drag;
+    this.drag = null;
+
+    if (!item) {
+      const shape = this.createShape(start, current);
+      if (shape) this.level.obstacles.push(shape);
+    }
+    this.changed();
+  }
+
+  // Rectangles are dragged corner to corner, circles and trees from the centre out
+  private createShape(start: Position, end: Position): Obstacle | null {
+    if (this.tool === "rectangle") {
+      const width = Math.abs(end.x - start.x);
+      const height = Math.abs(end.y - start.y);
+      if (width < MIN_SHAPE_SIZE || height < MIN_SHAPE_SIZE) return null;
+      return { x: Math.round((start.x + end.x) / 2), y: Math.round((start.y + end.y) / 2), width, height, type: "rectangle" };
+    }
+
+    const radius = Math.round(Math.hypot(end.x - start.x, end.y - start.y));
+    if (radius < MIN_SHAPE_SIZE / 2) return null;
+    const circle: Obstacle = { x: start.x, y: start.y, radius, type: "circle" };
+    return this.tool === "tree" ? { ...circle, kind: "tree" } : circle;
+  }
+
+  // Markers first, then obstacles from the top down, like they're drawn
+  private findItemAt(point: Position): Item | null {
+    const near = (position: Position, radius: number) => Math.hypot(position.x - point.x, position.y - point.y) <= radius;
+
+    const spawn = this.level.spawnPoints.findIndex((position) => near(position, SPAWN_RADIUS));
+    if (spawn !== -1) return { list: "spawnPoints", index: spawn };
+    const pickup = (this.level.powerUpPositions || []).findIndex((position) => near(position, PICKUP_RADIUS));
+    if (pickup !== -1) return { list: "powerUpPositions", index: pickup };
+
+    for (let index = this.level.obstacles.length - 1; index >= 0; index--) {
+      const obstacle = this.level.obstacles[index];
+      const inside = obstacle.type === "circle"
+        ? near(obstacle, obstacle.radius || 0)
+        : Math.abs(point.x - obstacle.x) <= (obstacle.width || 0) / 2 && Math.abs(point.y - obstacle.y) <= (obstacle.height || 0) / 2;
+      if (inside) return { list: "obstacles", index };
+    }
+    return null;
+  }
+
+  private getItemPosition(item: Item): Position {
+    if (item.list === "obstacles") return this.level.obstacles[item.index];
+    if (item.list === "spawnPoints") return this.level.spawnPoints[item.index];
+    return (this.level.powerUpPositions as FloorPosition[])[item.index];
+  }
+
+  private async importLevel(input: HTMLInputElement): Promise<void> {
+    const file = input.files?.[0];
+    input.value = "";
+    if (!file) return;
+
+    try {
+      const data = JSON.parse(await file.text());
+      if (typeof data !== "object" || data === null || Array.isArray(data)) {
+        this.setStatus(`${file.name} isn't a level`, true);
+        return;
+      }
+      // Missing parts start out empty; whatever else is wrong shows up in the problem list
+      this.setLevel({ ...createEmptyLevel(), ...data });
+    } catch (error) {
+      this.setStatus(`${file.name} can't be read: ${(error as Error).message}`, true);
+    }
+  }
+
+  private exportLevel(): void {
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(new Blob([JSON.stringify(this.level, null, 2)], { type: "application/json" }));
+    link.download = `${this.level.id || "level"}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  }
+
+  // The server opens a private room playing only this level; the game joins it in a new tab
+  private async testPlay(): Promise<void> {
+    try {
+      const response = await fetch("/editor/test-play", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(this.level),
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        this.setStatus(data.error || `Test-play failed (${response.status})`, true);
+        return;
+      }
+
+      const url = `/?room=${encodeURIComponent(data.roomCode)}`;
+      if (!window.open(url, "_blank")) {
+        window.location.href = url;
+      }
+    } catch (error) {
+      console.error("Test-play failed:", error);
+      this.setStatus("Could not reach the server", true);
+    }
+  }
+
+  private setStatus(message: string, isError: boolean): void {
+    const status = document.getElementById("editorStatus");
+    if (status) {
+      status.textContent = message;
+      status.className = isError ? "status-error" : "status-ok";
+    }
+  }
+
+  private loadDraft(): Level | null {
+    try {
+      const draft = localStorage.getItem(DRAFT_KEY);
+      return draft ? { ...createEmptyLevel(), ...JSON.parse(draft) } : null;
+    } catch {
+      return null;
+    }
+  }
+
+  private saveDraft(): void {
+    try {
+      localStorage.setItem(DRAFT_KEY, JSON.stringify(this.level));
+    } catch {
+      // Storage can be unavailable (e.g. private mode); the draft just won't persist
+    }
+  }
+}
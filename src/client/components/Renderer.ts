@@ -11,7 +11,26 @@ import {
   LevelTheme,
   BackgroundElement,
   SpawnPoint,
+  StateDelta,
+  POWER_UP_RENDER_HINTS,
+  PowerUpUtils,
+  ConveyorBelt,
+  Crusher,
+  Bush,
+  DynamicObstacle,
+  DynamicObstacleState,
+  Velocity,
+  PlayerHint,
+  ProjectileState,
+  TEAM_COLORS,
+  LevelVoteData,
 } from "@shared/types";
+import { StateSyncUtils } from "@shared/utils/StateSyncUtils";
+import { TerrainUtils } from "@shared/utils/TerrainUtils";
+import { DynamicObstacleUtils } from "@shared/utils/DynamicObstacleUtils";
+import { Arena, ArenaUtils } from "@shared/utils/ArenaUtils";
+import { FloorUtils } from "@shared/utils/FloorUtils";
+import { TeamUtils } from "@shared/utils/TeamUtils";
 
 interface ExplosionEffect {
   x: number;
@@ -30,6 +49,13 @@ interface ScreenShake {
   offsetY: number;
 }
 
+// A dynamic obstacle gliding from where it was drawn to its latest server pose
+interface ObstacleMotion {
+  from: DynamicObstacleState;
+  to: DynamicObstacleState;
+  receivedAt: number;
+}
+
 interface InterpolationData {
   positions: Array<{
     x: number;
@@ -76,6 +102,19 @@ interface DebrisParticle {
   rotationSpeed: number;
 }
 
+// Camera for viewers without a player of their own (replays, spectators)
+export interface SpectatorView {
+  cameraMode: "follow" | "free";
+  followPlayerId: string | null;
+}
+
+// A net drawn between the last two positions the server sent
+interface ProjectileMotion {
+  from: Position;
+  to: ProjectileState;
+  receivedAt: number;
+}
+
 interface CameraState {
   x: number;        // Camera center X in world coordinates
   y: number;        // Camera center Y in world coordinates
@@ -99,6 +138,18 @@ interface LevelPreviewState {
   timeRemaining: number;
   startTime: number;
   duration: number;
+  candidates: Level[]; // Two or more when the next level is voted on
+  votes: LevelVoteData | null;
+  myVote: string | null;
+}
+
+// Screen area of a level card in the vote overlay
+interface LevelVoteCard {
+  levelId: string;
+  x: number;
+  y: number;
+  width: number;
+  height: number;
 }
 
 export class Renderer {
@@ -108,6 +159,8 @@ export class Renderer {
   private myPlayerId: string | null = null;
   private interpolationBuffer = new Map<string, InterpolationData>();
   private trailBuffer = new Map<string, InterpolationData>();
+  private obstacleMotion = new Map<string, ObstacleMotion>();
+  private projectileMotion = new Map<string, ProjectileMotion>();
   private lastServerUpdate = Date.now();
   private serverUpdateInterval = 1000 / 30; // Server broadcasts at 30 FPS
 
@@ -178,6 +231,7 @@ export class Renderer {
     targetY: 300
   };
   private cameraSmoothing = 0.1; // How quickly camera follows (0.1 = smooth, 1.0 = instant)
+  private spectatorView: SpectatorView | null = null;
   
   // Level transition system
   private levelTransition: LevelTransitionState = {
@@ -196,8 +250,12 @@ export class Renderer {
     level: null,
     timeRemaining: 0,
     startTime: 0,
-    duration: 10000
+    duration: 10000,
+    candidates: [],
+    votes: null,
+    myVote: null
   };
+  private levelVoteCards: LevelVoteCard[] = [];
 
   constructor(canvas: HTMLCanvasElement) {
     this.canvas = canvas;
@@ -224,7 +282,15 @@ export class Renderer {
     );
   }
 
-  public setGameState(gameState: GameStateData): void {
+  public setGameState(update: GameStateData | StateDelta): void {
+    // Deltas patch the last state we rendered
+    let gameState: GameStateData;
+    if ("kind" in update) {
+      if (!this.gameState) return;
+      gameState = StateSyncUtils.applyDelta(this.gameState, update);
+    } else {
+      gameState = update;
+    }
     const now = Date.now();
 
     // Track network timing for adaptive interpolation
@@ -249,10 +315,13 @@ export class Renderer {
 
     // Update interpolation data for each player
     if (this.gameState && gameState) {
+      const arena = this.getArena(gameState);
       gameState.players.forEach((player) => {
-        this.updatePlayerInterpolation(player, now);
+        this.updatePlayerInterpolation(player, now, arena);
       });
     }
+    this.updateObstacleMotion(gameState.dynamicObstacles, now);
+    this.updateProjectileMotion(gameState.projectiles, now, this.getArena(gameState));
 
     this.gameState = gameState;
   }
@@ -261,32 +330,150 @@ export class Renderer {
     this.myPlayerId = playerId;
   }
 
+  // Switch between our own player's view and a spectator camera (null returns to our player)
+  public setSpectatorView(view: SpectatorView | null): void {
+    this.spectatorView = view;
+  }
+
+  public getSpectatorView(): SpectatorView | null {
+    return this.spectatorView;
+  }
+
+  // Move the free camera by a screen-space offset
+  public panCamera(dx: number, dy: number): void {
+    if (this.spectatorView?.cameraMode !== "free") return;
+    this.camera.targetX += dx;
+    this.camera.targetY += dy;
+  }
+
+  // Forget interpolation history, e.g. after seeking in a replay
+  public resetInterpolation(): void {
+    this.interpolationBuffer.clear();
+    this.trailBuffer.clear();
+    this.obstacleMotion.clear();
+    this.velocityHistory.clear();
+    this.accelerationHistory.clear();
+    this.momentumData.clear();
+  }
+
+  // The player whose view we render: our own, the followed player, or none for a free camera
+  private getViewerId(): string | null {
+    if (this.spectatorView) {
+      return this.spectatorView.cameraMode === "follow" ? this.spectatorView.followPlayerId : null;
+    }
+    return this.myPlayerId;
+  }
+
   private updateCamera(): void {
-    if (!this.gameState || !this.myPlayerId) return;
+    if (!this.gameState) return;
+
+    // Free camera moves only via panCamera
+    if (this.spectatorView?.cameraMode === "free") {
+      this.camera.x += (this.camera.targetX - this.camera.x) * this.cameraSmoothing;
+      this.camera.y += (this.camera.targetY - this.camera.y) * this.cameraSmoothing;
+      return;
+    }
+
+    const viewerId = this.getViewerId();
+    if (!viewerId) return;
 
     // Find the current player
-    const myPlayer = this.gameState.players.find(p => p.id === this.myPlayerId);
+    const myPlayer = this.gameState.players.find(p => p.id === viewerId);
     if (!myPlayer) return;
 
     // Set camera target to player position
     this.camera.targetX = myPlayer.x;
     this.camera.targetY = myPlayer.y;
 
+    // Follow the player across the seam instead of sweeping back over the whole map
+    const arena = this.getArena(this.gameState);
+    if (arena.wrap) {
+      const offset = ArenaUtils.getOffset(this.camera, myPlayer, arena);
+      this.camera.x = myPlayer.x - offset.dx;
+      this.camera.y = myPlayer.y - offset.dy;
+    }
+
     // Smoothly interpolate camera position
     this.camera.x += (this.camera.targetX - this.camera.x) * this.cameraSmoothing;
     this.camera.y += (this.camera.targetY - this.camera.y) * this.cameraSmoothing;
   }
 
-  private worldToScreen(worldX: number, worldY: number): { x: number; y: number } {
+  public worldToScreen(worldX: number, worldY: number): { x: number; y: number } {
     return {
       x: worldX - this.camera.x + (this.canvas.width / 2),
       y: worldY - this.camera.y + (this.canvas.height / 2)
     };
   }
 
+  public screenToWorld(screenX: number, screenY: number): Position {
+    return {
+      x: screenX + this.camera.x - (this.canvas.width / 2),
+      y: screenY + this.camera.y - (this.canvas.height / 2)
+    };
+  }
+
+  // Show a level on its own, with no players and the camera on its centre, e.g. in the level editor
+  public showLevel(level: Level): void {
+    this.gameState = {
+      players: [],
+      playerHints: [],
+      gameActive: false,
+      timeRemaining: 0,
+      gameWidth: level.boundaries.width,
+      gameHeight: level.boundaries.height,
+      obstacles: level.obstacles,
+      powerUps: [],
+      stars: [],
+      stunOrbs: [],
+      currentLevel: level,
+    };
+    this.spectatorView = { cameraMode: "free", followPlayerId: null };
+    const centerX = level.boundaries.x + level.boundaries.width / 2;
+    const centerY = level.boundaries.y + level.boundaries.height / 2;
+    this.camera = { x: centerX, y: centerY, targetX: centerX, targetY: centerY };
+  }
+
+  private getArena(gameState: GameStateData): Arena {
+    return {
+      width: gameState.gameWidth,
+      height: gameState.gameHeight,
+      wrap: !!gameState.currentLevel?.wrap,
+    };
+  }
+
+  // Offsets at which a player is drawn: where they are, plus across each nearby seam on wrap-around levels
+  private getWrapOffsets(position: Position, reach: number): Velocity[] {
+    const offsets: Velocity[] = [{ dx: 0, dy: 0 }];
+    if (!this.gameState?.currentLevel?.wrap) return offsets;
+
+    const { gameWidth: width, gameHeight: height } = this.gameState;
+    const xShifts = [0];
+    const yShifts = [0];
+    if (position.x < reach) xShifts.push(width);
+    if (position.x > width - reach) xShifts.push(-width);
+    if (position.y < reach) yShifts.push(height);
+    if (position.y > height - reach) yShifts.push(-height);
+
+    xShifts.forEach((dx) => {
+      yShifts.forEach((dy) => {
+        if (dx !== 0 || dy !== 0) offsets.push({ dx, dy });
+      });
+    });
+    return offsets;
+  }
+
+  private drawPlayerWithWrap(player: PlayerState, currentTime: number): void {
+    // Reach far enough for the name above and the effects around the player
+    const position = this.getInterpolatedPlayerPosition(player, currentTime);
+    this.getWrapOffsets(position, player.currentRadius + 40).forEach((offset) => {
+      this.drawPlayer(player, currentTime, offset);
+    });
+  }
+
   private updatePlayerInterpolation(
     player: PlayerState,
-    timestamp: number
+    timestamp: number,
+    arena: Arena
   ): void {
     if (!player || !player.id) {
       return;
@@ -305,6 +492,13 @@ export class Renderer {
       return;
     }
 
+    // Crossing the seam is a jump, not a slide across the map
+    const previous = data.positions[data.positions.length - 1];
+    if (arena.wrap && previous && (Math.abs(player.x - previous.x) > arena.width / 2 || Math.abs(player.y - previous.y) > arena.height / 2)) {
+      data.positions = [];
+      this.trailBuffer.delete(player.id);
+    }
+
     data.positions.push({
       x: player.x,
       y: player.y,
@@ -323,6 +517,73 @@ export class Renderer {
     data.lastUpdate = timestamp;
   }
 
+  private updateObstacleMotion(states: DynamicObstacleState[] | undefined, now: number): void {
+    if (!states) {
+      this.obstacleMotion.clear();
+      return;
+    }
+
+    const ids = new Set<string>();
+    states.forEach((state) => {
+      ids.add(state.id);
+      const motion = this.obstacleMotion.get(state.id);
+      if (!motion) {
+        this.obstacleMotion.set(state.id, { from: state, to: state, receivedAt: now });
+      } else if (motion.to !== state) {
+        // Start from where it is drawn right now so it never jumps back
+        this.obstacleMotion.set(state.id, { from: this.getObstaclePose(motion, now), to: state, receivedAt: now });
+      }
+    });
+    this.obstacleMotion.forEach((_, id) => {
+      if (!ids.has(id)) this.obstacleMotion.delete(id);
+    });
+  }
+
+  private updateProjectileMotion(states: ProjectileState[] | undefined, now: number, arena: Arena): void {
+    const ids = new Set<string>();
+    (states || []).forEach((state) => {
+      ids.add(state.id);
+      const motion = this.projectileMotion.get(state.id);
+      if (!motion) {
+        this.projectileMotion.set(state.id, { from: state, to: state, receivedAt: now });
+      } else if (motion.to !== state) {
+        // A net that crossed the seam starts over on the other side instead of flying back across the map
+        const from = this.getProjectilePosition(motion, now);
+        const jumped = Math.hypot(state.x - from.x, state.y - from.y) > ArenaUtils.getDistance(from, state, arena) + 1;
+        this.projectileMotion.set(state.id, { from: jumped ? state : from, to: state, receivedAt: now });
+      }
+    });
+    this.projectileMotion.forEach((_, id) => {
+      if (!ids.has(id)) this.projectileMotion.delete(id);
+    });
+  }
+
+  private getProjectilePosition(motion: ProjectileMotion, now: number): Position {
+    const t = Math.min(1, (now - motion.receivedAt) / this.serverUpdateInterval);
+    return {
+      x: motion.from.x + (motion.to.x - motion.from.x) * t,
+      y: motion.from.y + (motion.to.y - motion.from.y) * t,
+    };
+  }
+
+  private getObstaclePose(motion: ObstacleMotion, now: number): DynamicObstacleState {
+    const t = Math.min(1, (now - motion.receivedAt) / this.serverUpdateInterval);
+    const { from, to } = motion;
+    const pose: DynamicObstacleState = {
+      id: to.id,
+      x: from.x + (to.x - from.x) * t,
+      y: from.y + (to.y - from.y) * t,
+      open: to.open,
+    };
+    if (to.angle !== undefined) {
+      // Turn the short way round when the angle wraps
+      const fromAngle = from.angle ?? to.angle;
+      const turn = Math.atan2(Math.sin(to.angle - fromAngle), Math.cos(to.angle - fromAngle));
+      pose.angle = fromAngle + turn * t;
+    }
+    return pose;
+  }
+
   private getInterpolatedPlayerPosition(
     player: PlayerState,
     currentTime: number
@@ -480,9 +741,10 @@ export class Renderer {
     // Update camera to follow player
     this.updateCamera();
 
-    // Get current player for sight calculations
+    // Get current player (or followed player when spectating) for sight calculations
+    const viewerId = this.getViewerId();
     const myPlayer = this.gameState.players.find(
-      (p) => p.id === this.myPlayerId
+      (p) => p.id === viewerId
     );
 
     // Clear canvas
@@ -514,6 +776,7 @@ export class Renderer {
       // Draw level-specific background elements
       if (this.gameState.currentLevel) {
         this.drawLevelBackground(this.gameState.currentLevel);
+        this.drawGroundTerrain(this.gameState.currentLevel);
       }
 
       // Apply fog of war - black out everything outside vision circle
@@ -524,20 +787,34 @@ export class Renderer {
 
       // Draw ALL game objects AFTER fog of war so they remain visible when in sight range
       this.drawObstacles(myPlayer);
+      this.drawDynamicObstacles(myPlayer);
+      this.drawFloorConnectors(myPlayer);
+      this.drawPortals(myPlayer);
       this.drawPowerUps(myPlayer);
       this.drawStars(myPlayer);
       this.drawStunOrbs(myPlayer);
+      this.drawProjectiles(myPlayer);
 
       // Draw explosion effects (only visible ones) AFTER fog of war
       this.drawExplosionEffects(currentTime, myPlayer);
 
-      // Draw players AFTER fog of war so they remain visible
+      // Draw approximate areas of players the server kept hidden from us
+      this.drawPlayerHints();
+
+      // Draw players AFTER fog of war so they remain visible; players on other floors only as silhouettes
       this.gameState.players.forEach((player) => {
-        if (this.isPlayerVisible(player, myPlayer)) {
-          this.drawPlayer(player, currentTime);
+        if (!FloorUtils.isSameFloor(player, myPlayer)) {
+          this.drawFloorSilhouette(player, player.x, player.y, player.currentRadius);
+        } else if (this.isPlayerVisible(player, myPlayer)) {
+          this.drawPlayerWithWrap(player, currentTime);
         }
       });
 
+      // Bushes cover the players inside them
+      if (this.gameState.currentLevel) {
+        this.drawBushes(this.gameState.currentLevel, myPlayer);
+      }
+
       // Draw stun pulse effects for visible IT players AFTER fog of war
       this.gameState.players.forEach((player) => {
         if (player.isIt && (player as any).isPerformingStunPulse && this.isPlayerVisible(player, myPlayer)) {
@@ -555,10 +832,14 @@ export class Renderer {
       // Draw level-specific background elements in fallback mode
       if (this.gameState.currentLevel) {
         this.drawLevelBackground(this.gameState.currentLevel);
+        this.drawGroundTerrain(this.gameState.currentLevel);
       }
       
-      // Apply fog of war in fallback mode too (if we can find any player)
-      const anyPlayer = this.gameState.players.find(p => p.id === this.myPlayerId) || this.gameState.players[0];
+      // Apply fog of war in fallback mode too (if we can find any player);
+      // a free spectator camera sees the whole map
+      const anyPlayer = this.spectatorView
+        ? undefined
+        : this.gameState.players.find(p => p.id === this.myPlayerId) || this.gameState.players[0];
       if (anyPlayer) {
         this.drawFogOfWar(anyPlayer);
       }
@@ -568,15 +849,26 @@ export class Renderer {
 
       // Draw ALL game objects AFTER fog of war in fallback mode
       this.drawObstacles();
+      this.drawDynamicObstacles();
+      this.drawFloorConnectors();
+      this.drawPortals();
       this.drawPowerUps();
       this.drawStars();
       this.drawStunOrbs();
+      this.drawProjectiles();
       this.drawExplosionEffects(currentTime);
 
-      // Draw players AFTER fog of war
+      // Draw players AFTER fog of war; without a viewer we look at the ground floor
       this.gameState.players.forEach((player) => {
-        this.drawPlayer(player, currentTime);
+        if (FloorUtils.getFloor(player) !== 0) {
+          this.drawFloorSilhouette(player, player.x, player.y, player.currentRadius);
+        } else {
+          this.drawPlayerWithWrap(player, currentTime);
+        }
       });
+      if (this.gameState.currentLevel) {
+        this.drawBushes(this.gameState.currentLevel);
+      }
       this.gameState.players.forEach((player) => {
         if (player.isIt && (player as any).isPerformingStunPulse) {
           this.drawStunPulseEffect(player);
@@ -664,6 +956,36 @@ export class Renderer {
     this.ctx.restore();
   }
 
+  private drawPlayerHints(): void {
+    if (!this.gameState) return;
+
+    this.ctx.save();
+    this.ctx.setLineDash([6, 6]);
+    this.ctx.lineWidth = 2;
+
+    this.gameState.playerHints.forEach((hint) => {
+      if (hint.approxX === undefined || hint.approxY === undefined || !hint.approxRadius) return;
+
+      // Players on another floor show up as silhouettes instead
+      if (hint.floor !== undefined) {
+        this.drawFloorSilhouette(hint, hint.approxX, hint.approxY, hint.approxRadius / 2);
+        return;
+      }
+
+      const screenPos = this.worldToScreen(hint.approxX, hint.approxY);
+      const pulse = 0.15 + Math.sin(Date.now() * 0.003) * 0.05;
+
+      // IT is highlighted so runners get a rough warning
+      this.ctx.strokeStyle = hint.isIt ? `rgba(255, 80, 80, ${pulse * 2})` : `rgba(255, 255, 255, ${pulse})`;
+      this.ctx.beginPath();
+      this.ctx.arc(screenPos.x, screenPos.y, hint.approxRadius, 0, Math.PI * 2);
+      this.ctx.stroke();
+    });
+
+    this.ctx.setLineDash([]);
+    this.ctx.restore();
+  }
+
   private drawSightCircle(player: PlayerState): void {
     this.ctx.save();
     
@@ -710,12 +1032,15 @@ export class Renderer {
   private drawObstacles(viewer?: PlayerState): void {
     if (!this.gameState?.obstacles) return;
 
+    // Walls of the floor being looked at come on top of the ones standing on every floor
+    const floorObstacles = this.gameState.currentLevel?.floors?.[this.getViewFloor(viewer)]?.obstacles || [];
+
     this.ctx.save();
     this.ctx.fillStyle = "#555555";
     this.ctx.strokeStyle = "#333333";
     this.ctx.lineWidth = 2;
 
-    this.gameState.obstacles.forEach((obstacle: Obstacle) => {
+    [...this.gameState.obstacles, ...floorObstacles].forEach((obstacle: Obstacle) => {
       // Check visibility if viewer is provided
       if (viewer && !this.isObstacleVisible(obstacle, viewer)) {
         return;
@@ -725,7 +1050,13 @@ export class Renderer {
       const screenPos = this.worldToScreen(obstacle.x, obstacle.y);
 
       if (obstacle.type === "rectangle" && obstacle.width && obstacle.height) {
-        // Draw rectangle obstacle
+        // Draw rectangle obstacle, turned about its centre if it has an angle
+        this.ctx.save();
+        if (obstacle.angle) {
+          this.ctx.translate(screenPos.x, screenPos.y);
+          this.ctx.rotate(obstacle.angle);
+          this.ctx.translate(-screenPos.x, -screenPos.y);
+        }
         const x = screenPos.x - obstacle.width / 2;
         const y = screenPos.y - obstacle.height / 2;
 
@@ -742,6 +1073,9 @@ export class Renderer {
           obstacle.height - 10
         );
         this.ctx.restore();
+        this.ctx.restore();
+      } else if (obstacle.type === "circle" && obstacle.radius && obstacle.kind === "tree") {
+        this.drawTree(screenPos.x, screenPos.y, obstacle.radius);
       } else if (obstacle.type === "circle" && obstacle.radius) {
         // Draw circle obstacle
         this.ctx.beginPath();
@@ -768,13 +1102,342 @@ export class Renderer {
     this.ctx.restore();
   }
 
+  private drawDynamicObstacles(viewer?: PlayerState): void {
+    const level = this.gameState?.currentLevel;
+    if (!level?.dynamicObstacles) return;
+
+    const now = Date.now();
+    level.dynamicObstacles.forEach((obstacle, index) => {
+      const motion = this.obstacleMotion.get(DynamicObstacleUtils.getId(index));
+      const pose = motion ? this.getObstaclePose(motion, now) : { x: obstacle.x, y: obstacle.y, angle: obstacle.angle, open: false };
+
+      if (obstacle.plate && (!viewer || this.isObstacleVisible({ ...obstacle.plate, type: "circle" }, viewer))) {
+        this.drawPressurePlate(obstacle, !!pose.open);
+      }
+      if (viewer && !this.isObstacleVisible({ ...obstacle, x: pose.x, y: pose.y }, viewer)) {
+        return;
+      }
+      this.drawDynamicObstacle(obstacle, pose.x, pose.y, pose.angle || 0, !!pose.open);
+    });
+  }
+
+  // The floor the viewer is on; the ground floor without one
+  private getViewFloor(viewer?: PlayerState): number {
+    return viewer ? FloorUtils.getFloor(viewer) : 0;
+  }
+
+  // Elevators and stairs that stop at the floor being looked at
+  private drawFloorConnectors(viewer?: PlayerState): void {
+    const level = this.gameState?.currentLevel;
+    if (!level?.floors) return;
+
+    const floor = this.getViewFloor(viewer);
+    this.ctx.save();
+    this.ctx.textAlign = "center";
+    this.ctx.textBaseline = "middle";
+
+    (level.stairs || []).forEach((stairs) => {
+      if (!stairs.floors.includes(floor)) return;
+      if (viewer && !this.isObstacleVisible({ ...stairs, type: "circle" }, viewer)) return;
+
+      const screenPos = this.worldToScreen(stairs.x, stairs.y);
+      this.ctx.fillStyle = "rgba(160, 120, 80, 0.6)";
+      this.ctx.beginPath();
+      this.ctx.arc(screenPos.x, screenPos.y, stairs.radius, 0, Math.PI * 2);
+      this.ctx.fill();
+
+      // Steps across the landing
+      this.ctx.strokeStyle = "rgba(90, 60, 30, 0.8)";
+      this.ctx.lineWidth = 2;
+      for (let step = -2; step <= 2; step++) {
+        const offset = (step * stairs.radius) / 3;
+        const half = Math.sqrt(Math.max(0, stairs.radius * stairs.radius - offset * offset));
+        this.ctx.beginPath();
+        this.ctx.moveTo(screenPos.x - half, screenPos.y + offset);
+        this.ctx.lineTo(screenPos.x + half, screenPos.y + offset);
+        this.ctx.stroke();
+      }
+
+      const other = stairs.floors[0] === floor ? stairs.floors[1] : stairs.floors[0];
+      this.ctx.fillStyle = "#ffffff";
+      this.ctx.font = "bold 16px Arial";
+      this.ctx.fillText(other > floor ? "▲" : "▼", screenPos.x, screenPos.y);
+    });
+
+    (level.elevators || []).forEach((elevator, index) => {
+      if (!elevator.floors.includes(floor)) return;
+      if (viewer && !this.isObstacleVisible({ ...elevator, type: "circle" }, viewer)) return;
+
+      const state = this.gameState!.elevators?.find((e) => e.id === FloorUtils.getElevatorId(index));
+      const cabinHere = (state ? state.floor : elevator.floors[0]) === floor;
+      const screenPos = this.worldToScreen(elevator.x, elevator.y);
+      const size = elevator.radius * 2;
+
+      // An open door while the cabin is here, a closed shaft otherwise
+      this.ctx.fillStyle = cabinHere ? "rgba(255, 215, 0, 0.45)" : "rgba(40, 40, 40, 0.6)";
+      this.ctx.strokeStyle = cabinHere ? "#d4a000" : "#222222";
+      this.ctx.lineWidth = 3;
+      this.ctx.fillRect(screenPos.x - elevator.radius, screenPos.y - elevator.radius, size, size);
+      this.ctx.strokeRect(screenPos.x - elevator.radius, screenPos.y - elevator.radius, size, size);
+
+      this.ctx.fillStyle = "#ffffff";
+      this.ctx.font = "bold 12px Arial";
+      const where = cabinHere ? "⇅" : `${state ? state.floor : elevator.floors[0]}`;
+      this.ctx.fillText(where, screenPos.x, screenPos.y);
+      if (state?.waiting) {
+        this.ctx.font = "11px Arial";
+        this.ctx.fillText(`${state.waiting} waiting`, screenPos.x, screenPos.y + elevator.radius + 10);
+      }
+    });
+
+    this.ctx.restore();
+  }
+
+  // Dim outline of someone on another floor, so players know the building isn't empty
+  private drawFloorSilhouette(player: PlayerState | PlayerHint, x: number, y: number, radius: number): void {
+    const screenPos = this.worldToScreen(x, y);
+    this.ctx.save();
+    this.ctx.globalAlpha = 0.25;
+    this.ctx.fillStyle = player.isIt ? "#ff5050" : player.color;
+    this.ctx.beginPath();
+    this.ctx.arc(screenPos.x, screenPos.y, radius, 0, Math.PI * 2);
+    this.ctx.fill();
+
+    this.ctx.globalAlpha = 0.5;
+    this.ctx.fillStyle = "#ffffff";
+    this.ctx.font = "10px Arial";
+    this.ctx.textAlign = "center";
+    this.ctx.fillText(`F${FloorUtils.getFloor(player)}`, screenPos.x, screenPos.y - radius - 4);
+    this.ctx.restore();
+  }
+
+  private drawDynamicObstacle(obstacle: DynamicObstacle, x: number, y: number, angle: number, open: boolean): void {
+    const screenPos = this.worldToScreen(x, y);
+    const isGate = !!(obstacle.schedule || obstacle.plate);
+
+    this.ctx.save();
+    this.ctx.translate(screenPos.x, screenPos.y);
+    this.ctx.rotate(angle);
+
+    // Open gates only leave an outline of where they close
+    if (open) {
+      this.ctx.globalAlpha = 0.35;
+      this.ctx.setLineDash([6, 4]);
+    }
+    this.ctx.fillStyle = isGate ? "#8a5a2b" : "#4a6a8a";
+    this.ctx.strokeStyle = isGate ? "#5a3a1b" : "#2c3e50";
+    this.ctx.lineWidth = 2;
+
+    if (obstacle.type === "rectangle" && obstacle.width && obstacle.height) {
+      const left = -obstacle.width / 2;
+      const top = -obstacle.height / 2;
+      if (!open) this.ctx.fillRect(left, top, obstacle.width, obstacle.height);
+      this.ctx.strokeRect(left, top, obstacle.width, obstacle.height);
+
+      if (!open && isGate) {
+        // Bars across the long side
+        this.ctx.beginPath();
+        const horizontal = obstacle.width >= obstacle.height;
+        const length = horizontal ? obstacle.width : obstacle.height;
+        for (let along = 10; along < length; along += 12) {
+          if (horizontal) {
+            this.ctx.moveTo(left + along, top);
+            this.ctx.lineTo(left + along, top + obstacle.height);
+          } else {
+            this.ctx.moveTo(left, top + along);
+            this.ctx.lineTo(left + obstacle.width, top + along);
+          }
+        }
+        this.ctx.stroke();
+      }
+    } else if (obstacle.type === "circle" && obstacle.radius) {
+      this.ctx.beginPath();
+      this.ctx.arc(0, 0, obstacle.radius, 0, Math.PI * 2);
+      if (!open) this.ctx.fill();
+      this.ctx.stroke();
+    }
+
+    this.ctx.restore();
+  }
+
+  private drawPressurePlate(obstacle: DynamicObstacle, open: boolean): void {
+    if (!obstacle.plate) return;
+    const screenPos = this.worldToScreen(obstacle.plate.x, obstacle.plate.y);
+
+    this.ctx.save();
+    this.ctx.fillStyle = open ? "rgba(120, 200, 120, 0.6)" : "rgba(160, 160, 160, 0.5)";
+    this.ctx.strokeStyle = "#555555";
+    this.ctx.lineWidth = 2;
+    this.ctx.beginPath();
+    this.ctx.arc(screenPos.x, screenPos.y, obstacle.plate.radius, 0, Math.PI * 2);
+    this.ctx.fill();
+    this.ctx.stroke();
+    this.ctx.restore();
+  }
+
+  private drawTree(x: number, y: number, radius: number): void {
+    this.ctx.save();
+
+    // Canopy with a darker rim, trunk showing through the middle
+    this.ctx.fillStyle = "#2e7d32";
+    this.ctx.strokeStyle = "#1b4d1e";
+    this.ctx.beginPath();
+    this.ctx.arc(x, y, radius, 0, Math.PI * 2);
+    this.ctx.fill();
+    this.ctx.stroke();
+
+    this.ctx.fillStyle = "#43a047";
+    this.ctx.beginPath();
+    this.ctx.arc(x - radius * 0.25, y - radius * 0.25, radius * 0.55, 0, Math.PI * 2);
+    this.ctx.fill();
+
+    this.ctx.fillStyle = "#5d4037";
+    this.ctx.beginPath();
+    this.ctx.arc(x, y, Math.max(4, radius * 0.2), 0, Math.PI * 2);
+    this.ctx.fill();
+
+    this.ctx.restore();
+  }
+
+  // Conveyors and crushers are part of the floor, so they are drawn under the fog
+  private drawGroundTerrain(level: Level): void {
+    if (!level.terrain) return;
+
+    level.terrain.forEach((feature, index) => {
+      if (feature.type === "conveyor") {
+        this.drawConveyor(feature);
+      } else if (feature.type === "crusher") {
+        this.drawCrusher(feature, TerrainUtils.getCrusherId(index));
+      }
+    });
+  }
+
+  private drawConveyor(conveyor: ConveyorBelt): void {
+    const screenPos = this.worldToScreen(conveyor.x, conveyor.y);
+    const left = screenPos.x - conveyor.width / 2;
+    const top = screenPos.y - conveyor.height / 2;
+    const vector = TerrainUtils.getConveyorVector(conveyor.direction);
+    const horizontal = vector.dx !== 0;
+
+    this.ctx.save();
+    this.ctx.fillStyle = "#3a3a3a";
+    this.ctx.strokeStyle = "#222222";
+    this.ctx.lineWidth = 2;
+    this.ctx.fillRect(left, top, conveyor.width, conveyor.height);
+    this.ctx.strokeRect(left, top, conveyor.width, conveyor.height);
+
+    this.ctx.beginPath();
+    this.ctx.rect(left, top, conveyor.width, conveyor.height);
+    this.ctx.clip();
+
+    // Chevrons move along the belt at its speed
+    const spacing = 24;
+    const length = horizontal ? conveyor.width : conveyor.height;
+    const across = horizontal ? conveyor.height : conveyor.width;
+    const shift = ((Date.now() / 1000) * conveyor.speed) % spacing;
+    const size = Math.min(8, across / 3);
+
+    this.ctx.strokeStyle = "rgba(255, 200, 0, 0.6)";
+    this.ctx.lineWidth = 3;
+    for (let along = shift - spacing; along < length + spacing; along += spacing) {
+      // Distance along the belt in its direction of travel
+      const offset = vector.dx + vector.dy > 0 ? along : length - along;
+      const cx = horizontal ? left + offset : screenPos.x;
+      const cy = horizontal ? screenPos.y : top + offset;
+
+      this.ctx.beginPath();
+      this.ctx.moveTo(cx - vector.dx * size - vector.dy * size, cy - vector.dy * size - vector.dx * size);
+      this.ctx.lineTo(cx, cy);
+      this.ctx.lineTo(cx - vector.dx * size + vector.dy * size, cy - vector.dy * size + vector.dx * size);
+      this.ctx.stroke();
+    }
+
+    this.ctx.restore();
+  }
+
+  private drawCrusher(crusher: Crusher, id: string): void {
+    const phase = this.gameState?.crushers?.find((state) => state.id === id)?.phase || "open";
+    const screenPos = this.worldToScreen(crusher.x, crusher.y);
+    const left = screenPos.x - crusher.width / 2;
+    const top = screenPos.y - crusher.height / 2;
+
+    this.ctx.save();
+
+    // Hazard stripes mark the area; the plate fills it when down
+    this.ctx.beginPath();
+    this.ctx.rect(left, top, crusher.width, crusher.height);
+    this.ctx.clip();
+    this.ctx.fillStyle = "#222222";
+    this.ctx.fillRect(left, top, crusher.width, crusher.height);
+    this.ctx.strokeStyle = phase === "warning" && Math.floor(Date.now() / 150) % 2 === 0 ? "#ff3b30" : "#f5c400";
+    this.ctx.lineWidth = 6;
+    for (let d = -crusher.height; d < crusher.width; d += 16) {
+      this.ctx.beginPath();
+      this.ctx.moveTo(left + d, top + crusher.height);
+      this.ctx.lineTo(left + d + crusher.height, top);
+      this.ctx.stroke();
+    }
+
+    if (phase === "down") {
+      this.ctx.fillStyle = "#7a7f87";
+      this.ctx.fillRect(left, top, crusher.width, crusher.height);
+      this.ctx.strokeStyle = "#4a4f57";
+      this.ctx.lineWidth = 4;
+      this.ctx.strokeRect(left + 2, top + 2, crusher.width - 4, crusher.height - 4);
+    }
+
+    this.ctx.restore();
+  }
+
+  // Drawn over players; a bush the viewer is inside turns see-through
+  private drawBushes(level: Level, viewer?: PlayerState): void {
+    if (!level.terrain) return;
+
+    level.terrain.forEach((feature, index) => {
+      if (feature.type !== "bush") return;
+      if (viewer && !SightUtils.isInSightRange(viewer.x, viewer.y, viewer.sightRange + feature.radius, feature.x, feature.y).isVisible) {
+        return;
+      }
+
+      const inside = viewer?.concealedIn === TerrainUtils.getBushId(index);
+      this.drawBush(feature, inside ? 0.35 : 0.9);
+    });
+  }
+
+  private drawBush(bush: Bush, alpha: number): void {
+    const screenPos = this.worldToScreen(bush.x, bush.y);
+
+    this.ctx.save();
+    this.ctx.globalAlpha = alpha;
+    this.ctx.fillStyle = "#2f7d32";
+    this.ctx.beginPath();
+    // A ring of leaf clumps around a solid middle
+    for (let i = 0; i < 7; i++) {
+      const angle = (i / 7) * Math.PI * 2;
+      const lx = screenPos.x + Math.cos(angle) * bush.radius * 0.55;
+      const ly = screenPos.y + Math.sin(angle) * bush.radius * 0.55;
+      this.ctx.moveTo(lx + bush.radius * 0.45, ly);
+      this.ctx.arc(lx, ly, bush.radius * 0.45, 0, Math.PI * 2);
+    }
+    this.ctx.moveTo(screenPos.x + bush.radius * 0.6, screenPos.y);
+    this.ctx.arc(screenPos.x, screenPos.y, bush.radius * 0.6, 0, Math.PI * 2);
+    this.ctx.fill();
+
+    this.ctx.fillStyle = "#4caf50";
+    this.ctx.beginPath();
+    this.ctx.arc(screenPos.x - bush.radius * 0.2, screenPos.y - bush.radius * 0.2, bush.radius * 0.3, 0, Math.PI * 2);
+    this.ctx.fill();
+    this.ctx.restore();
+  }
+
   private drawPowerUps(viewer?: PlayerState): void {
     if (!this.gameState?.powerUps) return;
 
     this.ctx.save();
 
+    const floor = this.getViewFloor(viewer);
     this.gameState.powerUps.forEach((powerUp: PowerUp) => {
-      if (!powerUp.active) return;
+      if (!powerUp.active || FloorUtils.getFloor(powerUp) !== floor) return;
 
       // Check visibility if viewer is provided
       if (viewer && !this.isPowerUpVisible(powerUp, viewer)) {
@@ -1025,9 +1688,106 @@ export class Renderer {
           Math.PI * 2
         );
         this.ctx.stroke();
+      } else {
+        this.drawHintedPowerUp(powerUp, screenPos, powerUp.radius * pulseScale, time);
+      }
+    });
+
+    this.ctx.restore();
+  }
+
+  // Generic pickup from the type's render hint: coloured orb, rotating ring and icon
+  private drawHintedPowerUp(powerUp: PowerUp, screenPos: Position, radius: number, time: number): void {
+    const hint = POWER_UP_RENDER_HINTS[powerUp.type];
+    if (!hint) return;
+
+    const gradient = this.ctx.createRadialGradient(screenPos.x, screenPos.y, 0, screenPos.x, screenPos.y, radius);
+    gradient.addColorStop(0, "rgba(255, 255, 255, 0.9)");
+    gradient.addColorStop(0.4, hint.color + "cc");
+    gradient.addColorStop(1, hint.color + "4d");
+
+    this.ctx.fillStyle = gradient;
+    this.ctx.beginPath();
+    this.ctx.arc(screenPos.x, screenPos.y, radius, 0, Math.PI * 2);
+    this.ctx.fill();
+
+    // Rotating dashed ring so pickups read as collectable
+    this.ctx.strokeStyle = hint.color;
+    this.ctx.lineWidth = 1.5;
+    this.ctx.setLineDash([4, 3]);
+    this.ctx.lineDashOffset = -time * 4;
+    this.ctx.beginPath();
+    this.ctx.arc(screenPos.x, screenPos.y, radius * 1.3, 0, Math.PI * 2);
+    this.ctx.stroke();
+    this.ctx.setLineDash([]);
+    this.ctx.lineDashOffset = 0;
+
+    // Border
+    this.ctx.lineWidth = 2;
+    this.ctx.beginPath();
+    this.ctx.arc(screenPos.x, screenPos.y, radius, 0, Math.PI * 2);
+    this.ctx.stroke();
+
+    this.ctx.fillStyle = "#fff";
+    this.ctx.font = "bold 14px Arial";
+    this.ctx.textAlign = "center";
+    this.ctx.textBaseline = "middle";
+    this.ctx.fillText(hint.icon, screenPos.x, screenPos.y + 1);
+    this.ctx.textBaseline = "alphabetic";
+  }
+
+  // Auras of the player's active power-up effects, from their render hints
+  private drawEffectAuras(player: PlayerState, renderX: number, renderY: number, trail: Array<{ x: number; y: number; alpha: number }>): void {
+    if (!player.effects) return;
+
+    const time = Date.now() / 1000;
+    player.effects.forEach((effect) => {
+      const hint = POWER_UP_RENDER_HINTS[effect.type];
+      if (!hint) return;
+
+      this.ctx.save();
+      this.ctx.strokeStyle = hint.color;
+      if (hint.aura === "ring") {
+        this.ctx.globalAlpha = 0.6 + Math.sin(time * 4) * 0.2;
+        this.ctx.lineWidth = 3;
+        this.ctx.setLineDash([6, 4]);
+        this.ctx.beginPath();
+        this.ctx.arc(renderX, renderY, player.currentRadius + 10, 0, Math.PI * 2);
+        this.ctx.stroke();
+      } else if (hint.aura === "pulse") {
+        // Sonar rings spreading out from the holder
+        for (let i = 0; i < 2; i++) {
+          const progress = (time + i * 0.5) % 1;
+          this.ctx.globalAlpha = 1 - progress;
+          this.ctx.lineWidth = 2;
+          this.ctx.beginPath();
+          this.ctx.arc(renderX, renderY, player.currentRadius + progress * 60, 0, Math.PI * 2);
+          this.ctx.stroke();
+        }
+      } else if (hint.aura === "trail") {
+        // Streaks along the recent trail
+        this.ctx.fillStyle = hint.color;
+        trail.forEach((point) => {
+          const trailScreenPos = this.worldToScreen(point.x, point.y);
+          this.ctx.globalAlpha = point.alpha * 0.6;
+          this.ctx.beginPath();
+          this.ctx.arc(trailScreenPos.x, trailScreenPos.y, player.currentRadius * 0.8, 0, Math.PI * 2);
+          this.ctx.fill();
+        });
       }
+      this.ctx.restore();
     });
 
+    // Icons of all active effects under the player
+    this.ctx.save();
+    this.ctx.fillStyle = "#333";
+    this.ctx.font = "12px Arial";
+    this.ctx.textAlign = "center";
+    this.ctx.fillText(
+      player.effects.map((effect) => POWER_UP_RENDER_HINTS[effect.type]?.icon || "").join(" "),
+      renderX,
+      renderY + player.currentRadius + 14
+    );
     this.ctx.restore();
   }
 
@@ -1036,11 +1796,12 @@ export class Renderer {
 
     this.ctx.save();
 
+    const floor = this.getViewFloor(viewer);
     this.gameState.stars.forEach((star: Star) => {
-      if (!star.active) return;
+      if (!star.active || FloorUtils.getFloor(star) !== floor) return;
 
       // Check visibility if viewer is provided
-      if (viewer && !this.isStarVisible(star, viewer)) {
+      if (viewer && star.missionFor !== viewer.id && !this.isStarVisible(star, viewer)) {
         return;
       }
 
@@ -1107,6 +1868,18 @@ export class Renderer {
       }
 
       this.ctx.restore();
+
+      // Mission stars: a bright ring for our own, a dashed one for stars someone else is after
+      if (star.missionFor) {
+        const isMine = star.missionFor === this.myPlayerId;
+        this.ctx.beginPath();
+        this.ctx.arc(screenPos.x, screenPos.y, star.radius * (isMine ? 1.8 + Math.sin(time * 3) * 0.2 : 1.6), 0, Math.PI * 2);
+        this.ctx.strokeStyle = isMine ? "#00FFFF" : "rgba(255, 0, 255, 0.6)";
+        this.ctx.lineWidth = isMine ? 3 : 2;
+        this.ctx.setLineDash(isMine ? [] : [4, 4]);
+        this.ctx.stroke();
+        this.ctx.setLineDash([]);
+      }
     });
 
     this.ctx.restore();
@@ -1117,8 +1890,9 @@ export class Renderer {
 
     this.ctx.save();
 
+    const floor = this.getViewFloor(viewer);
     this.gameState.stunOrbs.forEach((stunOrb: StunOrb) => {
-      if (!stunOrb.active) return;
+      if (!stunOrb.active || FloorUtils.getFloor(stunOrb) !== floor) return;
 
       // Check visibility if viewer is provided
       if (viewer && !this.isStunOrbVisible(stunOrb, viewer)) {
@@ -1194,6 +1968,84 @@ export class Renderer {
     this.ctx.restore();
   }
 
+  // Portal rings: entries solid, exits dashed, dimmed when only the owner's side can use them
+  private drawPortals(viewer?: PlayerState): void {
+    if (!this.gameState?.portals) return;
+
+    const floor = this.getViewFloor(viewer);
+    const color = POWER_UP_RENDER_HINTS.portalGun.color;
+    this.ctx.save();
+    this.ctx.strokeStyle = color;
+    this.ctx.fillStyle = color;
+    this.ctx.lineWidth = 3;
+
+    this.gameState.portals.forEach((portal) => {
+      const owner = this.gameState!.players.find(p => p.id === portal.ownerId);
+      const usable = !viewer || !portal.sideOnly || portal.ownerId === viewer.id || owner?.isIt === viewer.isIt;
+      this.ctx.globalAlpha = usable ? 1 : 0.35;
+
+      [portal.entry, portal.exit].forEach((end, index) => {
+        if (!end || FloorUtils.getFloor(end) !== floor) return;
+
+        const screenPos = this.worldToScreen(end.x, end.y);
+        this.ctx.setLineDash(index === 0 ? [] : [6, 4]);
+        this.ctx.beginPath();
+        this.ctx.arc(screenPos.x, screenPos.y, portal.radius, 0, Math.PI * 2);
+        this.ctx.stroke();
+
+        this.ctx.save();
+        this.ctx.globalAlpha *= 0.2;
+        this.ctx.fill();
+        this.ctx.restore();
+      });
+    });
+
+    this.ctx.restore();
+  }
+
+  // Nets in flight, interpolated between server updates
+  private drawProjectiles(viewer?: PlayerState): void {
+    if (!this.gameState?.projectiles) return;
+
+    const now = Date.now();
+    const floor = this.getViewFloor(viewer);
+    this.ctx.save();
+    this.ctx.strokeStyle = POWER_UP_RENDER_HINTS.netLauncher.color;
+    this.ctx.lineWidth = 1.5;
+
+    this.gameState.projectiles.forEach((projectile) => {
+      if (FloorUtils.getFloor(projectile) !== floor) return;
+
+      const motion = this.projectileMotion.get(projectile.id);
+      const position = motion ? this.getProjectilePosition(motion, now) : projectile;
+      const screenPos = this.worldToScreen(position.x, position.y);
+      this.drawNet(screenPos.x, screenPos.y, 9, projectile.angle);
+    });
+
+    this.ctx.restore();
+  }
+
+  // Round net with a mesh, turned to the direction it flies in
+  private drawNet(x: number, y: number, radius: number, angle: number): void {
+    this.ctx.save();
+    this.ctx.translate(x, y);
+    this.ctx.rotate(angle);
+    this.ctx.beginPath();
+    this.ctx.arc(0, 0, radius, 0, Math.PI * 2);
+    this.ctx.stroke();
+
+    this.ctx.beginPath();
+    for (let line = -radius / 2; line <= radius / 2; line += radius / 2) {
+      const half = Math.sqrt(radius * radius - line * line);
+      this.ctx.moveTo(line, -half);
+      this.ctx.lineTo(line, half);
+      this.ctx.moveTo(-half, line);
+      this.ctx.lineTo(half, line);
+    }
+    this.ctx.stroke();
+    this.ctx.restore();
+  }
+
   private drawStunPulseEffect(player: PlayerState): void {
     const playerAny = player as any;
     if (!playerAny.isPerformingStunPulse) return;
@@ -1274,12 +2126,13 @@ export class Renderer {
     this.ctx.stroke();
   }
 
-  private drawPlayer(player: PlayerState, currentTime: number): void {
+  private drawPlayer(player: PlayerState, currentTime: number, offset: Velocity = { dx: 0, dy: 0 }): void {
     const isMyPlayer = player.id === this.myPlayerId;
 
     // If player is transparent and it's not the current player, don't render them
     // EXCEPTION: Always render AI players (even when transparent) so we can see them for debugging
-    if (player.isTransparent && !isMyPlayer && !player.isAI) {
+    // EXCEPTION: Spectators and replay viewers see everyone
+    if (player.isTransparent && !isMyPlayer && !player.isAI && !this.spectatorView) {
       console.log(
         `[DRAW_PLAYER] Skipping transparent non-AI player ${player.name}`
       );
@@ -1300,9 +2153,10 @@ export class Renderer {
     );
     
     // Convert world coordinates to screen coordinates
-    const screenPos = this.worldToScreen(interpolatedPos.x, interpolatedPos.y);
+    const screenPos = this.worldToScreen(interpolatedPos.x + offset.dx, interpolatedPos.y + offset.dy);
     const renderX = screenPos.x;
     const renderY = screenPos.y;
+    const isWrapCopy = offset.dx !== 0 || offset.dy !== 0; // Drawn across the seam; the trail stays with the original
 
     if (player.isAI) {
       console.log(
@@ -1346,7 +2200,7 @@ export class Renderer {
     }
 
     // Draw trail - reduced complexity on mobile
-    if (trailData.trail && (!this.isMobile || !this.enableLowPowerMode)) {
+    if (trailData.trail && !isWrapCopy && (!this.isMobile || !this.enableLowPowerMode)) {
       trailData.trail.forEach((point) => {
         point.alpha *= 0.85; // Fade trail
         if (point.alpha > 0.1) {
@@ -1370,9 +2224,12 @@ export class Renderer {
     }
 
     // Apply transparency effect if this is the player's own transparent character
-    if (player.isTransparent && isMyPlayer) {
-      this.ctx.globalAlpha = 0.5; // Make own player semi-transparent to show they're invisible to others
-    }
+    let bodyAlpha = player.isTransparent && isMyPlayer ? 0.5 : 1.0; // Own player semi-transparent to show they're invisible to others
+    player.effects?.forEach((effect) => {
+      bodyAlpha = Math.min(bodyAlpha, POWER_UP_RENDER_HINTS[effect.type]?.holderAlpha ?? 1.0); // Inside walls, camouflaged
+    });
+    this.drawEffectAuras(player, renderX, renderY, isWrapCopy ? [] : trailData.trail || []);
+    this.ctx.globalAlpha = bodyAlpha;
 
     // Draw player circle using interpolated position
     if (player.isAI) {
@@ -1386,6 +2243,16 @@ export class Renderer {
     this.ctx.fillStyle = player.color;
     this.ctx.fill();
 
+    // In team rooms the body has the team colour and the player's own colour sits in the middle
+    if (player.accent) {
+      this.ctx.beginPath();
+      this.ctx.arc(renderX, renderY, player.currentRadius * 0.45, 0, Math.PI * 2);
+      this.ctx.fillStyle = player.accent;
+      this.ctx.fill();
+      this.ctx.beginPath();
+      this.ctx.arc(renderX, renderY, player.currentRadius, 0, Math.PI * 2);
+    }
+
     if (player.isAI) {
       console.log(
         `[DRAW_PLAYER] Successfully drew AI player ${player.name} circle`
@@ -1403,9 +2270,7 @@ export class Renderer {
     this.ctx.stroke();
 
     // Reset transparency
-    if (player.isTransparent && isMyPlayer) {
-      this.ctx.globalAlpha = 1.0;
-    }
+    this.ctx.globalAlpha = 1.0;
 
     // Special effect for "it" player
     if (player.isIt) {
@@ -1452,6 +2317,47 @@ export class Renderer {
       this.ctx.restore();
     }
 
+    // Caught in a net - mesh over the player, tighter while they can't move
+    if (player.netted) {
+      this.ctx.save();
+      this.ctx.strokeStyle = POWER_UP_RENDER_HINTS.netLauncher.color;
+      this.ctx.lineWidth = player.netted === "rooted" ? 2.5 : 1.5;
+      this.ctx.globalAlpha = player.netted === "rooted" ? 0.9 : 0.5;
+      this.drawNet(renderX, renderY, player.currentRadius + 3, 0);
+      this.ctx.restore();
+    }
+
+    // Frozen in freeze tag - icy shell until a teammate touches them
+    if (player.frozen) {
+      this.ctx.save();
+      this.ctx.globalAlpha = 0.5;
+      this.ctx.fillStyle = "#B0E0FF";
+      this.ctx.beginPath();
+      this.ctx.arc(renderX, renderY, player.currentRadius + 3, 0, Math.PI * 2);
+      this.ctx.fill();
+      this.ctx.globalAlpha = 0.9;
+      this.ctx.strokeStyle = "#E0F6FF";
+      this.ctx.lineWidth = 2;
+      this.ctx.stroke();
+      this.ctx.restore();
+    }
+
+    // Reconnecting - grey out the player while the server holds their slot
+    if (player.isReconnecting) {
+      this.ctx.save();
+      this.ctx.globalAlpha = 0.6;
+      this.ctx.beginPath();
+      this.ctx.arc(renderX, renderY, player.currentRadius, 0, Math.PI * 2);
+      this.ctx.fillStyle = "#777";
+      this.ctx.fill();
+      this.ctx.globalAlpha = 1.0;
+      this.ctx.fillStyle = "#ccc";
+      this.ctx.font = "11px Arial";
+      this.ctx.textAlign = "center";
+      this.ctx.fillText("reconnecting…", renderX, renderY - player.currentRadius - 20);
+      this.ctx.restore();
+    }
+
     // Size boost effect - golden pulsing glow that intensifies with stacks
     if (player.hasSizeBoost) {
       this.ctx.save();
@@ -1491,6 +2397,26 @@ export class Renderer {
       this.ctx.fillStyle = "#FF0000"; // Red text for stunned players
     }
     
+    if (player.frozen) {
+      displayName = `[FROZEN] ${displayName}`;
+    }
+
+    // Hot potato: IT carries the bomb
+    const mode = this.gameState?.mode;
+    if (player.isIt && mode?.id === "hotPotato" && mode.bombTimeLeft !== undefined) {
+      displayName = `${displayName} [💣 ${Math.ceil(mode.bombTimeLeft / 1000)}s]`;
+    }
+
+    // Nets left in a held launcher
+    if (player.netCharges) {
+      displayName = `${displayName} [NETS x${player.netCharges}]`;
+    }
+
+    // Portals left to place with a held portal gun
+    if (player.portalCharges) {
+      displayName = `${displayName} [PORTALS x${player.portalCharges}]`;
+    }
+
     // Add size boost stack indicator
     if (player.hasSizeBoost && player.sizeBoostStacks > 0) {
       displayName = `${displayName} [SIZE x${player.sizeBoostStacks}]`;
@@ -1665,10 +2591,50 @@ export class Renderer {
     
     // Draw canvas-based leaderboard
     this.drawCanvasLeaderboard();
+    this.drawFloorIndicator();
+  }
+
+  // Name of the floor we're looking at and where it sits in the building
+  private drawFloorIndicator(): void {
+    const level = this.gameState?.currentLevel;
+    if (!level?.floors) return;
+
+    const viewer = this.gameState!.players.find((p) => p.id === this.getViewerId());
+    const current = this.getViewFloor(viewer);
+    const count = FloorUtils.getFloorCount(level);
+    const size = 14;
+    const x = 15;
+    const bottom = this.canvas.height - 20;
+
+    this.ctx.save();
+    this.ctx.textAlign = "left";
+    this.ctx.textBaseline = "middle";
+    this.ctx.font = "12px Arial";
+
+    // Floors are stacked with the ground floor at the bottom
+    for (let floor = 0; floor < count; floor++) {
+      const y = bottom - (floor + 1) * (size + 4);
+      this.ctx.fillStyle = floor === current ? "rgba(0, 150, 255, 0.9)" : "rgba(0, 0, 0, 0.5)";
+      this.ctx.fillRect(x, y, size, size);
+      this.ctx.strokeStyle = "rgba(255, 255, 255, 0.8)";
+      this.ctx.lineWidth = 1;
+      this.ctx.strokeRect(x, y, size, size);
+    }
+
+    this.ctx.font = "bold 14px Arial";
+    this.ctx.fillStyle = "#ffffff";
+    this.ctx.strokeStyle = "rgba(0, 0, 0, 0.8)";
+    this.ctx.lineWidth = 3;
+    const label = FloorUtils.getFloorName(level, current);
+    const labelY = bottom - (current + 1) * (size + 4) + size / 2;
+    this.ctx.strokeText(label, x + size + 8, labelY);
+    this.ctx.fillText(label, x + size + 8, labelY);
+    this.ctx.restore();
   }
 
   private drawCanvasLeaderboard(): void {
-    if (!this.gameState || !this.gameState.players) return;
+    // Nothing to rank in an empty room or the level editor
+    if (!this.gameState || !this.gameState.players || this.gameState.players.length === 0) return;
 
     // Sort players by score (descending)
     const sortedPlayers = [...this.gameState.players].sort((a, b) => b.score - a.score);
@@ -1683,7 +2649,8 @@ export class Renderer {
     
     // Calculate leaderboard dimensions
     const maxEntries = Math.min(sortedPlayers.length, isMobile ? 5 : 8);
-    const headerHeight = baseHeight + margin;
+    const teamScores = TeamUtils.getTeamScores([...this.gameState.players, ...(this.gameState.playerHints || [])]);
+    const headerHeight = (teamScores ? baseHeight * 2 : baseHeight) + margin;
     const entryHeight = baseHeight;
     const totalHeight = headerHeight + (maxEntries * (entryHeight + margin)) + padding * 2;
     const totalWidth = baseWidth + padding * 2;
@@ -1708,6 +2675,17 @@ export class Renderer {
     this.ctx.font = `bold ${fontSize + 2}px Arial`;
     this.ctx.textAlign = "center";
     this.ctx.fillText("SCORES", x + totalWidth / 2, y + padding + fontSize + 4);
+
+    // Team totals under the header in team rooms
+    if (teamScores) {
+      this.ctx.font = `bold ${fontSize}px Arial`;
+      teamScores.forEach((team, index) => {
+        this.ctx.fillStyle = TEAM_COLORS[team.team];
+        this.ctx.textAlign = index === 0 ? "left" : "right";
+        const teamX = index === 0 ? x + padding + 2 : x + totalWidth - padding - 2;
+        this.ctx.fillText(`${team.team.toUpperCase()} ${team.score}`, teamX, y + baseHeight + padding + fontSize + 4);
+      });
+    }
     
     // Draw player entries
     let currentY = y + headerHeight + padding;
@@ -1896,6 +2874,14 @@ export class Renderer {
     // Always show the viewer themselves
     if (player.id === viewer.id) return true;
 
+    // Echo location reveals everyone the server sent us
+    if (PowerUpUtils.hasEffect(viewer, "echoLocate")) return true;
+
+    // Sight reaches across the seam on wrap-around levels
+    if (this.gameState) {
+      return ArenaUtils.getDistance(viewer, player, this.getArena(this.gameState)) <= viewer.sightRange;
+    }
+
     const result = SightUtils.isInSightRange(
       viewer.x,
       viewer.y,
@@ -1978,15 +2964,34 @@ export class Renderer {
     };
   }
 
-  public startLevelPreview(level: Level, duration: number = 10000): void {
+  public startLevelPreview(level: Level, duration: number = 10000, candidates: Level[] = []): void {
     console.log(`Starting level preview for ${level.name}`);
     this.levelPreview = {
       active: true,
       level,
       timeRemaining: duration,
       startTime: Date.now(),
-      duration
+      duration,
+      candidates,
+      votes: null,
+      myVote: null
     };
+    this.levelVoteCards = [];
+  }
+
+  public setLevelVotes(votes: LevelVoteData): void {
+    this.levelPreview.votes = votes;
+  }
+
+  public setMyLevelVote(levelId: string): void {
+    this.levelPreview.myVote = levelId;
+  }
+
+  // The level whose vote card is at a canvas position, while a vote is open
+  public getLevelVoteCardAt(x: number, y: number): string | null {
+    if (!this.levelPreview.active) return null;
+    const card = this.levelVoteCards.find(c => x >= c.x && x <= c.x + c.width && y >= c.y && y <= c.y + c.height);
+    return card ? card.levelId : null;
   }
 
   public stopLevelPreview(): void {
@@ -2022,6 +3027,8 @@ export class Renderer {
 
   private drawLevelBackground(level?: Level): void {
     if (!level || !this.gameState) return;
+
+    this.drawThemeBackdrop(level);
     
     // Draw level-specific background elements
     for (const element of level.backgroundElements) {
@@ -2057,6 +3064,54 @@ export class Renderer {
     }
   }
 
+  // Floor texture for themes that have one
+  private drawThemeBackdrop(level: Level): void {
+    const topLeft = this.worldToScreen(level.boundaries.x, level.boundaries.y);
+    const { width, height } = level.boundaries;
+
+    this.ctx.save();
+    if (level.theme === 'factory') {
+      // Steel floor plates
+      this.ctx.fillStyle = '#3b3f45';
+      this.ctx.fillRect(topLeft.x, topLeft.y, width, height);
+      this.ctx.strokeStyle = 'rgba(0, 0, 0, 0.35)';
+      this.ctx.lineWidth = 1;
+      for (let x = 0; x <= width; x += 80) {
+        this.ctx.beginPath();
+        this.ctx.moveTo(topLeft.x + x, topLeft.y);
+        this.ctx.lineTo(topLeft.x + x, topLeft.y + height);
+        this.ctx.stroke();
+      }
+      for (let y = 0; y <= height; y += 80) {
+        this.ctx.beginPath();
+        this.ctx.moveTo(topLeft.x, topLeft.y + y);
+        this.ctx.lineTo(topLeft.x + width, topLeft.y + y);
+        this.ctx.stroke();
+      }
+    } else if (level.theme === 'forest') {
+      // Grass with tufts at fixed spots so they don't flicker
+      this.ctx.fillStyle = '#2d4a22';
+      this.ctx.fillRect(topLeft.x, topLeft.y, width, height);
+      this.ctx.strokeStyle = 'rgba(120, 170, 80, 0.35)';
+      this.ctx.lineWidth = 1;
+      for (let x = 20; x < width; x += 60) {
+        for (let y = 20; y < height; y += 60) {
+          const tx = topLeft.x + x + ((x * 7 + y * 13) % 30);
+          const ty = topLeft.y + y + ((x * 11 + y * 5) % 30);
+          this.ctx.beginPath();
+          this.ctx.moveTo(tx - 3, ty);
+          this.ctx.lineTo(tx - 4, ty - 6);
+          this.ctx.moveTo(tx, ty);
+          this.ctx.lineTo(tx, ty - 8);
+          this.ctx.moveTo(tx + 3, ty);
+          this.ctx.lineTo(tx + 4, ty - 6);
+          this.ctx.stroke();
+        }
+      }
+    }
+    this.ctx.restore();
+  }
+
   private drawLevelTransition(): void {
     if (!this.levelTransition.active) return;
     
@@ -2092,6 +3147,10 @@ export class Renderer {
 
   private drawLevelPreview(): void {
     if (!this.levelPreview.active || !this.levelPreview.level) return;
+    if (this.levelPreview.candidates.length > 1) {
+      this.drawLevelVote();
+      return;
+    }
     
     const level = this.levelPreview.level;
     const timeLeft = Math.ceil(this.levelPreview.timeRemaining / 1000);
@@ -2119,7 +3178,7 @@ export class Renderer {
     // Theme indicator
     this.ctx.font = '16px Arial';
     this.ctx.fillStyle = this.getLevelThemeColor(level.theme);
-    this.ctx.fillText(`Theme: ${level.theme.toUpperCase()}`, centerX, centerY + 20);
+    this.ctx.fillText(`Theme: ${level.theme.toUpperCase()}${level.seed !== undefined ? ` · Seed ${level.seed}` : ''}`, centerX, centerY + 20);
     
     // Countdown
     this.ctx.font = '24px Arial';
@@ -2132,9 +3191,60 @@ export class Renderer {
     this.ctx.restore();
   }
 
-  private drawMiniLevelPreview(level: Level, x: number, y: number): void {
-    const previewWidth = 200;
-    const previewHeight = 150;
+  // One card per candidate level; the leader is outlined in gold and our own vote in cyan
+  private drawLevelVote(): void {
+    const { candidates, votes, myVote } = this.levelPreview;
+    const timeLeft = Math.ceil(this.levelPreview.timeRemaining / 1000);
+    const gap = 16;
+    const cardWidth = Math.min(220, (this.canvas.width - gap * (candidates.length + 1)) / candidates.length);
+    const previewWidth = cardWidth - 20;
+    const cardHeight = previewWidth * 0.75 + 90;
+    const left = (this.canvas.width - (cardWidth * candidates.length + gap * (candidates.length - 1))) / 2;
+    const top = (this.canvas.height - cardHeight) / 2 + 20;
+
+    this.ctx.save();
+    this.ctx.fillStyle = 'rgba(0, 0, 0, 0.8)';
+    this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+
+    this.ctx.textAlign = 'center';
+    this.ctx.fillStyle = '#ffffff';
+    this.ctx.font = '28px Arial';
+    this.ctx.fillText('Vote for the next level', this.canvas.width / 2, top - 50);
+    this.ctx.font = '18px Arial';
+    this.ctx.fillStyle = timeLeft <= 3 ? '#ff4444' : '#ffffff';
+    this.ctx.fillText(`${timeLeft}s left`, this.canvas.width / 2, top - 20);
+
+    this.levelVoteCards = candidates.map((level, index) => {
+      const x = left + index * (cardWidth + gap);
+      const count = votes?.tallies.find(t => t.levelId === level.id)?.votes || 0;
+
+      this.ctx.fillStyle = '#1a1a1a';
+      this.ctx.fillRect(x, top, cardWidth, cardHeight);
+      this.ctx.lineWidth = 3;
+      this.ctx.strokeStyle = level.id === myVote ? '#00ffff' : level.id === votes?.leaderId ? '#ffd700' : '#555555';
+      this.ctx.strokeRect(x, top, cardWidth, cardHeight);
+
+      this.ctx.fillStyle = '#ffffff';
+      this.ctx.font = 'bold 16px Arial';
+      this.ctx.fillText(level.name, x + cardWidth / 2, top + 24, cardWidth - 10);
+      this.ctx.font = '12px Arial';
+      this.ctx.fillStyle = this.getLevelThemeColor(level.theme);
+      this.ctx.fillText(`${level.theme.toUpperCase()}${level.seed !== undefined ? ` · SEED ${level.seed}` : ''}`, x + cardWidth / 2, top + 42, cardWidth - 10);
+
+      this.drawMiniLevelPreview(level, x + cardWidth / 2, top + 52, previewWidth);
+
+      this.ctx.fillStyle = '#ffffff';
+      this.ctx.font = '14px Arial';
+      this.ctx.fillText(`${count} vote${count === 1 ? '' : 's'}`, x + cardWidth / 2, top + cardHeight - 12);
+
+      return { levelId: level.id, x, y: top, width: cardWidth, height: cardHeight };
+    });
+
+    this.ctx.restore();
+  }
+
+  private drawMiniLevelPreview(level: Level, x: number, y: number, previewWidth: number = 200): void {
+    const previewHeight = previewWidth * 0.75;
     const scale = previewWidth / level.boundaries.width;
     
     this.ctx.save();
@@ -0,0 +1,143 @@
+import {
+  GameStateData,
+  ReplayData,
+  ReplayMetadata,
+  StateSnapshot,
+} from "@shared/types";
+import { StateSyncUtils } from "@shared/utils/StateSyncUtils";
+
+// Plays back a recorded round: keeps a playhead in replay time and
+// rebuilds the state from the nearest keyframe plus the deltas after it
+export class ReplayPlayer {
+  private replay: ReplayData;
+  private keyframeIndices: number[] = [];
+  private startTime: number;
+  private playhead = 0; // ms since the first frame
+  private speed = 1;
+  private playing = true;
+
+  // Current reconstructed frame
+  private frameIndex = -1;
+  private snapshot: StateSnapshot | null = null;
+
+  public static readonly SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+  constructor(replay: ReplayData) {
+    this.replay = replay;
+    this.startTime = replay.frames.length > 0 ? replay.frames[0].time : 0;
+
+    replay.frames.forEach((frame, index) => {
+      if (frame.update.kind === "snapshot") {
+        this.keyframeIndices.push(index);
+      }
+    });
+
+    this.seek(0);
+  }
+
+  public getMetadata(): ReplayMetadata {
+    return this.replay.metadata;
+  }
+
+  public getDuration(): number {
+    return this.replay.metadata.duration;
+  }
+
+  public getPlayhead(): number {
+    return this.playhead;
+  }
+
+  public isPlaying(): boolean {
+    return this.playing;
+  }
+
+  public togglePlaying(): void {
+    // Restart when play is pressed at the end
+    if (!this.playing && this.playhead >= this.getDuration()) {
+      this.seek(0);
+    }
+    this.playing = !this.playing;
+  }
+
+  public getSpeed(): number {
+    return this.speed;
+  }
+
+  public setSpeed(speed: number): void {
+    this.speed = Math.max(0.1, Math.min(8, speed));
+  }
+
+  // Advance the playhead by real elapsed time and return the state to render
+  public update(deltaTime: number): GameStateData | null {
+    if (this.playing) {
+      const next = this.playhead + deltaTime * this.speed;
+      if (next >= this.getDuration()) {
+        this.playing = false;
+      }
+      this.advanceTo(Math.min(next, this.getDuration()));
+    }
+
+    return this.getGameState();
+  }
+
+  public seek(playhead: number): void {
+    const target = Math.max(0, Math.min(playhead, this.getDuration()));
+    const targetTime = this.startTime + target;
+
+    // Start from the last keyframe at or before the target
+    let keyframeIndex = this.keyframeIndices[0] ?? -1;
+    for (const index of this.keyframeIndices) {
+      if (this.replay.frames[index].time > targetTime) break;
+      keyframeIndex = index;
+    }
+    if (keyframeIndex === -1) return;
+
+    this.frameIndex = keyframeIndex;
+    this.snapshot = this.replay.frames[keyframeIndex].update as StateSnapshot;
+    this.playhead = target;
+    this.applyFramesUntil(targetTime);
+  }
+
+  public getGameState(): GameStateData | null {
+    if (!this.snapshot) return null;
+
+    const level = this.replay.level;
+    return {
+      players: this.snapshot.players,
+      playerHints: this.snapshot.playerHints,
+      gameActive: this.snapshot.gameActive,
+      timeRemaining: this.snapshot.timeRemaining,
+      gameWidth: level.boundaries.width,
+      gameHeight: level.boundaries.height,
+      obstacles: level.obstacles,
+      powerUps: this.snapshot.powerUps,
+      stars: this.snapshot.stars,
+      stunOrbs: this.snapshot.stunOrbs,
+      crushers: this.snapshot.crushers,
+      dynamicObstacles: this.snapshot.dynamicObstacles,
+      elevators: this.snapshot.elevators,
+      projectiles: this.snapshot.projectiles,
+      portals: this.snapshot.portals,
+      mode: this.snapshot.mode,
+      currentLevel: level,
+    };
+  }
+
+  private advanceTo(playhead: number): void {
+    this.playhead = playhead;
+    this.applyFramesUntil(this.startTime + playhead);
+  }
+
+  private applyFramesUntil(time: number): void {
+    const frames = this.replay.frames;
+    while (this.frameIndex + 1 < frames.length && frames[this.frameIndex + 1].time <= time) {
+      this.frameIndex++;
+      const update = frames[this.frameIndex].update;
+      if (update.kind === "snapshot") {
+        this.snapshot = update;
+      } else if (this.snapshot) {
+        this.snapshot = StateSyncUtils.applySnapshotDelta(this.snapshot, update);
+      }
+    }
+  }
+}
@@ -0,0 +1,8 @@
+// Level editor entry point
+import { LevelEditor } from './components/LevelEditor';
+
+document.addEventListener('DOMContentLoaded', () => {
+  new LevelEditor();
+});
+
+export {}; // Make this a module
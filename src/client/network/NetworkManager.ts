@@ -1,12 +1,16 @@
 import { io, Socket } from 'socket.io-client';
-import { ServerToClientEvents, ClientToServerEvents, InputState, GameStateData, ExplosionData, LevelTransitionData, LevelPreviewData, RoundEndData } from '@shared/types';
+import { ServerToClientEvents, ClientToServerEvents, InputState, ExplosionData, LevelTransitionData, LevelPreviewData, RoundEndData, RoomSummary, StateSnapshot, StateDelta, GameModeId } from '@shared/types';
 
 export type MessageType = 'info' | 'error' | 'warning' | 'danger' | 'success' | 'star' | 'explosion' | 'tagged';
 
+// Per-tab, so two tabs are two players
+const SESSION_TOKEN_KEY = 'catchme.sessionToken';
+
 export class NetworkManager {
   private socket: Socket<ServerToClientEvents, ClientToServerEvents>;
   private playerId: string | null = null;
   private connected = false;
+  private hasConnected = false;
 
   constructor() {
     this.socket = io();
@@ -17,6 +21,14 @@ export class NetworkManager {
     this.socket.on('connect', () => {
       this.connected = true;
       console.log('[NETWORK] Connected to server, socket ID:', this.socket.id);
+
+      // After a network blip, get our player back instead of joining as someone new
+      const token = this.getSessionToken();
+      if (this.hasConnected && token) {
+        this.showMessage('Reconnecting...', 'info');
+        this.resumeSession(token);
+      }
+      this.hasConnected = true;
     });
 
     this.socket.on('disconnect', () => {
@@ -27,25 +39,39 @@ export class NetworkManager {
 
     this.socket.on('gameJoined', (data) => {
       this.playerId = data.playerId;
+      this.setSessionToken(data.sessionToken);
       const game = (window as any).game;
       if (game) {
         game.onGameJoined(data);
       }
     });
 
-    this.socket.on('gameState', (gameState: GameStateData) => {
-      // Debug: Log all gameState events to see if we're receiving updates
-      const aiPlayers = gameState.players.filter(p => p.isAI);
-      if (aiPlayers.length > 0) {
-        console.log(`[NETWORK] Received gameState with ${aiPlayers.length} AI players:`, 
-                   aiPlayers.map(p => `${p.name}@(${p.x.toFixed(1)},${p.y.toFixed(1)})`));
+    this.socket.on('spectateJoined', (data) => {
+      this.playerId = null;
+      this.setSessionToken(null);
+      const game = (window as any).game;
+      if (game) {
+        game.onSpectateJoined(data);
       }
-      
+    });
+
+    this.socket.on('stateSnapshot', (snapshot: StateSnapshot) => {
+      console.log(`[NETWORK] Received state snapshot #${snapshot.seq}${snapshot.level ? ' with level data' : ''}`);
+
+      const game = (window as any).game;
+      if (game) {
+        game.updateGameState(snapshot);
+      } else {
+        console.warn('[NETWORK] No game instance found to apply snapshot');
+      }
+    });
+
+    this.socket.on('stateDelta', (delta: StateDelta) => {
       const game = (window as any).game;
       if (game) {
-        game.updateGameState(gameState);
+        game.updateGameState(delta);
       } else {
-        console.warn('[NETWORK] No game instance found to update gameState');
+        console.warn('[NETWORK] No game instance found to apply delta');
       }
     });
 
@@ -56,6 +82,13 @@ export class NetworkManager {
       }
     });
 
+    this.socket.on('tagRejected', (data) => {
+      const game = (window as any).game;
+      if (game) {
+        game.onTagRejected(data);
+      }
+    });
+
     this.socket.on('scoreUpdate', (data) => {
       const game = (window as any).game;
       if (game) {
@@ -96,9 +129,11 @@ export class NetworkManager {
     this.socket.on('stunOrbExplosion', (data: ExplosionData) => {
       console.log('RECEIVED stunOrbExplosion event:', data);
       
-      // Trigger visual explosion effect at the specified location
+      // Trigger visual explosion effect at the specified location, which is only sent when it's in sight
       const rendererInstance = (window as any).renderer;
-      if (rendererInstance) {
+      if (data.explosionX === undefined || data.explosionY === undefined) {
+        console.log('Explosion out of sight, no effect');
+      } else if (rendererInstance) {
         console.log('Calling triggerExplosionEffect on renderer');
         rendererInstance.triggerExplosionEffect(
           data.explosionX,
@@ -137,8 +172,69 @@ export class NetworkManager {
       }
     });
 
+    this.socket.on('sessionExpired', () => {
+      console.log('[NETWORK] Session expired, joining as a new player');
+      this.playerId = null;
+      this.setSessionToken(null);
+      const game = (window as any).game;
+      if (game) {
+        game.onSessionExpired();
+      }
+    });
+
+    this.socket.on('kicked', (reason) => {
+      console.log(`[NETWORK] Kicked from room: ${reason}`);
+      this.playerId = null;
+      this.setSessionToken(null);
+      this.showMessage(`You were removed from the game: ${reason}`, 'danger');
+      const game = (window as any).game;
+      if (game) {
+        game.onKicked(reason);
+      }
+    });
+
+    this.socket.on('roomClosed', (reason) => {
+      console.log(`[NETWORK] Room closed: ${reason}`);
+      this.showMessage(`Room closed: ${reason}`, 'warning');
+      const game = (window as any).game;
+      if (game) {
+        game.onRoomClosed();
+      }
+    });
+
+    this.socket.on('serverAnnouncement', (data) => {
+      this.showMessage(`📢 ${data.message}`, 'warning');
+    });
+
+    this.socket.on('roundPhase', (data) => {
+      const game = (window as any).game;
+      if (game) {
+        game.onRoundPhase(data);
+      }
+    });
+
+        this.socket.on('gamePaused', (paused) => {
+      this.showMessage(paused ? '⏸️ Game paused by an admin' : '▶️ Game resumed', 'info');
+      const game = (window as any).game;
+      if (game) {
+        game.onGamePaused(paused);
+      }
+    });
+
     this.socket.on('joinError', (error) => {
       this.showError(error);
+      this.showMessage(error, 'error');
+      const game = (window as any).game;
+      if (game) {
+        game.onJoinError(error);
+      }
+    });
+
+    this.socket.on('roomList', (rooms: RoomSummary[]) => {
+      const game = (window as any).game;
+      if (game) {
+        game.onRoomList(rooms);
+      }
     });
 
     // Level transition events
@@ -148,6 +244,10 @@ export class NetworkManager {
       if (rendererInstance) {
         rendererInstance.startLevelTransition(data.fromLevel, data.toLevel, data.transitionType, data.duration);
       }
+      const game = (window as any).game;
+      if (game) {
+        game.onLevelTransitionStart(data);
+      }
       this.showMessage(`🌟 Level changing to: ${data.toLevel.name}`, 'info');
     });
 
@@ -155,15 +255,35 @@ export class NetworkManager {
       console.log(`[NETWORK] Level preview for ${data.level.name}`);
       const rendererInstance = (window as any).renderer;
       if (rendererInstance) {
-        rendererInstance.startLevelPreview(data.level, data.previewDuration);
+        rendererInstance.startLevelPreview(data.level, data.previewDuration, data.candidates);
+      }
+      if (data.candidates) {
+        this.showMessage('🗳️ Vote for the next level!', 'info');
+      }
+    });
+
+    this.socket.on('levelVotes', (data) => {
+      const rendererInstance = (window as any).renderer;
+      if (rendererInstance) {
+        rendererInstance.setLevelVotes(data);
       }
     });
 
     this.socket.on('roundEnd', (data) => {
       console.log('[NETWORK] Round ended:', data);
       const winnerText = data.winner ? `🏆 Winner: ${data.winner.name} (${data.winner.score} points)` : '⏰ Time\'s up!';
+      if (data.reason === 'all_caught') {
+        this.showMessage('🎯 Everyone was caught!', 'info');
+      }
       this.showMessage(winnerText, 'success');
-      this.showMessage(`🔄 Next level: ${data.nextLevelPreview.name}`, 'info');
+      if (data.teamScores) {
+        const [best, other] = data.teamScores;
+        const teamText = best.score === other?.score ? `🤝 Teams tied on ${best.score} points` : `🚩 ${best.team.toUpperCase()} team wins with ${best.score} points`;
+        this.showMessage(teamText, 'success');
+      }
+      if (!data.levelVote) {
+        this.showMessage(`🔄 Next level: ${data.nextLevelPreview.name}`, 'info');
+      }
     });
   }
 
@@ -175,7 +295,81 @@ export class NetworkManager {
     }
   }
 
-  public sendInputState(inputState: InputState): void {
+  public createRoom(playerName: string, roomName: string, isPrivate: boolean, mode?: GameModeId, teams?: boolean, levelVoting?: boolean): void {
+    if (this.connected) {
+      this.socket.emit('createRoom', { playerName, roomName, isPrivate, mode, teams, levelVoting });
+    } else {
+      this.showError('Not connected to server');
+    }
+  }
+
+  public joinRoom(playerName: string, roomCode: string): void {
+    if (this.connected) {
+      this.socket.emit('joinRoom', { playerName, roomCode });
+    } else {
+      this.showError('Not connected to server');
+    }
+  }
+
+  public resumeSession(token: string): void {
+    if (this.connected) {
+      this.socket.emit('resumeSession', { token });
+    }
+  }
+
+  public getSessionToken(): string | null {
+    try {
+      return sessionStorage.getItem(SESSION_TOKEN_KEY);
+    } catch {
+      return null;
+    }
+  }
+
+  private setSessionToken(token: string | null): void {
+    try {
+      if (token) {
+        sessionStorage.setItem(SESSION_TOKEN_KEY, token);
+      } else {
+        sessionStorage.removeItem(SESSION_TOKEN_KEY);
+      }
+    } catch {
+      // Storage may be unavailable (e.g. private mode); reconnecting just won't keep the player
+    }
+  }
+
+  public spectate(roomCode?: string): void {
+    if (this.connected) {
+      this.socket.emit('spectateJoin', { roomCode });
+    } else {
+      this.showError('Not connected to server');
+    }
+  }
+
+  public requestRoomList(): void {
+    if (this.connected) {
+      this.socket.emit('listRooms');
+    }
+  }
+
+  public requestResync(includeLevel: boolean): void {
+    if (this.connected) {
+      this.socket.emit('requestResync', { includeLevel });
+    }
+  }
+
+  public sendLevelVote(levelId: string): void {
+    if (this.connected) {
+      this.socket.emit('levelVote', levelId);
+    }
+  }
+
+  public setReady(ready: boolean): void {
+    if (this.connected) {
+      this.socket.emit('playerReady', ready);
+    }
+  }
+
+    public sendInputState(inputState: InputState): void {
     if (this.connected && this.playerId) {
       this.socket.emit('playerInput', inputState);
     }
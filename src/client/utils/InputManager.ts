@@ -1,4 +1,4 @@
-import { InputState } from "@shared/types";
+import { InputAction, InputState } from "@shared/types";
 import { TouchInputManager } from "./TouchInputManager";
 
 export class InputManager {
@@ -17,6 +17,8 @@ export class InputManager {
   private inputSendRate = 1000 / 25; // Send input 25 times per second to avoid rate limiting
   private isMobile: boolean;
   private touchInput?: TouchInputManager;
+  private facing = { dx: 1, dy: 0 }; // Last direction moved in, where nets are fired
+  private pendingAction: InputAction | null = null;
 
   constructor() {
     this.isMobile = this.detectMobile();
@@ -47,6 +49,16 @@ export class InputManager {
       ) {
         this.keys[e.code] = true;
 
+        // Space fires the held net launcher once per press
+        if (e.code === "Space" && !e.repeat) {
+          this.pendingAction = { type: "fire", aimX: this.facing.dx, aimY: this.facing.dy };
+        }
+
+        // E places the next portal of a held portal gun ahead of the player
+        if (e.code === "KeyE" && !e.repeat) {
+          this.pendingAction = { type: "placePortal", aimX: this.facing.dx, aimY: this.facing.dy };
+        }
+
         // Only prevent default for game control keys
         if (
           [
@@ -58,6 +70,8 @@ export class InputManager {
             "ArrowDown",
             "ArrowLeft",
             "ArrowRight",
+            "Space",
+            "KeyE",
           ].includes(e.code)
         ) {
           e.preventDefault();
@@ -114,6 +128,15 @@ export class InputManager {
       inputState.isTouchActive = touchInput.isActive;
     }
 
+    const dx = inputState.isTouchActive ? inputState.touchX || 0 : (inputState.right ? 1 : 0) - (inputState.left ? 1 : 0);
+    const dy = inputState.isTouchActive ? inputState.touchY || 0 : (inputState.down ? 1 : 0) - (inputState.up ? 1 : 0);
+    if (dx !== 0 || dy !== 0) {
+      this.facing = { dx, dy };
+    }
+    if (this.pendingAction) {
+      inputState.action = this.pendingAction;
+    }
+
     // Send input state at regular intervals
     this.sendInputState(inputState);
 
@@ -125,7 +148,8 @@ export class InputManager {
     const hasChanged = this.hasInputChanged(inputState);
     const shouldSend = now - this.lastInputSent >= this.inputSendRate;
 
-    if (hasChanged || shouldSend) {
+    // Actions go out straight away and only once
+    if (hasChanged || shouldSend || inputState.action) {
       // Send via network manager - assume it's available globally
       const network = (window as any).network;
       if (network) {
@@ -133,6 +157,7 @@ export class InputManager {
       }
       this.lastInputSent = now;
       this.inputState = inputState;
+      this.pendingAction = null;
     }
   }
 
@@ -0,0 +1,272 @@
+import express, { Request, Response, NextFunction, Router } from 'express';
+import { timingSafeEqual } from 'crypto';
+import { RoomManager } from '../game/RoomManager';
+import { GameManager } from '../game/GameManager';
+import { AuditLog } from './AuditLog';
+import { checkSetting } from '../config/GameConfigLoader';
+
+export interface AdminRouterOptions {
+  token: string | undefined; // Admin API is disabled when unset
+  roomManager: RoomManager;
+  auditLog: AuditLog;
+}
+
+const MAX_ANNOUNCEMENT_LENGTH = 200;
+
+// Accepts "Authorization: Bearer <token>" or "X-Admin-Token: <token>"
+function getRequestToken(req: Request): string | undefined {
+  const authorization = req.get('authorization');
+  if (authorization && authorization.startsWith('Bearer ')) {
+    return authorization.slice('Bearer '.length).trim();
+  }
+  return req.get('x-admin-token') || undefined;
+}
+
+function tokensMatch(expected: string, provided: string): boolean {
+  const expectedBuffer = Buffer.from(expected);
+  const providedBuffer = Buffer.from(provided);
+  // timingSafeEqual throws on length mismatch
+  return expectedBuffer.length === providedBuffer.length && timingSafeEqual(expectedBuffer, providedBuffer);
+}
+
+// REST API for live game control, mounted at /admin/api
+export function createAdminRouter(options: AdminRouterOptions): Router {
+  const { token, roomManager, auditLog } = options;
+  const router = express.Router();
+
+  router.use((req: Request, res: Response, next: NextFunction) => {
+    if (!token) {
+      res.status(503).json({ error: 'Admin API is disabled (ADMIN_TOKEN not set)' });
+      return;
+    }
+
+    const provided = getRequestToken(req);
+    if (!provided || !tokensMatch(token, provided)) {
+      auditLog.record({ action: 'auth_failed', details: { path: req.path }, ip: req.ip, success: false });
+      res.status(401).json({ error: 'Invalid admin token' });
+      return;
+    }
+
+    next();
+  });
+
+  // Resolve the room from the URL, responding with 404 if it doesn't exist
+  function getRoom(req: Request, res: Response): GameManager | null {
+    const gameManager = roomManager.getGameManager(req.params.code);
+    if (!gameManager) {
+      res.status(404).json({ error: 'Room not found' });
+      return null;
+    }
+    return gameManager;
+  }
+
+  function audit(req: Request, action: string, success: boolean, target?: string, details?: Record<string, unknown>): void {
+    auditLog.record({
+      action,
+      roomCode: req.params.code ? req.params.code.toUpperCase() : undefined,
+      target,
+      details,
+      ip: req.ip,
+      success,
+    });
+  }
+
+  router.get('/rooms', (req, res) => {
+    res.json(roomManager.getAdminInfo());
+  });
+
+  router.get('/rooms/:code', (req, res) => {
+    const gameManager = getRoom(req, res);
+    if (!gameManager) return;
+    res.json(gameManager.getAdminInfo());
+  });
+
+  router.get('/rooms/:code/levels', (req, res) => {
+    const gameManager = getRoom(req, res);
+    if (!gameManager) return;
+    res.json(gameManager.getAvailableLevels().map(level => ({ id: level.id, name: level.name, seed: level.seed })));
+  });
+
+  // The whole level, e.g. to save a generated one as a level file
+  router.get('/rooms/:code/levels/:levelId', (req, res) => {
+    const gameManager = getRoom(req, res);
+    if (!gameManager) return;
+
+    const level = gameManager.getAvailableLevels().find(candidate => candidate.id === req.params.levelId);
+    if (!level) {
+      res.status(404).json({ error: 'Level not found' });
+      return;
+    }
+    res.json(level);
+  });
+
+  router.post('/rooms/:code/players/:playerId/kick', (req, res) => {
+    const gameManager = getRoom(req, res);
+    if (!gameManager) return;
+
+    const reason = typeof req.body?.reason === 'string' && req.body.reason.trim()
+      ? req.body.reason.trim().slice(0, MAX_ANNOUNCEMENT_LENGTH)
+      : 'Removed by an admin';
+    const kicked = gameManager.kickPlayer(req.params.playerId, reason);
+    audit(req, 'kick_player', kicked, req.params.playerId, { reason });
+
+    if (!kicked) {
+      res.status(404).json({ error: 'Player not found' });
+      return;
+    }
+    res.json(gameManager.getAdminInfo());
+  });
+
+  router.post('/rooms/:code/bots', (req, res) => {
+    const gameManager = getRoom(req, res);
+    if (!gameManager) return;
+
+    const name = typeof req.body?.name === 'string' && req.body.name.trim() ? req.body.name.trim().slice(0, 15) : undefined;
+    const added = gameManager.addAIPlayer(name);
+    audit(req, 'add_bot', added, name);
+
+    if (!added) {
+      res.status(409).json({ error: 'Room is full' });
+      return;
+    }
+    res.json(gameManager.getAdminInfo());
+  });
+
+  // Removing bots by hand turns auto-fill off, otherwise they'd be re-added on the next tick
+  router.delete('/rooms/:code/bots/:playerId?', (req, res) => {
+    const gameManager = getRoom(req, res);
+    if (!gameManager) return;
+
+    gameManager.setAutoFillBots(false);
+    const removed = gameManager.removeAIPlayer(req.params.playerId);
+    audit(req, 'remove_bot', removed, req.params.playerId);
+
+    if (!removed) {
+      res.status(404).json({ error: 'Bot not found' });
+      return;
+    }
+    res.json(gameManager.getAdminInfo());
+  });
+
+  router.put('/rooms/:code/bots/auto', (req, res) => {
+    const gameManager = getRoom(req, res);
+    if (!gameManager) return;
+
+    if (typeof req.body?.enabled !== 'boolean') {
+      res.status(400).json({ error: 'Expected { enabled: boolean }' });
+      return;
+    }
+
+    gameManager.setAutoFillBots(req.body.enabled);
+    audit(req, 'set_auto_fill_bots', true, undefined, { enabled: req.body.enabled });
+    res.json(gameManager.getAdminInfo());
+  });
+
+  router.post('/rooms/:code/level', (req, res) => {
+    const gameManager = getRoom(req, res);
+    if (!gameManager) return;
+
+    const levelId = req.body?.levelId;
+    if (levelId !== undefined && typeof levelId !== 'string') {
+      res.status(400).json({ error: 'Invalid level id' });
+      return;
+    }
+
+    const forced = gameManager.forceLevel(levelId || undefined);
+    audit(req, 'force_level', forced, levelId);
+
+    if (!forced) {
+      res.status(409).json({ error: 'Unknown level or a transition is already in progress' });
+      return;
+    }
+    res.json(gameManager.getAdminInfo());
+  });
+
+  router.post('/rooms/:code/round-end', (req, res) => {
+    const gameManager = getRoom(req, res);
+    if (!gameManager) return;
+
+    const ended = gameManager.forceLevel();
+    audit(req, 'end_round', ended);
+
+    if (!ended) {
+      res.status(409).json({ error: 'A transition is already in progress' });
+      return;
+    }
+    res.json(gameManager.getAdminInfo());
+  });
+
+  router.post('/rooms/:code/pause', (req, res) => {
+    const gameManager = getRoom(req, res);
+    if (!gameManager) return;
+
+    gameManager.pause();
+    audit(req, 'pause', true);
+    res.json(gameManager.getAdminInfo());
+  });
+
+  router.post('/rooms/:code/resume', (req, res) => {
+    const gameManager = getRoom(req, res);
+    if (!gameManager) return;
+
+    gameManager.resume();
+    audit(req, 'resume', true);
+    res.json(gameManager.getAdminInfo());
+  });
+
+  router.put('/rooms/:code/round-duration', (req, res) => {
+    const gameManager = getRoom(req, res);
+    if (!gameManager) return;
+
+    // Same range as round.duration in the game config
+    const duration = typeof req.body?.duration === 'number' ? Math.round(req.body.duration) : NaN;
+    const error = checkSetting('round', 'duration', duration);
+    if (error) {
+      res.status(400).json({ error: `Duration ${error}` });
+      return;
+    }
+
+    const previous = gameManager.getRoundDuration();
+    gameManager.setRoundDuration(duration);
+    audit(req, 'set_round_duration', true, undefined, { previous, duration });
+    res.json(gameManager.getAdminInfo());
+  });
+
+  // Announce to one room, or to every connected client when no room is given
+  router.post('/announcements', (req, res) => {
+    const message = req.body?.message;
+    const roomCode = req.body?.roomCode;
+    if (typeof message !== 'string' || message.trim().length === 0 || message.length > MAX_ANNOUNCEMENT_LENGTH) {
+      res.status(400).json({ error: `Message must be 1-${MAX_ANNOUNCEMENT_LENGTH} characters` });
+      return;
+    }
+
+    const announcement = { message: message.trim(), from: 'admin' as const };
+    if (roomCode) {
+      const gameManager = typeof roomCode === 'string' ? roomManager.getGameManager(roomCode) : undefined;
+      if (!gameManager) {
+        res.status(404).json({ error: 'Room not found' });
+        return;
+      }
+      gameManager.announce(announcement);
+    } else {
+      roomManager.announce(announcement);
+    }
+
+    auditLog.record({
+      action: 'announce',
+      roomCode: roomCode ? String(roomCode).toUpperCase() : undefined,
+      details: { message: announcement.message },
+      ip: req.ip,
+      success: true,
+    });
+    res.json({ ok: true });
+  });
+
+  router.get('/audit', (req, res) => {
+    const limit = Math.max(1, Math.min(200, parseInt(String(req.query.limit ?? '50'), 10) || 50));
+    res.json(auditLog.getRecent(limit));
+  });
+
+  return router;
+}
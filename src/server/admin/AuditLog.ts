@@ -0,0 +1,54 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { AuditLogEntry } from '@shared/types';
+
+// Append-only record of admin actions: JSON lines on disk plus the latest entries in memory
+export class AuditLog {
+  private readonly filePath: string | null;
+  private readonly maxEntries: number;
+  private entries: AuditLogEntry[] = [];
+  private writeQueue: Promise<void> = Promise.resolve();
+
+  constructor(filePath: string | null, maxEntries: number = 200) {
+    this.filePath = filePath;
+    this.maxEntries = maxEntries;
+  }
+
+  public record(entry: Omit<AuditLogEntry, 'time'>): AuditLogEntry {
+    const logged: AuditLogEntry = { time: new Date().toISOString(), ...entry };
+
+    this.entries.push(logged);
+    if (this.entries.length > this.maxEntries) {
+      this.entries.shift();
+    }
+
+    console.log(`[ADMIN] ${logged.action}${logged.roomCode ? ` room=${logged.roomCode}` : ''}${logged.target ? ` target=${logged.target}` : ''} success=${logged.success}`);
+    this.append(logged);
+    return logged;
+  }
+
+  // Newest first
+  public getRecent(limit: number = this.maxEntries): AuditLogEntry[] {
+    return this.entries.slice(-limit).reverse();
+  }
+
+  // Resolves once everything recorded so far is on disk
+  public flush(): Promise<void> {
+    return this.writeQueue;
+  }
+
+  private append(entry: AuditLogEntry): void {
+    const filePath = this.filePath;
+    if (!filePath) return;
+
+    // Serialize writes so lines never interleave
+    this.writeQueue = this.writeQueue
+      .then(async () => {
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.appendFile(filePath, `${JSON.stringify(entry)}\n`);
+      })
+      .catch(error => {
+        console.error('Failed to write admin audit log:', error);
+      });
+  }
+}
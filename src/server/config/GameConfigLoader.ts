@@ -0,0 +1,234 @@
+import fs from 'fs';
+import { GameConfig } from '@shared/types';
+import { DEFAULT_GAME_CONFIG } from '../../shared/types/GameConfig';
+
+interface FieldRule {
+  min: number;
+  max: number;
+  integer?: boolean;
+}
+
+// Allowed range of every setting; keys double as the schema for unknown-key checks
+const RULES: { [Section in keyof GameConfig]: { [Key in keyof GameConfig[Section]]: FieldRule } } = {
+  round: {
+    duration: { min: 10000, max: 1800000, integer: true },
+    pointThreshold: { min: 1, max: 1000000, integer: true },
+    previewDuration: { min: 1000, max: 60000, integer: true },
+    transitionDuration: { min: 0, max: 10000, integer: true },
+  },
+  scoring: {
+    tagPoints: { min: 0, max: 10000, integer: true },
+    starPointsIt: { min: 0, max: 10000, integer: true },
+    starPointsRunner: { min: 0, max: 10000, integer: true },
+    itPenaltyPerSecond: { min: 0, max: 10000, integer: true },
+  },
+  tag: {
+    stunDuration: { min: 0, max: 60000, integer: true },
+    noTagBackWindow: { min: 0, max: 600000, integer: true },
+    spawnProtection: { min: 0, max: 60000, integer: true },
+    stunImmunity: { min: 0, max: 60000, integer: true },
+  },
+  movement: {
+    playerSpeed: { min: 1, max: 1000 },
+    itSpeedMultiplier: { min: 0.1, max: 5 },
+  },
+  powerUps: {
+    speedMultiplier: { min: 1, max: 5 },
+    stunRange: { min: 0, max: 10000 },
+    stunDuration: { min: 0, max: 60000, integer: true },
+  },
+  stunOrbs: {
+    nearStun: { min: 0, max: 60000, integer: true },
+    midStun: { min: 0, max: 60000, integer: true },
+    farStun: { min: 0, max: 60000, integer: true },
+  },
+  nets: {
+    charges: { min: 1, max: 100, integer: true },
+    cooldown: { min: 0, max: 60000, integer: true },
+    speed: { min: 1, max: 5000 },
+    range: { min: 1, max: 10000 },
+    radius: { min: 1, max: 100 },
+    rootDuration: { min: 0, max: 60000, integer: true },
+    slowDuration: { min: 0, max: 60000, integer: true },
+    slowMultiplier: { min: 0.1, max: 1 },
+  },
+  portals: {
+    lifetime: { min: 1000, max: 600000, integer: true },
+    radius: { min: 5, max: 100 },
+    placeDistance: { min: 0, max: 500 },
+    reentryCooldown: { min: 0, max: 60000, integer: true },
+    sideOnly: { min: 0, max: 1, integer: true },
+  },
+  modes: {
+    thawPoints: { min: 0, max: 10000, integer: true },
+    bombTimer: { min: 1000, max: 600000, integer: true },
+    bombPenalty: { min: 0, max: 100000, integer: true },
+  },
+  missions: {
+    stars: { min: 0, max: 10, integer: true },
+    duration: { min: 1000, max: 600000, integer: true },
+    reward: { min: 0, max: 100000, integer: true },
+    minDistance: { min: 0, max: 1000 },
+  },
+  lobby: {
+    minReadyPlayers: { min: 1, max: 64, integer: true },
+    readyCheckDuration: { min: 0, max: 600000, integer: true },
+    countdown: { min: 0, max: 60000, integer: true },
+  },
+  visibility: {
+    sightMargin: { min: 0, max: 1000 },
+    itSeesAll: { min: 0, max: 1, integer: true },
+    spectatorsSeeAll: { min: 0, max: 1, integer: true },
+  },
+  levels: {
+    generated: { min: 0, max: 20, integer: true },
+  },
+  rooms: {
+    maxPlayers: { min: 2, max: 64, integer: true },
+    maxRooms: { min: 1, max: 1000, integer: true },
+    maxTestRooms: { min: 0, max: 1000, integer: true },
+    maxSpectators: { min: 0, max: 1000, integer: true },
+    reconnectGracePeriod: { min: 0, max: 600000, integer: true },
+  },
+};
+
+export class GameConfigError extends Error {
+  public readonly issues: string[];
+
+  constructor(issues: string[]) {
+    super(`Invalid game configuration:\n${issues.map(issue => `  - ${issue}`).join('\n')}`);
+    this.name = 'GameConfigError';
+    this.issues = issues;
+  }
+}
+
+export interface GameConfigSources {
+  filePath?: string; // JSON file with a partial config; required to exist when given
+  env?: Record<string, string | undefined>;
+}
+
+// roundDuration -> ROUND_DURATION, so round.duration is GAME_ROUND_DURATION
+export function getEnvName(section: string, key: string): string {
+  const snake = (name: string) => name.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase();
+  return `GAME_${snake(section)}_${snake(key)}`;
+}
+
+// Defaults, then the file, then the environment; throws GameConfigError listing every problem
+export function loadGameConfig(sources: GameConfigSources = {}): GameConfig {
+  const issues: string[] = [];
+  const config = JSON.parse(JSON.stringify(DEFAULT_GAME_CONFIG)) as GameConfig;
+  const values = config as unknown as Record<string, Record<string, number>>;
+  const rules = RULES as unknown as Record<string, Record<string, FieldRule>>;
+
+  if (sources.filePath) {
+    const fileConfig = readConfigFile(sources.filePath, issues);
+    if (fileConfig) {
+      applyFileConfig(fileConfig, sources.filePath, values, rules, issues);
+    }
+  }
+
+  const env = sources.env || {};
+  for (const section of Object.keys(rules)) {
+    for (const key of Object.keys(rules[section])) {
+      const envName = getEnvName(section, key);
+      const raw = env[envName];
+      if (raw === undefined || raw.trim() === '') continue;
+
+      const value = Number(raw);
+      if (!Number.isFinite(value)) {
+        issues.push(`${envName} must be a number (got "${raw}")`);
+        continue;
+      }
+      values[section][key] = value;
+    }
+  }
+
+  for (const section of Object.keys(rules)) {
+    for (const [key, rule] of Object.entries(rules[section])) {
+      const error = checkValue(values[section][key], rule);
+      if (error) {
+        issues.push(`${section}.${key} ${error} (env ${getEnvName(section, key)})`);
+      }
+    }
+  }
+
+  if (issues.length > 0) {
+    throw new GameConfigError(issues);
+  }
+
+  return freeze(config);
+}
+
+function readConfigFile(filePath: string, issues: string[]): Record<string, unknown> | null {
+  let text: string;
+  try {
+    text = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    issues.push(`Cannot read config file ${filePath}: ${(error as Error).message}`);
+    return null;
+  }
+
+  try {
+    const parsed = JSON.parse(text);
+    if (!isObject(parsed)) {
+      issues.push(`Config file ${filePath} must contain a JSON object`);
+      return null;
+    }
+    return parsed;
+  } catch (error) {
+    issues.push(`Config file ${filePath} is not valid JSON: ${(error as Error).message}`);
+    return null;
+  }
+}
+
+function applyFileConfig(
+  fileConfig: Record<string, unknown>,
+  filePath: string,
+  values: Record<string, Record<string, number>>,
+  rules: Record<string, Record<string, FieldRule>>,
+  issues: string[]
+): void {
+  for (const [section, sectionValue] of Object.entries(fileConfig)) {
+    if (!rules[section]) {
+      issues.push(`Unknown section "${section}" in ${filePath} (expected one of: ${Object.keys(rules).join(', ')})`);
+      continue;
+    }
+    if (!isObject(sectionValue)) {
+      issues.push(`"${section}" in ${filePath} must be an object`);
+      continue;
+    }
+
+    for (const [key, value] of Object.entries(sectionValue)) {
+      if (!rules[section][key]) {
+        issues.push(`Unknown setting "${section}.${key}" in ${filePath} (expected one of: ${Object.keys(rules[section]).join(', ')})`);
+        continue;
+      }
+      if (typeof value !== 'number') {
+        issues.push(`${section}.${key} in ${filePath} must be a number (got ${JSON.stringify(value)})`);
+        continue;
+      }
+      values[section][key] = value;
+    }
+  }
+}
+
+// Check a single setting against its rule, e.g. a value changed at runtime; null when it is allowed
+export function checkSetting<Section extends keyof GameConfig>(section: Section, key: keyof GameConfig[Section], value: number): string | null {
+  return checkValue(value, RULES[section][key]);
+}
+
+function checkValue(value: number, rule: FieldRule): string | null {
+  if (!Number.isFinite(value)) return 'must be a finite number';
+  if (rule.integer && !Number.isInteger(value)) return `must be a whole number (got ${value})`;
+  if (value < rule.min || value > rule.max) return `must be between ${rule.min} and ${rule.max} (got ${value})`;
+  return null;
+}
+
+function isObject(value: unknown): value is Record<string, unknown> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function freeze(config: GameConfig): GameConfig {
+  Object.values(config).forEach(section => Object.freeze(section));
+  return Object.freeze(config);
+}
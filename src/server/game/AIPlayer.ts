@@ -1,5 +1,9 @@
 import { Player } from './Player';
-import { GameStateData, AIBehaviorState, AIDecision } from '@shared/types';
+import { GameStateData, AIBehaviorState, AIDecision, FloorPosition, PlayerState, Position } from '@shared/types';
+import { SimulationContext, createSimulationContext } from './SimulationContext';
+import { Arena, ArenaUtils } from '../../shared/utils/ArenaUtils';
+import { FloorUtils } from '../../shared/utils/FloorUtils';
+import { TeamUtils } from '../../shared/utils/TeamUtils';
 
 interface PersonalityTraits {
   aggressiveness: number;  // 0-1, affects chasing behavior
@@ -9,39 +13,47 @@ interface PersonalityTraits {
 }
 
 export class AIPlayer extends Player {
-  public lastDecisionTime: number = Date.now();
-  public readonly decisionInterval: number = 33; // Make decisions every 33ms (30 FPS)
+  public lastDecisionTime: number;
+  public readonly decisionInterval: number = 32; // Make decisions every 32ms (two simulation ticks, ~30 FPS)
   public targetPosition: { x: number; y: number } | null = null;
   public currentBehavior: AIBehaviorState = 'random';
   public personalityTraits: PersonalityTraits;
   public lastAIMovement: { dx: number; dy: number } = { dx: 0, dy: 0 };
   public stuckCounter: number = 0;
   public lastPosition: { x: number; y: number };
-  public readonly speed: number = 60; // Same slower speed as human players (30% of 200)
-
-  constructor(id: string, name: string, x: number = 400, y: number = 300) {
-    super(id, name, x, y, true); // true for isAI
+  private arena: Arena = { width: 800, height: 600, wrap: false }; // Taken from the latest game state
+
+  constructor(
+    id: string,
+    name: string,
+    x: number = 400,
+    y: number = 300,
+    context: SimulationContext = createSimulationContext()
+  ) {
+    super(id, name, x, y, true, context); // true for isAI
+    this.lastDecisionTime = context.clock.now();
     this.lastPosition = { x: this.x, y: this.y };
     this.personalityTraits = this.generatePersonality();
   }
 
   private generatePersonality(): PersonalityTraits {
     return {
-      aggressiveness: Math.random(),
-      fearfulness: Math.random(),
-      curiosity: Math.random(),
-      intelligence: Math.random()
+      aggressiveness: this.context.random.next(),
+      fearfulness: this.context.random.next(),
+      curiosity: this.context.random.next(),
+      intelligence: this.context.random.next()
     };
   }
 
   // Make decision based on current game state
   public makeDecision(gameState: GameStateData): { dx: number; dy: number } {
-    const now = Date.now();
+    const now = this.context.clock.now();
     if (now - this.lastDecisionTime < this.decisionInterval) {
       return this.lastAIMovement;
     }
 
     this.lastDecisionTime = now;
+    this.arena = { width: gameState.gameWidth, height: gameState.gameHeight, wrap: !!gameState.currentLevel?.wrap };
 
     // Check if stuck (not moved much in last few updates)
     const distanceMoved = Math.sqrt(
@@ -68,25 +80,30 @@ export class AIPlayer extends Player {
 
   private decideAction(gameState: GameStateData): AIDecision {
     if (this.isIt) {
-      return this.chaseDecision(gameState);
+      return this.missionDecision(gameState) || this.chaseDecision(gameState);
     } else {
       return this.fleeOrWanderDecision(gameState);
     }
   }
 
   private chaseDecision(gameState: GameStateData): AIDecision {
-    // Find nearest non-AI player to chase
-    const humanPlayers = gameState.players.filter(p => !p.isAI && p.id !== this.id);
+    // Find nearest non-AI player to chase, or any opponent in team rooms (players on other floors are out of reach;
+    // frozen players and fellow infected need no chasing)
+    const infected = (p: PlayerState) => p.isIt && gameState.mode?.id === 'infection';
+    const targets = gameState.players.filter(p =>
+      (this.team ? TeamUtils.isOpponent(p, this) : !p.isAI && p.id !== this.id) &&
+      !p.frozen && !infected(p) && FloorUtils.isSameFloor(p, this)
+    );
     
-    if (humanPlayers.length === 0) {
+    if (targets.length === 0) {
       return this.wanderDecision();
     }
 
-    // Find closest human player
-    let closestPlayer = humanPlayers[0];
+    // Find closest target
+    let closestPlayer = targets[0];
     let closestDistance = this.distanceToPlayer(closestPlayer);
 
-    for (const player of humanPlayers) {
+    for (const player of targets) {
       const distance = this.distanceToPlayer(player);
       if (distance < closestDistance) {
         closestDistance = distance;
@@ -94,17 +111,20 @@ export class AIPlayer extends Player {
       }
     }
 
+    // Aim along the shortest way, which may lead across the seam or through a portal
+    const offset = ArenaUtils.getOffset(this, closestPlayer, this.arena);
+    const waypoint = this.viaPortal(gameState, { x: this.x + offset.dx, y: this.y + offset.dy });
     return {
-      targetX: closestPlayer.x,
-      targetY: closestPlayer.y,
+      targetX: waypoint.x,
+      targetY: waypoint.y,
       priority: 'chase',
       confidence: Math.min(1, this.personalityTraits.aggressiveness + 0.3)
     };
   }
 
   private fleeOrWanderDecision(gameState: GameStateData): AIDecision {
-    // Find IT player
-    const itPlayer = gameState.players.find(p => p.isIt);
+    // Find IT player on this floor; an IT teammate is no threat
+    const itPlayer = gameState.players.find(p => p.isIt && !TeamUtils.isTeammate(p, this) && FloorUtils.isSameFloor(p, this));
     
     if (!itPlayer) {
       return this.wanderDecision();
@@ -114,23 +134,41 @@ export class AIPlayer extends Player {
     const fleeThreshold = 150; // Start fleeing if IT is within 150 pixels
 
     if (distanceToIt < fleeThreshold) {
-      // Flee: move away from IT player
-      const fleeX = this.x + (this.x - itPlayer.x);
-      const fleeY = this.y + (this.y - itPlayer.y);
+      // A portal that gets us away from IT beats running
+      const escape = this.findEscapePortal(gameState, itPlayer, fleeThreshold);
+      if (escape) {
+        const offset = ArenaUtils.getOffset(this, escape, this.arena);
+        return {
+          targetX: this.x + offset.dx,
+          targetY: this.y + offset.dy,
+          priority: 'flee',
+          confidence: Math.max(0.5, this.personalityTraits.fearfulness)
+        };
+      }
+
+      // Flee: move away from IT player (edges are no dead end on wrap-around levels)
+      const offset = ArenaUtils.getOffset(itPlayer, this, this.arena);
+      const fleeX = this.x + offset.dx;
+      const fleeY = this.y + offset.dy;
 
       return {
-        targetX: Math.max(50, Math.min(gameState.gameWidth - 50, fleeX)),
-        targetY: Math.max(50, Math.min(gameState.gameHeight - 50, fleeY)),
+        targetX: this.arena.wrap ? fleeX : Math.max(50, Math.min(gameState.gameWidth - 50, fleeX)),
+        targetY: this.arena.wrap ? fleeY : Math.max(50, Math.min(gameState.gameHeight - 50, fleeY)),
         priority: 'flee',
         confidence: this.personalityTraits.fearfulness
       };
     } else {
-      // Collect power-ups or wander
+      // Our own mission stars first, then power-ups or wander
+      const mission = this.missionDecision(gameState);
+      if (mission) return mission;
+
       const nearbyPowerUp = this.findNearbyPowerUp(gameState);
       if (nearbyPowerUp && this.personalityTraits.curiosity > 0.5) {
+        const offset = ArenaUtils.getOffset(this, nearbyPowerUp, this.arena);
+        const waypoint = this.viaPortal(gameState, { x: this.x + offset.dx, y: this.y + offset.dy });
         return {
-          targetX: nearbyPowerUp.x,
-          targetY: nearbyPowerUp.y,
+          targetX: waypoint.x,
+          targetY: waypoint.y,
           priority: 'collect',
           confidence: this.personalityTraits.curiosity
         };
@@ -143,10 +181,10 @@ export class AIPlayer extends Player {
   private wanderDecision(): AIDecision {
     // More dynamic wandering like legacy code
     // 10% chance to change direction completely, otherwise continue in similar direction
-    if (Math.random() < 0.1 || this.stuckCounter > 5) {
+    if (this.context.random.next() < 0.1 || this.stuckCounter > 5) {
       // Generate new random direction
-      const angle = Math.random() * Math.PI * 2;
-      const wanderDistance = 100 + Math.random() * 200; // Random distance to wander
+      const angle = this.context.random.next() * Math.PI * 2;
+      const wanderDistance = 100 + this.context.random.next() * 200; // Random distance to wander
       const targetX = Math.max(50, Math.min(750, this.x + Math.cos(angle) * wanderDistance));
       const targetY = Math.max(50, Math.min(550, this.y + Math.sin(angle) * wanderDistance));
       
@@ -158,8 +196,8 @@ export class AIPlayer extends Player {
       };
     } else {
       // Continue in roughly the same direction with small variations
-      const continuationX = this.x + this.lastAIMovement.dx * 50 + (Math.random() - 0.5) * 80;
-      const continuationY = this.y + this.lastAIMovement.dy * 50 + (Math.random() - 0.5) * 80;
+      const continuationX = this.x + this.lastAIMovement.dx * 50 + (this.context.random.next() - 0.5) * 80;
+      const continuationY = this.y + this.lastAIMovement.dy * 50 + (this.context.random.next() - 0.5) * 80;
       
       // Keep within bounds
       const targetX = Math.max(50, Math.min(750, continuationX));
@@ -174,16 +212,31 @@ export class AIPlayer extends Player {
     }
   }
 
+  // Head for the nearest star of our star mission, if we have one
+  private missionDecision(gameState: GameStateData): AIDecision | null {
+    if (!this.mission) return null;
+
+    const stars = gameState.stars.filter(star => star.active && star.missionFor === this.id && FloorUtils.isSameFloor(star, this));
+    if (stars.length === 0) return null;
+
+    const star = stars.reduce((closest, other) => this.distanceToPlayer(other) < this.distanceToPlayer(closest) ? other : closest);
+    const offset = ArenaUtils.getOffset(this, star, this.arena);
+    const waypoint = this.viaPortal(gameState, { x: this.x + offset.dx, y: this.y + offset.dy });
+    return {
+      targetX: waypoint.x,
+      targetY: waypoint.y,
+      priority: 'collect',
+      confidence: 0.8
+    };
+  }
+
   private findNearbyPowerUp(gameState: GameStateData) {
     const nearbyDistance = 200;
     
     for (const powerUp of gameState.powerUps) {
-      if (!powerUp.active) continue;
+      if (!powerUp.active || !FloorUtils.isSameFloor(powerUp, this)) continue;
       
-      const distance = Math.sqrt(
-        Math.pow(powerUp.x - this.x, 2) + 
-        Math.pow(powerUp.y - this.y, 2)
-      );
+      const distance = this.distanceToPlayer(powerUp);
       
       if (distance < nearbyDistance) {
         return powerUp;
@@ -191,12 +244,12 @@ export class AIPlayer extends Player {
     }
 
     for (const star of gameState.stars) {
-      if (!star.active) continue;
+      if (!star.active || !FloorUtils.isSameFloor(star, this)) continue;
+      // Leave a teammate's mission stars to them
+      const holder = star.missionFor ? gameState.players.find(p => p.id === star.missionFor) : undefined;
+      if (holder && holder.id !== this.id && TeamUtils.isTeammate(holder, this)) continue;
       
-      const distance = Math.sqrt(
-        Math.pow(star.x - this.x, 2) + 
-        Math.pow(star.y - this.y, 2)
-      );
+      const distance = this.distanceToPlayer(star);
       
       if (distance < nearbyDistance) {
         return star;
@@ -206,11 +259,48 @@ export class AIPlayer extends Player {
     return null;
   }
 
+  // Portal pairs this player may step into (side-only pairs need the owner's side)
+  private getUsablePortals(gameState: GameStateData): { entry: FloorPosition; exit: FloorPosition }[] {
+    const usable: { entry: FloorPosition; exit: FloorPosition }[] = [];
+    for (const portal of gameState.portals || []) {
+      if (!portal.exit || !FloorUtils.isSameFloor(portal.entry, this)) continue;
+      const owner = gameState.players.find(p => p.id === portal.ownerId);
+      if (portal.sideOnly && portal.ownerId !== this.id && (!owner || !TeamUtils.isSameSide(owner, this))) continue;
+      usable.push({ entry: portal.entry, exit: portal.exit });
+    }
+    return usable;
+  }
+
+  // The entry of a portal that clearly shortens the way to the target, otherwise the target itself
+  private viaPortal(gameState: GameStateData, target: Position): Position {
+    const shortcutMargin = 50;
+    let best = { waypoint: target, distance: this.distanceToPlayer(target) - shortcutMargin };
+
+    for (const { entry, exit } of this.getUsablePortals(gameState)) {
+      if (!FloorUtils.isSameFloor(exit, this)) continue;
+      const distance = this.distanceToPlayer(entry) + ArenaUtils.getDistance(exit, target, this.arena);
+      if (distance < best.distance) {
+        const offset = ArenaUtils.getOffset(this, entry, this.arena);
+        best = { waypoint: { x: this.x + offset.dx, y: this.y + offset.dy }, distance };
+      }
+    }
+    return best.waypoint;
+  }
+
+  // The nearest entry we reach before IT whose exit lands well away from IT
+  private findEscapePortal(gameState: GameStateData, itPlayer: Position, range: number): FloorPosition | null {
+    let best: FloorPosition | null = null;
+    for (const { entry, exit } of this.getUsablePortals(gameState)) {
+      const distance = this.distanceToPlayer(entry);
+      if (distance > range || distance >= ArenaUtils.getDistance(itPlayer, entry, this.arena)) continue;
+      if (FloorUtils.isSameFloor(exit, this) && ArenaUtils.getDistance(itPlayer, exit, this.arena) < range) continue;
+      if (!best || distance < this.distanceToPlayer(best)) best = entry;
+    }
+    return best;
+  }
+
   private distanceToPlayer(player: { x: number; y: number }): number {
-    return Math.sqrt(
-      Math.pow(player.x - this.x, 2) + 
-      Math.pow(player.y - this.y, 2)
-    );
+    return ArenaUtils.getDistance(this, player, this.arena);
   }
 
   private calculateMovement(decision: AIDecision): { dx: number; dy: number } {
@@ -230,8 +320,8 @@ export class AIPlayer extends Player {
 
     // Add some randomness based on intelligence (lower intelligence = more random)
     const randomFactor = (1 - this.personalityTraits.intelligence) * 0.3;
-    const randomDx = (Math.random() - 0.5) * randomFactor;
-    const randomDy = (Math.random() - 0.5) * randomFactor;
+    const randomDx = (this.context.random.next() - 0.5) * randomFactor;
+    const randomDy = (this.context.random.next() - 0.5) * randomFactor;
 
     normalizedDx += randomDx;
     normalizedDy += randomDy;
@@ -261,7 +351,7 @@ export class AIPlayer extends Player {
   }
 
   private generateRandomMovement(): { dx: number; dy: number } {
-    const angle = Math.random() * Math.PI * 2;
+    const angle = this.context.random.next() * Math.PI * 2;
     return {
       dx: Math.cos(angle),
       dy: Math.sin(angle)
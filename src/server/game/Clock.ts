@@ -0,0 +1,32 @@
+// Time source for the simulation; injected so tests and replays can control time
+export interface Clock {
+  now(): number;
+}
+
+// Wall-clock time for the live server
+export class SystemClock implements Clock {
+  public now(): number {
+    return Date.now();
+  }
+}
+
+// Clock that only moves when told to - the simulation advances it by one fixed timestep per step
+export class ManualClock implements Clock {
+  private time: number;
+
+  constructor(startTime: number = 0) {
+    this.time = startTime;
+  }
+
+  public now(): number {
+    return this.time;
+  }
+
+  public advance(ms: number): void {
+    this.time += ms;
+  }
+
+  public setTime(time: number): void {
+    this.time = time;
+  }
+}
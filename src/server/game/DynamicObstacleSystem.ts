@@ -0,0 +1,145 @@
+import { DynamicObstacle, DynamicObstacleState, Level, Obstacle } from '@shared/types';
+import { DynamicObstacleUtils, ObstaclePose } from '../../shared/utils/DynamicObstacleUtils';
+import { ArenaUtils } from '../../shared/utils/ArenaUtils';
+import { Player } from './Player';
+import { GameState } from './GameState';
+
+interface DynamicEntry {
+  id: string;
+  obstacle: DynamicObstacle;
+  pose: ObstaclePose;
+  open: boolean;
+  plateReleaseTime: number; // Plate gates stay open until then
+}
+
+// Moving walls, rotating bars and gates of the current level. Poses follow from the time since
+// the level started; players an obstacle moves into are carried along or pushed clear.
+export class DynamicObstacleSystem {
+  private readonly entries: DynamicEntry[];
+  private readonly swept: Obstacle[];
+  private readonly startTime: number;
+  private blocking: Obstacle[] = [];
+
+  constructor(level: Level, startTime: number) {
+    this.startTime = startTime;
+    this.entries = (level.dynamicObstacles || []).map((obstacle, index) => ({
+      id: DynamicObstacleUtils.getId(index),
+      obstacle,
+      pose: DynamicObstacleUtils.getPose(obstacle, 0),
+      open: !!obstacle.schedule && DynamicObstacleUtils.isScheduledOpen(obstacle.schedule, 0),
+      plateReleaseTime: 0,
+    }));
+    this.swept = ([] as Obstacle[]).concat(...this.entries.map(({ obstacle }) => DynamicObstacleUtils.getSweptShapes(obstacle)));
+    this.blocking = this.getClosedShapes();
+  }
+
+  public update(players: Player[], now: number, world: GameState): void {
+    if (this.entries.length === 0) return;
+
+    const elapsed = now - this.startTime;
+    const moves = this.entries.map(entry => {
+      const previous = entry.open ? null : entry.pose;
+      entry.pose = DynamicObstacleUtils.getPose(entry.obstacle, elapsed);
+      entry.open = this.isOpen(entry, players, now, elapsed);
+      return { entry, previous };
+    });
+    this.blocking = this.getClosedShapes();
+
+    // Obstacles that moved into a player carry them along; if that spot is taken, the player is pushed clear
+    moves.forEach(({ entry, previous }) => {
+      if (entry.open) return;
+      const shape = this.toShape(entry);
+
+      players.forEach(player => {
+        if (player.canWalkThroughWalls || (player.canClimbTrees && shape.kind === 'tree')) return;
+        if (!this.overlaps(shape, player.x, player.y, player.currentRadius)) return;
+
+        const carried = previous ? this.carry(player.x, player.y, previous, entry.pose) : { x: player.x, y: player.y };
+        const radius = player.currentRadius;
+        const confined = ArenaUtils.confine(carried.x, carried.y, radius, world.getArena());
+        player.x = confined.x;
+        player.y = confined.y;
+
+        if (world.checkObstacleCollision(player.x, player.y, radius, player)) {
+          const position = world.findClearPositionNear(player);
+          player.x = position.x;
+          player.y = position.y;
+        }
+      });
+    });
+  }
+
+  // Closed obstacles where they are now, for movement and spawn checks
+  public getBlockingObstacles(): Obstacle[] {
+    return this.blocking;
+  }
+
+  // Whether a dynamic obstacle will pass over the spot at some point, so pickups aren't placed there
+  public isSwept(x: number, y: number, radius: number): boolean {
+    return this.swept.some(shape => this.overlaps(shape, x, y, radius));
+  }
+
+  // Undefined when the level has none
+  public getStates(): DynamicObstacleState[] | undefined {
+    if (this.entries.length === 0) return undefined;
+
+    return this.entries.map(({ id, obstacle, pose, open }) => {
+      const state: DynamicObstacleState = { id, x: Math.round(pose.x * 10) / 10, y: Math.round(pose.y * 10) / 10 };
+      if (obstacle.rotationSpeed) state.angle = Math.round(pose.angle * 1000) / 1000;
+      if (obstacle.schedule || obstacle.plate) state.open = open;
+      return state;
+    });
+  }
+
+  private isOpen(entry: DynamicEntry, players: Player[], now: number, elapsed: number): boolean {
+    const { obstacle } = entry;
+    if (obstacle.plate) {
+      if (players.some(player => DynamicObstacleUtils.isOnPlate(player.x, player.y, obstacle))) {
+        entry.plateReleaseTime = now + obstacle.plate.holdOpen;
+      }
+      if (now < entry.plateReleaseTime) return true;
+    }
+    return !!obstacle.schedule && DynamicObstacleUtils.isScheduledOpen(obstacle.schedule, elapsed);
+  }
+
+  private getClosedShapes(): Obstacle[] {
+    return this.entries.filter(entry => !entry.open).map(entry => this.toShape(entry));
+  }
+
+  private toShape({ obstacle, pose }: DynamicEntry): Obstacle {
+    return {
+      x: pose.x,
+      y: pose.y,
+      width: obstacle.width,
+      height: obstacle.height,
+      radius: obstacle.radius,
+      type: obstacle.type,
+      kind: obstacle.kind,
+      angle: pose.angle || undefined,
+    };
+  }
+
+  // Where a point riding on the obstacle ends up after it moved from one pose to the next
+  private carry(x: number, y: number, from: ObstaclePose, to: ObstaclePose): { x: number; y: number } {
+    const turn = to.angle - from.angle;
+    const dx = x - from.x;
+    const dy = y - from.y;
+    return {
+      x: to.x + dx * Math.cos(turn) - dy * Math.sin(turn),
+      y: to.y + dx * Math.sin(turn) + dy * Math.cos(turn),
+    };
+  }
+
+  private overlaps(shape: Obstacle, x: number, y: number, radius: number): boolean {
+    if (shape.type === 'circle' && shape.radius) {
+      return Math.hypot(x - shape.x, y - shape.y) < radius + shape.radius;
+    }
+    if (shape.type === 'rectangle' && shape.width && shape.height) {
+      const local = DynamicObstacleUtils.toObstacleFrame(shape, x, y);
+      const closestX = Math.max(shape.x - shape.width / 2, Math.min(local.x, shape.x + shape.width / 2));
+      const closestY = Math.max(shape.y - shape.height / 2, Math.min(local.y, shape.y + shape.height / 2));
+      return Math.hypot(local.x - closestX, local.y - closestY) < radius;
+    }
+    return false;
+  }
+}
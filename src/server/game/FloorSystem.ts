@@ -0,0 +1,172 @@
+import { Elevator, ElevatorState, Level, Stairs } from '@shared/types';
+import { FloorUtils } from '../../shared/utils/FloorUtils';
+import { Player } from './Player';
+import { GameState } from './GameState';
+
+interface ElevatorEntry {
+  id: string;
+  elevator: Elevator;
+  stop: number; // Index into elevator.floors of the floor the cabin is on
+  direction: 1 | -1;
+  queue: string[]; // Players waiting at the elevator on any of its floors, longest waiting first
+  departAt: number | null;
+}
+
+interface FloorTransfer {
+  playerId: string;
+  floor: number;
+  via: string; // Elevator or stairs id
+}
+
+// Elevators and stairs of a multi-floor level. Every floor change is queued and applied in order
+// at the end of the update, so the rest of the tick sees each player on exactly one floor.
+export class FloorSystem {
+  private readonly elevators: ElevatorEntry[];
+  private readonly stairs: { id: string; stairs: Stairs }[];
+  private readonly startTime: number; // Timed elevators count departures from when the level started
+  private transfers: FloorTransfer[] = [];
+  private readonly arrivedVia = new Map<string, string>(); // Players must step off an elevator or stairs before it takes them again
+
+  constructor(level: Level, startTime: number) {
+    this.startTime = startTime;
+    this.elevators = (level.elevators || []).map((elevator, index) => ({
+      id: FloorUtils.getElevatorId(index),
+      elevator,
+      stop: 0,
+      direction: 1,
+      queue: [],
+      departAt: null,
+    }));
+    this.stairs = (level.stairs || []).map((stairs, index) => ({ id: FloorUtils.getStairsId(index), stairs }));
+  }
+
+  public update(players: Player[], now: number, world: GameState): void {
+    if (this.elevators.length === 0 && this.stairs.length === 0) return;
+
+    this.arrivedVia.forEach((via, playerId) => {
+      const player = players.find(p => p.id === playerId);
+      if (!player || !this.isOn(player, via)) this.arrivedVia.delete(playerId);
+    });
+
+    this.stairs.forEach(({ id, stairs }) => {
+      players.forEach(player => {
+        if (!this.isOn(player, id) || this.arrivedVia.get(player.id) === id) return;
+        const [lower, upper] = stairs.floors;
+        this.transfers.push({ playerId: player.id, floor: player.floor === lower ? upper : lower, via: id });
+      });
+    });
+
+    this.elevators.forEach(entry => this.updateElevator(entry, players, now));
+    this.applyTransfers(players, world);
+  }
+
+  // Undefined when the level has no elevators
+  public getElevatorStates(): ElevatorState[] | undefined {
+    if (this.elevators.length === 0) return undefined;
+
+    return this.elevators.map(({ id, elevator, stop, queue }) => {
+      const state: ElevatorState = { id, floor: elevator.floors[stop] };
+      if (queue.length > 0) state.waiting = queue.length;
+      return state;
+    });
+  }
+
+  private updateElevator(entry: ElevatorEntry, players: Player[], now: number): void {
+    const { elevator } = entry;
+    const floor = elevator.floors[entry.stop];
+
+    // Players who stepped away lose their place; new arrivals join the back
+    entry.queue = entry.queue.filter(playerId => {
+      const player = players.find(p => p.id === playerId);
+      return !!player && this.isOn(player, entry.id);
+    });
+    players.forEach(player => {
+      if (!this.isOn(player, entry.id) || this.arrivedVia.get(player.id) === entry.id || entry.queue.includes(player.id)) return;
+      entry.queue.push(player.id);
+    });
+    const riders = entry.queue.filter(playerId => players.find(p => p.id === playerId)!.floor === floor);
+
+    if (elevator.mode === 'timed') {
+      if (entry.departAt === null) {
+        const departures = Math.floor((now - this.startTime) / elevator.interval);
+        entry.departAt = this.startTime + (departures + 1) * elevator.interval;
+      }
+      if (now >= entry.departAt) {
+        entry.departAt += elevator.interval;
+        this.depart(entry, riders, this.getNextStop(entry));
+      }
+      return;
+    }
+
+    // On demand: leave once the first rider has had time to board, or fetch whoever waits longest on another floor
+    if (entry.queue.length === 0) {
+      entry.departAt = null;
+      return;
+    }
+    if (entry.departAt === null) entry.departAt = now + elevator.interval;
+    if (now >= entry.departAt) {
+      entry.departAt = null;
+      if (riders.length > 0) {
+        this.depart(entry, riders, this.getNextStop(entry));
+      } else {
+        const caller = players.find(p => p.id === entry.queue[0])!;
+        this.depart(entry, [], elevator.floors.indexOf(caller.floor));
+      }
+    }
+  }
+
+  // Takes the riders at the front of the queue along; the rest wait for the cabin to come back
+  private depart(entry: ElevatorEntry, riders: string[], stop: number): void {
+    const taken = riders.slice(0, entry.elevator.capacity ?? riders.length);
+    entry.queue = entry.queue.filter(playerId => !taken.includes(playerId));
+    entry.direction = stop > entry.stop ? 1 : -1;
+    entry.stop = stop;
+    taken.forEach(playerId => {
+      this.transfers.push({ playerId, floor: entry.elevator.floors[stop], via: entry.id });
+    });
+  }
+
+  // Stops are travelled in order and back
+  private getNextStop(entry: ElevatorEntry): number {
+    const last = entry.elevator.floors.length - 1;
+    if (entry.stop + entry.direction > last || entry.stop + entry.direction < 0) {
+      return entry.stop - entry.direction;
+    }
+    return entry.stop + entry.direction;
+  }
+
+  private applyTransfers(players: Player[], world: GameState): void {
+    const transfers = this.transfers;
+    this.transfers = [];
+    const moved = new Set<string>();
+
+    transfers.forEach(({ playerId, floor, via }) => {
+      const player = players.find(p => p.id === playerId);
+      if (!player || player.floor === floor || moved.has(playerId)) return;
+
+      moved.add(playerId);
+      player.floor = floor;
+      this.arrivedVia.set(player.id, via);
+      this.elevators.forEach(entry => {
+        entry.queue = entry.queue.filter(id => id !== player.id);
+      });
+
+      // Something on the new floor may stand where the player arrives
+      if (world.checkObstacleCollision(player.x, player.y, player.currentRadius, player)) {
+        const position = world.findClearPositionNear(player);
+        player.x = position.x;
+        player.y = position.y;
+      }
+    });
+  }
+
+  // At the elevator (on any floor it stops at) or on the stairs (on either of its floors)
+  private isOn(player: Player, via: string): boolean {
+    const stairs = this.stairs.find(({ id }) => id === via)?.stairs;
+    if (stairs) {
+      return stairs.floors.includes(player.floor) && FloorUtils.isInside(player.x, player.y, stairs);
+    }
+    const entry = this.elevators.find(({ id }) => id === via);
+    return !!entry && entry.elevator.floors.includes(player.floor) && FloorUtils.isInside(player.x, player.y, entry.elevator);
+  }
+}
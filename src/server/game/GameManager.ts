@@ -1,10 +1,27 @@
 import { Server, Socket } from 'socket.io';
-import { ServerToClientEvents, ClientToServerEvents, InterServerEvents, SocketData, InputState, Level, LevelTransitionData, RoundEndData, LevelPreviewData } from '@shared/types';
+import { ServerToClientEvents, ClientToServerEvents, InterServerEvents, SocketData, InputState, InputAction, GameConfig, GameStateData, AdminRoomInfo, AdminPlayerInfo, AnnouncementData, DynamicGameState, Level, LevelTransitionData, RoundEndData, RoundEndReason, LevelPreviewData, RoomSummary, GameModeId, ModeState, ScoreUpdateData, TagRejectedData, RoundPhase, RoundPhaseData, LevelVoteData, FloorPosition } from '@shared/types';
 import { GameState } from './GameState';
 import { Player } from './Player';
 import { AIPlayer } from './AIPlayer';
 import { MovementEngine } from './MovementEngine';
 import { LevelManager } from './LevelManager';
+import { LevelLibrary } from './LevelLibrary';
+import { StateSync } from './StateSync';
+import { VisibilityFilter, VisibilityOptions } from './VisibilityFilter';
+import { Clock, ManualClock, SystemClock } from './Clock';
+import { Scheduler } from './Scheduler';
+import { SimulationContext, createSimulationContext } from './SimulationContext';
+import { ReplayRecorder } from './ReplayRecorder';
+import { ReplayStore } from './ReplayStore';
+import { PlayerSession, PlayerSessions } from './PlayerSessions';
+import { GameMode, ModeContext } from './modes/GameMode';
+import { createGameMode } from './modes/GameModes';
+import { MissionResult } from './MissionSystem';
+import { TagAttempt, TagRejection, TagRuleId, TagRules } from './TagRules';
+import { RoundPhases } from './RoundPhases';
+import { LevelVote } from './LevelVote';
+import { DEFAULT_GAME_CONFIG } from '../../shared/types/GameConfig';
+import { TeamUtils } from '../../shared/utils/TeamUtils';
 
 type TypedSocket = Socket<ClientToServerEvents, ServerToClientEvents, InterServerEvents, SocketData>;
 type TypedServer = Server<ClientToServerEvents, ServerToClientEvents, InterServerEvents, SocketData>;
@@ -22,26 +39,85 @@ interface BufferedInput extends InputState {
   lastUpdated: number;
 }
 
+export interface GameManagerOptions {
+  roomCode: string;
+  roomName: string;
+  isPrivate: boolean;
+  maxPlayers: number;
+  visibility?: Partial<VisibilityOptions>; // Overrides config.visibility
+  seed?: number; // RNG seed; the same seed and input stream reproduce a round exactly
+  startTime?: number; // Simulation start time, defaults to the wall clock
+  clock?: Clock; // Wall clock driving the real-time loop and input rate limiting
+  autoStart?: boolean; // Set to false to drive the simulation manually with step()
+  replayStore?: ReplayStore; // Rounds are recorded when a store is provided
+  config?: GameConfig; // Gameplay rules, defaults to DEFAULT_GAME_CONFIG
+  levelLibrary?: LevelLibrary; // Level files, defaults to the shared library for LEVELS_DIR
+  maxSpectators?: number; // Overrides config.rooms.maxSpectators
+  reconnectGracePeriod?: number; // Overrides config.rooms.reconnectGracePeriod
+  generatedLevels?: number; // Overrides config.levels.generated
+  mode?: GameModeId; // Defaults to classic; levels with their own mode override it
+  teams?: boolean; // Red against blue; teammates can't tag each other
+  levelVoting?: boolean; // Players vote on the next level during the preview instead of the sequential rotation
+  tagRules?: TagRuleId[]; // Tag rules in the order they run, defaults to DEFAULT_TAG_RULES
+}
+
 export class GameManager {
   private gameState: GameState;
   private io: TypedServer;
   private levelManager: LevelManager;
+  private options: GameManagerOptions;
+  private readonly config: GameConfig;
+  private readonly roomChannel: string;
+
+  // Delta-compressed state sync per connected socket
+  private sockets = new Map<string, TypedSocket>();
+  private stateSync = new StateSync();
+  private visibilityFilter: VisibilityFilter;
+
+  // Player identity survives reconnects: sockets map to players through their session
+  private sessions = new PlayerSessions();
+  private readonly reconnectGracePeriod: number;
+  private readonly reconnectTimers: Scheduler; // Wall-clock time, so grace periods still run out while paused
+
+  // Sockets watching the room without a player of their own
+  private spectators = new Set<string>();
+  private readonly maxSpectators: number;
   
+  // Deterministic simulation: fixed-timestep ticks on a manual clock, seeded RNG
+  private readonly wallClock: Clock;
+  private readonly simClock: ManualClock;
+  private readonly context: SimulationContext;
+  private readonly scheduler: Scheduler;
+  private tick = 0;
+  private readonly fixedTimestep = 16; // ms per simulation tick (~60 FPS)
+  private readonly maxFrameTime = 250; // Don't try to catch up more than this after a stall
+  private accumulator = 0;
+  private lastLoopTime: number;
+
   // Game loop control
   private running: boolean = true;
+  private paused: boolean = false; // Simulation time stands still while paused
   private gameLoopTimeout: NodeJS.Timeout | null = null;
   
-  // Level transition state
-  private levelTransitionActive: boolean = false;
-  private levelPreviewTimeout: NodeJS.Timeout | null = null;
-  private roundStartTime: number = Date.now();
-  private readonly roundDuration = 120000; // 2 minutes per round
+  // Round lifecycle: ready check and countdown, the round, then round end, preview and level change
+  private readonly phases: RoundPhases;
+  private roundStartTime: number;
+  private roundDuration: number;
+  private forcedNextLevel: Level | null = null; // Set by admins to override the rotation once
+  private levelVote: LevelVote | null = null; // Open during the preview in voting rooms
+
+  // Tag, scoring and end rules of the current round
+  private mode: GameMode;
+
+  // Which touches count as tags, and the tags turned down on the last tick
+  private readonly tagRules: TagRules;
+  private tagRejections = new Map<string, TagRejectedData>();
   
-  // Game loop timing
-  private lastUpdate = Date.now();
-  private readonly updateInterval = 1000 / 60; // 60 FPS
-  private lastBroadcast = Date.now();
-  private readonly broadcastInterval = 1000 / 30; // 30 FPS
+  // Match recording for the current round
+  private replayRecorder: ReplayRecorder | null = null;
+
+  // Broadcast every other tick (~30 FPS)
+  private readonly ticksPerBroadcast = 2;
 
   // Server-authoritative input system
   private playerInputStates = new Map<string, InputState & { lastUpdated: number }>();
@@ -58,79 +134,183 @@ export class GameManager {
   private readonly MAX_BACKOFF_DELAY = 500;
 
   // Ghost player detection
-  private lastInactiveCheck = Date.now();
+  private lastInactiveCheck: number;
   private readonly inactiveCheckInterval = 5000;
 
-  // AI management
-  private lastAIUpdate = Date.now();
-  private readonly aiUpdateInterval = 1000 / 30; // Update AI 30 times per second (same as broadcast rate)
+  // AI management - update AI every other tick (same as broadcast rate)
+  private readonly ticksPerAIUpdate = 2;
+  private autoFillBots = true; // Top up small games with bots
 
-  constructor(io: TypedServer) {
+  constructor(io: TypedServer, options: GameManagerOptions) {
     this.io = io;
+    this.options = options;
+    this.roomChannel = `room:${options.roomCode}`;
+    this.config = options.config || DEFAULT_GAME_CONFIG;
+    const { sightMargin, itSeesAll, spectatorsSeeAll } = this.config.visibility;
+    this.visibilityFilter = new VisibilityFilter({ sightMargin, itSeesAll: itSeesAll === 1, spectatorsSeeAll: spectatorsSeeAll === 1, ...options.visibility });
+    this.maxSpectators = options.maxSpectators ?? this.config.rooms.maxSpectators;
+    this.reconnectGracePeriod = options.reconnectGracePeriod ?? this.config.rooms.reconnectGracePeriod;
+    this.roundDuration = this.config.round.duration;
+
+    // Simulation time only moves in step(), so rounds replay identically
+    this.wallClock = options.clock || new SystemClock();
+    this.simClock = new ManualClock(options.startTime ?? this.wallClock.now());
+    this.context = createSimulationContext(options.seed, this.simClock, this.config);
+    this.scheduler = new Scheduler(this.simClock);
+    this.reconnectTimers = new Scheduler(this.wallClock);
+    this.phases = new RoundPhases(this.simClock, this.scheduler, (phase, previous) => this.onPhaseChange(phase, previous));
+    this.roundStartTime = this.simClock.now();
+    this.lastInactiveCheck = this.simClock.now();
+    this.lastLoopTime = this.wallClock.now();
     
     // Initialize level manager
     this.levelManager = new LevelManager({
-      rotation: 'sequential',
+      rotation: options.levelVoting ? 'voting' : 'sequential',
       roundDuration: this.roundDuration,
-      transitionDuration: 3000,
-      previewDuration: 10000
-    });
+      transitionDuration: this.config.round.transitionDuration,
+      previewDuration: this.config.round.previewDuration,
+      generatedLevels: options.generatedLevels ?? this.config.levels.generated
+    }, this.context.random, options.levelLibrary);
     
     // Initialize game state with level manager
-    this.gameState = new GameState(this.levelManager);
-    this.startGameLoop();
+    this.gameState = new GameState(this.levelManager, options.maxPlayers, this.context);
+    this.mode = this.createMode(this.gameState.getCurrentLevel());
+    this.tagRules = new TagRules(this.config.tag, options.tagRules);
     
     // Add initial AI player for testing
-    setTimeout(() => {
+    this.scheduler.schedule(1000, () => {
       this.addAIPlayer('Bot Alpha');
-    }, 1000);
+    });
+
+    this.startReplayRecording();
+
+    if (options.autoStart !== false) {
+      this.startGameLoop();
+    }
   }
 
-  public handlePlayerJoin(socket: TypedSocket, playerName: string): void {
+  public handlePlayerJoin(socket: TypedSocket, playerName: string): boolean {
     try {
       // Find a safe spawn position
       const spawnPos = this.gameState.findSafeSpawnPosition();
       
       // Create new player at safe position
-      const player = new Player(socket.id, playerName, spawnPos.x, spawnPos.y);
+      const player = new Player(socket.id, playerName, spawnPos.x, spawnPos.y, false, this.context);
+      this.assignTeam(player);
       
       if (!this.gameState.addPlayer(player)) {
-        socket.emit('joinError', 'Game is full');
-        return;
+        socket.emit('joinError', 'Room is full');
+        return false;
       }
 
       // Initialize player activity tracking
-      player.lastMovement = Date.now();
-
-      // Join the game room
-      socket.join('game');
+      player.lastMovement = this.simClock.now();
 
-      // Send initial game state to the new player
-      socket.emit('gameJoined', {
-        playerId: socket.id,
-        gameState: this.gameState.toJSON(),
-      });
-
-      // Broadcast updated game state to all players
-      this.broadcastGameState();
+      const session = this.sessions.create(player.id, socket.id);
+      this.attachPlayerSocket(socket, session);
 
-      console.log(`Player ${playerName} (${socket.id}) joined the game`);
+      console.log(`Player ${playerName} (${socket.id}) joined room ${this.options.roomCode}`);
       console.log(`Total players after join: ${this.gameState.getPlayerCount()}`);
+      return true;
       
     } catch (error) {
       console.error('Error in handlePlayerJoin:', error);
       socket.emit('joinError', 'Failed to join game');
+      return false;
+    }
+  }
+
+  public hasSession(token: string): boolean {
+    return !!this.sessions.getByToken(token);
+  }
+
+  // Re-bind a player from an earlier socket to a new one within the grace period
+  public handleSessionResume(socket: TypedSocket, token: string): boolean {
+    const session = this.sessions.getByToken(token);
+    const player = session ? this.gameState.getPlayer(session.playerId) : undefined;
+    if (!session || !player) {
+      return false;
     }
+
+    this.reconnectTimers.cancel(session.expiryTask);
+    session.expiryTask = null;
+    player.isReconnecting = false;
+    player.lastMovement = this.simClock.now();
+
+    // The same session opened on another socket takes over from the old one
+    const previousSocketId = session.socketId;
+    if (previousSocketId && previousSocketId !== socket.id) {
+      const previousSocket = this.sockets.get(previousSocketId);
+      this.detachSocket(previousSocketId);
+      if (previousSocket) {
+        previousSocket.leave(this.roomChannel);
+        previousSocket.data.roomCode = undefined;
+        previousSocket.emit('joinError', 'Session resumed from another connection');
+      }
+    }
+
+    // Input tracking and buffers are keyed by player id, so they carry over to the new socket
+    this.attachPlayerSocket(socket, session);
+
+    console.log(`Player ${player.name} (${player.id}) reconnected to room ${this.options.roomCode} as ${socket.id}`);
+    return true;
+  }
+
+  // Attach a socket that watches the room without taking a player slot
+  public handleSpectatorJoin(socket: TypedSocket): boolean {
+    if (this.spectators.size >= this.maxSpectators) {
+      socket.emit('joinError', 'Spectator limit reached');
+      return false;
+    }
+
+    socket.join(this.roomChannel);
+    socket.data.roomCode = this.options.roomCode;
+    socket.data.isSpectator = true;
+    this.spectators.add(socket.id);
+    this.sockets.set(socket.id, socket);
+    this.stateSync.addClient(socket.id);
+
+    socket.emit('spectateJoined', {
+      room: this.getRoomSummary(),
+      gameState: this.visibilityFilter.filter(this.getFullState(), null, this.gameState.getArena()),
+    });
+    socket.emit('roundPhase', this.getRoundPhaseData());
+
+    // Let everyone see the new spectator count
+    this.broadcastGameState();
+
+    console.log(`Spectator ${socket.id} joined room ${this.options.roomCode}`);
+    return true;
+  }
+
+  // A human saying they are (or aren't) ready for the next round
+  public handlePlayerReady(socket: TypedSocket, ready: boolean): void {
+    const playerId = this.sessions.getPlayerId(socket.id);
+    const player = playerId ? this.gameState.getPlayer(playerId) : undefined;
+    if (!player || player.isReady === ready) return;
+
+    player.isReady = ready;
+    this.broadcastRoundPhase();
+  }
+
+  // A player's vote on the next level; they can change it until the preview ends
+  public handleLevelVote(socket: TypedSocket, levelId: string): void {
+    const playerId = this.sessions.getPlayerId(socket.id);
+    if (!playerId || !this.levelVote?.cast(playerId, levelId)) return;
+
+    this.broadcastLevelVotes();
   }
 
   public handlePlayerInput(socket: TypedSocket, inputState: InputState): void {
-    const player = this.gameState.getPlayer(socket.id);
+    const playerId = this.sessions.getPlayerId(socket.id);
+    const player = playerId ? this.gameState.getPlayer(playerId) : undefined;
     if (!player) return;
 
-    // Rate limiting for input
-    const now = Date.now();
-    if (!this.inputTracking[socket.id]) {
-      this.inputTracking[socket.id] = {
+    // Rate limiting for input runs on the wall clock; simulation timestamps come from the sim clock
+    const now = this.wallClock.now();
+    const simNow = this.simClock.now();
+    if (!this.inputTracking[player.id]) {
+      this.inputTracking[player.id] = {
         lastInputTime: 0,
         inputCount: 0,
         windowStart: now,
@@ -140,11 +320,11 @@ export class GameManager {
       };
     }
 
-    const tracker = this.inputTracking[socket.id];
+    const tracker = this.inputTracking[player.id];
 
     // Check if player is in backoff period
     if (tracker.backoffUntil > now) {
-      this.bufferInput(socket.id, inputState, now);
+      this.bufferInput(player.id, inputState, simNow);
       return;
     }
 
@@ -173,42 +353,122 @@ export class GameManager {
         );
         tracker.backoffUntil = now + backoffDelay;
         
-        console.warn(`Player ${socket.id} rate limited, backoff for ${backoffDelay}ms`);
-        this.bufferInput(socket.id, inputState, now);
+        console.warn(`Player ${player.id} rate limited, backoff for ${backoffDelay}ms`);
+        this.bufferInput(player.id, inputState, simNow);
         return;
       }
     }
 
     // Validate and store input state
     if (MovementEngine.validateInputState(inputState)) {
-      this.playerInputStates.set(socket.id, {
+      this.playerInputStates.set(player.id, {
         ...inputState,
-        lastUpdated: now,
+        lastUpdated: simNow,
       });
+
+      // Applied on the next step
+      this.replayRecorder?.recordInput(this.tick + 1, simNow, player.id, inputState);
     }
   }
 
   public handlePlayerDisconnect(socket: TypedSocket): void {
-    const player = this.gameState.getPlayer(socket.id);
-    if (player) {
-      this.gameState.removePlayer(socket.id);
+    if (this.spectators.delete(socket.id)) {
+      this.sockets.delete(socket.id);
+      this.stateSync.removeClient(socket.id);
+      this.broadcastGameState();
+      console.log(`Spectator ${socket.id} left room ${this.options.roomCode}`);
+      return;
+    }
 
-      // Clean up input tracking and buffers
-      this.playerInputStates.delete(socket.id);
-      delete this.inputTracking[socket.id];
-      this.inputBuffer.delete(socket.id);
+    const playerId = this.sessions.getPlayerId(socket.id);
+    this.detachSocket(socket.id);
 
-      this.broadcastGameState();
-      console.log(`Player ${player.name} (${socket.id}) disconnected`);
+    const session = playerId ? this.sessions.getByPlayer(playerId) : undefined;
+    const player = playerId ? this.gameState.getPlayer(playerId) : undefined;
+    if (!session || !player) return;
+
+    if (this.reconnectGracePeriod <= 0) {
+      this.removePlayer(player.id);
+      return;
     }
+
+    // Keep the player in the game for a while so a brief network blip doesn't cost their score
+    player.isReconnecting = true;
+    player.currentInput = null;
+    this.playerInputStates.delete(player.id);
+    session.expiryTask = this.reconnectTimers.schedule(this.reconnectGracePeriod, () => {
+      session.expiryTask = null;
+      console.log(`Player ${player.name} (${player.id}) did not reconnect to room ${this.options.roomCode}`);
+      this.removePlayer(player.id);
+    });
+
+    this.broadcastGameState();
+    console.log(`Player ${player.name} (${player.id}) disconnected from room ${this.options.roomCode}, waiting ${this.reconnectGracePeriod}ms to reconnect`);
+  }
+
+  // Leave the room without disconnecting the socket (e.g. switching rooms); no grace period
+  public handlePlayerLeave(socket: TypedSocket): void {
+    if (this.spectators.has(socket.id)) {
+      this.handlePlayerDisconnect(socket);
+    } else {
+      const playerId = this.sessions.getPlayerId(socket.id);
+      this.detachSocket(socket.id);
+      if (playerId) {
+        this.removePlayer(playerId);
+      }
+    }
+    socket.leave(this.roomChannel);
+    if (socket.data.roomCode === this.options.roomCode) {
+      socket.data.roomCode = undefined;
+      socket.data.isSpectator = undefined;
+    }
+  }
+
+  // Client lost track of the delta stream; send a full snapshot on the next broadcast
+  public handleResyncRequest(socket: TypedSocket, includeLevel: boolean): void {
+    this.stateSync.requestResync(socket.id, includeLevel);
   }
 
   public getPlayerCount(): number {
     return this.gameState.getPlayerCount();
   }
 
+  // Players still in the game whose connection dropped
+  public getReconnectingPlayerCount(): number {
+    return Array.from(this.gameState.getPlayers().values()).filter(p => p.isReconnecting).length;
+  }
+
+  public getHumanPlayerCount(): number {
+    return Array.from(this.gameState.getPlayers().values()).filter(p => !p.isAI).length;
+  }
+
+  public getSpectatorCount(): number {
+    return this.spectators.size;
+  }
+
+  public getRoomCode(): string {
+    return this.options.roomCode;
+  }
+
+  public getRoomSummary(): RoomSummary {
+    return {
+      code: this.options.roomCode,
+      name: this.options.roomName,
+      isPrivate: this.options.isPrivate,
+      playerCount: this.gameState.getPlayerCount(),
+      humanCount: this.getHumanPlayerCount(),
+      maxPlayers: this.gameState.maxPlayers,
+      spectatorCount: this.spectators.size,
+      maxSpectators: this.maxSpectators,
+      levelName: this.gameState.getCurrentLevel().name,
+      mode: this.mode.id,
+      teams: this.options.teams || undefined,
+      levelVoting: this.options.levelVoting || undefined,
+    };
+  }
+
   public shutdown(): void {
-    console.log('GameManager: Shutting down game loop...');
+    console.log(`GameManager[${this.options.roomCode}]: Shutting down game loop...`);
     this.running = false;
     
     // Clear any pending timeouts
@@ -216,23 +476,36 @@ export class GameManager {
       clearTimeout(this.gameLoopTimeout);
       this.gameLoopTimeout = null;
     }
-    
-    if (this.levelPreviewTimeout) {
-      clearTimeout(this.levelPreviewTimeout);
-      this.levelPreviewTimeout = null;
-    }
+
+    // Keep whatever was recorded of the interrupted round
+    this.finishReplayRecording('shutdown');
+
+    // Drop pending simulation tasks (initial AI and the current round phase) and reconnect expiries
+    this.phases.cancel();
+    this.scheduler.clear();
+    this.reconnectTimers.clear();
+    this.levelVote = null;
     
     // Clean up all input tracking and buffers
     this.playerInputStates.clear();
     this.inputTracking = {};
     this.inputBuffer.clear();
+    this.sockets.clear();
+    this.spectators.clear();
+    this.sessions.clear();
+    this.stateSync.clear();
+
+    // Release player timers
+    for (const playerId of Array.from(this.gameState.getPlayers().keys())) {
+      this.gameState.removePlayer(playerId);
+    }
     
-    console.log('GameManager: Shutdown complete');
+    console.log(`GameManager[${this.options.roomCode}]: Shutdown complete`);
   }
 
   // AI Management Methods
   public addAIPlayer(name?: string): boolean {
-    if (this.gameState.getPlayerCount() >= 8) { // Max players limit
+    if (!this.running || this.gameState.getPlayerCount() >= this.gameState.maxPlayers) {
       return false;
     }
 
@@ -241,15 +514,16 @@ export class GameManager {
       const aiNames = ['Bot Alpha', 'Bot Beta', 'Bot Gamma', 'Bot Delta', 'Bot Echo'];
       const usedNames = Array.from(this.gameState.getPlayers().values()).map(p => p.name);
       const availableNames = aiNames.filter(n => !usedNames.includes(n));
-      name = availableNames.length > 0 ? availableNames[0] : `Bot ${Date.now()}`;
+      name = availableNames.length > 0 ? availableNames[0] : `Bot ${this.tick}`;
     }
 
     // Find a safe spawn position
     const spawnPos = this.gameState.findSafeSpawnPosition();
 
     // Create AI player with unique ID
-    const aiId = `ai_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    const aiPlayer = new AIPlayer(aiId, name, spawnPos.x, spawnPos.y);
+    const aiId = `ai_${this.simClock.now()}_${this.context.random.id()}`;
+    const aiPlayer = new AIPlayer(aiId, name, spawnPos.x, spawnPos.y, this.context);
+    this.assignTeam(aiPlayer);
 
     if (this.gameState.addPlayer(aiPlayer)) {
       console.log(`AI Player ${name} (${aiId}) joined the game`);
@@ -260,25 +534,22 @@ export class GameManager {
     return false;
   }
 
+  // Team rooms put every new player, bots included, on the smaller team
+  private assignTeam(player: Player): void {
+    if (!this.options.teams) return;
+    player.team = TeamUtils.pickTeam(Array.from(this.gameState.getPlayers().values()));
+  }
+
   private shouldAddAIPlayer(): boolean {
     const players = this.gameState.getPlayers();
     const humanPlayers = Array.from(players.values()).filter(p => !p.isAI);
     const aiPlayers = Array.from(players.values()).filter(p => p.isAI);
 
     // Add AI if we have human players but not enough total players for a good game
-    return humanPlayers.length > 0 && humanPlayers.length + aiPlayers.length < 3 && aiPlayers.length < 2;
+    return this.autoFillBots && humanPlayers.length > 0 && humanPlayers.length + aiPlayers.length < 3 && aiPlayers.length < 2;
   }
 
-  private updateAIPlayers(): void {
-    const now = Date.now();
-    if (now - this.lastAIUpdate < this.aiUpdateInterval) {
-      return;
-    }
-
-    // Calculate proper AI deltaTime based on AI update frequency
-    const aiDeltaTime = Math.min(now - this.lastAIUpdate, 200); // Cap at 200ms for safety
-    this.lastAIUpdate = now;
-
+  private updateAIPlayers(aiDeltaTime: number): void {
     // Update each AI player
     this.gameState.forEachPlayer((player) => {
       if (player instanceof AIPlayer) {
@@ -294,33 +565,115 @@ export class GameManager {
     });
   }
 
-  private bufferInput(socketId: string, inputState: InputState, timestamp: number): void {
-    if (!this.inputBuffer.has(socketId)) {
-      this.inputBuffer.set(socketId, []);
+  private bufferInput(playerId: string, inputState: InputState, timestamp: number): void {
+    if (!this.inputBuffer.has(playerId)) {
+      this.inputBuffer.set(playerId, []);
     }
     
-    const buffer = this.inputBuffer.get(socketId)!;
+    const buffer = this.inputBuffer.get(playerId)!;
     if (buffer.length < this.maxBufferSize) {
       buffer.push({ ...inputState, lastUpdated: timestamp });
     }
   }
 
   private broadcastGameState(): void {
-    const gameState = this.gameState.toJSON();
+    const snapshot = this.stateSync.createSnapshot({
+      ...this.getStateSnapshot(),
+      spectatorCount: this.spectators.size,
+    });
+    this.replayRecorder?.recordFrame(this.tick, this.simClock.now(), snapshot);
     
     // Debug: Log AI player positions when broadcasting (occasionally)
-    const aiPlayers = gameState.players.filter(p => p.isAI);
-    if (aiPlayers.length > 0 && Math.random() < 0.05) { // Only 5% of the time
+    const aiPlayers = snapshot.players.filter(p => p.isAI);
+    if (aiPlayers.length > 0 && this.tick % 60 === 0) { // Only about once per second
       console.log(`[BROADCAST] AI Players positions:`, aiPlayers.map(p => `${p.name}: (${p.x.toFixed(1)}, ${p.y.toFixed(1)})`));
     }
     
-    this.io.to('game').emit('gameState', gameState);
+    // Each socket gets its own fog-of-war view, as a delta against the last view it received
+    // or a full snapshot if it has none
+    const level = this.gameState.getCurrentLevel();
+    this.sockets.forEach((socket, socketId) => {
+      const playerId = this.sessions.getPlayerId(socketId);
+      const viewerId = playerId && this.gameState.getPlayer(playerId) ? playerId : null;
+      const view = this.visibilityFilter.filter(snapshot, viewerId, this.gameState.getArena());
+      const update = this.stateSync.buildUpdate(socketId, view, level);
+      if (!update) return;
+
+      if (update.kind === 'snapshot') {
+        socket.emit('stateSnapshot', update);
+      } else {
+        socket.emit('stateDelta', update);
+      }
+    });
+  }
+
+  // Bind a socket to its player's session and send it the initial state
+  private attachPlayerSocket(socket: TypedSocket, session: PlayerSession): void {
+    this.sessions.bind(session, socket.id);
+
+    // Join the room's broadcast channel
+    socket.join(this.roomChannel);
+    socket.data.roomCode = this.options.roomCode;
+    socket.data.playerId = session.playerId;
+    this.sockets.set(socket.id, socket);
+    this.stateSync.addClient(socket.id);
+
+    // Send initial game state (including level geometry) to the player;
+    // the next broadcast follows up with a snapshot the client can apply deltas to
+    socket.emit('gameJoined', {
+      playerId: session.playerId,
+      sessionToken: session.token,
+      room: this.getRoomSummary(),
+      gameState: this.visibilityFilter.filter(this.getFullState(), session.playerId, this.gameState.getArena()),
+    });
+    socket.emit('roundPhase', this.getRoundPhaseData());
+
+    // Broadcast updated game state to all players
+    this.broadcastGameState();
+  }
+
+  // Stop sending state to a socket
+  private detachSocket(socketId: string): void {
+    this.sessions.unbind(socketId);
+    this.sockets.delete(socketId);
+    this.stateSync.removeClient(socketId);
+  }
+
+  private removePlayer(playerId: string): void {
+    const player = this.gameState.getPlayer(playerId);
+    if (!player) return;
+
+    // A still-connected socket keeps receiving the (spectator) state
+    const session = this.sessions.remove(playerId);
+    if (session) {
+      this.reconnectTimers.cancel(session.expiryTask);
+    }
+
+    this.gameState.removePlayer(playerId);
+    if (this.levelVote?.remove(playerId)) {
+      this.broadcastLevelVotes();
+    }
+
+    // Clean up input tracking and buffers
+    this.playerInputStates.delete(playerId);
+    delete this.inputTracking[playerId];
+    this.inputBuffer.delete(playerId);
+
+    this.broadcastGameState();
+    console.log(`Player ${player.name} (${playerId}) left room ${this.options.roomCode}`);
+  }
+
+  // Full state including level geometry, sent when a socket joins
+  private getFullState(): GameStateData {
+    return { ...this.gameState.toJSON(), mode: this.getModeState(), spectatorCount: this.spectators.size };
   }
 
   private startGameLoop(): void {
+    this.lastLoopTime = this.wallClock.now();
     this.gameLoop();
   }
 
+  // Real-time driver: runs as many fixed steps as wall-clock time has passed
   private gameLoop(): void {
     // Check if we should continue running
     if (!this.running) {
@@ -328,90 +681,138 @@ export class GameManager {
       return;
     }
 
-    const now = Date.now();
-    const deltaTime = now - this.lastUpdate;
+    const now = this.wallClock.now();
+    if (!this.paused) {
+      this.accumulator += Math.min(now - this.lastLoopTime, this.maxFrameTime);
+    }
+    this.lastLoopTime = now;
 
-    if (deltaTime >= this.updateInterval) {
-      // Check for inactive players periodically
-      if (now - this.lastInactiveCheck >= this.inactiveCheckInterval) {
-        this.removeInactivePlayers(now);
-        this.lastInactiveCheck = now;
-      }
+    // Reconnect grace periods run on wall-clock time, paused or not
+    this.reconnectTimers.runDue();
 
-      // Update AI players
-      this.updateAIPlayers();
+    while (this.running && this.accumulator >= this.fixedTimestep) {
+      this.step(this.fixedTimestep);
+      this.accumulator -= this.fixedTimestep;
+    }
 
-      // Check if we should add AI players
-      if (this.shouldAddAIPlayer()) {
-        this.addAIPlayer();
-      }
+    // Continue the game loop only if still running
+    if (this.running) {
+      this.gameLoopTimeout = setTimeout(() => this.gameLoop(), this.fixedTimestep);
+    }
+  }
+
+  // Advance the simulation by one fixed timestep. Uses only the simulation clock and
+  // seeded RNG, so the same seed and input stream always produce the same state.
+  public step(deltaTime: number = this.fixedTimestep): void {
+    this.simClock.advance(deltaTime);
+    this.tick++;
+    const now = this.simClock.now();
 
-      // Ensure there's always a player who is "it"
-      this.gameState.ensureItPlayer();
+    // Run due round phase tasks
+    this.scheduler.runDue();
 
-      // Update points system (deduct points for IT players)
-      this.updatePointsSystem(now);
+    // Check for inactive players periodically
+    if (now - this.lastInactiveCheck >= this.inactiveCheckInterval) {
+      this.removeInactivePlayers(now);
+      this.lastInactiveCheck = now;
+    }
 
-      // Process all player inputs and calculate movements
-      this.processPlayerMovements(deltaTime);
+    // Update AI players
+    if (this.tick % this.ticksPerAIUpdate === 0) {
+      this.updateAIPlayers(deltaTime * this.ticksPerAIUpdate);
+    }
 
-      // Update game state
-      this.gameState.update(deltaTime);
+    // Check if we should add AI players
+    if (this.shouldAddAIPlayer()) {
+      this.addAIPlayer();
+    }
 
-      // Check for player collisions (independent of movement)
-      this.checkAllPlayerCollisions();
+    // Players can move about between rounds, but roles, scoring, missions and tags only run in one
+    const playing = this.phases.is('playing');
 
-      // Check if we should broadcast
-      const shouldBroadcast = now - this.lastBroadcast >= this.broadcastInterval;
+    // Hand out the roles the mode needs (e.g. a new IT when the last one left), then its scoring and timers
+    if (playing) {
+      const players = Array.from(this.gameState.getPlayers().values());
+      const modeContext = this.getModeContext();
+      this.mode.assignRoles(players, modeContext);
+      this.mode.tick(players, modeContext);
+    }
 
-      // Broadcast game state if there are players and enough time has passed
-      if (this.gameState.getPlayerCount() > 0 && shouldBroadcast) {
-        this.broadcastGameState();
-        this.lastBroadcast = now;
-      }
+    // Process all player inputs and calculate movements
+    this.processPlayerMovements(deltaTime);
+
+    // Update game state
+    this.gameState.update(deltaTime);
+
+    if (playing) {
+      this.gameState.updateMissions().forEach(result => this.finishMission(result));
 
-      this.lastUpdate = now;
+      // Check for player collisions (independent of movement)
+      this.checkAllPlayerCollisions();
     }
 
-    // Check for round completion and level transitions
-    if (!this.levelTransitionActive) {
-      this.checkRoundCompletion(now);
+    // Broadcast game state if there are players
+    if (this.gameState.getPlayerCount() > 0 && this.tick % this.ticksPerBroadcast === 0) {
+      this.broadcastGameState();
     }
 
-    // Continue the game loop only if still running
-    if (this.running) {
-      this.gameLoopTimeout = setTimeout(() => this.gameLoop(), 16); // ~60 FPS
+    // Start a round once enough humans are ready, and end it when it's over
+    if (playing) {
+      this.checkRoundCompletion(now);
+    } else {
+      this.updateRoundPhase();
     }
   }
 
+  public getTick(): number {
+    return this.tick;
+  }
+
+  public getSimulationTime(): number {
+    return this.simClock.now();
+  }
+
+  public getSeed(): number {
+    return this.context.random.getSeed();
+  }
+
+  // Copy of the current simulation state, e.g. for comparing deterministic runs
+  public getStateSnapshot(): DynamicGameState {
+    return { ...this.gameState.getDynamicState(), mode: this.getModeState() };
+  }
+
+  private getModeState(): ModeState {
+    return this.mode.getState(Array.from(this.gameState.getPlayers().values()), this.simClock.now());
+  }
+
   private processPlayerMovements(deltaTime: number): void {
-    for (const [socketId, inputState] of this.playerInputStates.entries()) {
-      const player = this.gameState.getPlayer(socketId);
+    for (const [playerId, inputState] of this.playerInputStates.entries()) {
+      const player = this.gameState.getPlayer(playerId);
       if (!player || !inputState) continue;
 
       // Skip if input is too old
-      const now = Date.now();
+      const now = this.simClock.now();
       const INPUT_EXPIRY_TIME = 3000;
       const inputAge = now - inputState.lastUpdated;
       
       if (inputAge > INPUT_EXPIRY_TIME) {
         // Try to use buffered input
-        const bufferedInputs = this.inputBuffer.get(socketId);
+        const bufferedInputs = this.inputBuffer.get(playerId);
         if (bufferedInputs && bufferedInputs.length > 0) {
           const bufferedInput = bufferedInputs.shift()!;
-          this.playerInputStates.set(socketId, {
+          this.playerInputStates.set(playerId, {
             ...bufferedInput,
             lastUpdated: now - 50
           });
           
           if (bufferedInputs.length === 0) {
-            this.inputBuffer.delete(socketId);
+            this.inputBuffer.delete(playerId);
           }
           continue;
         }
         
         // Clear old input state
-        this.playerInputStates.delete(socketId);
+        this.playerInputStates.delete(playerId);
         player.currentInput = null;
         continue;
       }
@@ -419,6 +820,12 @@ export class GameManager {
       // Set the current input for the player
       player.currentInput = inputState;
 
+      // Actions ride along with one input and are used up by it
+      if (inputState.action) {
+        this.handleInputAction(player, inputState.action);
+        this.playerInputStates.set(playerId, { ...inputState, action: undefined });
+      }
+
       // Calculate movement using the MovementEngine
       const movement = MovementEngine.calculateMovement(player, deltaTime);
       
@@ -430,7 +837,8 @@ export class GameManager {
           movement.dy,
           this.gameState.gameWidth,
           this.gameState.gameHeight,
-          this.gameState.obstacles
+          this.gameState.getBlockingObstacles(player.floor),
+          this.gameState.getArena().wrap
         );
 
         if (result.isValid) {
@@ -444,9 +852,21 @@ export class GameManager {
     }
   }
 
+  // Shots nobody can take right now (no nets, reloading, stunned) are dropped
+  private handleInputAction(player: Player, action: InputAction): void {
+    if (action.type === 'fire') {
+      this.gameState.fireNet(player, { dx: action.aimX, dy: action.aimY });
+    } else if (action.type === 'placePortal') {
+      this.gameState.placePortal(player, { dx: action.aimX, dy: action.aimY });
+    }
+  }
+
   private checkGameEvents(player: Player): void {
     // Update player activity
-    player.lastMovement = Date.now();
+    player.lastMovement = this.simClock.now();
+
+    // Power-ups, stars and stun orbs only count during a round
+    if (!this.phases.is('playing')) return;
 
     // Check for power-up collection
     const collectedPowerUp = this.gameState.checkPowerUpCollision(player);
@@ -454,17 +874,12 @@ export class GameManager {
       console.log(`Player ${player.name} collected power-up: ${collectedPowerUp.type}`);
       
       // Apply power-up effect
-      if (collectedPowerUp.type === 'transparency') {
-        player.activateTransparency(10000); // 10 seconds
-      } else if (collectedPowerUp.type === 'speed') {
-        // Speed boost could be implemented later
-        console.log(`Speed boost not yet implemented`);
-      } else if (collectedPowerUp.type === 'size') {
-        player.activateSizeBoost(10000); // 10 seconds
+      if (!this.gameState.applyPowerUp(player, collectedPowerUp.type)) {
+        console.log(`Power-up ${collectedPowerUp.type} had no effect on ${player.name}`);
       }
 
       // Emit power-up collection event
-      this.io.to('game').emit('powerUpCollected', {
+      this.io.to(this.roomChannel).emit('powerUpCollected', {
         playerId: player.id,
         playerName: player.name,
         powerUpType: collectedPowerUp.type,
@@ -480,7 +895,7 @@ export class GameManager {
       const points = player.awardStarPoints();
       
       // Emit star collection event
-      this.io.to('game').emit('starCollected', {
+      this.io.to(this.roomChannel).emit('starCollected', {
         playerId: player.id,
         playerName: player.name,
         starId: collectedStar.id,
@@ -489,13 +904,19 @@ export class GameManager {
       });
 
       // Emit score update
-      this.io.to('game').emit('scoreUpdate', {
+      this.io.to(this.roomChannel).emit('scoreUpdate', {
         playerId: player.id,
         playerName: player.name,
         score: player.score,
         change: points,
         reason: 'star_collection',
       });
+
+      // Mission stars count for their holder, and taking someone else's can sink their mission
+      if (collectedStar.missionFor) {
+        const result = this.gameState.recordMissionStar(player, collectedStar);
+        if (result) this.finishMission(result);
+      }
     }
 
     // Check for stun orb collection
@@ -507,15 +928,18 @@ export class GameManager {
 
       console.log(`Affected players: ${affectedPlayers.length}`);
 
-      // Emit stun orb collection event
-      this.io.to('game').emit('stunOrbCollected', {
+      // Emit stun orb collection event; the orb is where the collector stands
+      const { x, y } = collectedStunOrb;
+      const collected = {
         playerId: player.id,
         playerName: player.name,
         stunOrbId: collectedStunOrb.id,
         onlyForIt: !player.isIt,
         stunActivated: player.isIt,
         affectedPlayers: affectedPlayers,
-        explosionCenter: { x: collectedStunOrb.x, y: collectedStunOrb.y },
+      };
+      this.emitWithSpot(collectedStunOrb, (socket, seesSpot) => {
+        socket.emit('stunOrbCollected', seesSpot ? { ...collected, explosionCenter: { x, y } } : collected);
       });
 
       // If stun was activated by IT player, notify about the explosion
@@ -523,14 +947,15 @@ export class GameManager {
         console.log(`IT player collected stun orb, emitting explosion event`);
         
         // Emit explosion event to trigger client-side effects
-        this.io.to('game').emit('stunOrbExplosion', {
+        const explosion = {
           itPlayerId: player.id,
           itPlayerName: player.name,
-          explosionX: collectedStunOrb.x,
-          explosionY: collectedStunOrb.y,
           explosionRadius: Math.sqrt(this.gameState.gameWidth * this.gameState.gameWidth + this.gameState.gameHeight * this.gameState.gameHeight), // Screen-wide coverage
-          stunDuration: 1000,
+          stunDuration: this.config.stunOrbs.farStun, // The longest stun it hands out; affectedPlayers have their own
           affectedPlayers: affectedPlayers,
+        };
+        this.emitWithSpot(collectedStunOrb, (socket, seesSpot) => {
+          socket.emit('stunOrbExplosion', seesSpot ? { ...explosion, explosionX: x, explosionY: y } : explosion);
         });
       } else {
         console.log(`Non-IT player collected stun orb, no explosion`);
@@ -538,61 +963,138 @@ export class GameManager {
     }
   }
 
+  // Sends a room-wide event per socket, so only recipients whose fog of war shows the spot learn where it happened
+  private emitWithSpot(spot: FloorPosition, send: (socket: TypedSocket, seesSpot: boolean) => void): void {
+    const arena = this.gameState.getArena();
+    this.sockets.forEach((socket, socketId) => {
+      const playerId = this.sessions.getPlayerId(socketId);
+      const viewer = playerId ? this.gameState.getPlayer(playerId) : undefined;
+      send(socket, this.visibilityFilter.canSee(viewer?.toJSON(), spot, arena));
+    });
+  }
+
+  // Touching players on the same floor: touches the mode counts as tags go through the tag rules, the rest are left to the mode
   private checkAllPlayerCollisions(): void {
-    // Check for player-to-player collisions (tagging) for all IT players
-    this.gameState.forEachPlayer((player) => {
-      if (player.isIt && !player.isStunned) {
-        this.gameState.forEachPlayer((otherPlayer) => {
-          if (otherPlayer.id !== player.id && !otherPlayer.isStunned && !otherPlayer.isTransparent) {
-            const dx = player.x - otherPlayer.x;
-            const dy = player.y - otherPlayer.y;
-            const distance = Math.sqrt(dx * dx + dy * dy);
-            
-            // Check if collision occurs (players touching)
-            if (distance < player.currentRadius + otherPlayer.currentRadius) {
-              console.log(`Player ${player.name} tagged ${otherPlayer.name}!`);
-              
-              // Stun the player who was caught for 3 seconds
-              otherPlayer.stun(3000);
-              
-              // Transfer "it" status
-              player.stopBeingIt();
-              otherPlayer.becomeIt();
-              
-              // Award points to the tagger
-              player.awardTagPoints();
-              const tagPoints = 100;
-              
-              // Emit tagging event
-              this.io.to('game').emit('playerTagged', {
-                tagger: player.name,
-                tagged: otherPlayer.name,
-                newIt: otherPlayer.id,
-              });
-              
-              // Emit score update for the tagger
-              this.io.to('game').emit('scoreUpdate', {
-                playerId: player.id,
-                playerName: player.name,
-                score: player.score,
-                change: tagPoints,
-                reason: 'successful_tag',
-              });
-              
-              return; // Only tag one player at a time
-            }
-          }
-        });
-      }
+    const players = Array.from(this.gameState.getPlayers().values());
+    const context = this.getModeContext();
+    const attempts: TagAttempt[] = [];
+
+    players.forEach((player, index) => {
+      players.slice(index + 1).forEach(otherPlayer => {
+        if (player.isStunned || otherPlayer.isStunned || otherPlayer.floor !== player.floor) return;
+
+        // Shortest distance, so tags reach across the seam on wrap-around levels
+        const distance = this.gameState.getDistance(player, otherPlayer);
+        if (distance >= player.currentRadius + otherPlayer.currentRadius) return;
+
+        // Teammates only touch, and transparent players can't be touched
+        if (this.canTag(player, otherPlayer)) {
+          attempts.push({ tagger: player, target: otherPlayer, distance });
+        } else if (this.canTag(otherPlayer, player)) {
+          attempts.push({ tagger: otherPlayer, target: player, distance });
+        } else if (!player.isTransparent && !otherPlayer.isTransparent) {
+          this.mode.touch?.(player, otherPlayer, context);
+        }
+      });
+    });
+
+    const { tags, rejections } = this.tagRules.resolve(attempts, context.now);
+    tags.forEach(({ tagger, target }) => this.tagPlayer(tagger, target, context));
+    this.reportTagRejections(rejections);
+  }
+
+  // Both players hear about a rejected tag once, not on every tick they keep touching for the same reason
+  private reportTagRejections(rejections: TagRejection[]): void {
+    const previous = this.tagRejections;
+    this.tagRejections = new Map();
+
+    rejections.forEach(({ tagger, target, reason }) => {
+      const data: TagRejectedData = { taggerId: tagger.id, targetId: target.id, reason };
+      const key = `${tagger.id}>${target.id}`;
+      this.tagRejections.set(key, data);
+      if (previous.get(key)?.reason === reason) return;
+
+      [tagger, target].forEach(player => {
+        const socketId = this.sessions.getByPlayer(player.id)?.socketId;
+        if (socketId) this.sockets.get(socketId)?.emit('tagRejected', data);
+      });
     });
   }
 
+  // Tags turned down on the last tick
+  public getTagRejections(): TagRejectedData[] {
+    return Array.from(this.tagRejections.values());
+  }
+
+  private canTag(tagger: Player, target: Player): boolean {
+    return !TeamUtils.isTeammate(tagger, target) && this.mode.canTag(tagger, target);
+  }
+
+  private tagPlayer(tagger: Player, target: Player, context: ModeContext): void {
+    console.log(`Player ${tagger.name} tagged ${target.name}!`);
+    this.mode.tag(tagger, target, context);
+    target.lastTaggedBy = { id: tagger.id, at: context.now };
+
+    // Tagged players lose their portals and get a star mission (not while frozen in place)
+    this.gameState.closePortals(target.id);
+    if (!target.isFrozen) {
+      this.gameState.startStarMission(target);
+    }
+
+    this.io.to(this.roomChannel).emit('playerTagged', {
+      tagger: tagger.name,
+      tagged: target.name,
+      newIt: target.isIt ? target.id : undefined,
+    });
+  }
+
+  // Lets the mode announce score changes to the room
+  private getModeContext(): ModeContext {
+    return {
+      now: this.simClock.now(),
+      world: this.gameState,
+      config: this.config,
+      scoreChanged: (player, change, reason) => this.emitScoreUpdate(player, change, reason),
+    };
+  }
+
+  private emitScoreUpdate(player: Player, change: number, reason: ScoreUpdateData['reason']): void {
+    this.io.to(this.roomChannel).emit('scoreUpdate', {
+      playerId: player.id,
+      playerName: player.name,
+      score: player.score,
+      change,
+      reason,
+    });
+  }
+
+  // Completed missions pay out their reward; failed ones are only announced
+  private finishMission(result: MissionResult): void {
+    const player = this.gameState.getPlayer(result.playerId);
+    if (!player) return;
+
+    if (result.completed) {
+      const reward = this.config.missions.reward;
+      player.score += reward;
+      console.log(`Player ${player.name} completed their star mission`);
+      this.emitScoreUpdate(player, reward, 'mission_complete');
+    } else {
+      this.emitScoreUpdate(player, 0, 'mission_failed');
+    }
+  }
+
+  // The level's own mode wins over the room's
+  private createMode(level: Level): GameMode {
+    return createGameMode(level.mode || this.options.mode || 'classic');
+  }
+
   private removeInactivePlayers(now: number): void {
     const INACTIVE_TIMEOUT = 30000; // 30 seconds
     const playersToRemove: string[] = [];
 
     this.gameState.forEachPlayer((player, playerId) => {
       if (player.isAI) return; // Skip AI players
+      if (player.isReconnecting) return; // Removed when their grace period runs out instead
 
       const lastActivity = Math.max(
         player.lastMovement || 0,
@@ -608,53 +1110,70 @@ export class GameManager {
     });
 
     // Remove inactive players
-    let removedCount = 0;
-    for (const playerId of playersToRemove) {
-      const player = this.gameState.getPlayer(playerId);
-      if (player) {
-        this.gameState.removePlayer(playerId);
-        this.playerInputStates.delete(playerId);
-        delete this.inputTracking[playerId];
-        this.inputBuffer.delete(playerId);
-        removedCount++;
-      }
+    playersToRemove.forEach(playerId => this.removePlayer(playerId));
+  }
+
+  // Round lifecycle
+
+  // Before a round: wait for enough humans, give everyone a chance to get ready, then count down.
+  // The round starts when everyone is ready, or with those who are once the ready check runs out.
+  private updateRoundPhase(): void {
+    const { minReadyPlayers, readyCheckDuration, countdown } = this.config.lobby;
+    const humans = Array.from(this.gameState.getPlayers().values()).filter(p => !p.isAI);
+    const ready = humans.filter(p => p.isReady).length;
+
+    switch (this.phases.getPhase()) {
+      case 'waiting':
+        if (humans.length >= minReadyPlayers) {
+          this.phases.enter('readyCheck', readyCheckDuration);
+        }
+        break;
+      case 'readyCheck':
+        if (humans.length < minReadyPlayers) {
+          this.phases.enter('waiting');
+        } else if (ready >= minReadyPlayers && (ready === humans.length || this.phases.isOver())) {
+          this.phases.enter('countdown', countdown, () => this.phases.enter('playing'));
+        }
+        break;
+      case 'countdown':
+        // Someone took it back or left; start over
+        if (ready < minReadyPlayers) {
+          this.phases.enter('waiting');
+        }
+        break;
     }
+  }
 
-    if (removedCount > 0) {
-      this.broadcastGameState();
+  private onPhaseChange(phase: RoundPhase, previous: RoundPhase): void {
+    if (phase === 'playing') {
+      // Everyone starts the round level, and the mode sets it up (the first level's round too)
+      this.roundStartTime = this.simClock.now();
+      this.gameState.startGame();
+      this.mode.start?.(Array.from(this.gameState.getPlayers().values()), this.getModeContext());
+    } else if (previous === 'playing') {
+      this.gameState.stopGame();
     }
+
+    console.log(`GameManager[${this.options.roomCode}]: Round phase ${previous} -> ${phase}`);
+    this.broadcastRoundPhase();
   }
 
-  private updatePointsSystem(now: number): void {
-    this.gameState.forEachPlayer((player) => {
-      if (player.isIt && player.becameItTime && !player.isStunned) {
-        const lastDeduction = player.lastPointDeduction || player.becameItTime;
-        const timeSinceDeduction = now - lastDeduction;
-
-        // Deduct points every second
-        if (timeSinceDeduction >= 1000) {
-          const secondsToDeduct = Math.floor(timeSinceDeduction / 1000);
-          const pointsToDeduct = secondsToDeduct * 10;
-
-          player.deductItPoints(pointsToDeduct);
-          player.timeAsIt += timeSinceDeduction;
-
-          // Emit score update
-          this.io.to('game').emit('scoreUpdate', {
-            playerId: player.id,
-            playerName: player.name,
-            score: player.score,
-            change: -pointsToDeduct,
-            reason: 'being_it',
-          });
-        }
-      }
-    });
+  public getRoundPhaseData(): RoundPhaseData {
+    const humans = Array.from(this.gameState.getPlayers().values()).filter(p => !p.isAI);
+    return {
+      phase: this.phases.getPhase(),
+      timeLeft: this.phases.getTimeLeft(),
+      readyPlayerIds: humans.filter(p => p.isReady).map(p => p.id),
+      requiredReady: this.config.lobby.minReadyPlayers,
+    };
+  }
+
+  private broadcastRoundPhase(): void {
+    this.io.to(this.roomChannel).emit('roundPhase', this.getRoundPhaseData());
   }
 
-  // Level transition system
   private checkRoundCompletion(now: number): void {
-    if (this.levelTransitionActive) return;
+    if (!this.phases.canEnter('roundEnd')) return;
     
     const timeSinceRoundStart = now - this.roundStartTime;
     const shouldEndRound = this.shouldEndRound(timeSinceRoundStart);
@@ -664,26 +1183,24 @@ export class GameManager {
     }
   }
   
-  private shouldEndRound(timeSinceRoundStart: number): { shouldEnd: boolean; reason: 'time_limit' | 'point_threshold' | 'admin_trigger' } {
+  private shouldEndRound(timeSinceRoundStart: number): { shouldEnd: boolean; reason: RoundEndReason } {
     // Time limit reached
     if (timeSinceRoundStart >= this.roundDuration) {
       return { shouldEnd: true, reason: 'time_limit' };
     }
     
-    // Check if any player reached point threshold (500 points)
-    const players = Array.from(this.gameState.getPlayers().values());
-    const winner = players.find(player => player.score >= 500);
-    if (winner) {
-      return { shouldEnd: true, reason: 'point_threshold' };
+    // Mode-specific end, e.g. a player reached the point threshold or everyone was caught
+    const reason = this.mode.checkEnd(Array.from(this.gameState.getPlayers().values()), this.getModeContext());
+    if (reason) {
+      return { shouldEnd: true, reason };
     }
     
     return { shouldEnd: false, reason: 'time_limit' };
   }
   
-  private initiateRoundEnd(reason: 'time_limit' | 'point_threshold' | 'admin_trigger'): void {
-    if (this.levelTransitionActive) return;
+  private initiateRoundEnd(reason: RoundEndReason): void {
+    if (!this.phases.canEnter('roundEnd')) return;
     
-    this.levelTransitionActive = true;
     console.log(`Round ending due to: ${reason}`);
     
     // Calculate final scores and winner
@@ -695,39 +1212,80 @@ export class GameManager {
     })).sort((a, b) => b.score - a.score);
     
     const winner = finalScores.length > 0 ? players.find(p => p.id === finalScores[0].playerId) : undefined;
-    const nextLevel = this.levelManager.getNextLevel();
+    // Level file edits take effect from the next round
+    this.levelManager.refreshLevels();
+    // Voting rooms vote between a few levels unless an admin picked one
+    const candidates = !this.forcedNextLevel && this.levelManager.getRotation() === 'voting' ? this.levelManager.getLevelPreviewOptions(3) : [];
+    const nextLevel = this.forcedNextLevel || candidates[0] || this.levelManager.getNextLevel();
+    this.forcedNextLevel = null;
+
+    this.finishReplayRecording(reason, winner?.name);
     
     // Emit round end event
     const roundEndData: RoundEndData = {
       winner: winner?.toJSON(),
       reason,
       finalScores,
-      nextLevelPreview: nextLevel
+      teamScores: TeamUtils.getTeamScores(players),
+      nextLevelPreview: nextLevel,
+      levelVote: candidates.length > 1 || undefined
     };
     
-    this.io.to('game').emit('roundEnd', roundEndData);
+    this.io.to(this.roomChannel).emit('roundEnd', roundEndData);
     
     // Start level preview after short delay
-    setTimeout(() => {
-      this.startLevelPreview(nextLevel);
-    }, 2000);
+    this.phases.enter('roundEnd', 2000, () => this.startLevelPreview(nextLevel, candidates));
   }
   
-  private startLevelPreview(nextLevel: Level): void {
+  private startLevelPreview(nextLevel: Level, candidates: Level[] = []): void {
     console.log(`Starting level preview for: ${nextLevel.name}`);
+    this.levelVote = candidates.length > 1 ? new LevelVote(candidates) : null;
     
+    const { previewDuration } = this.config.round;
     const previewData: LevelPreviewData = {
       level: nextLevel,
-      timeRemaining: 10000, // 10 seconds preview
-      previewDuration: 10000
+      timeRemaining: previewDuration,
+      previewDuration,
+      candidates: this.levelVote ? candidates : undefined
     };
     
-    this.io.to('game').emit('levelPreview', previewData);
+    this.io.to(this.roomChannel).emit('levelPreview', previewData);
+    if (this.levelVote) {
+      this.castBotVotes(this.levelVote);
+      this.broadcastLevelVotes();
+    }
     
-    // Start countdown for level transition
-    this.levelPreviewTimeout = setTimeout(() => {
-      this.executeLevelTransition(nextLevel);
-    }, 10000);
+    // Start countdown for level transition; a vote is decided when the preview ends
+    this.phases.enter('preview', previewDuration, () => this.executeLevelTransition(this.finishLevelVote() || nextLevel));
+  }
+
+  // Bots don't care where they play
+  private castBotVotes(vote: LevelVote): void {
+    const candidates = vote.getCandidates();
+    this.gameState.forEachPlayer(player => {
+      if (player.isAI) {
+        vote.cast(player.id, candidates[this.context.random.int(candidates.length)].id);
+      }
+    });
+  }
+
+  private finishLevelVote(): Level | null {
+    const winner = this.levelVote?.resolve() || null;
+    this.levelVote = null;
+    if (winner) {
+      console.log(`Level vote won by: ${winner.name}`);
+    }
+    return winner;
+  }
+
+  private broadcastLevelVotes(): void {
+    if (this.levelVote) {
+      this.io.to(this.roomChannel).emit('levelVotes', this.levelVote.getState());
+    }
+  }
+
+  public getLevelVoteState(): LevelVoteData | null {
+    return this.levelVote?.getState() || null;
   }
   
   private executeLevelTransition(nextLevel: Level): void {
@@ -740,31 +1298,33 @@ export class GameManager {
       fromLevel: currentLevel,
       toLevel: nextLevel,
       transitionType: 'fade',
-      duration: 3000,
-      previewDuration: 10000
+      duration: this.config.round.transitionDuration,
+      previewDuration: this.config.round.previewDuration
     };
     
     // Emit transition start
-    this.io.to('game').emit('levelTransitionStart', transitionData);
+    this.io.to(this.roomChannel).emit('levelTransitionStart', transitionData);
     
-    // Execute the level change
-    setTimeout(() => {
-      this.completeTransition(nextLevel);
-    }, 1500); // Halfway through transition
+    // Execute the level change halfway through the transition
+    this.phases.enter('transition', this.config.round.transitionDuration / 2, () => this.completeTransition(nextLevel));
   }
   
   private completeTransition(nextLevel: Level): void {
     console.log(`Completing transition to: ${nextLevel.name}`);
     
-    // Transition to the new level
-    this.gameState.transitionToNextLevel();
+    // Transition to the level announced in the preview
+    this.gameState.transitionToNextLevel(nextLevel);
     
     // Respawn all players at new spawn points
     this.respawnAllPlayers();
+
+    // The new level may play a different mode; it starts with the round
+    this.mode = this.createMode(nextLevel);
     
-    // Reset round timer
-    this.roundStartTime = Date.now();
-    this.levelTransitionActive = false;
+    // The next round starts with a new ready check
+    this.phases.enter('waiting');
+    this.updateRoundPhase();
+    this.startReplayRecording();
     
     // Broadcast updated game state with new level
     this.broadcastGameState();
@@ -772,7 +1332,37 @@ export class GameManager {
     console.log(`Successfully transitioned to level: ${nextLevel.name}`);
   }
   
+  private startReplayRecording(): void {
+    if (!this.options.replayStore) return;
+
+    const recordedAt = this.wallClock.now();
+    this.replayRecorder = new ReplayRecorder({
+      id: `${this.options.roomCode}-${recordedAt}`,
+      roomCode: this.options.roomCode,
+      roomName: this.options.roomName,
+      level: this.gameState.getCurrentLevel(),
+      seed: this.context.random.getSeed(),
+      recordedAt,
+    });
+  }
+
+  private finishReplayRecording(endReason: string, winner?: string): void {
+    const recorder = this.replayRecorder;
+    const store = this.options.replayStore;
+    this.replayRecorder = null;
+    if (!recorder || !store || recorder.getFrameCount() === 0 || !recorder.hasHumanPlayers()) return;
+
+    store.save(recorder.finish(endReason, winner)).catch(error => {
+      console.error(`GameManager[${this.options.roomCode}]: Failed to save replay:`, error);
+    });
+  }
+
   private respawnAllPlayers(): void {
+    // Every level starts on the ground floor
+    this.gameState.forEachPlayer((player) => {
+      player.floor = 0;
+    });
+
     this.gameState.forEachPlayer((player) => {
       // Find a safe spawn position
       const spawnPos = this.gameState.findSafeSpawnPosition();
@@ -783,9 +1373,11 @@ export class GameManager {
       
       // Clear any active effects
       player.isStunned = false;
-      player.isTransparent = false;
-      player.hasSizeBoost = false;
-      player.sizeBoostStacks = 0;
+      player.rootEndTime = 0;
+      player.slowEndTime = 0;
+      player.isFrozen = false;
+      player.spawnProtectedUntil = this.simClock.now() + this.config.tag.spawnProtection;
+      this.gameState.clearPowerUpEffects(player);
       
       // Reset input state
       player.currentInput = null;
@@ -799,10 +1391,145 @@ export class GameManager {
   
   // Public method to manually trigger level transition (for testing/admin)
   public triggerLevelTransition(): void {
-    if (!this.levelTransitionActive) {
+    if (this.phases.canEnter('roundEnd')) {
       this.initiateRoundEnd('admin_trigger');
     }
   }
+
+  // Admin controls
+
+  // End the round now and move to the given level (or the next one in rotation)
+  public forceLevel(levelId?: string): boolean {
+    if (!this.phases.canEnter('roundEnd')) return false;
+
+    if (levelId) {
+      const level = this.levelManager.getLevelById(levelId);
+      if (!level) return false;
+      this.forcedNextLevel = level;
+    }
+
+    this.initiateRoundEnd('admin_trigger');
+    return true;
+  }
+
+  public getAvailableLevels(): Level[] {
+    return this.levelManager.getAvailableLevels();
+  }
+
+  public pause(): void {
+    if (this.paused) return;
+    this.paused = true;
+    this.io.to(this.roomChannel).emit('gamePaused', true);
+  }
+
+  public resume(): void {
+    if (!this.paused) return;
+    this.paused = false;
+    this.lastLoopTime = this.wallClock.now();
+    this.io.to(this.roomChannel).emit('gamePaused', false);
+  }
+
+  public isPaused(): boolean {
+    return this.paused;
+  }
+
+  // Applies to the current round as well
+  public setRoundDuration(duration: number): void {
+    this.roundDuration = duration;
+    this.gameState.gameDuration = duration;
+  }
+
+  public getRoundDuration(): number {
+    return this.roundDuration;
+  }
+
+  public setAutoFillBots(enabled: boolean): void {
+    this.autoFillBots = enabled;
+  }
+
+  // Remove a specific bot, or the most recently added one
+  public removeAIPlayer(playerId?: string): boolean {
+    const bots = Array.from(this.gameState.getPlayers().values()).filter(p => p.isAI);
+    const bot = playerId ? bots.find(p => p.id === playerId) : bots[bots.length - 1];
+    if (!bot) return false;
+
+    this.removePlayer(bot.id);
+    return true;
+  }
+
+  // Remove a player and disconnect their socket from the room
+  public kickPlayer(playerId: string, reason: string): boolean {
+    const player = this.gameState.getPlayer(playerId);
+    if (!player) return false;
+
+    const socketId = this.sessions.getByPlayer(playerId)?.socketId;
+    const socket = socketId ? this.sockets.get(socketId) : undefined;
+    if (socketId) {
+      this.detachSocket(socketId);
+    }
+    if (socket) {
+      socket.leave(this.roomChannel);
+      socket.data.roomCode = undefined;
+      socket.emit('kicked', reason);
+    }
+
+    this.removePlayer(playerId);
+    return true;
+  }
+
+  // Send spectators out of the room before it goes, so their client doesn't keep watching a dead room
+  public releaseSpectators(reason: string): void {
+    for (const socketId of Array.from(this.spectators)) {
+      const socket = this.sockets.get(socketId);
+      if (socket) {
+        socket.leave(this.roomChannel);
+        socket.data.roomCode = undefined;
+        socket.data.isSpectator = undefined;
+        socket.emit('roomClosed', reason);
+      }
+      this.sockets.delete(socketId);
+      this.stateSync.removeClient(socketId);
+    }
+    this.spectators.clear();
+  }
+
+  public announce(data: AnnouncementData): void {
+    this.io.to(this.roomChannel).emit('serverAnnouncement', data);
+  }
+
+  public getAdminInfo(): AdminRoomInfo {
+    const level = this.gameState.getCurrentLevel();
+    const players: AdminPlayerInfo[] = Array.from(this.gameState.getPlayers().values()).map(player => ({
+      id: player.id,
+      name: player.name,
+      isAI: player.isAI,
+      isIt: player.isIt,
+      score: player.score,
+      timeAsIt: player.timeAsIt,
+      isStunned: player.isStunned,
+      isReconnecting: player.isReconnecting,
+      connected: player.isAI || !!this.sessions.getByPlayer(player.id)?.socketId,
+      x: Math.round(player.x),
+      y: Math.round(player.y),
+    }));
+
+    return {
+      code: this.options.roomCode,
+      name: this.options.roomName,
+      isPrivate: this.options.isPrivate,
+      paused: this.paused,
+      autoFillBots: this.autoFillBots,
+      levelId: level.id,
+      levelName: level.name,
+      roundDuration: this.roundDuration,
+      roundTimeRemaining: this.phases.is('playing') ? Math.max(0, this.roundDuration - (this.simClock.now() - this.roundStartTime)) : 0,
+      phase: this.phases.getPhase(),
+      transitionActive: this.phases.is('roundEnd', 'preview', 'transition'),
+      spectatorCount: this.spectators.size,
+      maxPlayers: this.gameState.maxPlayers,
+      players,
+    };
+  }
   
   // Get current level info
   public getCurrentLevelInfo(): Level {
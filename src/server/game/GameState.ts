@@ -1,24 +1,42 @@
-import { GameStateData, Obstacle, PowerUp, Star, StunOrb, Position, Level, SpawnPoint } from '@shared/types';
+import { GameStateData, DynamicGameState, Obstacle, PowerUp, PowerUpType, PowerUpConfiguration, Star, StunOrb, Position, Velocity, FloorPosition, Level, SpawnPoint } from '@shared/types';
 import { Player } from './Player';
 import { LevelManager } from './LevelManager';
+import { SimulationContext, createSimulationContext } from './SimulationContext';
+import { PowerUpRegistry } from './powerups/PowerUpRegistry';
+import { PowerUpContext } from './powerups/PowerUpEffect';
+import { TerrainSystem } from './TerrainSystem';
+import { DynamicObstacleSystem } from './DynamicObstacleSystem';
+import { FloorSystem } from './FloorSystem';
+import { ProjectileSystem } from './ProjectileSystem';
+import { PortalSystem } from './PortalSystem';
+import { MissionResult, MissionSystem } from './MissionSystem';
+import { DynamicObstacleUtils } from '../../shared/utils/DynamicObstacleUtils';
+import { Arena, ArenaUtils } from '../../shared/utils/ArenaUtils';
+import { FloorUtils } from '../../shared/utils/FloorUtils';
 
 export class GameState {
   private players = new Map<string, Player>();
-  public gameActive = false;
+  public gameActive = false; // Set by the room while a round is being played
   public gameStartTime: number | null = null;
-  public readonly gameDuration = 120000; // 2 minutes
+  public gameDuration: number; // Kept in step with the round duration
   public readonly gameWidth = 800;
   public readonly gameHeight = 600;
-  public readonly minPlayers = 2;
-  public readonly maxPlayers = 8;
+  public readonly maxPlayers: number;
   
   // Level system
   private levelManager: LevelManager;
   private currentLevel: Level;
+  private terrain: TerrainSystem; // Conveyors, crushers and bushes of the current level
+  private dynamicObstacles: DynamicObstacleSystem; // Moving walls and gates of the current level
+  private floors: FloorSystem; // Elevators and stairs of the current level
+  private projectiles = new ProjectileSystem(); // Nets in flight, dropped when the level changes
+  private portals = new PortalSystem(); // Player-placed portal pairs, closed when the level changes
+  private readonly missions = new MissionSystem(); // Star missions of caught players
   
-  public obstacles: Obstacle[] = [];
+  public obstacles: Obstacle[] = []; // On every floor
   private powerUps: PowerUp[] = [];
   private powerUpRespawnTimer = new Map<string, number>();
+  private readonly powerUpRegistry: PowerUpRegistry;
   
   // Stars system
   private stars: Star[] = [];
@@ -32,15 +50,30 @@ export class GameState {
   private readonly maxActiveStunOrbs = 2;
   private readonly stunOrbRespawnInterval = 20000; // 20 seconds
 
-  constructor(levelManager?: LevelManager) {
+  // Simulation clock and RNG shared with players and the level manager
+  private readonly context: SimulationContext;
+
+  constructor(
+    levelManager?: LevelManager,
+    maxPlayers?: number,
+    context: SimulationContext = createSimulationContext(),
+    powerUpRegistry: PowerUpRegistry = PowerUpRegistry.getDefault()
+  ) {
+    this.maxPlayers = maxPlayers ?? context.config.rooms.maxPlayers;
+    this.context = context;
+    this.powerUpRegistry = powerUpRegistry;
+    this.gameDuration = context.config.round.duration;
     this.levelManager = levelManager || new LevelManager({
       rotation: 'sequential',
-      roundDuration: 120000,
-      transitionDuration: 3000,
-      previewDuration: 10000
-    });
+      roundDuration: context.config.round.duration,
+      transitionDuration: context.config.round.transitionDuration,
+      previewDuration: context.config.round.previewDuration
+    }, context.random);
     
     this.currentLevel = this.levelManager.getCurrentLevel();
+    this.terrain = new TerrainSystem(this.currentLevel, context.clock.now());
+    this.dynamicObstacles = new DynamicObstacleSystem(this.currentLevel, context.clock.now());
+    this.floors = new FloorSystem(this.currentLevel, context.clock.now());
     this.initializeFromLevel();
   }
 
@@ -50,18 +83,9 @@ export class GameState {
       return false;
     }
 
+    // Nobody is IT yet: the mode hands out roles when the round starts
     this.players.set(player.id, player);
 
-    // If this is the first player, make them "it"
-    if (this.players.size === 1) {
-      player.becomeIt();
-    }
-
-    // Start game if we have minimum players
-    if (this.players.size >= this.minPlayers && !this.gameActive) {
-      this.startGame();
-    }
-
     return true;
   }
 
@@ -81,11 +105,6 @@ export class GameState {
       }
     }
 
-    // Stop game if not enough players
-    if (this.players.size < this.minPlayers) {
-      this.stopGame();
-    }
-
     return true;
   }
 
@@ -106,13 +125,16 @@ export class GameState {
   }
 
   // Game state management
-  private startGame(): void {
+  // Nothing carries over into a round: scores, roles, IT time and missions start afresh
+  public startGame(): void {
+    this.players.forEach(player => player.resetForRound());
+    this.stars = this.stars.filter(star => !star.missionFor);
     this.gameActive = true;
-    this.gameStartTime = Date.now();
+    this.gameStartTime = this.context.clock.now();
     console.log('Game started with', this.players.size, 'players');
   }
 
-  private stopGame(): void {
+  public stopGame(): void {
     this.gameActive = false;
     this.gameStartTime = null;
     console.log('Game stopped');
@@ -120,12 +142,12 @@ export class GameState {
 
   public isGameOver(): boolean {
     if (!this.gameActive || !this.gameStartTime) return false;
-    return Date.now() - this.gameStartTime > this.gameDuration;
+    return this.context.clock.now() - this.gameStartTime > this.gameDuration;
   }
 
   public getTimeRemaining(): number {
     if (!this.gameActive || !this.gameStartTime) return 0;
-    const elapsed = Date.now() - this.gameStartTime;
+    const elapsed = this.context.clock.now() - this.gameStartTime;
     return Math.max(0, this.gameDuration - elapsed);
   }
 
@@ -138,7 +160,7 @@ export class GameState {
     if (itPlayers.length === 0) {
       // No "it" player - assign one randomly
       const playerIds = Array.from(this.players.keys());
-      const randomId = playerIds[Math.floor(Math.random() * playerIds.length)];
+      const randomId = playerIds[this.context.random.int(playerIds.length)];
       const newItPlayer = this.players.get(randomId)!;
       newItPlayer.becomeIt();
     } else if (itPlayers.length > 1) {
@@ -170,34 +192,43 @@ export class GameState {
   // Item collision detection methods
   public checkPowerUpCollision(player: Player): PowerUp | null {
     for (const powerUp of this.powerUps) {
-      if (!powerUp.active) continue;
+      if (!powerUp.active || !FloorUtils.isSameFloor(player, powerUp)) continue;
 
-      const dx = player.x - powerUp.x;
-      const dy = player.y - powerUp.y;
-      const distance = Math.sqrt(dx * dx + dy * dy);
-
-      if (distance < player.currentRadius + powerUp.radius) {
+      if (this.getDistance(player, powerUp) < player.currentRadius + powerUp.radius) {
         // Deactivate the power-up and schedule respawn
         powerUp.active = false;
-        this.powerUpRespawnTimer.set(powerUp.id, Date.now() + powerUp.respawnTime);
+        this.powerUpRespawnTimer.set(powerUp.id, this.context.clock.now() + powerUp.respawnTime);
         return powerUp;
       }
     }
     return null;
   }
 
+  // Apply a collected power-up; false when it had no effect
+  public applyPowerUp(player: Player, type: PowerUpType): boolean {
+    return this.powerUpRegistry.activate(player, type, this.getPowerUpContext());
+  }
+
+  public clearPowerUpEffects(player: Player): void {
+    this.powerUpRegistry.clear(player, this.getPowerUpContext());
+  }
+
+  private getPowerUpContext(): PowerUpContext {
+    return { now: this.context.clock.now(), world: this, config: this.context.config };
+  }
+
   public checkStarCollision(player: Player): Star | null {
     for (const star of this.stars) {
-      if (!star.active) continue;
+      if (!star.active || !FloorUtils.isSameFloor(player, star)) continue;
 
-      const dx = player.x - star.x;
-      const dy = player.y - star.y;
-      const distance = Math.sqrt(dx * dx + dy * dy);
-
-      if (distance < player.currentRadius + star.radius) {
-        // Deactivate the star and schedule respawn
+      if (this.getDistance(player, star) < player.currentRadius + star.radius) {
+        // Deactivate the star and schedule respawn; mission stars are gone once taken
         star.active = false;
-        this.starRespawnTimer.set(star.id, Date.now() + this.starRespawnInterval);
+        if (star.missionFor) {
+          this.stars = this.stars.filter(s => s !== star);
+        } else {
+          this.starRespawnTimer.set(star.id, this.context.clock.now() + this.starRespawnInterval);
+        }
         return star;
       }
     }
@@ -206,13 +237,9 @@ export class GameState {
 
   public checkStunOrbCollision(player: Player): StunOrb | null {
     for (const stunOrb of this.stunOrbs) {
-      if (!stunOrb.active) continue;
+      if (!stunOrb.active || !FloorUtils.isSameFloor(player, stunOrb)) continue;
 
-      const dx = player.x - stunOrb.x;
-      const dy = player.y - stunOrb.y;
-      const distance = Math.sqrt(dx * dx + dy * dy);
-
-      if (distance < player.currentRadius + stunOrb.radius) {
+      if (this.getDistance(player, stunOrb) < player.currentRadius + stunOrb.radius) {
         return stunOrb;
       }
     }
@@ -229,13 +256,13 @@ export class GameState {
       const affectedPlayers = this.executeStunOrbExplosion(stunOrb, player);
 
       // Set respawn timer
-      this.stunOrbRespawnTimer.set(stunOrb.id, Date.now() + this.stunOrbRespawnInterval);
+      this.stunOrbRespawnTimer.set(stunOrb.id, this.context.clock.now() + this.stunOrbRespawnInterval);
 
       return affectedPlayers;
     }
 
     // Set respawn timer for non-IT collection
-    this.stunOrbRespawnTimer.set(stunOrb.id, Date.now() + this.stunOrbRespawnInterval);
+    this.stunOrbRespawnTimer.set(stunOrb.id, this.context.clock.now() + this.stunOrbRespawnInterval);
     return [];
   }
 
@@ -248,20 +275,20 @@ export class GameState {
 
     this.forEachPlayer((player) => {
       if (player.id === itPlayer.id) return; // Don't stun the IT player who collected it
+      if (!FloorUtils.isSameFloor(player, itPlayer)) return; // Other floors are out of reach
 
       // Calculate distance from player to the stun orb explosion center for duration scaling
-      const dx = player.x - stunOrb.x;
-      const dy = player.y - stunOrb.y;
-      const distance = Math.sqrt(dx * dx + dy * dy);
+      const distance = this.getDistance(player, stunOrb);
 
       // Distance-based stun duration: closer players get shorter stun, farther players get longer stun
+      const { nearStun, midStun, farStun } = this.context.config.stunOrbs;
       let stunDuration: number;
       if (distance <= 100) {
-        stunDuration = 3000; // Close range: 3.0 seconds
+        stunDuration = nearStun;
       } else if (distance <= 200) {
-        stunDuration = 4000; // Medium range: 4.0 seconds  
+        stunDuration = midStun;
       } else {
-        stunDuration = 5000; // Far range: 5.0 seconds
+        stunDuration = farStun;
       }
 
       player.stun(stunDuration);
@@ -277,21 +304,87 @@ export class GameState {
     return affectedPlayers;
   }
 
-  // Collision detection
-  public checkObstacleCollision(x: number, y: number, radius: number): boolean {
-    for (const obstacle of this.obstacles) {
+  // Fire the player's net launcher; false when it can't fire right now
+  public fireNet(player: Player, aim: Velocity): boolean {
+    return this.projectiles.fire(player, aim, this.context.clock.now(), this);
+  }
+
+  // Place the player's next portal ahead of them; false when it can't be placed there
+  public placePortal(player: Player, aim: Velocity): boolean {
+    return this.portals.place(player, aim, this.context.clock.now(), this);
+  }
+
+  public closePortals(ownerId: string): void {
+    this.portals.close(ownerId);
+  }
+
+  // Spawn a star mission for a caught player; false when they get none
+  public startStarMission(player: Player): boolean {
+    const stars = this.missions.assign(player, this.context.clock.now(), this.stars.filter(s => s.active), this);
+    this.stars.push(...stars);
+    return stars.length > 0;
+  }
+
+  // Mission progress after checkStarCollision handed out a mission star
+  public recordMissionStar(player: Player, star: Star): MissionResult | null {
+    const starsLeft = this.stars.filter(s => s.missionFor === star.missionFor).length;
+    const result = this.missions.collect(player, star, starsLeft, Array.from(this.players.values()));
+    if (result) this.removeMissionStars(result.playerId);
+    return result;
+  }
+
+  // Missions that ran out of time; stars of players who left go with them
+  public updateMissions(): MissionResult[] {
+    const results = this.missions.update(Array.from(this.players.values()), this.context.clock.now());
+    results.forEach(result => this.removeMissionStars(result.playerId));
+    this.stars = this.stars.filter(star => !star.missionFor || this.players.has(star.missionFor));
+    return results;
+  }
+
+  private removeMissionStars(playerId: string): void {
+    this.stars = this.stars.filter(star => star.missionFor !== playerId);
+  }
+
+  public getArena(): Arena {
+    return { width: this.gameWidth, height: this.gameHeight, wrap: !!this.currentLevel.wrap };
+  }
+
+  // Shortest distance between two points, across the seam on wrap-around levels
+  public getDistance(a: Position, b: Position): number {
+    return ArenaUtils.getDistance(a, b, this.getArena());
+  }
+
+  // Static obstacles on the floor plus crushers that are down and closed dynamic obstacles where they are now
+  public getBlockingObstacles(floor: number = 0): Obstacle[] {
+    const own = this.currentLevel.floors?.[floor]?.obstacles || [];
+    const moving = [...own, ...this.terrain.getBlockingObstacles(), ...this.dynamicObstacles.getBlockingObstacles()];
+    return moving.length > 0 ? [...this.obstacles, ...moving] : this.obstacles;
+  }
+
+  // Pickups can't get out of the way, so they also avoid everywhere a dynamic obstacle passes
+  public isClearForPickup(x: number, y: number, radius: number, floor: number = 0): boolean {
+    return !this.checkObstacleCollision(x, y, radius, undefined, floor) && !this.dynamicObstacles.isSwept(x, y, radius);
+  }
+
+  // Collision detection on the mover's floor; with a mover, trees don't block players who can climb them
+  public checkObstacleCollision(x: number, y: number, radius: number, mover?: Player, floor: number = mover?.floor ?? 0): boolean {
+    for (const obstacle of this.getBlockingObstacles(floor)) {
+      if (mover?.canClimbTrees && obstacle.kind === 'tree') continue;
+
       if (obstacle.type === 'rectangle' && obstacle.width && obstacle.height) {
+        // Turned rectangles are tested in their own axes
+        const local = DynamicObstacleUtils.toObstacleFrame(obstacle, x, y);
         const closestX = Math.max(
           obstacle.x - obstacle.width / 2,
-          Math.min(x, obstacle.x + obstacle.width / 2)
+          Math.min(local.x, obstacle.x + obstacle.width / 2)
         );
         const closestY = Math.max(
           obstacle.y - obstacle.height / 2,
-          Math.min(y, obstacle.y + obstacle.height / 2)
+          Math.min(local.y, obstacle.y + obstacle.height / 2)
         );
 
-        const distanceX = x - closestX;
-        const distanceY = y - closestY;
+        const distanceX = local.x - closestX;
+        const distanceY = local.y - closestY;
         const distanceSquared = distanceX * distanceX + distanceY * distanceY;
 
         if (distanceSquared < radius * radius) {
@@ -310,18 +403,35 @@ export class GameState {
     return false;
   }
 
-  // Safe spawn position using level-specific spawn points
-  public findSafeSpawnPosition(): Position {
+  // Closest spot clear of obstacles around a player, searching outwards; a spawn point if there is none nearby
+  public findClearPositionNear(player: Player): Position {
+    const radius = player.currentRadius;
+    for (let distance = 10; distance <= 200; distance += 10) {
+      for (let i = 0; i < 16; i++) {
+        const angle = (i / 16) * Math.PI * 2;
+        const { x, y } = ArenaUtils.confine(player.x + Math.cos(angle) * distance, player.y + Math.sin(angle) * distance, radius, this.getArena());
+        if (!this.checkObstacleCollision(x, y, radius, player)) {
+          return { x, y };
+        }
+      }
+    }
+    return this.findSafeSpawnPosition();
+  }
+
+  // Safe spawn position using level-specific spawn points (on the ground floor unless asked for another)
+  public findSafeSpawnPosition(floor: number = 0): Position {
     const playerRadius = 20;
-    const spawnPoints = this.currentLevel.spawnPoints;
+    const onFloor = this.currentLevel.spawnPoints.filter(spawnPoint => FloorUtils.getFloor(spawnPoint) === floor);
+    const spawnPoints = onFloor.length > 0 ? onFloor : this.currentLevel.spawnPoints;
     
     // Shuffle spawn points for randomness
-    const shuffledSpawns = [...spawnPoints].sort(() => Math.random() - 0.5);
+    const shuffledSpawns = this.context.random.shuffle(spawnPoints);
 
     for (const spawnPoint of shuffledSpawns) {
-      if (!this.checkObstacleCollision(spawnPoint.x, spawnPoint.y, playerRadius)) {
+      if (!this.checkObstacleCollision(spawnPoint.x, spawnPoint.y, playerRadius, undefined, floor)) {
         let tooClose = false;
         for (const player of this.players.values()) {
+          if (player.floor !== floor) continue;
           const dx = spawnPoint.x - player.x;
           const dy = spawnPoint.y - player.y;
           const distance = Math.sqrt(dx * dx + dy * dy);
@@ -380,48 +490,58 @@ export class GameState {
     player.velocity = { dx, dy };
 
     // Adjust speed based on whether player is "it" (catcher gets speed boost)
-    const currentSpeed = player.isIt ? player.speed * 1.3 : player.speed; // 30% speed boost for catcher
+    const currentSpeed = player.getCurrentSpeed();
     const moveDistance = currentSpeed * (deltaTime / 1000);
 
     // Calculate new position
     let newX = player.x + dx * moveDistance;
     let newY = player.y + dy * moveDistance;
 
-    // Keep player within bounds
-    newX = Math.max(player.currentRadius, Math.min(this.gameWidth - player.currentRadius, newX));
-    newY = Math.max(player.currentRadius, Math.min(this.gameHeight - player.currentRadius, newY));
+    // Keep player within bounds (or wrap around)
+    ({ x: newX, y: newY } = ArenaUtils.confine(newX, newY, player.currentRadius, this.getArena()));
 
-    // Check for obstacle collisions
-    const wouldCollide = this.checkObstacleCollision(newX, newY, player.currentRadius);
+    // Check for obstacle collisions (wall walkers only stop at the bounds)
+    const wouldCollide = !player.canWalkThroughWalls && this.checkObstacleCollision(newX, newY, player.currentRadius, player);
 
     if (!wouldCollide) {
       player.x = newX;
       player.y = newY;
     } else {
       // Try moving only in X direction
-      if (!this.checkObstacleCollision(newX, player.y, player.currentRadius)) {
+      if (!this.checkObstacleCollision(newX, player.y, player.currentRadius, player)) {
         player.x = newX;
       }
       // Try moving only in Y direction
-      else if (!this.checkObstacleCollision(player.x, newY, player.currentRadius)) {
+      else if (!this.checkObstacleCollision(player.x, newY, player.currentRadius, player)) {
         player.y = newY;
       }
       // If both directions would cause collision, don't move
     }
 
-    player.lastUpdate = Date.now();
+    player.lastUpdate = this.context.clock.now();
   }
 
   // Game update loop
   public update(deltaTime: number): void {
-    const now = Date.now();
+    const now = this.context.clock.now();
     
     // Update all players
+    const powerUpContext = this.getPowerUpContext();
     this.players.forEach(player => {
       player.updatePowerUps(now);
+      this.powerUpRegistry.update(player, powerUpContext, deltaTime);
       player.lastUpdate = now;
     });
 
+    // Moving walls and gates, then conveyors, crushers and bushes, then elevators and stairs
+    this.dynamicObstacles.update(Array.from(this.players.values()), now, this);
+    this.terrain.update(Array.from(this.players.values()), now, deltaTime, this);
+    this.floors.update(Array.from(this.players.values()), now, this);
+    this.portals.update(Array.from(this.players.values()), now, this);
+
+    // Nets fly after everything has moved
+    this.projectiles.update(Array.from(this.players.values()), deltaTime, this);
+
     // Update power-ups
     this.updatePowerUps(now);
     
@@ -465,9 +585,10 @@ export class GameState {
           if (newPosition) {
             star.x = newPosition.x;
             star.y = newPosition.y;
+            star.floor = newPosition.floor;
             star.active = true;
             star.spawnTime = now;
-            star.rotationAngle = Math.random() * Math.PI * 2;
+            star.rotationAngle = this.context.random.next() * Math.PI * 2;
             this.starRespawnTimer.delete(star.id);
           }
         }
@@ -495,9 +616,10 @@ export class GameState {
           if (newPosition) {
             stunOrb.x = newPosition.x;
             stunOrb.y = newPosition.y;
+            stunOrb.floor = newPosition.floor;
             stunOrb.active = true;
             stunOrb.spawnTime = now;
-            stunOrb.electricPhase = Math.random() * Math.PI * 2;
+            stunOrb.electricPhase = this.context.random.next() * Math.PI * 2;
             this.stunOrbRespawnTimer.delete(stunOrb.id);
           }
         }
@@ -505,7 +627,7 @@ export class GameState {
     }
   }
 
-  private findSafeStarPosition(): Position | null {
+  private findSafeStarPosition(): FloorPosition | null {
     const starPositions = [
       { x: 200, y: 150 },
       { x: 600, y: 150 },
@@ -518,12 +640,14 @@ export class GameState {
       { x: 500, y: 350 },
     ];
 
-    const shuffled = [...starPositions].sort(() => Math.random() - 0.5);
+    const shuffled = this.context.random.shuffle(starPositions);
+    const floor = this.pickFloor();
     
     for (const pos of shuffled) {
-      if (!this.checkObstacleCollision(pos.x, pos.y, 12)) {
+      if (this.isClearForPickup(pos.x, pos.y, 12, floor ?? 0)) {
         let tooClose = false;
         for (const player of this.players.values()) {
+          if (player.floor !== (floor ?? 0)) continue;
           const dx = pos.x - player.x;
           const dy = pos.y - player.y;
           const distance = Math.sqrt(dx * dx + dy * dy);
@@ -533,7 +657,7 @@ export class GameState {
           }
         }
         if (!tooClose) {
-          return pos;
+          return { ...pos, floor };
         }
       }
     }
@@ -541,7 +665,7 @@ export class GameState {
     return null;
   }
 
-  private findSafeStunOrbPosition(): Position | null {
+  private findSafeStunOrbPosition(): FloorPosition | null {
     const stunOrbPositions = [
       { x: 120, y: 200 },
       { x: 680, y: 200 },
@@ -553,12 +677,14 @@ export class GameState {
       { x: 550, y: 300 },
     ];
 
-    const shuffled = [...stunOrbPositions].sort(() => Math.random() - 0.5);
+    const shuffled = this.context.random.shuffle(stunOrbPositions);
+    const floor = this.pickFloor();
     
     for (const pos of shuffled) {
-      if (!this.checkObstacleCollision(pos.x, pos.y, 15)) {
+      if (this.isClearForPickup(pos.x, pos.y, 15, floor ?? 0)) {
         let tooClose = false;
         for (const player of this.players.values()) {
+          if (player.floor !== (floor ?? 0)) continue;
           const dx = pos.x - player.x;
           const dy = pos.y - player.y;
           const distance = Math.sqrt(dx * dx + dy * dy);
@@ -568,7 +694,7 @@ export class GameState {
           }
         }
         if (!tooClose) {
-          return pos;
+          return { ...pos, floor };
         }
       }
     }
@@ -576,18 +702,36 @@ export class GameState {
     return null;
   }
 
+  // A random floor for a pickup; undefined on single-floor levels, which don't mark pickups with one
+  private pickFloor(): number | undefined {
+    const count = FloorUtils.getFloorCount(this.currentLevel);
+    return count > 1 ? this.context.random.int(count) : undefined;
+  }
+
   // Level management methods
   public getCurrentLevel(): Level {
     return this.currentLevel;
   }
   
+  public getContext(): SimulationContext {
+    return this.context;
+  }
+
   public getLevelManager(): LevelManager {
     return this.levelManager;
   }
   
-  public transitionToNextLevel(): Level {
-    const nextLevel = this.levelManager.advanceToNextLevel();
+  public transitionToNextLevel(level?: Level): Level {
+    const nextLevel = (level && this.levelManager.advanceToLevel(level.id)) || this.levelManager.advanceToNextLevel();
     this.currentLevel = nextLevel;
+    this.terrain = new TerrainSystem(nextLevel, this.context.clock.now());
+    this.dynamicObstacles = new DynamicObstacleSystem(nextLevel, this.context.clock.now());
+    this.floors = new FloorSystem(nextLevel, this.context.clock.now());
+    this.projectiles = new ProjectileSystem();
+    this.portals = new PortalSystem();
+    this.players.forEach(player => {
+      player.mission = undefined; // Mission stars don't carry over
+    });
     this.initializeFromLevel();
     return nextLevel;
   }
@@ -614,8 +758,8 @@ export class GameState {
     const numPowerUps = Math.min(config.maxActive, 8); // Cap at 8 for performance
     
     if (config.locations === 'fixed') {
-      // Use predefined locations based on level theme
-      const fixedPositions = this.getFixedPowerUpPositions();
+      // Use the positions listed in the level file
+      const fixedPositions = this.currentLevel.powerUpPositions || [];
       fixedPositions.slice(0, numPowerUps).forEach((pos, index) => {
         this.createPowerUpAt(pos, index, config);
       });
@@ -630,30 +774,11 @@ export class GameState {
     }
   }
   
-  private getFixedPowerUpPositions(): Position[] {
-    // Return level-specific fixed positions
-    switch (this.currentLevel.theme) {
-      case 'islands':
-        return [
-          { x: 150, y: 200 }, { x: 350, y: 150 }, { x: 550, y: 200 },
-          { x: 150, y: 400 }, { x: 450, y: 450 }, { x: 650, y: 350 }
-        ];
-      case 'maze':
-        return [
-          { x: 120, y: 120 }, { x: 280, y: 200 }, { x: 520, y: 160 },
-          { x: 680, y: 320 }, { x: 360, y: 480 }, { x: 160, y: 440 }
-        ];
-      default:
-        return [
-          { x: 80, y: 80 }, { x: 720, y: 80 }, { x: 80, y: 520 },
-          { x: 720, y: 520 }, { x: 300, y: 150 }, { x: 500, y: 450 }
-        ];
-    }
-  }
-  
-  private createPowerUpAt(pos: Position, index: number, config: any): void {
-    if (!this.checkObstacleCollision(pos.x, pos.y, 15)) {
-      const powerUpType = config.types[Math.floor(Math.random() * config.types.length)];
+  private createPowerUpAt(pos: FloorPosition, index: number, config: PowerUpConfiguration): void {
+    // Only types with a registered effect are spawned
+    const types = config.types.filter(type => this.powerUpRegistry.has(type));
+    if (types.length > 0 && this.isClearForPickup(pos.x, pos.y, 15, FloorUtils.getFloor(pos))) {
+      const powerUpType = types[this.context.random.int(types.length)];
       this.powerUps.push({
         id: `powerup_${index}`,
         x: pos.x,
@@ -661,20 +786,23 @@ export class GameState {
         type: powerUpType,
         radius: 15,
         active: true,
-        duration: 5000,
+        duration: this.powerUpRegistry.get(powerUpType)!.duration,
         respawnTime: config.spawnRate,
+        floor: pos.floor,
       });
     }
   }
   
-  private findSafePowerUpPosition(): Position | null {
+  private findSafePowerUpPosition(): FloorPosition | null {
+    const floor = this.pickFloor();
     for (let attempts = 0; attempts < 50; attempts++) {
-      const x = Math.random() * (this.gameWidth - 100) + 50;
-      const y = Math.random() * (this.gameHeight - 100) + 50;
+      const x = this.context.random.next() * (this.gameWidth - 100) + 50;
+      const y = this.context.random.next() * (this.gameHeight - 100) + 50;
       
-      if (!this.checkObstacleCollision(x, y, 15)) {
+      if (this.isClearForPickup(x, y, 15, floor ?? 0)) {
         let tooClose = false;
         for (const player of this.players.values()) {
+          if (player.floor !== (floor ?? 0)) continue;
           const dx = x - player.x;
           const dy = y - player.y;
           if (Math.sqrt(dx * dx + dy * dy) < 80) {
@@ -683,7 +811,7 @@ export class GameState {
           }
         }
         if (!tooClose) {
-          return { x, y };
+          return { x, y, floor };
         }
       }
     }
@@ -693,14 +821,14 @@ export class GameState {
   private initializeStarsFromLevel(): void {
     // Use level-appropriate star positions
     const starPositions = this.getLevelSpecificPositions('stars');
-    const selectedPositions: Position[] = [];
+    const selectedPositions: FloorPosition[] = [];
     const positionsCopy = [...starPositions];
 
     while (selectedPositions.length < this.maxActiveStars && positionsCopy.length > 0) {
-      const randomIndex = Math.floor(Math.random() * positionsCopy.length);
-      const pos = positionsCopy.splice(randomIndex, 1)[0];
+      const randomIndex = this.context.random.int(positionsCopy.length);
+      const pos: FloorPosition = { ...positionsCopy.splice(randomIndex, 1)[0], floor: this.pickFloor() };
 
-      if (!this.checkObstacleCollision(pos.x, pos.y, 12)) {
+      if (this.isClearForPickup(pos.x, pos.y, 12, FloorUtils.getFloor(pos))) {
         selectedPositions.push(pos);
       }
     }
@@ -713,8 +841,9 @@ export class GameState {
         type: 'star',
         radius: 12,
         active: true,
-        spawnTime: Date.now(),
-        rotationAngle: Math.random() * Math.PI * 2,
+        spawnTime: this.context.clock.now(),
+        rotationAngle: this.context.random.next() * Math.PI * 2,
+        floor: pos.floor,
       });
     });
   }
@@ -722,14 +851,14 @@ export class GameState {
   private initializeStunOrbsFromLevel(): void {
     // Use level-appropriate stun orb positions
     const stunOrbPositions = this.getLevelSpecificPositions('stunOrbs');
-    const selectedPositions: Position[] = [];
+    const selectedPositions: FloorPosition[] = [];
     const positionsCopy = [...stunOrbPositions];
 
     while (selectedPositions.length < this.maxActiveStunOrbs && positionsCopy.length > 0) {
-      const randomIndex = Math.floor(Math.random() * positionsCopy.length);
-      const pos = positionsCopy.splice(randomIndex, 1)[0];
+      const randomIndex = this.context.random.int(positionsCopy.length);
+      const pos: FloorPosition = { ...positionsCopy.splice(randomIndex, 1)[0], floor: this.pickFloor() };
 
-      if (!this.checkObstacleCollision(pos.x, pos.y, 15)) {
+      if (this.isClearForPickup(pos.x, pos.y, 15, FloorUtils.getFloor(pos))) {
         selectedPositions.push(pos);
       }
     }
@@ -742,8 +871,9 @@ export class GameState {
         type: 'stunOrb',
         radius: 15,
         active: true,
-        spawnTime: Date.now(),
-        electricPhase: Math.random() * Math.PI * 2,
+        spawnTime: this.context.clock.now(),
+        electricPhase: this.context.random.next() * Math.PI * 2,
+        floor: pos.floor,
       });
     });
   }
@@ -763,8 +893,8 @@ export class GameState {
     switch (this.currentLevel.theme) {
       case 'islands':
         return basePositions.map(pos => ({
-          x: pos.x + (Math.random() - 0.5) * 30,
-          y: pos.y + (Math.random() - 0.5) * 30
+          x: pos.x + (this.context.random.next() - 0.5) * 30,
+          y: pos.y + (this.context.random.next() - 0.5) * 30
         }));
       case 'maze':
         return basePositions.filter((_, index) => index % 2 === 0); // Fewer items in maze
@@ -774,9 +904,30 @@ export class GameState {
   }
 
   // Serialization for network transmission
+  // Per-tick state for snapshot/delta broadcasts; copies pickups since they are mutated in place
+  public getDynamicState(): DynamicGameState {
+    return {
+      levelId: this.currentLevel.id,
+      players: Array.from(this.players.values()).map(p => p.toJSON()),
+      playerHints: [],
+      gameActive: this.gameActive,
+      timeRemaining: this.getTimeRemaining(),
+      powerUps: this.powerUps.filter(p => p.active).map(p => ({ ...p })),
+      stars: this.stars.filter(s => s.active).map(s => ({ ...s })),
+      stunOrbs: this.stunOrbs.filter(s => s.active).map(s => ({ ...s })),
+      // Undefined while a system has nothing to show, so snapshots of levels and rounds without it stay unchanged
+      crushers: this.terrain.getCrusherStates(this.context.clock.now()),
+      dynamicObstacles: this.dynamicObstacles.getStates(),
+      elevators: this.floors.getElevatorStates(),
+      projectiles: this.projectiles.getStates(),
+      portals: this.portals.getStates(this.context.config.portals.radius),
+    };
+  }
+
   public toJSON(): GameStateData {
     return {
       players: Array.from(this.players.values()).map(p => p.toJSON()),
+      playerHints: [],
       gameActive: this.gameActive,
       timeRemaining: this.getTimeRemaining(),
       gameWidth: this.gameWidth,
@@ -785,6 +936,11 @@ export class GameState {
       powerUps: this.powerUps.filter(p => p.active),
       stars: this.stars.filter(s => s.active),
       stunOrbs: this.stunOrbs.filter(s => s.active),
+      crushers: this.terrain.getCrusherStates(this.context.clock.now()),
+      dynamicObstacles: this.dynamicObstacles.getStates(),
+      elevators: this.floors.getElevatorStates(),
+      projectiles: this.projectiles.getStates(),
+      portals: this.portals.getStates(this.context.config.portals.radius),
       currentLevel: this.currentLevel,
     };
   }
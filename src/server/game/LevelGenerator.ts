@@ -0,0 +1,288 @@
+import { FloorPosition, Level, LevelTheme, Obstacle, Position, PowerUpType, SpawnPoint } from '@shared/types';
+import { LevelValidator } from '../../shared/utils/LevelValidator';
+import { SeededRandom } from './SeededRandom';
+
+export interface LevelGeneratorOptions {
+  theme: LevelTheme;
+  difficulty: number; // 1 (open) to 5 (crowded)
+  seed: number;
+  width?: number; // px, the 800x600 arena by default
+  height?: number;
+}
+
+interface ThemeStyle {
+  label: string;
+  powerUps: PowerUpType[]; // Only types with an effect in the PowerUpRegistry, or they never spawn
+  cover: string; // nearbyFeatures name for spawn points next to an obstacle
+  color: string; // Ambient background
+}
+
+const THEME_STYLES: Record<LevelTheme, ThemeStyle> = {
+  classic: { label: 'Arena', powerUps: ['transparency', 'speed', 'stun', 'size', 'netLauncher'], cover: 'wall', color: '#333333' },
+  maze: { label: 'Maze', powerUps: ['transparency', 'wallWalk', 'echoLocate', 'teleport', 'portalGun'], cover: 'maze_corridor', color: '#2a2a2a' },
+  islands: { label: 'Islands', powerUps: ['transparency', 'speed', 'teleport', 'netLauncher'], cover: 'island', color: '#4a90e2' },
+  factory: { label: 'Factory', powerUps: ['conveyorControl', 'platformLock', 'industrialShield', 'speed'], cover: 'machine_block', color: '#5a5f66' },
+  forest: { label: 'Forest', powerUps: ['treeClimb', 'naturesCall', 'camouflage', 'echoLocate'], cover: 'tree', color: '#2f6b2f' },
+};
+
+const DEFAULT_WIDTH = 800;
+const DEFAULT_HEIGHT = 600;
+const MAX_ATTEMPTS = 20; // Layouts tried per seed before giving up
+const EDGE_GAP = 60; // px kept free along the boundaries, so the edges connect every gap between obstacles
+const OBSTACLE_GAP = 60; // px between scattered obstacles, comfortably wider than a player
+const MAZE_WALL = 16; // px wall thickness
+const SPAWN_COUNT = 8;
+const MIN_SPAWN_COUNT = 6;
+const SPAWN_MARGIN = 25; // px clearance around spawn points, a little more than the player radius
+const SPAWN_DISTANCE = 120; // px between spawn points
+const COVER_DISTANCE = 60; // px from an obstacle that counts as next to cover
+const EDGE_DISTANCE = 80; // px from the boundary that counts as along the edge
+const PICKUP_MARGIN = 20;
+const PICKUP_DISTANCE = 80; // px between pickups, and from pickups to spawn points
+
+// Half the width and height of the box around an obstacle
+function halfSize(obstacle: Obstacle): Position {
+  if (obstacle.type === 'circle') {
+    return { x: obstacle.radius || 0, y: obstacle.radius || 0 };
+  }
+  return { x: (obstacle.width || 0) / 2, y: (obstacle.height || 0) / 2 };
+}
+
+// Distance between the boxes around two obstacles (or an obstacle and a point); 0 or less when they touch
+function gapBetween(a: Obstacle | Position, b: Obstacle): number {
+  if (!('type' in a) && b.type === 'circle') {
+    return Math.hypot(a.x - b.x, a.y - b.y) - (b.radius || 0);
+  }
+  const aHalf = 'type' in a ? halfSize(a) : { x: 0, y: 0 };
+  const bHalf = halfSize(b);
+  const dx = Math.abs(a.x - b.x) - aHalf.x - bHalf.x;
+  const dy = Math.abs(a.y - b.y) - aHalf.y - bHalf.y;
+  return dx > 0 && dy > 0 ? Math.hypot(dx, dy) : Math.max(dx, dy);
+}
+
+// Seeded procedural levels: the same options always give the same level. Each layout has to pass
+// LevelGenerator.check before it is returned; generate() keeps drawing from the seed until one does,
+// and gives up with null after MAX_ATTEMPTS.
+export class LevelGenerator {
+  private readonly options: Required<LevelGeneratorOptions>;
+  private random: SeededRandom;
+
+  constructor(options: LevelGeneratorOptions) {
+    this.options = {
+      width: DEFAULT_WIDTH,
+      height: DEFAULT_HEIGHT,
+      ...options,
+      difficulty: Math.max(1, Math.min(5, Math.round(options.difficulty))),
+      seed: options.seed >>> 0,
+    };
+    this.random = new SeededRandom(this.options.seed);
+  }
+
+  // Problems that keep a level out of play: the usual level checks, then every open area must be
+  // reachable and spawn points must be spread out
+  public static check(level: Level): string[] {
+    const errors = LevelValidator.validate(level);
+    return errors.length > 0 ? errors : LevelValidator.checkLayout(level, SPAWN_DISTANCE);
+  }
+
+  public generate(): Level | null {
+    this.random = new SeededRandom(this.options.seed);
+    for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+      const level = this.createLevel();
+      if (level && LevelGenerator.check(level).length === 0) {
+        return level;
+      }
+    }
+    return null;
+  }
+
+  // One layout; null when it doesn't leave room for enough spawn points or pickups
+  private createLevel(): Level | null {
+    const { theme, difficulty, seed, width, height } = this.options;
+    const style = THEME_STYLES[theme];
+    const maxActive = 3 + Math.floor(difficulty / 2);
+    const level: Level = {
+      id: `generated_${theme}_${difficulty}_${seed}`,
+      name: `Generated ${style.label}`,
+      theme,
+      description: `A generated ${style.label.toLowerCase()} level (seed ${seed})`,
+      boundaries: { x: 0, y: 0, width, height },
+      obstacles: this.createObstacles(),
+      spawnPoints: [],
+      powerUpConfig: { spawnRate: 8000, maxActive, types: [...style.powerUps], locations: 'fixed' },
+      backgroundElements: [{ x: 0, y: 0, type: 'ambient', color: style.color, opacity: 0.2 }],
+      difficulty,
+      seed,
+    };
+
+    level.spawnPoints = this.placeSpawnPoints(level);
+    if (level.spawnPoints.length < MIN_SPAWN_COUNT) return null;
+    level.powerUpPositions = this.placePickups(level);
+    if (level.powerUpPositions.length < maxActive) return null;
+    return level;
+  }
+
+  private createObstacles(): Obstacle[] {
+    const { theme, difficulty } = this.options;
+    switch (theme) {
+      case 'maze':
+        return this.createMaze();
+      case 'islands':
+        return this.scatter(3 + difficulty, () => this.circle(30, 70));
+      case 'forest':
+        return this.scatter(6 + 3 * difficulty, () => ({ ...this.circle(15, 30), kind: 'tree' }));
+      case 'factory':
+        // Long machine blocks, mostly lying across the floor
+        return this.scatter(4 + 2 * difficulty, () => this.random.next() < 0.7
+          ? this.rectangle(100, 200, 30, 50)
+          : this.rectangle(30, 50, 100, 200));
+      default:
+        return this.scatter(3 + 2 * difficulty, () => this.random.next() < 0.3
+          ? this.circle(20, 40)
+          : this.rectangle(30, 120, 30, 120));
+    }
+  }
+
+  // Drops obstacles at random spots away from the edges and each other, so there's a way round every one
+  private scatter(count: number, create: () => Obstacle): Obstacle[] {
+    const { width, height } = this.options;
+    const placed: Obstacle[] = [];
+    for (let tries = 0; placed.length < count && tries < count * 20; tries++) {
+      const obstacle = create();
+      const half = halfSize(obstacle);
+      if (width - 2 * (EDGE_GAP + half.x) <= 0 || height - 2 * (EDGE_GAP + half.y) <= 0) continue;
+
+      obstacle.x = Math.round(this.random.range(EDGE_GAP + half.x, width - EDGE_GAP - half.x));
+      obstacle.y = Math.round(this.random.range(EDGE_GAP + half.y, height - EDGE_GAP - half.y));
+      if (placed.every(other => gapBetween(obstacle, other) >= OBSTACLE_GAP)) {
+        placed.push(obstacle);
+      }
+    }
+    return placed;
+  }
+
+  // A maze carved through a grid of cells (more, smaller cells with difficulty), with a few extra
+  // openings so it has loops; fewer of those the harder it gets
+  private createMaze(): Obstacle[] {
+    const { width, height, difficulty } = this.options;
+    const columns = 3 + difficulty;
+    const rows = Math.max(2, Math.round(columns * height / width));
+    const cellWidth = width / columns;
+    const cellHeight = height / rows;
+
+    // Walls to the right of and below each cell; carving knocks them down
+    const right = Array.from({ length: columns * rows }, (_, index) => index % columns < columns - 1);
+    const below = Array.from({ length: columns * rows }, (_, index) => index < columns * (rows - 1));
+    const visited = new Array<boolean>(columns * rows).fill(false);
+    const stack = [this.random.int(columns * rows)];
+    visited[stack[0]] = true;
+    while (stack.length > 0) {
+      const cell = stack[stack.length - 1];
+      const column = cell % columns;
+      const neighbours = [
+        column > 0 ? cell - 1 : -1,
+        column < columns - 1 ? cell + 1 : -1,
+        cell - columns,
+        cell + columns,
+      ].filter(next => next >= 0 && next < visited.length && !visited[next]);
+      if (neighbours.length === 0) {
+        stack.pop();
+        continue;
+      }
+      const next = this.random.pick(neighbours);
+      if (Math.abs(next - cell) === 1) {
+        right[Math.min(cell, next)] = false;
+      } else {
+        below[Math.min(cell, next)] = false;
+      }
+      visited[next] = true;
+      stack.push(next);
+    }
+
+    const openChance = 0.3 - 0.05 * difficulty;
+    const walls: Obstacle[] = [];
+    for (let cell = 0; cell < columns * rows; cell++) {
+      const column = cell % columns;
+      const row = Math.floor(cell / columns);
+      if (right[cell] && this.random.next() >= openChance) {
+        walls.push(this.wall((column + 1) * cellWidth, (column + 1) * cellWidth, row * cellHeight, (row + 1) * cellHeight));
+      }
+      if (below[cell] && this.random.next() >= openChance) {
+        walls.push(this.wall(column * cellWidth, (column + 1) * cellWidth, (row + 1) * cellHeight, (row + 1) * cellHeight));
+      }
+    }
+    return walls;
+  }
+
+  // Wall along a cell edge from (x1, y1) to (x2, y2), reaching into the corners and cut off at the boundaries
+  private wall(x1: number, x2: number, y1: number, y2: number): Obstacle {
+    const left = Math.max(0, Math.round(x1 - MAZE_WALL / 2));
+    const right = Math.min(this.options.width, Math.round(x2 + MAZE_WALL / 2));
+    const top = Math.max(0, Math.round(y1 - MAZE_WALL / 2));
+    const bottom = Math.min(this.options.height, Math.round(y2 + MAZE_WALL / 2));
+    return { x: (left + right) / 2, y: (top + bottom) / 2, width: right - left, height: bottom - top, type: 'rectangle' };
+  }
+
+  private circle(minRadius: number, maxRadius: number): Obstacle {
+    return { x: 0, y: 0, radius: Math.round(this.random.range(minRadius, maxRadius)), type: 'circle' };
+  }
+
+  private rectangle(minWidth: number, maxWidth: number, minHeight: number, maxHeight: number): Obstacle {
+    return {
+      x: 0,
+      y: 0,
+      width: Math.round(this.random.range(minWidth, maxWidth)),
+      height: Math.round(this.random.range(minHeight, maxHeight)),
+      type: 'rectangle',
+    };
+  }
+
+  private randomPoint(margin: number): Position {
+    return {
+      x: Math.round(this.random.range(margin, this.options.width - margin)),
+      y: Math.round(this.random.range(margin, this.options.height - margin)),
+    };
+  }
+
+  private placeSpawnPoints(level: Level): SpawnPoint[] {
+    const spawns: SpawnPoint[] = [];
+    for (let tries = 0; spawns.length < SPAWN_COUNT && tries < SPAWN_COUNT * 50; tries++) {
+      const point = this.randomPoint(SPAWN_MARGIN);
+      if (LevelValidator.isClear(level, point, SPAWN_MARGIN) &&
+        spawns.every(spawn => Math.hypot(spawn.x - point.x, spawn.y - point.y) >= SPAWN_DISTANCE)) {
+        spawns.push(this.classifySpawn(level, point));
+      }
+    }
+    return spawns;
+  }
+
+  // Next to cover: strategic and hidden. Along the edges: safe. Out in the open: risky.
+  private classifySpawn(level: Level, point: Position): SpawnPoint {
+    if (level.obstacles.some(obstacle => gapBetween(point, obstacle) < COVER_DISTANCE)) {
+      return { ...point, type: 'strategic', visibility: 'hidden', nearbyFeatures: [THEME_STYLES[level.theme].cover] };
+    }
+
+    const nearSide = point.x < EDGE_DISTANCE || point.x > this.options.width - EDGE_DISTANCE;
+    const nearEnd = point.y < EDGE_DISTANCE || point.y > this.options.height - EDGE_DISTANCE;
+    if (nearSide || nearEnd) {
+      return { ...point, type: 'safe', visibility: 'open', nearbyFeatures: [nearSide && nearEnd ? 'corner' : 'edge'] };
+    }
+    return { ...point, type: 'risky', visibility: 'open', nearbyFeatures: ['open_ground'] };
+  }
+
+  // A couple more spots than can be active at once, spread out and away from the spawn points
+  private placePickups(level: Level): FloorPosition[] {
+    const count = level.powerUpConfig.maxActive + 2;
+    const taken: Position[] = [...level.spawnPoints];
+    const pickups: FloorPosition[] = [];
+    for (let tries = 0; pickups.length < count && tries < count * 50; tries++) {
+      const point = this.randomPoint(PICKUP_MARGIN);
+      if (LevelValidator.isClear(level, point, PICKUP_MARGIN) &&
+        taken.every(other => Math.hypot(other.x - point.x, other.y - point.y) >= PICKUP_DISTANCE)) {
+        pickups.push(point);
+        taken.push(point);
+      }
+    }
+    return pickups;
+  }
+}
@@ -0,0 +1,156 @@
+import fs from 'fs';
+import path from 'path';
+import { Level } from '@shared/types';
+import { LevelValidator } from '../../shared/utils/LevelValidator';
+
+export const DEFAULT_LEVELS_DIR = process.env.LEVELS_DIR || path.join(process.cwd(), 'levels');
+
+interface LoadedFile {
+  mtimeMs: number;
+  size: number;
+  level: Level | null; // null when the file never validated
+}
+
+// Level files in a directory, one JSON Level per file, in file name order.
+// Shared by all rooms; refresh() re-reads changed files so edits apply at the next round.
+export class LevelLibrary {
+  private readonly directory: string | null; // null for a fixed set of levels (fromLevels)
+  private files = new Map<string, LoadedFile>();
+  private levels: Level[] = [];
+  private errors = new Map<string, string[]>();
+  private version = 0;
+
+  private static defaultLibrary: LevelLibrary | null = null;
+
+  // Shared library for DEFAULT_LEVELS_DIR, loaded on first use
+  public static getDefault(): LevelLibrary {
+    if (!LevelLibrary.defaultLibrary) {
+      LevelLibrary.defaultLibrary = new LevelLibrary();
+    }
+    return LevelLibrary.defaultLibrary;
+  }
+
+  // A fixed set of levels with no files behind them, e.g. a level being test-played from the editor
+  public static fromLevels(levels: Level[]): LevelLibrary {
+    const library = new LevelLibrary(null);
+    library.levels = [...levels];
+    library.version = 1;
+    return library;
+  }
+
+  constructor(directory: string | null = DEFAULT_LEVELS_DIR) {
+    this.directory = directory;
+    this.refresh();
+  }
+
+  public getLevels(): Level[] {
+    return this.levels;
+  }
+
+  // Bumped whenever the set of levels changes
+  public getVersion(): number {
+    return this.version;
+  }
+
+  // Problems per file name from the latest load of each file
+  public getErrors(): Map<string, string[]> {
+    return new Map(this.errors);
+  }
+
+  // Re-read files that were added, changed or removed; returns true if the levels changed.
+  // A file that fails validation keeps its last valid version.
+  public refresh(): boolean {
+    if (this.directory === null) return false;
+
+    let fileNames: string[];
+    try {
+      fileNames = fs.readdirSync(this.directory).filter(name => name.endsWith('.json')).sort();
+    } catch (error) {
+      if (this.version === 0) {
+        console.error(`Cannot read levels directory ${this.directory}:`, (error as Error).message);
+      }
+      fileNames = [];
+    }
+
+    let changed = false;
+    const seen = new Set<string>();
+
+    for (const fileName of fileNames) {
+      seen.add(fileName);
+      let stats: fs.Stats;
+      try {
+        stats = fs.statSync(path.join(this.directory, fileName));
+      } catch {
+        continue; // Removed while listing
+      }
+
+      const previous = this.files.get(fileName);
+      if (previous && previous.mtimeMs === stats.mtimeMs && previous.size === stats.size) continue;
+
+      const level = this.loadFile(this.directory, fileName);
+      this.files.set(fileName, { mtimeMs: stats.mtimeMs, size: stats.size, level: level || previous?.level || null });
+      changed = changed || !!level;
+    }
+
+    for (const fileName of Array.from(this.files.keys())) {
+      if (!seen.has(fileName)) {
+        this.files.delete(fileName);
+        this.errors.delete(fileName);
+        changed = true;
+        console.log(`Level file ${fileName} removed`);
+      }
+    }
+
+    if (changed || this.version === 0) {
+      this.levels = this.collectLevels();
+      this.version++;
+    }
+    return changed;
+  }
+
+  private loadFile(directory: string, fileName: string): Level | null {
+    const filePath = path.join(directory, fileName);
+    let data: unknown;
+    try {
+      data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      this.reportErrors(fileName, [`cannot be parsed: ${(error as Error).message}`]);
+      return null;
+    }
+
+    const problems = LevelValidator.validate(data);
+    if (problems.length > 0) {
+      this.reportErrors(fileName, problems);
+      return null;
+    }
+
+    this.errors.delete(fileName);
+    console.log(`Level file ${fileName} loaded`);
+    return data as Level;
+  }
+
+  // Files are read in name order; a later file reusing an id is skipped
+  private collectLevels(): Level[] {
+    const levels: Level[] = [];
+    const ids = new Set<string>();
+
+    Array.from(this.files.keys()).sort().forEach(fileName => {
+      const level = this.files.get(fileName)?.level;
+      if (!level) return;
+
+      if (ids.has(level.id)) {
+        this.reportErrors(fileName, [`duplicate level id "${level.id}"`]);
+        return;
+      }
+      ids.add(level.id);
+      levels.push(level);
+    });
+
+    return levels;
+  }
+
+  private reportErrors(fileName: string, problems: string[]): void {
+    this.errors.set(fileName, problems);
+    console.error(`Invalid level file ${fileName}:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+  }
+}
@@ -1,4 +1,8 @@
-import { Level, LevelTheme, SpawnPoint, Obstacle, PowerUpConfiguration, BackgroundElement, Rectangle, PowerUpType } from '@shared/types/GameTypes';
+import { Level, SpawnPoint } from '@shared/types/GameTypes';
+import { LEVEL_THEMES } from '../../shared/types/GameTypes';
+import { SeededRandom } from './SeededRandom';
+import { LevelLibrary } from './LevelLibrary';
+import { LevelGenerator } from './LevelGenerator';
 
 export type LevelRotationType = 'sequential' | 'random' | 'voting';
 
@@ -7,18 +11,42 @@ export interface LevelManagerConfig {
   roundDuration: number; // ms
   transitionDuration: number; // ms
   previewDuration: number; // ms
+  generatedLevels?: number; // Generated levels in the rotation after the level files; each is replaced by a new one once played
 }
 
 export class LevelManager {
   private availableLevels: Level[] = [];
+  private generatedLevels: Level[] = [];
   private currentLevelIndex: number = 0;
   private config: LevelManagerConfig;
   private levelHistory: string[] = [];
   private readonly maxHistorySize = 3;
+  private random: SeededRandom;
+  private library: LevelLibrary;
+  private libraryVersion = -1;
 
-  constructor(config: LevelManagerConfig) {
+  constructor(config: LevelManagerConfig, random: SeededRandom = new SeededRandom(), library: LevelLibrary = LevelLibrary.getDefault()) {
     this.config = config;
-    this.initializeLevels();
+    this.random = random;
+    this.library = library;
+    for (let i = 0; i < (config.generatedLevels || 0); i++) {
+      const level = this.generateLevel();
+      if (level) this.generatedLevels.push(level);
+    }
+    this.loadLevelsFromLibrary();
+  }
+
+  // Pick up edited level files; called at round boundaries so a round never changes under the players
+  public refreshLevels(): boolean {
+    this.library.refresh();
+    if (this.library.getVersion() === this.libraryVersion) return false;
+
+    this.loadLevelsFromLibrary();
+    return true;
+  }
+
+  public getRotation(): LevelRotationType {
+    return this.config.rotation;
   }
 
   public getCurrentLevel(): Level {
@@ -32,7 +60,7 @@ export class LevelManager {
       case 'random':
         return this.getRandomNext();
       case 'voting':
-        // For now, fallback to random until voting is implemented
+        // Voting rooms normally pick from getLevelPreviewOptions(); random when there's nothing to vote on
         return this.getRandomNext();
       default:
         return this.getSequentialNext();
@@ -40,21 +68,25 @@ export class LevelManager {
   }
 
   public advanceToNextLevel(): Level {
-    const nextLevel = this.getNextLevel();
-    const currentLevel = this.getCurrentLevel();
-    
+    return this.advanceToLevel(this.getNextLevel().id) || this.getCurrentLevel();
+  }
+
+  // Switch to a specific level, e.g. the one already announced in the preview or forced by an admin
+  public advanceToLevel(levelId: string): Level | null {
+    const nextIndex = this.availableLevels.findIndex(level => level.id === levelId);
+    if (nextIndex === -1) return null;
+
     // Add current level to history
+    const currentLevel = this.getCurrentLevel();
     if (currentLevel) {
       this.addToHistory(currentLevel.id);
     }
-    
-    // Find and set the next level index
-    const nextIndex = this.availableLevels.findIndex(level => level.id === nextLevel.id);
-    if (nextIndex !== -1) {
-      this.currentLevelIndex = nextIndex;
+
+    this.currentLevelIndex = nextIndex;
+    if (currentLevel.id !== levelId) {
+      this.replaceGeneratedLevel(currentLevel);
     }
-    
-    return nextLevel;
+    return this.availableLevels[nextIndex];
   }
 
   public getLevelById(id: string): Level | null {
@@ -79,7 +111,7 @@ export class LevelManager {
     }
     
     // Shuffle and return requested count
-    return this.shuffleArray(available).slice(0, count);
+    return this.random.shuffle(available).slice(0, count);
   }
 
   private getSequentialNext(): Level {
@@ -96,10 +128,34 @@ export class LevelManager {
     if (available.length === 0) {
       // If all levels are in history, clear it and try again
       this.levelHistory = [];
-      return this.availableLevels[Math.floor(Math.random() * this.availableLevels.length)];
+      return this.availableLevels[this.random.int(this.availableLevels.length)];
     }
     
-    return available[Math.floor(Math.random() * available.length)];
+    return available[this.random.int(available.length)];
+  }
+
+  // A new level from the manager's random numbers; null when no layout for the seed passed the checks
+  private generateLevel(): Level | null {
+    const options = {
+      theme: this.random.pick([...LEVEL_THEMES]),
+      difficulty: 1 + this.random.int(5),
+      seed: this.random.int(0x100000000),
+    };
+    const level = new LevelGenerator(options).generate();
+    if (!level) {
+      console.warn(`No playable ${options.theme} level for seed ${options.seed}`);
+    }
+    return level;
+  }
+
+  // A generated level that has been played makes way for a new one in the same slot
+  private replaceGeneratedLevel(played: Level): void {
+    const index = this.generatedLevels.indexOf(played);
+    const replacement = index === -1 ? null : this.generateLevel();
+    if (!replacement) return;
+
+    this.generatedLevels[index] = replacement;
+    this.availableLevels[this.availableLevels.indexOf(played)] = replacement;
   }
 
   private addToHistory(levelId: string): void {
@@ -109,23 +165,23 @@ export class LevelManager {
     }
   }
 
-  private shuffleArray<T>(array: T[]): T[] {
-    const shuffled = [...array];
-    for (let i = shuffled.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  private loadLevelsFromLibrary(): void {
+    const currentLevelId = this.availableLevels[this.currentLevelIndex]?.id;
+    const levels = this.library.getLevels();
+    this.libraryVersion = this.library.getVersion();
+
+    if (levels.length === 0) {
+      console.warn('No valid level files found, using the built-in arena');
+      this.availableLevels = [this.getDefaultLevel(), ...this.generatedLevels];
+    } else {
+      this.availableLevels = [...levels, ...this.generatedLevels];
     }
-    return shuffled;
-  }
 
-  private initializeLevels(): void {
-    this.availableLevels = [
-      this.createClassicArenaLevel(),
-      this.createMazeRunnerLevel(),
-      this.createIslandHopperLevel(),
-    ];
+    // Stay on the same level if it still exists
+    this.currentLevelIndex = Math.max(0, this.availableLevels.findIndex(level => level.id === currentLevelId));
   }
 
+  // Fallback when no level file could be loaded
   private createClassicArenaLevel(): Level {
     const gameWidth = 800;
     const gameHeight = 600;
@@ -149,52 +205,6 @@ export class LevelManager {
     };
   }
 
-  private createMazeRunnerLevel(): Level {
-    const gameWidth = 800;
-    const gameHeight = 600;
-    
-    return {
-      id: 'maze_runner',
-      name: 'Maze Runner',
-      theme: 'maze',
-      description: 'Navigate through complex maze corridors with strategic hiding spots',
-      boundaries: { x: 0, y: 0, width: gameWidth, height: gameHeight },
-      obstacles: this.generateMazeObstacles(gameWidth, gameHeight),
-      spawnPoints: this.generateMazeSpawnPoints(gameWidth, gameHeight),
-      powerUpConfig: {
-        spawnRate: 10000,
-        maxActive: 4,
-        types: ['transparency', 'wallWalk', 'echoLocate', 'teleport'],
-        locations: 'strategic'
-      },
-      backgroundElements: this.generateMazeBackground(),
-      difficulty: 3
-    };
-  }
-
-  private createIslandHopperLevel(): Level {
-    const gameWidth = 800;
-    const gameHeight = 600;
-    
-    return {
-      id: 'island_hopper',
-      name: 'Island Hopper',
-      theme: 'islands',
-      description: 'Jump between floating islands connected by bridges',
-      boundaries: { x: 0, y: 0, width: gameWidth, height: gameHeight },
-      obstacles: this.generateIslandObstacles(gameWidth, gameHeight),
-      spawnPoints: this.generateIslandSpawnPoints(gameWidth, gameHeight),
-      powerUpConfig: {
-        spawnRate: 7000,
-        maxActive: 5,
-        types: ['superJump', 'bridgeBuilder', 'waterWalk', 'transparency'],
-        locations: 'fixed'
-      },
-      backgroundElements: this.generateIslandBackground(),
-      difficulty: 2
-    };
-  }
-
   private generateClassicSpawnPoints(width: number, height: number): SpawnPoint[] {
     const margin = 50;
     const points: SpawnPoint[] = [];
@@ -218,155 +228,6 @@ export class LevelManager {
     return points;
   }
 
-  private generateMazeObstacles(width: number, height: number): Obstacle[] {
-    const obstacles: Obstacle[] = [];
-    const wallThickness = 20;
-    const cellSize = 80;
-    
-    // Create a simple maze pattern
-    for (let x = cellSize; x < width - cellSize; x += cellSize * 2) {
-      for (let y = cellSize; y < height - cellSize; y += cellSize) {
-        if (Math.random() > 0.3) {
-          obstacles.push({
-            x: x,
-            y: y,
-            width: wallThickness,
-            height: cellSize,
-            type: 'rectangle'
-          });
-        }
-      }
-    }
-    
-    for (let y = cellSize; y < height - cellSize; y += cellSize * 2) {
-      for (let x = cellSize; x < width - cellSize; x += cellSize) {
-        if (Math.random() > 0.3) {
-          obstacles.push({
-            x: x,
-            y: y,
-            width: cellSize,
-            height: wallThickness,
-            type: 'rectangle'
-          });
-        }
-      }
-    }
-    
-    return obstacles;
-  }
-
-  private generateMazeSpawnPoints(width: number, height: number): SpawnPoint[] {
-    const points: SpawnPoint[] = [];
-    const cellSize = 80;
-    
-    // Spawn points in maze corridors
-    for (let x = cellSize / 2; x < width; x += cellSize) {
-      for (let y = cellSize / 2; y < height; y += cellSize) {
-        if (Math.random() > 0.7) {
-          points.push({
-            x: x,
-            y: y,
-            type: 'strategic',
-            visibility: 'hidden',
-            nearbyFeatures: ['maze_corridor']
-          });
-        }
-      }
-    }
-    
-    // Ensure we have at least 8 spawn points
-    while (points.length < 8) {
-      points.push({
-        x: Math.random() * (width - 100) + 50,
-        y: Math.random() * (height - 100) + 50,
-        type: 'safe',
-        visibility: 'open',
-        nearbyFeatures: ['maze_opening']
-      });
-    }
-    
-    return points;
-  }
-
-  private generateIslandObstacles(width: number, height: number): Obstacle[] {
-    const obstacles: Obstacle[] = [];
-    const numIslands = 6;
-    
-    for (let i = 0; i < numIslands; i++) {
-      const x = (width / (numIslands / 2)) * (i % 3) + 100;
-      const y = (height / 3) * Math.floor(i / 3) + 150;
-      const radius = 60 + Math.random() * 40;
-      
-      obstacles.push({
-        x: x,
-        y: y,
-        radius: radius,
-        type: 'circle'
-      });
-    }
-    
-    return obstacles;
-  }
-
-  private generateIslandSpawnPoints(width: number, height: number): SpawnPoint[] {
-    const points: SpawnPoint[] = [];
-    const islands = this.generateIslandObstacles(width, height);
-    
-    // One spawn point per island
-    islands.forEach((island, index) => {
-      if (island.radius) {
-        points.push({
-          x: island.x,
-          y: island.y,
-          type: index === 0 ? 'strategic' : 'safe',
-          visibility: 'elevated',
-          nearbyFeatures: ['island', 'water']
-        });
-      }
-    });
-    
-    return points;
-  }
-
-  private generateMazeBackground(): BackgroundElement[] {
-    return [
-      {
-        x: 0,
-        y: 0,
-        type: 'ambient',
-        color: '#2a2a2a',
-        opacity: 0.1
-      }
-    ];
-  }
-
-  private generateIslandBackground(): BackgroundElement[] {
-    const elements: BackgroundElement[] = [];
-    
-    // Water background
-    elements.push({
-      x: 0,
-      y: 0,
-      type: 'ambient',
-      color: '#4a90e2',
-      opacity: 0.3
-    });
-    
-    // Floating particles
-    for (let i = 0; i < 20; i++) {
-      elements.push({
-        x: Math.random() * 800,
-        y: Math.random() * 600,
-        radius: 2 + Math.random() * 3,
-        type: 'particle',
-        color: '#ffffff',
-        opacity: 0.6
-      });
-    }
-    
-    return elements;
-  }
-
   private getDefaultLevel(): Level {
     return this.createClassicArenaLevel();
   }
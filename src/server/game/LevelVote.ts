@@ -0,0 +1,70 @@
+import { Level, LevelVoteData } from '@shared/types';
+
+// One vote on the next level. Each player has one vote they can move until the vote is resolved.
+// Most votes wins; a tie goes to the level that got to that many votes first, and with no votes at
+// all the first candidate wins.
+export class LevelVote {
+  private readonly candidates: Level[];
+  private votes = new Map<string, { levelId: string; order: number }>();
+  private nextOrder = 0;
+
+  constructor(candidates: Level[]) {
+    this.candidates = candidates;
+  }
+
+  public getCandidates(): Level[] {
+    return this.candidates;
+  }
+
+  // False for levels that aren't on the ballot
+  public cast(playerId: string, levelId: string): boolean {
+    if (!this.candidates.some(level => level.id === levelId)) return false;
+    if (this.votes.get(playerId)?.levelId === levelId) return true;
+
+    this.votes.set(playerId, { levelId, order: this.nextOrder++ });
+    return true;
+  }
+
+  public remove(playerId: string): boolean {
+    return this.votes.delete(playerId);
+  }
+
+  public hasVoted(playerId: string): boolean {
+    return this.votes.has(playerId);
+  }
+
+  public getState(): LevelVoteData {
+    const counts = this.countVotes();
+    return {
+      tallies: this.candidates.map(level => ({ levelId: level.id, votes: counts.get(level.id)?.votes || 0 })),
+      leaderId: this.resolve().id,
+    };
+  }
+
+  public resolve(): Level {
+    const counts = this.countVotes();
+    let winner = this.candidates[0];
+    let best = counts.get(winner.id) || { votes: 0, reachedAt: Infinity };
+
+    this.candidates.forEach(level => {
+      const count = counts.get(level.id);
+      if (count && (count.votes > best.votes || (count.votes === best.votes && count.reachedAt < best.reachedAt))) {
+        winner = level;
+        best = count;
+      }
+    });
+    return winner;
+  }
+
+  // Votes per level, and the order of the vote that brought each level to its total
+  private countVotes(): Map<string, { votes: number; reachedAt: number }> {
+    const counts = new Map<string, { votes: number; reachedAt: number }>();
+    Array.from(this.votes.values())
+      .sort((a, b) => a.order - b.order)
+      .forEach(({ levelId, order }) => {
+        const count = counts.get(levelId) || { votes: 0, reachedAt: order };
+        counts.set(levelId, { votes: count.votes + 1, reachedAt: order });
+      });
+    return counts;
+  }
+}
@@ -0,0 +1,77 @@
+import { Position, Star } from '@shared/types';
+import { Player } from './Player';
+import { GameState } from './GameState';
+
+export interface MissionResult {
+  playerId: string;
+  completed: boolean;
+}
+
+// Star missions for caught players: collect their stars before the time runs out while everyone
+// else may take them first. Progress is kept on the holder; the stars live in the world's star list.
+export class MissionSystem {
+  private nextId = 0;
+
+  // The holder's mission stars; none when missions are off, they already have one or there's no room for them
+  public assign(player: Player, now: number, stars: Star[], world: GameState): Star[] {
+    const { missions } = world.getContext().config;
+    if (missions.stars <= 0 || player.mission) return [];
+
+    const positions: Position[] = [];
+    for (let i = 0; i < missions.stars; i++) {
+      const position = this.findPosition(player, [...stars, ...positions], world);
+      if (!position) return [];
+      positions.push(position);
+    }
+
+    player.mission = { collected: 0, required: missions.stars, endsAt: now + missions.duration };
+    return positions.map(({ x, y }) => ({
+      id: `mission_star_${this.nextId++}`,
+      x,
+      y,
+      type: 'star',
+      radius: 12,
+      active: true,
+      spawnTime: now,
+      rotationAngle: world.getContext().random.next() * Math.PI * 2,
+      floor: player.floor || undefined,
+      missionFor: player.id,
+    }));
+  }
+
+  // A mission star was taken: progress for the holder, or a mission that can no longer be completed
+  public collect(player: Player, star: Star, starsLeft: number, players: Player[]): MissionResult | null {
+    const holder = players.find(p => p.id === star.missionFor);
+    if (!holder?.mission) return null;
+
+    if (holder === player) holder.mission.collected++;
+    if (holder.mission.collected >= holder.mission.required) return this.end(holder, true);
+    if (holder.mission.collected + starsLeft < holder.mission.required) return this.end(holder, false);
+    return null;
+  }
+
+  public update(players: Player[], now: number): MissionResult[] {
+    return players
+      .filter(player => player.mission && now >= player.mission.endsAt)
+      .map(player => this.end(player, false));
+  }
+
+  private end(player: Player, completed: boolean): MissionResult {
+    player.mission = undefined;
+    return { playerId: player.id, completed };
+  }
+
+  // Free floor on the holder's floor, a run away from them and clear of the other stars
+  private findPosition(player: Player, taken: Position[], world: GameState): Position | null {
+    const { width, height } = world.getArena();
+    const { random, config } = world.getContext();
+    for (let attempts = 0; attempts < 50; attempts++) {
+      const position = { x: random.next() * (width - 100) + 50, y: random.next() * (height - 100) + 50 };
+      if (!world.isClearForPickup(position.x, position.y, 12, player.floor)) continue;
+      if (world.getDistance(player, position) < config.missions.minDistance) continue;
+      if (taken.some(other => world.getDistance(other, position) < 40)) continue;
+      return position;
+    }
+    return null;
+  }
+}
@@ -1,4 +1,7 @@
 import { InputState, MovementResult } from '@shared/types';
+import { INPUT_ACTIONS } from '../../shared/types/GameTypes';
+import { DynamicObstacleUtils } from '../../shared/utils/DynamicObstacleUtils';
+import { ArenaUtils } from '../../shared/utils/ArenaUtils';
 import { Player } from './Player';
 
 export class MovementEngine {
@@ -32,7 +35,7 @@ export class MovementEngine {
     }
 
     // Apply speed and time scaling
-    const currentSpeed = player.isIt ? player.speed * 1.3 : player.speed; // IT players get 30% speed boost
+    const currentSpeed = player.getCurrentSpeed();
     const moveDistance = currentSpeed * (deltaTime / 1000);
 
     dx *= moveDistance;
@@ -48,29 +51,26 @@ export class MovementEngine {
     dy: number,
     gameWidth: number,
     gameHeight: number,
-    obstacles: Array<{ x: number; y: number; width?: number; height?: number; radius?: number; type: string }>
+    obstacles: Array<{ x: number; y: number; width?: number; height?: number; radius?: number; type: string; kind?: string; angle?: number }>,
+    wrap: boolean = false
   ): { x: number; y: number; isValid: boolean } {
-    let newX = player.x + dx;
-    let newY = player.y + dy;
+    // Keep player within bounds, or bring them back in on the opposite side on wrap-around levels
+    const { x: newX, y: newY } = ArenaUtils.confine(player.x + dx, player.y + dy, player.radius, { width: gameWidth, height: gameHeight, wrap });
 
-    // Keep player within bounds
-    newX = Math.max(player.radius, Math.min(gameWidth - player.radius, newX));
-    newY = Math.max(player.radius, Math.min(gameHeight - player.radius, newY));
-
-    // Check for obstacle collisions
-    const wouldCollide = this.checkObstacleCollision(newX, newY, player.radius, obstacles);
+    // Check for obstacle collisions (wall walkers only stop at the bounds)
+    const wouldCollide = !player.canWalkThroughWalls && this.checkObstacleCollision(newX, newY, player.radius, obstacles, player.canClimbTrees);
 
     if (!wouldCollide) {
       return { x: newX, y: newY, isValid: true };
     }
 
     // Try moving only in X direction
-    if (!this.checkObstacleCollision(newX, player.y, player.radius, obstacles)) {
+    if (!this.checkObstacleCollision(newX, player.y, player.radius, obstacles, player.canClimbTrees)) {
       return { x: newX, y: player.y, isValid: true };
     }
 
     // Try moving only in Y direction
-    if (!this.checkObstacleCollision(player.x, newY, player.radius, obstacles)) {
+    if (!this.checkObstacleCollision(player.x, newY, player.radius, obstacles, player.canClimbTrees)) {
       return { x: player.x, y: newY, isValid: true };
     }
 
@@ -78,27 +78,31 @@ export class MovementEngine {
     return { x: player.x, y: player.y, isValid: false };
   }
 
-  // Check if a position would collide with obstacles
+  // Check if a position would collide with obstacles (trees don't count for climbers)
   private static checkObstacleCollision(
     x: number,
     y: number,
     radius: number,
-    obstacles: Array<{ x: number; y: number; width?: number; height?: number; radius?: number; type: string }>
+    obstacles: Array<{ x: number; y: number; width?: number; height?: number; radius?: number; type: string; kind?: string; angle?: number }>,
+    canClimbTrees: boolean = false
   ): boolean {
     for (const obstacle of obstacles) {
+      if (canClimbTrees && obstacle.kind === 'tree') continue;
+
       if (obstacle.type === 'rectangle' && obstacle.width && obstacle.height) {
-        // Check circle-rectangle collision
+        // Check circle-rectangle collision, in the rectangle's own axes if it is turned
+        const local = DynamicObstacleUtils.toObstacleFrame(obstacle, x, y);
         const closestX = Math.max(
           obstacle.x - obstacle.width / 2,
-          Math.min(x, obstacle.x + obstacle.width / 2)
+          Math.min(local.x, obstacle.x + obstacle.width / 2)
         );
         const closestY = Math.max(
           obstacle.y - obstacle.height / 2,
-          Math.min(y, obstacle.y + obstacle.height / 2)
+          Math.min(local.y, obstacle.y + obstacle.height / 2)
         );
 
-        const distanceX = x - closestX;
-        const distanceY = y - closestY;
+        const distanceX = local.x - closestX;
+        const distanceY = local.y - closestY;
         const distanceSquared = distanceX * distanceX + distanceY * distanceY;
 
         if (distanceSquared < radius * radius) {
@@ -167,6 +171,14 @@ export class MovementEngine {
       }
     }
 
+    // Actions need a known type and a usable aim
+    if (input.action !== undefined) {
+      const { type, aimX, aimY } = input.action;
+      if (!(INPUT_ACTIONS as readonly unknown[]).includes(type) || !Number.isFinite(aimX) || !Number.isFinite(aimY) || (aimX === 0 && aimY === 0)) {
+        return false;
+      }
+    }
+
     return true;
   }
 }
\ No newline at end of file
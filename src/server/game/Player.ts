@@ -1,4 +1,6 @@
-import { PlayerState, Position, InputState } from '@shared/types';
+import { PlayerState, Position, InputState, PowerUpType, ActiveEffect, TeamId, StarMission } from '@shared/types';
+import { TEAM_COLORS } from '../../shared/types/GameTypes';
+import { SimulationContext, createSimulationContext } from './SimulationContext';
 
 export class Player {
   public readonly id: string;
@@ -14,44 +16,72 @@ export class Player {
   public sizeBoostStacks: number = 0;
   public currentRadius: number = 15;
   public readonly radius: number = 15;
-  public readonly speed: number = 60; // Slower speed (30% of 200) for better gameplay
-  public readonly color: string;
+  public readonly speed: number; // px per second, from the game config
+  public readonly accentColor: string; // The player's own colour; the team colour takes over in team rooms
+  public team?: TeamId; // Set on join in team rooms
   public readonly sightRange: number = 200; // Circular sight radius
+  public speedMultiplier: number = 1; // Set by the speed power-up
+  public canWalkThroughWalls: boolean = false; // Set by the wallWalk power-up
+  public canClimbTrees: boolean = false; // Set by the treeClimb power-up
+  public concealedIn?: string; // Bush the player is hiding in, kept up to date by the TerrainSystem
+  public floor: number = 0; // Changed by the FloorSystem when an elevator or the stairs take the player
+  public netCharges: number = 0; // Set by the netLauncher power-up, used up by firing
+  public nextFireTime: number = 0;
+  public portalCharges: number = 0; // Set by the portalGun power-up, used up by placing portals
+  public isFrozen: boolean = false; // Set by freeze tag until a teammate thaws the player
+  public mission?: { collected: number; required: number; endsAt: number }; // Set when caught, ended by the MissionSystem
   
   // IT player tracking
   public becameItTime?: number;
   public timeAsIt: number = 0;
   public lastPointDeduction: number = 0;
-  public catchTimeout: number = 0;
+
+  // Tag rule state
+  public lastTaggedBy?: { id: string; at: number }; // For the no-tag-back window
+  public spawnProtectedUntil: number = 0; // Set when everyone respawns for a new level
+  public lastStunEnd: number = 0; // When the last stun wore off, for post-stun immunity
   
   // Activity tracking
   public lastMovement: number;
   public lastUpdate: number;
+  public isReconnecting: boolean = false; // Connection dropped, kept during the reconnect grace period
+  public isReady: boolean = false; // Ready for the next round; kept from round to round until taken back
   
-  // Power-up states
+  // Power-up states - effects are applied and expired by the PowerUpRegistry
+  public readonly activeEffects = new Map<PowerUpType, number[]>(); // End time of each stack, earliest first
   public transparencyEndTime: number = 0;
   public stunEndTime: number = 0;
   public sizeBoostEndTime: number = 0;
-  private sizeBoostTimers: NodeJS.Timeout[] = [];
   public isPerformingStunPulse: boolean = false;
+  private stunPulseEndTime: number = 0;
+  public rootEndTime: number = 0; // A net hit roots first, then slows
+  public slowEndTime: number = 0;
   
   // Input tracking for server-authoritative system
   public currentInput: InputState | null = null;
   public velocity: { dx: number; dy: number } = { dx: 0, dy: 0 };
-  
-  private stunTimeout: NodeJS.Timeout | null = null;
-  private transparencyTimeout: NodeJS.Timeout | null = null;
-  // Removed single timeout - now using array of timers
 
-  constructor(id: string, name: string, x: number, y: number, isAI: boolean = false) {
+  // Simulation clock and RNG - timed effects expire in updatePowerUps, not on real timers
+  protected readonly context: SimulationContext;
+
+  constructor(
+    id: string,
+    name: string,
+    x: number,
+    y: number,
+    isAI: boolean = false,
+    context: SimulationContext = createSimulationContext()
+  ) {
     this.id = id;
     this.name = name;
     this.x = x;
     this.y = y;
     this.isAI = isAI;
-    this.color = this.generatePlayerColor();
-    this.lastMovement = Date.now();
-    this.lastUpdate = Date.now();
+    this.context = context;
+    this.speed = context.config.movement.playerSpeed;
+    this.accentColor = this.generatePlayerColor();
+    this.lastMovement = context.clock.now();
+    this.lastUpdate = context.clock.now();
   }
 
   private generatePlayerColor(): string {
@@ -60,15 +90,19 @@ export class Player {
       '#FF9FF3', '#54A0FF', '#5F27CD', '#00D2D3', '#FF9F43',
       '#EE5A24', '#009432', '#0652DD', '#9980FA', '#833471'
     ];
-    return colors[Math.floor(Math.random() * colors.length)];
+    return this.context.random.pick(colors);
+  }
+
+  public get color(): string {
+    return this.team ? TEAM_COLORS[this.team] : this.accentColor;
   }
 
   // IT status management
   public becomeIt(): void {
     this.isIt = true;
-    this.becameItTime = Date.now();
+    this.becameItTime = this.context.clock.now();
     this.timeAsIt = 0;
-    this.lastPointDeduction = Date.now();
+    this.lastPointDeduction = this.context.clock.now();
     console.log(`${this.name} became IT`);
   }
 
@@ -78,116 +112,88 @@ export class Player {
     console.log(`${this.name} stopped being IT`);
   }
 
+  // Score and round roles, cleared when a new round starts
+  public resetForRound(): void {
+    if (this.isIt) this.stopBeingIt();
+    this.score = 0;
+    this.timeAsIt = 0;
+    this.lastPointDeduction = 0;
+    this.mission = undefined;
+    this.lastTaggedBy = undefined;
+  }
+
+  // Catcher gets a speed boost; nets hold players in place and then slow them down, frozen players stay put
+  public getCurrentSpeed(): number {
+    const netted = this.getNetted();
+    if (netted === 'rooted' || this.isFrozen) return 0;
+
+    const speed = this.isIt ? this.speed * this.context.config.movement.itSpeedMultiplier : this.speed;
+    const slow = netted === 'slowed' ? this.context.config.nets.slowMultiplier : 1;
+    return speed * this.speedMultiplier * slow;
+  }
+
+  // Net hit: a new net restarts both timers
+  public entangle(rootDuration: number, slowDuration: number): void {
+    const now = this.context.clock.now();
+    this.rootEndTime = now + rootDuration;
+    this.slowEndTime = this.rootEndTime + slowDuration;
+  }
+
+  public getNetted(): 'rooted' | 'slowed' | undefined {
+    const now = this.context.clock.now();
+    if (now < this.rootEndTime) return 'rooted';
+    if (now < this.slowEndTime) return 'slowed';
+    return undefined;
+  }
+
   // Stun mechanics
   public stun(duration: number): void {
     this.isStunned = true;
-    this.stunEndTime = Date.now() + duration;
-    
-    if (this.stunTimeout) {
-      clearTimeout(this.stunTimeout);
-    }
-    
-    this.stunTimeout = setTimeout(() => {
-      this.isStunned = false;
-      this.stunEndTime = 0;
-    }, duration);
+    this.stunEndTime = this.context.clock.now() + duration;
     
     console.log(`${this.name} stunned for ${duration}ms`);
   }
 
-  // Transparency power-up
-  public activateTransparency(duration: number): void {
-    if (this.isAI) return; // AI players don't get transparency
-    
-    this.isTransparent = true;
-    this.transparencyEndTime = Date.now() + duration;
-    
-    if (this.transparencyTimeout) {
-      clearTimeout(this.transparencyTimeout);
-    }
-    
-    this.transparencyTimeout = setTimeout(() => {
-      this.isTransparent = false;
-      this.transparencyEndTime = 0;
-    }, duration);
-    
-    console.log(`${this.name} became transparent for ${duration}ms`);
+  // Active power-up effects
+  public hasEffect(type: PowerUpType): boolean {
+    return this.activeEffects.has(type);
   }
 
-  // Size boost power-up with stacking support
-  public activateSizeBoost(duration: number): void {
-    // Add another stack
-    this.sizeBoostStacks += 1;
-    this.hasSizeBoost = true;
-    
-    // Calculate new radius: base 15px + 10px per stack
-    this.currentRadius = 15 + (this.sizeBoostStacks * 10);
-    
-    // Update end time to latest collection
-    this.sizeBoostEndTime = Date.now() + duration;
-    
-    // Create a timeout for this specific stack
-    const timeout = setTimeout(() => {
-      this.decrementSizeBoost();
-    }, duration);
-    
-    this.sizeBoostTimers.push(timeout);
-    
-    console.log(`${this.name} activated size boost stack ${this.sizeBoostStacks} (radius: ${this.currentRadius}px) for ${duration}ms`);
+  public getEffectStacks(type: PowerUpType): number {
+    return this.activeEffects.get(type)?.length || 0;
   }
 
-  private decrementSizeBoost(): void {
-    if (this.sizeBoostStacks > 0) {
-      this.sizeBoostStacks -= 1;
-      
-      if (this.sizeBoostStacks === 0) {
-        // No more stacks, deactivate completely
-        this.hasSizeBoost = false;
-        this.currentRadius = 15; // Reset to default
-        this.sizeBoostEndTime = 0;
-        console.log(`${this.name} size boost completely expired (back to ${this.currentRadius}px)`);
-      } else {
-        // Still have stacks, recalculate size
-        this.currentRadius = 15 + (this.sizeBoostStacks * 10);
-        console.log(`${this.name} size boost stack expired, ${this.sizeBoostStacks} stacks remaining (radius: ${this.currentRadius}px)`);
-      }
-    }
+  // When the last stack of the effect runs out, 0 when inactive
+  public getEffectEndTime(type: PowerUpType): number {
+    const endTimes = this.activeEffects.get(type);
+    return endTimes ? endTimes[endTimes.length - 1] : 0;
+  }
+
+  public getActiveEffects(): ActiveEffect[] {
+    return Array.from(this.activeEffects.entries()).map(([type, endTimes]) => ({
+      type,
+      stacks: endTimes.length,
+      endTime: endTimes[endTimes.length - 1],
+    }));
   }
 
   // Stun pulse for IT players
   public startStunPulse(): void {
     this.isPerformingStunPulse = true;
-    setTimeout(() => {
-      this.isPerformingStunPulse = false;
-    }, 1000);
-  }
-
-  // Catch timeout (prevents immediate re-tagging)
-  public setCatchTimeout(duration: number): void {
-    this.catchTimeout = Date.now() + duration;
-  }
-
-  public canCatch(target: Player): boolean {
-    if (!this.isIt || this.isStunned) return false;
-    if (Date.now() < this.catchTimeout) return false;
-    if (target.isTransparent) return false;
-    
-    // Check distance
-    const dx = this.x - target.x;
-    const dy = this.y - target.y;
-    const distance = Math.sqrt(dx * dx + dy * dy);
-    
-    return distance < (this.currentRadius + target.currentRadius);
+    this.stunPulseEndTime = this.context.clock.now() + 1000;
   }
 
   // Scoring system
-  public awardTagPoints(): void {
-    this.score += 100;
-    console.log(`${this.name} awarded 100 points for successful tag (total: ${this.score})`);
+  public awardTagPoints(): number {
+    const points = this.context.config.scoring.tagPoints;
+    this.score += points;
+    console.log(`${this.name} awarded ${points} points for successful tag (total: ${this.score})`);
+    return points;
   }
 
   public awardStarPoints(): number {
-    const points = this.isIt ? 50 : 25;
+    const { starPointsIt, starPointsRunner } = this.context.config.scoring;
+    const points = this.isIt ? starPointsIt : starPointsRunner;
     this.score += points;
     console.log(`${this.name} awarded ${points} points for star collection (total: ${this.score})`);
     return points;
@@ -195,26 +201,24 @@ export class Player {
 
   public deductItPoints(points: number): void {
     this.score = Math.max(0, this.score - points);
-    this.lastPointDeduction = Date.now();
+    this.lastPointDeduction = this.context.clock.now();
     console.log(`${this.name} lost ${points} points for being IT (total: ${this.score})`);
   }
 
-  // Power-up management
+  // Stun timers; power-up effects run out in PowerUpRegistry.update
   public updatePowerUps(currentTime: number): void {
-    // Update transparency
-    if (this.isTransparent && currentTime >= this.transparencyEndTime) {
-      this.isTransparent = false;
-      this.transparencyEndTime = 0;
-    }
-    
     // Update stun
     if (this.isStunned && currentTime >= this.stunEndTime) {
       this.isStunned = false;
+      this.lastStunEnd = this.stunEndTime;
       this.stunEndTime = 0;
     }
     
-    // Size boost stacks are managed by individual timers
-    // No need for manual time checking here
+    // Update stun pulse animation flag
+    if (this.isPerformingStunPulse && currentTime >= this.stunPulseEndTime) {
+      this.isPerformingStunPulse = false;
+      this.stunPulseEndTime = 0;
+    }
   }
 
   // Position utilities
@@ -251,22 +255,27 @@ export class Player {
       becameItTime: this.becameItTime,
       timeAsIt: this.timeAsIt,
       lastMovement: this.lastMovement,
-      sightRange: this.sightRange
+      sightRange: this.sightRange,
+      isReconnecting: this.isReconnecting,
+      effects: this.activeEffects.size > 0 ? this.getActiveEffects() : undefined,
+      concealedIn: this.concealedIn,
+      floor: this.floor || undefined,
+      netCharges: this.netCharges || undefined,
+      netted: this.getNetted(),
+      portalCharges: this.portalCharges || undefined,
+      frozen: this.isFrozen || undefined,
+      team: this.team,
+      accent: this.team ? this.accentColor : undefined,
+      mission: this.mission ? this.getMissionState(this.mission) : undefined
     };
   }
 
+  private getMissionState({ collected, required, endsAt }: NonNullable<Player['mission']>): StarMission {
+    return { collected, required, timeLeft: Math.max(0, endsAt - this.context.clock.now()) };
+  }
+
   // Cleanup
   public destroy(): void {
-    if (this.stunTimeout) {
-      clearTimeout(this.stunTimeout);
-      this.stunTimeout = null;
-    }
-    if (this.transparencyTimeout) {
-      clearTimeout(this.transparencyTimeout);
-      this.transparencyTimeout = null;
-    }
-    // Clear all size boost timers
-    this.sizeBoostTimers.forEach(timeout => clearTimeout(timeout));
-    this.sizeBoostTimers = [];
+    this.activeEffects.clear();
   }
 }
\ No newline at end of file
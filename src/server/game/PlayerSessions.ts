@@ -0,0 +1,84 @@
+import { randomBytes } from 'crypto';
+
+export interface PlayerSession {
+  token: string;
+  playerId: string;
+  socketId: string | null; // null while the player is disconnected
+  expiryTask: number | null; // Scheduled removal during the reconnect grace period
+}
+
+// Maps sockets to players so a player can survive a reconnect with a new socket
+export class PlayerSessions {
+  private sessionsByToken = new Map<string, PlayerSession>();
+  private sessionsByPlayer = new Map<string, PlayerSession>();
+  private playersBySocket = new Map<string, string>();
+
+  // Tokens come from crypto rather than the simulation RNG so they can't be predicted
+  public create(playerId: string, socketId: string): PlayerSession {
+    const session: PlayerSession = {
+      token: randomBytes(16).toString('hex'),
+      playerId,
+      socketId,
+      expiryTask: null,
+    };
+
+    this.sessionsByToken.set(session.token, session);
+    this.sessionsByPlayer.set(playerId, session);
+    this.playersBySocket.set(socketId, playerId);
+    return session;
+  }
+
+  public getByToken(token: string): PlayerSession | undefined {
+    return this.sessionsByToken.get(token);
+  }
+
+  public getByPlayer(playerId: string): PlayerSession | undefined {
+    return this.sessionsByPlayer.get(playerId);
+  }
+
+  public getPlayerId(socketId: string): string | undefined {
+    return this.playersBySocket.get(socketId);
+  }
+
+  // Attach the session to a (new) socket, returning the socket it was bound to before
+  public bind(session: PlayerSession, socketId: string): string | null {
+    const previousSocketId = session.socketId;
+    if (previousSocketId) {
+      this.playersBySocket.delete(previousSocketId);
+    }
+
+    session.socketId = socketId;
+    this.playersBySocket.set(socketId, session.playerId);
+    return previousSocketId;
+  }
+
+  public unbind(socketId: string): PlayerSession | undefined {
+    const playerId = this.playersBySocket.get(socketId);
+    if (!playerId) return undefined;
+
+    this.playersBySocket.delete(socketId);
+    const session = this.sessionsByPlayer.get(playerId);
+    if (session && session.socketId === socketId) {
+      session.socketId = null;
+    }
+    return session;
+  }
+
+  public remove(playerId: string): PlayerSession | undefined {
+    const session = this.sessionsByPlayer.get(playerId);
+    if (!session) return undefined;
+
+    this.sessionsByPlayer.delete(playerId);
+    this.sessionsByToken.delete(session.token);
+    if (session.socketId) {
+      this.playersBySocket.delete(session.socketId);
+    }
+    return session;
+  }
+
+  public clear(): void {
+    this.sessionsByToken.clear();
+    this.sessionsByPlayer.clear();
+    this.playersBySocket.clear();
+  }
+}
@@ -0,0 +1,137 @@
+import { FloorPosition, PortalState, Velocity } from '@shared/types';
+import { ArenaUtils } from '../../shared/utils/ArenaUtils';
+import { TeamUtils } from '../../shared/utils/TeamUtils';
+import { Player } from './Player';
+import { GameState } from './GameState';
+
+interface PortalEnd {
+  x: number;
+  y: number;
+  floor: number;
+}
+
+interface PortalPair {
+  id: string;
+  ownerId: string;
+  entry: PortalEnd;
+  exit: PortalEnd | null; // Not placed yet
+  expiresAt: number;
+  sideOnly: boolean;
+}
+
+// Portal pairs placed with portal guns. The owner places the entry and then the exit; players
+// stepping into the entry come out at the exit, keeping their offset and movement.
+export class PortalSystem {
+  private pairs: PortalPair[] = [];
+  private nextId = 0;
+  private readonly cooldowns = new Map<string, number>(); // Players who came through can't step in again until then
+
+  // Places the owner's next portal ahead of them; false when they have none left or the spot isn't free floor
+  public place(player: Player, aim: Velocity, now: number, world: GameState): boolean {
+    const length = Math.hypot(aim.dx, aim.dy);
+    if (player.portalCharges <= 0 || player.isStunned || length === 0) return false;
+
+    const { portals } = world.getContext().config;
+    const end = {
+      x: player.x + (aim.dx / length) * portals.placeDistance,
+      y: player.y + (aim.dy / length) * portals.placeDistance,
+      floor: player.floor,
+    };
+    if (!this.isFreeFloor(end, portals.radius, world)) return false;
+
+    const open = this.pairs.find(pair => pair.ownerId === player.id && !pair.exit);
+    if (open) {
+      open.exit = end;
+    } else {
+      // A new entry replaces the owner's previous pair
+      this.close(player.id);
+      this.pairs.push({
+        id: `portal_${this.nextId++}`,
+        ownerId: player.id,
+        entry: end,
+        exit: null,
+        expiresAt: now + portals.lifetime,
+        sideOnly: portals.sideOnly === 1,
+      });
+    }
+    player.portalCharges--;
+    return true;
+  }
+
+  // Removes the owner's portals, e.g. when they are tagged
+  public close(ownerId: string): void {
+    this.pairs = this.pairs.filter(pair => pair.ownerId !== ownerId);
+  }
+
+  public update(players: Player[], now: number, world: GameState): void {
+    this.cooldowns.forEach((until, playerId) => {
+      if (now >= until) this.cooldowns.delete(playerId);
+    });
+    if (this.pairs.length === 0) return;
+
+    this.pairs = this.pairs.filter(pair => now < pair.expiresAt && players.some(p => p.id === pair.ownerId));
+
+    const { portals } = world.getContext().config;
+    const arena = world.getArena();
+    players.forEach(player => {
+      if (this.cooldowns.has(player.id)) return;
+
+      const pair = this.pairs.find(pair =>
+        pair.exit &&
+        pair.entry.floor === player.floor &&
+        world.getDistance(player, pair.entry) < portals.radius &&
+        this.canUse(pair, player, players)
+      );
+      if (!pair || !pair.exit) return;
+
+      // Come out where the player stood relative to the entry; input and velocity carry on unchanged
+      const offset = ArenaUtils.getOffset(pair.entry, player, arena);
+      const position = ArenaUtils.confine(pair.exit.x + offset.dx, pair.exit.y + offset.dy, player.currentRadius, arena);
+      player.x = position.x;
+      player.y = position.y;
+      player.floor = pair.exit.floor;
+      this.cooldowns.set(player.id, now + portals.reentryCooldown);
+
+      if (world.checkObstacleCollision(player.x, player.y, player.currentRadius, player)) {
+        const clear = world.findClearPositionNear(player);
+        player.x = clear.x;
+        player.y = clear.y;
+      }
+    });
+  }
+
+  // Undefined when no portals are placed
+  public getStates(radius: number): PortalState[] | undefined {
+    if (this.pairs.length === 0) return undefined;
+
+    return this.pairs.map(pair => {
+      const state: PortalState = { id: pair.id, ownerId: pair.ownerId, entry: this.toPosition(pair.entry), radius, expiresAt: pair.expiresAt };
+      if (pair.exit) state.exit = this.toPosition(pair.exit);
+      if (pair.sideOnly) state.sideOnly = true;
+      return state;
+    });
+  }
+
+  // Inside the level boundaries, clear of obstacles on that floor and not on top of another portal
+  private isFreeFloor(end: PortalEnd, radius: number, world: GameState): boolean {
+    const { width, height } = world.getArena();
+    if (end.x < radius || end.x > width - radius || end.y < radius || end.y > height - radius) return false;
+    if (world.checkObstacleCollision(end.x, end.y, radius, undefined, end.floor)) return false;
+
+    return !this.pairs.some(pair => [pair.entry, pair.exit].some(other =>
+      other && other.floor === end.floor && world.getDistance(other, end) < radius * 2
+    ));
+  }
+
+  private canUse(pair: PortalPair, player: Player, players: Player[]): boolean {
+    if (!pair.sideOnly || player.id === pair.ownerId) return true;
+    const owner = players.find(p => p.id === pair.ownerId);
+    return !!owner && TeamUtils.isSameSide(owner, player);
+  }
+
+  private toPosition({ x, y, floor }: PortalEnd): FloorPosition {
+    const position: FloorPosition = { x: Math.round(x * 10) / 10, y: Math.round(y * 10) / 10 };
+    if (floor) position.floor = floor;
+    return position;
+  }
+}
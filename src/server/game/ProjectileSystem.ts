@@ -0,0 +1,165 @@
+import { Obstacle, Position, ProjectileState, Velocity } from '@shared/types';
+import { DynamicObstacleUtils } from '../../shared/utils/DynamicObstacleUtils';
+import { ArenaUtils } from '../../shared/utils/ArenaUtils';
+import { Player } from './Player';
+import { GameState } from './GameState';
+
+interface Projectile {
+  id: string;
+  ownerId: string;
+  x: number;
+  y: number;
+  dx: number; // Unit direction of travel
+  dy: number;
+  traveled: number;
+  floor: number;
+}
+
+// Nets fired from net launchers. Each update casts the stretch a net covers against obstacles
+// and players; it stops at whichever it reaches first and entangles a player it hits.
+export class ProjectileSystem {
+  private projectiles: Projectile[] = [];
+  private nextId = 0;
+
+  // False when the player has no nets left, is still reloading or can't act
+  public fire(player: Player, aim: Velocity, now: number, world: GameState): boolean {
+    const length = Math.hypot(aim.dx, aim.dy);
+    if (player.netCharges <= 0 || now < player.nextFireTime || player.isStunned || length === 0) return false;
+
+    const { nets } = world.getContext().config;
+    const dx = aim.dx / length;
+    const dy = aim.dy / length;
+    player.netCharges--;
+    player.nextFireTime = now + nets.cooldown;
+
+    // Launched from the edge of the player so it doesn't catch its owner
+    const offset = player.currentRadius + nets.radius;
+    this.projectiles.push({
+      id: `net_${this.nextId++}`,
+      ownerId: player.id,
+      x: player.x + dx * offset,
+      y: player.y + dy * offset,
+      dx,
+      dy,
+      traveled: 0,
+      floor: player.floor,
+    });
+    return true;
+  }
+
+  public update(players: Player[], deltaTime: number, world: GameState): void {
+    if (this.projectiles.length === 0) return;
+
+    const { nets } = world.getContext().config;
+    const arena = world.getArena();
+    this.projectiles = this.projectiles.filter(projectile => {
+      const step = Math.min((nets.speed * deltaTime) / 1000, nets.range - projectile.traveled);
+      const hit = this.castRay(projectile, step, players, world);
+      if (hit) {
+        hit.target?.entangle(nets.rootDuration, nets.slowDuration);
+        return false;
+      }
+
+      projectile.traveled += step;
+      if (projectile.traveled >= nets.range) return false;
+
+      // Nets drop at the edge, or come back in across the seam on wrap-around levels
+      const x = projectile.x + projectile.dx * step;
+      const y = projectile.y + projectile.dy * step;
+      if (!arena.wrap && (x < 0 || x > arena.width || y < 0 || y > arena.height)) return false;
+      const confined = ArenaUtils.confine(x, y, 0, arena);
+      projectile.x = confined.x;
+      projectile.y = confined.y;
+      return true;
+    });
+  }
+
+  // Undefined when no nets are in flight
+  public getStates(): ProjectileState[] | undefined {
+    if (this.projectiles.length === 0) return undefined;
+
+    return this.projectiles.map(({ id, ownerId, x, y, dx, dy, floor }) => {
+      const state: ProjectileState = {
+        id,
+        ownerId,
+        x: Math.round(x * 10) / 10,
+        y: Math.round(y * 10) / 10,
+        angle: Math.round(Math.atan2(dy, dx) * 1000) / 1000,
+      };
+      if (floor) state.floor = floor;
+      return state;
+    });
+  }
+
+  // First obstacle or player the net reaches within `length`; target is unset for obstacles
+  private castRay(projectile: Projectile, length: number, players: Player[], world: GameState): { distance: number; target?: Player } | null {
+    const { nets } = world.getContext().config;
+    let closest: { distance: number; target?: Player } | null = null;
+
+    world.getBlockingObstacles(projectile.floor).forEach(obstacle => {
+      const distance = this.rayToObstacle(projectile, length, obstacle, nets.radius);
+      if (distance !== null && (!closest || distance < closest.distance)) {
+        closest = { distance };
+      }
+    });
+
+    players.forEach(player => {
+      if (player.id === projectile.ownerId || player.floor !== projectile.floor || player.isTransparent) return;
+
+      // Measured across the seam on wrap-around levels
+      const offset = ArenaUtils.getOffset(projectile, player, world.getArena());
+      const center = { x: projectile.x + offset.dx, y: projectile.y + offset.dy };
+      const distance = this.rayToCircle(projectile, { dx: projectile.dx, dy: projectile.dy }, length, center, player.currentRadius + nets.radius);
+      if (distance !== null && (!closest || distance < closest.distance)) {
+        closest = { distance, target: player };
+      }
+    });
+
+    return closest;
+  }
+
+  // Distance along the ray to where it enters the circle; 0 when it starts inside
+  private rayToCircle(from: Position, direction: Velocity, length: number, center: Position, radius: number): number | null {
+    const fx = from.x - center.x;
+    const fy = from.y - center.y;
+    const c = fx * fx + fy * fy - radius * radius;
+    if (c <= 0) return 0;
+
+    const b = fx * direction.dx + fy * direction.dy;
+    const discriminant = b * b - c;
+    if (b > 0 || discriminant < 0) return null;
+
+    const distance = -b - Math.sqrt(discriminant);
+    return distance <= length ? distance : null;
+  }
+
+  // Rectangles are tested in their own axes, grown by the net's radius
+  private rayToObstacle(projectile: Projectile, length: number, obstacle: Obstacle, radius: number): number | null {
+    if (obstacle.type === 'circle' && obstacle.radius) {
+      return this.rayToCircle(projectile, { dx: projectile.dx, dy: projectile.dy }, length, obstacle, obstacle.radius + radius);
+    }
+    if (obstacle.type !== 'rectangle' || !obstacle.width || !obstacle.height) return null;
+
+    const from = DynamicObstacleUtils.toObstacleFrame(obstacle, projectile.x, projectile.y);
+    const to = DynamicObstacleUtils.toObstacleFrame(obstacle, projectile.x + projectile.dx, projectile.y + projectile.dy);
+    const axes = [
+      { origin: from.x, direction: to.x - from.x, min: obstacle.x - obstacle.width / 2 - radius, max: obstacle.x + obstacle.width / 2 + radius },
+      { origin: from.y, direction: to.y - from.y, min: obstacle.y - obstacle.height / 2 - radius, max: obstacle.y + obstacle.height / 2 + radius },
+    ];
+
+    let enter = 0;
+    let exit = length;
+    for (const { origin, direction, min, max } of axes) {
+      if (Math.abs(direction) < 1e-9) {
+        if (origin < min || origin > max) return null;
+        continue;
+      }
+      const t1 = (min - origin) / direction;
+      const t2 = (max - origin) / direction;
+      enter = Math.max(enter, Math.min(t1, t2));
+      exit = Math.min(exit, Math.max(t1, t2));
+      if (enter > exit) return null;
+    }
+    return enter;
+  }
+}
@@ -0,0 +1,91 @@
+import { InputState, Level, ReplayData, ReplayFrame, ReplayInputEvent, ReplayMetadata, StateSnapshot } from '@shared/types';
+import { StateSyncUtils } from '../../shared/utils/StateSyncUtils';
+
+export interface ReplayRecorderOptions {
+  id: string;
+  roomCode: string;
+  roomName: string;
+  level: Level;
+  seed: number;
+  recordedAt: number;
+}
+
+// Collects one round's frames and inputs in memory until the round ends
+export class ReplayRecorder {
+  private options: ReplayRecorderOptions;
+  private frames: ReplayFrame[] = [];
+  private inputs: ReplayInputEvent[] = [];
+  private players = new Map<string, { id: string; name: string; isAI: boolean }>();
+  private lastSnapshot: StateSnapshot | null = null;
+  private framesSinceKeyframe = 0;
+
+  private readonly keyframeInterval = 150; // Full snapshot every ~5 seconds at 30 FPS for seeking
+  private readonly maxFrames = 30 * 60 * 10; // Stop recording after ~10 minutes
+  private readonly maxInputs = 200000;
+
+  constructor(options: ReplayRecorderOptions) {
+    this.options = options;
+  }
+
+  public recordFrame(tick: number, time: number, snapshot: StateSnapshot): void {
+    if (this.frames.length >= this.maxFrames) return;
+
+    snapshot.players.forEach(player => {
+      if (!this.players.has(player.id)) {
+        this.players.set(player.id, { id: player.id, name: player.name, isAI: player.isAI });
+      }
+    });
+
+    const isKeyframe = !this.lastSnapshot || this.framesSinceKeyframe >= this.keyframeInterval;
+    const update = isKeyframe || !this.lastSnapshot
+      ? snapshot
+      : StateSyncUtils.createDelta(this.lastSnapshot, snapshot);
+
+    this.frames.push({ tick, time, update });
+    this.framesSinceKeyframe = isKeyframe ? 0 : this.framesSinceKeyframe + 1;
+    this.lastSnapshot = snapshot;
+  }
+
+  public recordInput(tick: number, time: number, playerId: string, input: InputState): void {
+    if (this.inputs.length >= this.maxInputs) return;
+    this.inputs.push({ tick, time, playerId, input: { ...input } });
+  }
+
+  // Only rounds a human took part in are worth keeping
+  public hasHumanPlayers(): boolean {
+    return Array.from(this.players.values()).some(player => !player.isAI);
+  }
+
+  public getFrameCount(): number {
+    return this.frames.length;
+  }
+
+  public finish(endReason: string, winner?: string): ReplayData {
+    const firstFrame = this.frames[0];
+    const lastFrame = this.frames[this.frames.length - 1];
+
+    const metadata: ReplayMetadata = {
+      id: this.options.id,
+      roomCode: this.options.roomCode,
+      roomName: this.options.roomName,
+      levelId: this.options.level.id,
+      levelName: this.options.level.name,
+      seed: this.options.seed,
+      startTime: firstFrame ? firstFrame.time : 0,
+      duration: firstFrame && lastFrame ? lastFrame.time - firstFrame.time : 0,
+      frameCount: this.frames.length,
+      players: Array.from(this.players.values()),
+      endReason,
+      winner,
+      recordedAt: this.options.recordedAt,
+    };
+
+    return {
+      version: 1,
+      metadata,
+      level: this.options.level,
+      frames: this.frames,
+      inputs: this.inputs,
+    };
+  }
+}
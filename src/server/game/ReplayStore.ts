@@ -0,0 +1,84 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { ReplayData, ReplayMetadata } from '@shared/types';
+
+// Stores replays as JSON files with a small metadata sidecar for listing
+export class ReplayStore {
+  private readonly directory: string;
+  private readonly maxReplays: number;
+
+  constructor(directory: string, maxReplays: number = 50) {
+    this.directory = directory;
+    this.maxReplays = maxReplays;
+  }
+
+  public async save(replay: ReplayData): Promise<void> {
+    const id = replay.metadata.id;
+    if (!ReplayStore.isValidId(id)) {
+      throw new Error(`Invalid replay id: ${id}`);
+    }
+
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.writeFile(this.getReplayPath(id), JSON.stringify(replay));
+    await fs.writeFile(this.getMetadataPath(id), JSON.stringify(replay.metadata));
+    console.log(`Replay ${id} saved (${replay.metadata.frameCount} frames)`);
+
+    await this.pruneOldReplays();
+  }
+
+  // Newest first
+  public async list(): Promise<ReplayMetadata[]> {
+    let files: string[];
+    try {
+      files = await fs.readdir(this.directory);
+    } catch {
+      return [];
+    }
+
+    const replays: ReplayMetadata[] = [];
+    for (const file of files.filter(f => f.endsWith('.meta.json'))) {
+      try {
+        const contents = await fs.readFile(path.join(this.directory, file), 'utf8');
+        replays.push(JSON.parse(contents));
+      } catch (error) {
+        console.warn(`Skipping unreadable replay metadata ${file}:`, error);
+      }
+    }
+
+    return replays.sort((a, b) => b.recordedAt - a.recordedAt);
+  }
+
+  // Path of a stored replay, or null if the id is invalid or unknown
+  public async getReplayFile(id: string): Promise<string | null> {
+    if (!ReplayStore.isValidId(id)) return null;
+
+    const replayPath = this.getReplayPath(id);
+    try {
+      await fs.access(replayPath);
+      return replayPath;
+    } catch {
+      return null;
+    }
+  }
+
+  public static isValidId(id: string): boolean {
+    return /^[A-Za-z0-9_-]{1,64}$/.test(id);
+  }
+
+  private async pruneOldReplays(): Promise<void> {
+    const replays = await this.list();
+    for (const replay of replays.slice(this.maxReplays)) {
+      await fs.rm(this.getReplayPath(replay.id), { force: true });
+      await fs.rm(this.getMetadataPath(replay.id), { force: true });
+      console.log(`Replay ${replay.id} pruned`);
+    }
+  }
+
+  private getReplayPath(id: string): string {
+    return path.join(this.directory, `${id}.json`);
+  }
+
+  private getMetadataPath(id: string): string {
+    return path.join(this.directory, `${id}.meta.json`);
+  }
+}
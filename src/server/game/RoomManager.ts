@@ -0,0 +1,387 @@
+import { Server, Socket } from 'socket.io';
+import { ServerToClientEvents, ClientToServerEvents, InterServerEvents, SocketData, InputState, GameConfig, RoomSummary, CreateRoomRequest, AdminRoomInfo, AnnouncementData, Level } from '@shared/types';
+import { GameManager } from './GameManager';
+import { LevelLibrary } from './LevelLibrary';
+import { ReplayStore } from './ReplayStore';
+import { DEFAULT_GAME_CONFIG } from '../../shared/types/GameConfig';
+import { GAME_MODES } from '../../shared/types/GameTypes';
+
+type TypedSocket = Socket<ClientToServerEvents, ServerToClientEvents, InterServerEvents, SocketData>;
+type TypedServer = Server<ClientToServerEvents, ServerToClientEvents, InterServerEvents, SocketData>;
+
+interface Room {
+  code: string;
+  gameManager: GameManager;
+  persistent: boolean;
+  testLevel: boolean; // Opened from the level editor; these count against rooms.maxTestRooms instead of maxRooms
+  createdAt: number;
+  emptySince: number | null;
+}
+
+export interface RoomStats {
+  code: string;
+  name: string;
+  isPrivate: boolean;
+  players: number;
+  humans: number;
+  maxPlayers: number;
+  spectators: number;
+}
+
+export interface RoomManagerOptions {
+  replayStore?: ReplayStore; // Rounds are recorded when a store is provided
+  config?: GameConfig; // Gameplay rules shared by every room
+}
+
+export class RoomManager {
+  public static readonly DEFAULT_ROOM_CODE = 'MAIN';
+
+  private io: TypedServer;
+  private replayStore: ReplayStore | undefined;
+  private readonly config: GameConfig;
+  private rooms = new Map<string, Room>();
+  private disposeInterval: NodeJS.Timeout | null = null;
+
+  // Room limits (room count and capacity come from the config)
+  private readonly minRoomPlayers = 2;
+  private readonly emptyRoomTimeout = 30000; // Dispose empty rooms after 30 seconds
+  private readonly disposeCheckInterval = 5000;
+
+  // Room code alphabet without look-alike characters (0/O, 1/I/L)
+  private readonly codeAlphabet = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+  private readonly codeLength = 5;
+
+  constructor(io: TypedServer, options: RoomManagerOptions = {}) {
+    this.io = io;
+    this.replayStore = options.replayStore;
+    this.config = options.config || DEFAULT_GAME_CONFIG;
+
+    // The default public room always exists so quick join has somewhere to go
+    this.createRoomInternal({
+      roomName: 'Public Arena',
+      isPrivate: false,
+      maxPlayers: this.config.rooms.maxPlayers,
+    }, RoomManager.DEFAULT_ROOM_CODE, true);
+
+    this.disposeInterval = setInterval(() => this.disposeEmptyRooms(), this.disposeCheckInterval);
+  }
+
+  // Join the first public room with space, creating a new one if all are full
+  // (the current room is only left once there is somewhere to go)
+  public quickJoin(socket: TypedSocket, playerName: string): void {
+    // Already playing in a public room - nothing to do (rejoining would reset the player)
+    const currentRoom = this.getSocketRoom(socket);
+    if (currentRoom && !socket.data.isSpectator && !currentRoom.gameManager.getRoomSummary().isPrivate) {
+      return;
+    }
+
+    const openRoom = Array.from(this.rooms.values()).find(room => {
+      const summary = room.gameManager.getRoomSummary();
+      return !summary.isPrivate && summary.playerCount < summary.maxPlayers;
+    });
+
+    const room = openRoom || this.createRoomInternal({ roomName: 'Public Arena', isPrivate: false });
+    if (!room) {
+      socket.emit('joinError', 'All rooms are full');
+      return;
+    }
+
+    this.leaveCurrentRoom(socket);
+    this.joinExistingRoom(socket, room, playerName);
+  }
+
+  public createRoom(socket: TypedSocket, request: CreateRoomRequest): void {
+    const room = this.createRoomInternal(request);
+    if (!room) {
+      socket.emit('joinError', 'Server room limit reached');
+      return;
+    }
+
+    this.leaveCurrentRoom(socket);
+    this.joinExistingRoom(socket, room, request.playerName);
+  }
+
+  // Private room that only plays the given level, for test-playing it from the level editor; returns
+  // the room code to join, or null at the test room limit. Like any room it goes once it has been empty a while.
+  public createTestRoom(level: Level): string | null {
+    const room = this.createRoomInternal(
+      { roomName: `Test: ${level.name}`, isPrivate: true },
+      this.generateRoomCode(),
+      false,
+      level
+    );
+    return room ? room.code : null;
+  }
+
+  public joinRoom(socket: TypedSocket, roomCode: string, playerName: string): void {
+    const code = this.normalizeRoomCode(roomCode);
+    const room = this.rooms.get(code);
+    if (!room) {
+      socket.emit('joinError', `Room ${code} not found`);
+      return;
+    }
+
+    // Already playing in this room - nothing to do (spectators may switch to playing)
+    if (socket.data.roomCode === code && !socket.data.isSpectator) {
+      return;
+    }
+
+    const summary = room.gameManager.getRoomSummary();
+    if (summary.playerCount >= summary.maxPlayers) {
+      socket.emit('joinError', `Room ${code} is full`);
+      return;
+    }
+
+    this.leaveCurrentRoom(socket);
+    this.joinExistingRoom(socket, room, playerName);
+  }
+
+  // Get a player back after a reconnect; the client falls back to a normal join if this fails
+  public resumeSession(socket: TypedSocket, token: string): void {
+    const room = Array.from(this.rooms.values()).find(r => r.gameManager.hasSession(token));
+    if (!room) {
+      socket.emit('sessionExpired');
+      return;
+    }
+
+    if (socket.data.roomCode !== room.code) {
+      this.leaveCurrentRoom(socket);
+    }
+
+    if (room.gameManager.handleSessionResume(socket, token)) {
+      room.emptySince = null;
+    } else {
+      socket.emit('sessionExpired');
+    }
+  }
+
+  // Watch a room without taking a player slot
+  public spectate(socket: TypedSocket, roomCode: string = RoomManager.DEFAULT_ROOM_CODE): void {
+    const code = this.normalizeRoomCode(roomCode);
+    const room = this.rooms.get(code);
+    if (!room) {
+      socket.emit('joinError', `Room ${code} not found`);
+      return;
+    }
+
+    // Already watching this room - nothing to do
+    if (socket.data.roomCode === code && socket.data.isSpectator) {
+      return;
+    }
+
+    const summary = room.gameManager.getRoomSummary();
+    if (summary.spectatorCount >= summary.maxSpectators) {
+      socket.emit('joinError', `Room ${code} has no spectator slots left`);
+      return;
+    }
+
+    this.leaveCurrentRoom(socket);
+    room.gameManager.handleSpectatorJoin(socket);
+  }
+
+  public leaveCurrentRoom(socket: TypedSocket): void {
+    const room = this.getSocketRoom(socket);
+    if (!room) return;
+
+    room.gameManager.handlePlayerLeave(socket);
+    this.markIfEmpty(room);
+  }
+
+  public handlePlayerInput(socket: TypedSocket, inputState: InputState): void {
+    const room = this.getSocketRoom(socket);
+    if (room) {
+      room.gameManager.handlePlayerInput(socket, inputState);
+    }
+  }
+
+  public handlePlayerReady(socket: TypedSocket, ready: boolean): void {
+    const room = this.getSocketRoom(socket);
+    if (room) {
+      room.gameManager.handlePlayerReady(socket, ready);
+    }
+  }
+
+  public handleLevelVote(socket: TypedSocket, levelId: string): void {
+    const room = this.getSocketRoom(socket);
+    if (room) {
+      room.gameManager.handleLevelVote(socket, levelId);
+    }
+  }
+
+  public handleResyncRequest(socket: TypedSocket, includeLevel: boolean): void {
+    const room = this.getSocketRoom(socket);
+    if (room) {
+      room.gameManager.handleResyncRequest(socket, includeLevel);
+    }
+  }
+
+  public handleDisconnect(socket: TypedSocket): void {
+    const room = this.getSocketRoom(socket);
+    if (!room) return;
+
+    room.gameManager.handlePlayerDisconnect(socket);
+    this.markIfEmpty(room);
+  }
+
+  public listPublicRooms(): RoomSummary[] {
+    return Array.from(this.rooms.values())
+      .map(room => room.gameManager.getRoomSummary())
+      .filter(summary => !summary.isPrivate);
+  }
+
+  public getRoomStats(): RoomStats[] {
+    return Array.from(this.rooms.values()).map(room => {
+      const summary = room.gameManager.getRoomSummary();
+      return {
+        code: summary.code,
+        name: summary.name,
+        isPrivate: summary.isPrivate,
+        players: summary.playerCount,
+        humans: summary.humanCount,
+        maxPlayers: summary.maxPlayers,
+        spectators: summary.spectatorCount,
+      };
+    });
+  }
+
+  public getGameManager(roomCode: string): GameManager | undefined {
+    return this.rooms.get(this.normalizeRoomCode(roomCode))?.gameManager;
+  }
+
+  public getAdminInfo(): AdminRoomInfo[] {
+    return Array.from(this.rooms.values()).map(room => room.gameManager.getAdminInfo());
+  }
+
+  // Message to every connected client, in a room or not
+  public announce(data: AnnouncementData): void {
+    this.io.emit('serverAnnouncement', data);
+  }
+
+  public getPlayerCount(): number {
+    let total = 0;
+    this.rooms.forEach(room => {
+      total += room.gameManager.getPlayerCount();
+    });
+    return total;
+  }
+
+  public getRoomCount(): number {
+    return this.rooms.size;
+  }
+
+  public shutdown(): void {
+    console.log('RoomManager: Shutting down all rooms...');
+
+    if (this.disposeInterval) {
+      clearInterval(this.disposeInterval);
+      this.disposeInterval = null;
+    }
+
+    this.rooms.forEach(room => room.gameManager.shutdown());
+    this.rooms.clear();
+  }
+
+  private createRoomInternal(
+    request: Partial<CreateRoomRequest>,
+    code: string = this.generateRoomCode(),
+    persistent: boolean = false,
+    testLevel?: Level // Only plays this level; the shared level files by default
+  ): Room | null {
+    const { maxRooms, maxTestRooms } = this.config.rooms;
+    const sameKind = Array.from(this.rooms.values()).filter(room => room.testLevel === !!testLevel).length;
+    if (sameKind >= (testLevel ? maxTestRooms : maxRooms)) {
+      return null;
+    }
+
+    const maxPlayers = Math.max(
+      this.minRoomPlayers,
+      Math.min(this.config.rooms.maxPlayers, Math.floor(request.maxPlayers || this.config.rooms.maxPlayers))
+    );
+    const roomName = (request.roomName || '').trim().slice(0, 24) || `Room ${code}`;
+    const mode = GAME_MODES.find(id => id === request.mode); // Unknown modes fall back to classic
+
+    const room: Room = {
+      code,
+      gameManager: new GameManager(this.io, {
+        roomCode: code,
+        roomName,
+        isPrivate: !!request.isPrivate,
+        maxPlayers,
+        replayStore: this.replayStore,
+        config: this.config,
+        mode,
+        teams: request.teams === true,
+        levelVoting: request.levelVoting === true,
+        levelLibrary: testLevel ? LevelLibrary.fromLevels([testLevel]) : undefined,
+        generatedLevels: testLevel ? 0 : undefined,
+      }),
+      persistent,
+      testLevel: !!testLevel,
+      createdAt: Date.now(),
+      emptySince: persistent ? null : Date.now(),
+    };
+
+    this.rooms.set(code, room);
+    console.log(`Room ${code} (${roomName}) created, private: ${!!request.isPrivate}, capacity: ${maxPlayers}, mode: ${mode || 'classic'}, teams: ${request.teams === true}, level voting: ${request.levelVoting === true}`);
+    return room;
+  }
+
+  private joinExistingRoom(socket: TypedSocket, room: Room, playerName: string): void {
+    if (room.gameManager.handlePlayerJoin(socket, playerName)) {
+      room.emptySince = null;
+    }
+  }
+
+  private getSocketRoom(socket: TypedSocket): Room | undefined {
+    return socket.data.roomCode ? this.rooms.get(socket.data.roomCode) : undefined;
+  }
+
+  private markIfEmpty(room: Room): void {
+    if (!room.persistent && room.gameManager.getHumanPlayerCount() === 0 && room.emptySince === null) {
+      room.emptySince = Date.now();
+    }
+  }
+
+  private disposeEmptyRooms(): void {
+    const now = Date.now();
+
+    for (const [code, room] of this.rooms.entries()) {
+      if (room.persistent) continue;
+
+      // A human may have joined since the room was marked empty
+      if (room.gameManager.getHumanPlayerCount() > 0) {
+        room.emptySince = null;
+        continue;
+      }
+
+      // Players whose reconnect grace period ran out leave without a disconnect event
+      if (room.emptySince === null) {
+        room.emptySince = now;
+        continue;
+      }
+
+      // Spectators don't keep a room open, but they are told it closed
+      if (now - room.emptySince >= this.emptyRoomTimeout) {
+        room.gameManager.releaseSpectators('Nobody is playing in this room anymore');
+        room.gameManager.shutdown();
+        this.rooms.delete(code);
+        console.log(`Room ${code} disposed after being empty for ${now - room.emptySince}ms`);
+      }
+    }
+  }
+
+  private generateRoomCode(): string {
+    let code: string;
+    do {
+      code = '';
+      for (let i = 0; i < this.codeLength; i++) {
+        code += this.codeAlphabet[Math.floor(Math.random() * this.codeAlphabet.length)];
+      }
+    } while (this.rooms.has(code));
+    return code;
+  }
+
+  private normalizeRoomCode(roomCode: string): string {
+    return (roomCode || '').trim().toUpperCase();
+  }
+}
@@ -0,0 +1,78 @@
+import { RoundPhase } from '@shared/types';
+import { Clock } from './Clock';
+import { Scheduler } from './Scheduler';
+
+// Where each phase may go next. An admin can end the round from any phase before the round end.
+const NEXT_PHASES: Record<RoundPhase, RoundPhase[]> = {
+  waiting: ['readyCheck', 'roundEnd'],
+  readyCheck: ['waiting', 'countdown', 'roundEnd'],
+  countdown: ['waiting', 'readyCheck', 'playing', 'roundEnd'],
+  playing: ['roundEnd'],
+  roundEnd: ['preview'],
+  preview: ['transition'],
+  transition: ['waiting'],
+};
+
+// The room's round lifecycle. Only listed phase changes are allowed; a timed phase runs its
+// callback on the simulation scheduler unless the phase is left first.
+export class RoundPhases {
+  private phase: RoundPhase = 'waiting';
+  private endsAt: number | null = null;
+  private task: number | null = null;
+
+  constructor(
+    private readonly clock: Clock,
+    private readonly scheduler: Scheduler,
+    private readonly onChange: (phase: RoundPhase, previous: RoundPhase) => void
+  ) {}
+
+  public getPhase(): RoundPhase {
+    return this.phase;
+  }
+
+  public is(...phases: RoundPhase[]): boolean {
+    return phases.includes(this.phase);
+  }
+
+  public canEnter(phase: RoundPhase): boolean {
+    return NEXT_PHASES[this.phase].includes(phase);
+  }
+
+  // Move on to a phase, optionally for a limited time; false (and no change) if it isn't allowed from here
+  public enter(phase: RoundPhase, duration?: number, onTimeout?: () => void): boolean {
+    if (!this.canEnter(phase)) {
+      console.warn(`RoundPhases: rejected change from ${this.phase} to ${phase}`);
+      return false;
+    }
+
+    this.cancel();
+    const previous = this.phase;
+    this.phase = phase;
+    if (duration !== undefined) {
+      this.endsAt = this.clock.now() + duration;
+      this.task = this.scheduler.schedule(duration, () => {
+        this.task = null;
+        onTimeout?.();
+      });
+    }
+
+    this.onChange(phase, previous);
+    return true;
+  }
+
+  // ms until a timed phase is over; undefined for phases that wait for something else
+  public getTimeLeft(): number | undefined {
+    return this.endsAt === null ? undefined : Math.max(0, this.endsAt - this.clock.now());
+  }
+
+  public isOver(): boolean {
+    return this.getTimeLeft() === 0;
+  }
+
+  // Drop the current phase's timer, e.g. on shutdown
+  public cancel(): void {
+    this.scheduler.cancel(this.task);
+    this.task = null;
+    this.endsAt = null;
+  }
+}
@@ -0,0 +1,50 @@
+import { Clock } from './Clock';
+
+interface ScheduledTask {
+  id: number;
+  dueTime: number;
+  callback: () => void;
+}
+
+// Replacement for setTimeout on a given clock; due tasks run when the game loop calls runDue
+export class Scheduler {
+  private clock: Clock;
+  private tasks: ScheduledTask[] = [];
+  private nextId = 1;
+
+  constructor(clock: Clock) {
+    this.clock = clock;
+  }
+
+  public schedule(delay: number, callback: () => void): number {
+    const task: ScheduledTask = { id: this.nextId++, dueTime: this.clock.now() + delay, callback };
+    this.tasks.push(task);
+    return task.id;
+  }
+
+  public cancel(id: number | null): void {
+    if (id === null) return;
+    this.tasks = this.tasks.filter(task => task.id !== id);
+  }
+
+  // Run every task due by now, in due-time then scheduling order
+  public runDue(): void {
+    const now = this.clock.now();
+    const due = this.tasks
+      .filter(task => task.dueTime <= now)
+      .sort((a, b) => a.dueTime - b.dueTime || a.id - b.id);
+    if (due.length === 0) return;
+
+    const dueIds = new Set(due.map(task => task.id));
+    this.tasks = this.tasks.filter(task => !dueIds.has(task.id));
+    due.forEach(task => task.callback());
+  }
+
+  public getPendingCount(): number {
+    return this.tasks.length;
+  }
+
+  public clear(): void {
+    this.tasks = [];
+  }
+}
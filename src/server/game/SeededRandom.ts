@@ -0,0 +1,60 @@
+// Deterministic PRNG (mulberry32) so the same seed reproduces the same round
+export class SeededRandom {
+  private readonly seed: number;
+  private state: number;
+
+  constructor(seed: number = SeededRandom.randomSeed()) {
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+  }
+
+  public static randomSeed(): number {
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+  }
+
+  public getSeed(): number {
+    return this.seed;
+  }
+
+  // Float in [0, 1), drop-in replacement for Math.random()
+  public next(): number {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+  }
+
+  // Integer in [0, max)
+  public int(max: number): number {
+    return Math.floor(this.next() * max);
+  }
+
+  // Float in [min, max)
+  public range(min: number, max: number): number {
+    return min + this.next() * (max - min);
+  }
+
+  public pick<T>(items: T[]): T {
+    return items[this.int(items.length)];
+  }
+
+  // Fisher-Yates shuffle into a new array
+  public shuffle<T>(items: T[]): T[] {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+      const j = this.int(i + 1);
+      [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+  }
+
+  // Random base36 string, e.g. for generated entity ids
+  public id(length: number = 9): string {
+    let result = '';
+    for (let i = 0; i < length; i++) {
+      result += this.int(36).toString(36);
+    }
+    return result;
+  }
+}
@@ -0,0 +1,19 @@
+import { GameConfig } from '@shared/types';
+import { DEFAULT_GAME_CONFIG } from '../../shared/types/GameConfig';
+import { Clock, SystemClock } from './Clock';
+import { SeededRandom } from './SeededRandom';
+
+// Everything the simulation needs from the outside world - time, randomness and the rules
+export interface SimulationContext {
+  clock: Clock;
+  random: SeededRandom;
+  config: GameConfig;
+}
+
+export function createSimulationContext(
+  seed?: number,
+  clock: Clock = new SystemClock(),
+  config: GameConfig = DEFAULT_GAME_CONFIG
+): SimulationContext {
+  return { clock, random: new SeededRandom(seed), config };
+}
@@ -0,0 +1,81 @@
+import { DynamicGameState, Level, StateDelta, StateSnapshot } from '@shared/types';
+import { StateSyncUtils } from '../../shared/utils/StateSyncUtils';
+
+interface ClientSyncState {
+  lastSnapshot: StateSnapshot | null; // Baseline the client is known to hold
+  includeLevel: boolean;
+}
+
+// Tracks the last state each client received and produces per-client snapshot or delta updates
+export class StateSync {
+  private seq = 0;
+  private clients = new Map<string, ClientSyncState>();
+
+  // Deltas computed for the current snapshot, keyed by baseline so clients sharing
+  // the same view and baseline (e.g. unfiltered spectators) share the work
+  private deltaCache = new Map<StateSnapshot, StateDelta>();
+  private deltaCacheFor: StateSnapshot | null = null;
+
+  public addClient(clientId: string): void {
+    this.clients.set(clientId, { lastSnapshot: null, includeLevel: false });
+  }
+
+  public removeClient(clientId: string): void {
+    this.clients.delete(clientId);
+  }
+
+  public hasClient(clientId: string): boolean {
+    return this.clients.has(clientId);
+  }
+
+  // Drop the client's baseline so the next update is a full snapshot
+  public requestResync(clientId: string, includeLevel: boolean = false): void {
+    const client = this.clients.get(clientId);
+    if (!client) return;
+
+    client.lastSnapshot = null;
+    client.includeLevel = client.includeLevel || includeLevel;
+  }
+
+  public createSnapshot(state: DynamicGameState): StateSnapshot {
+    this.seq++;
+    return { kind: 'snapshot', seq: this.seq, ...state };
+  }
+
+  public getSequence(): number {
+    return this.seq;
+  }
+
+  // Returns the update to send to one client and records the snapshot as its new baseline
+  public buildUpdate(clientId: string, snapshot: StateSnapshot, level: Level): StateSnapshot | StateDelta | null {
+    const client = this.clients.get(clientId);
+    if (!client) return null;
+
+    const previous = client.lastSnapshot;
+    client.lastSnapshot = snapshot;
+
+    if (!previous) {
+      const includeLevel = client.includeLevel;
+      client.includeLevel = false;
+      return includeLevel ? { ...snapshot, level } : snapshot;
+    }
+
+    if (this.deltaCacheFor !== snapshot) {
+      this.deltaCache.clear();
+      this.deltaCacheFor = snapshot;
+    }
+
+    let delta = this.deltaCache.get(previous);
+    if (!delta) {
+      delta = StateSyncUtils.createDelta(previous, snapshot);
+      this.deltaCache.set(previous, delta);
+    }
+    return delta;
+  }
+
+  public clear(): void {
+    this.clients.clear();
+    this.deltaCache.clear();
+    this.deltaCacheFor = null;
+  }
+}
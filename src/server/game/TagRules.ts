@@ -0,0 +1,71 @@
+import { GameConfig, TagRejectReason } from '@shared/types';
+import { Player } from './Player';
+
+// A touch the mode would count as a tag
+export interface TagAttempt {
+  tagger: Player;
+  target: Player;
+  distance: number;
+}
+
+export interface TagRejection {
+  tagger: Player;
+  target: Player;
+  reason: TagRejectReason;
+}
+
+export type TagRuleId = Exclude<TagRejectReason, 'simultaneous_contact'>;
+
+type TagRule = (attempt: TagAttempt, now: number, config: GameConfig['tag']) => boolean; // True rejects the tag
+
+const TAG_RULES: Record<TagRuleId, TagRule> = {
+  // Transparent players can tag but can't be tagged
+  transparent: ({ target }) => target.isTransparent,
+  spawn_protection: ({ target }, now) => now < target.spawnProtectedUntil,
+  stun_immunity: ({ target }, now, config) => target.lastStunEnd > 0 && now < target.lastStunEnd + config.stunImmunity,
+  no_tag_back: ({ tagger, target }, now, config) =>
+    tagger.lastTaggedBy?.id === target.id && now < tagger.lastTaggedBy.at + config.noTagBackWindow,
+};
+
+export const DEFAULT_TAG_RULES: TagRuleId[] = ['transparent', 'spawn_protection', 'stun_immunity', 'no_tag_back'];
+
+// Decides which of a tick's tag attempts count. Each attempt runs through the rules in order and the
+// first one that rejects it gives the reason; of the rest, every player takes part in one tag at most,
+// closest contact first.
+export class TagRules {
+  constructor(
+    private readonly config: GameConfig['tag'],
+    private readonly rules: TagRuleId[] = DEFAULT_TAG_RULES
+  ) {}
+
+  public check(attempt: TagAttempt, now: number): TagRejectReason | null {
+    return this.rules.find(rule => TAG_RULES[rule](attempt, now, this.config)) || null;
+  }
+
+  public resolve(attempts: TagAttempt[], now: number): { tags: TagAttempt[]; rejections: TagRejection[] } {
+    const tags: TagAttempt[] = [];
+    const rejections: TagRejection[] = [];
+    const involved = new Set<string>();
+
+    const allowed = attempts.filter(attempt => {
+      const reason = this.check(attempt, now);
+      if (reason) rejections.push({ tagger: attempt.tagger, target: attempt.target, reason });
+      return !reason;
+    });
+
+    // Ties go the same way every run: by distance, then by player ids
+    allowed
+      .sort((a, b) => a.distance - b.distance || a.tagger.id.localeCompare(b.tagger.id) || a.target.id.localeCompare(b.target.id))
+      .forEach(attempt => {
+        if (involved.has(attempt.tagger.id) || involved.has(attempt.target.id)) {
+          rejections.push({ tagger: attempt.tagger, target: attempt.target, reason: 'simultaneous_contact' });
+          return;
+        }
+        involved.add(attempt.tagger.id);
+        involved.add(attempt.target.id);
+        tags.push(attempt);
+      });
+
+    return { tags, rejections };
+  }
+}
@@ -0,0 +1,115 @@
+import { Bush, ConveyorBelt, Crusher, CrusherPhase, CrusherState, Level, Obstacle } from '@shared/types';
+import { TerrainUtils } from '../../shared/utils/TerrainUtils';
+import { ArenaUtils } from '../../shared/utils/ArenaUtils';
+import { Player } from './Player';
+import { GameState } from './GameState';
+
+const CRUSHER_STUN_DURATION = 2000;
+
+interface CrusherEntry {
+  id: string;
+  crusher: Crusher;
+  isDown: boolean;
+}
+
+// Theme terrain of the current level: conveyor belts carry players, crushers slam on a
+// timer and block their area while down, bushes hide the players inside them
+export class TerrainSystem {
+  private readonly conveyors: ConveyorBelt[] = [];
+  private readonly crushers: CrusherEntry[] = [];
+  private readonly bushes: { id: string; bush: Bush }[] = [];
+  private readonly startTime: number; // Crusher cycles count from when the level started
+  private locked = false; // Someone holds platformLock - crushers stay open
+  private blocking: Obstacle[] = [];
+
+  constructor(level: Level, startTime: number) {
+    this.startTime = startTime;
+    (level.terrain || []).forEach((feature, index) => {
+      if (feature.type === 'conveyor') {
+        this.conveyors.push(feature);
+      } else if (feature.type === 'crusher') {
+        this.crushers.push({ id: TerrainUtils.getCrusherId(index), crusher: feature, isDown: false });
+      } else if (feature.type === 'bush') {
+        this.bushes.push({ id: TerrainUtils.getBushId(index), bush: feature });
+      }
+    });
+  }
+
+  public update(players: Player[], now: number, deltaTime: number, world: GameState): void {
+    this.locked = players.some(player => player.hasEffect('platformLock'));
+    this.updateCrushers(players, now, world);
+    this.updateConveyors(players, deltaTime, world);
+
+    players.forEach(player => {
+      player.concealedIn = this.bushes.find(({ bush }) => TerrainUtils.isInsideBush(player.x, player.y, bush))?.id;
+    });
+  }
+
+  // Crushers that are down, as obstacles for movement and placement checks
+  public getBlockingObstacles(): Obstacle[] {
+    return this.blocking;
+  }
+
+  // Undefined when the level has no crushers
+  public getCrusherStates(now: number): CrusherState[] | undefined {
+    if (this.crushers.length === 0) return undefined;
+    return this.crushers.map(({ id, crusher }) => ({ id, phase: this.getPhase(crusher, now) }));
+  }
+
+  private getPhase(crusher: Crusher, now: number): CrusherPhase {
+    return this.locked ? 'open' : TerrainUtils.getCrusherPhase(crusher, now - this.startTime);
+  }
+
+  private updateCrushers(players: Player[], now: number, world: GameState): void {
+    const slammed: Crusher[] = [];
+    this.crushers.forEach(entry => {
+      const isDown = this.getPhase(entry.crusher, now) === 'down';
+      if (isDown && !entry.isDown) {
+        slammed.push(entry.crusher);
+      }
+      entry.isDown = isDown;
+    });
+
+    this.blocking = this.crushers
+      .filter(entry => entry.isDown)
+      .map(({ crusher }) => ({ x: crusher.x, y: crusher.y, width: crusher.width, height: crusher.height, type: 'rectangle' }));
+
+    // Players caught under a slam are stunned (unless shielded) and pushed out
+    slammed.forEach(crusher => {
+      players.forEach(player => {
+        if (!this.overlapsArea(player, crusher)) return;
+
+        if (!player.hasEffect('industrialShield')) {
+          player.stun(CRUSHER_STUN_DURATION);
+        }
+        const position = world.findClearPositionNear(player);
+        player.x = position.x;
+        player.y = position.y;
+      });
+    });
+  }
+
+  private updateConveyors(players: Player[], deltaTime: number, world: GameState): void {
+    if (this.conveyors.length === 0) return;
+
+    players.forEach(player => {
+      if (player.hasEffect('conveyorControl')) return;
+
+      const push = TerrainUtils.getConveyorPush(player.x, player.y, this.conveyors, deltaTime);
+      if (push.dx === 0 && push.dy === 0) return;
+
+      const radius = player.currentRadius;
+      const { x, y } = ArenaUtils.confine(player.x + push.dx, player.y + push.dy, radius, world.getArena());
+      if (!world.checkObstacleCollision(x, y, radius, player)) {
+        player.x = x;
+        player.y = y;
+      }
+    });
+  }
+
+  private overlapsArea(player: Player, area: { x: number; y: number; width: number; height: number }): boolean {
+    const closestX = Math.max(area.x - area.width / 2, Math.min(player.x, area.x + area.width / 2));
+    const closestY = Math.max(area.y - area.height / 2, Math.min(player.y, area.y + area.height / 2));
+    return Math.hypot(player.x - closestX, player.y - closestY) < player.currentRadius;
+  }
+}
@@ -0,0 +1,163 @@
+import { FloorPosition, PlayerState, PlayerHint, PortalState, ProjectileState, Star, StunOrb } from '@shared/types';
+import { SightUtils } from '../../shared/types/GameTypes';
+import { PowerUpUtils } from '../../shared/types/PowerUps';
+import { Arena, ArenaUtils } from '../../shared/utils/ArenaUtils';
+import { FloorUtils } from '../../shared/utils/FloorUtils';
+
+export interface VisibilityOptions {
+  enabled: boolean; // When false every recipient gets the full state
+  sightMargin: number; // Extra range beyond sightRange so entities don't pop in at the fog edge
+  hintCellSize: number; // Grid size for approximate positions of hidden players (0 = no position)
+  itSeesAll: boolean; // The IT player receives exact positions of everything
+  spectatorsSeeAll: boolean; // Recipients without a player receive the full state
+  camouflageRevealRange: number; // Camouflaged players and players hiding in bushes are only seen within this distance
+}
+
+export const DEFAULT_VISIBILITY_OPTIONS: VisibilityOptions = {
+  enabled: true,
+  sightMargin: 50,
+  hintCellSize: 200,
+  itSeesAll: false,
+  spectatorsSeeAll: true,
+  camouflageRevealRange: 60,
+};
+
+// Any state shape carrying the fog-of-war relevant collections (snapshots and full game state)
+interface FilterableState {
+  players: PlayerState[];
+  playerHints: PlayerHint[];
+  stars: Star[];
+  stunOrbs: StunOrb[];
+  projectiles?: ProjectileState[];
+  portals?: PortalState[];
+}
+
+// Builds per-recipient views so clients only receive what their fog of war lets them see
+export class VisibilityFilter {
+  private options: VisibilityOptions;
+
+  constructor(options: Partial<VisibilityOptions> = {}) {
+    this.options = { ...DEFAULT_VISIBILITY_OPTIONS, ...options };
+  }
+
+  public getOptions(): VisibilityOptions {
+    return { ...this.options };
+  }
+
+  public setOptions(options: Partial<VisibilityOptions>): void {
+    this.options = { ...this.options, ...options };
+  }
+
+  // Returns the state unchanged when the recipient may see everything; with a wrap-around arena,
+  // sight reaches across the seam
+  public filter<T extends FilterableState>(state: T, viewerId: string | null, arena?: Arena): T {
+    if (!this.options.enabled) return state;
+
+    const viewer = viewerId ? state.players.find(p => p.id === viewerId) : undefined;
+    if (!viewer) {
+      if (this.options.spectatorsSeeAll) return state;
+
+      // Spectators without full view only get the leaderboard
+      return {
+        ...state,
+        players: [],
+        playerHints: [...state.playerHints, ...state.players.map(p => this.toHint(p))],
+        stars: [],
+        stunOrbs: [],
+        projectiles: undefined,
+        portals: undefined,
+      };
+    }
+
+    const seesAll = viewer.isIt && this.options.itSeesAll;
+    const range = viewer.sightRange + this.options.sightMargin;
+    const distanceTo = (x: number, y: number) => arena
+      ? ArenaUtils.getDistance(viewer, { x, y }, arena)
+      : SightUtils.getDistance(viewer.x, viewer.y, x, y);
+    const inSight = (x: number, y: number) => seesAll || distanceTo(x, y) <= range;
+    // Nothing on another floor can be seen
+    const onViewerFloor = (entity: { floor?: number }) => FloorUtils.isSameFloor(entity, viewer);
+
+    // Echo location reveals every player that isn't transparent
+    const echoLocating = PowerUpUtils.hasEffect(viewer, 'echoLocate');
+    const seesIntoBushes = PowerUpUtils.hasEffect(viewer, 'naturesCall');
+    const isVisible = (player: PlayerState): boolean => {
+      // Transparent players stay hidden from everyone but themselves
+      if (player.id === viewer.id) return true;
+      if (player.isTransparent) return false;
+      if (!onViewerFloor(player)) return seesAll;
+      if (echoLocating) return true;
+
+      // Players sharing a bush see each other
+      const hiddenInBush = !!player.concealedIn && player.concealedIn !== viewer.concealedIn && !seesIntoBushes;
+      if (hiddenInBush || PowerUpUtils.hasEffect(player, 'camouflage')) {
+        return distanceTo(player.x, player.y) <= this.options.camouflageRevealRange;
+      }
+      return inSight(player.x, player.y);
+    };
+
+    const players: PlayerState[] = [];
+    const playerHints: PlayerHint[] = [...state.playerHints];
+    for (const player of state.players) {
+      if (isVisible(player)) {
+        players.push(player);
+      } else {
+        playerHints.push(this.toHint(player, onViewerFloor(player) ? undefined : FloorUtils.getFloor(player)));
+      }
+    }
+
+    return {
+      ...state,
+      players,
+      playerHints,
+      // The holder of a star mission always knows where its stars are
+      stars: state.stars.filter(star => star.missionFor === viewer.id || ((seesAll || onViewerFloor(star)) && inSight(star.x, star.y))),
+      stunOrbs: state.stunOrbs.filter(orb => (seesAll || onViewerFloor(orb)) && inSight(orb.x, orb.y)),
+      projectiles: state.projectiles?.filter(net => (seesAll || onViewerFloor(net)) && inSight(net.x, net.y)),
+      // A pair is sent whole when either end can be seen
+      portals: state.portals?.filter(portal => [portal.entry, portal.exit].some((end?: FloorPosition) =>
+        !!end && (seesAll || onViewerFloor(end)) && inSight(end.x, end.y)
+      )),
+    };
+  }
+
+  // Whether a recipient may see a spot, e.g. where an event happened; recipients without a player
+  // follow the spectator setting
+  public canSee(viewer: PlayerState | undefined, spot: FloorPosition, arena?: Arena): boolean {
+    if (!this.options.enabled) return true;
+    if (!viewer) return this.options.spectatorsSeeAll;
+    if (viewer.isIt && this.options.itSeesAll) return true;
+
+    const distance = arena ? ArenaUtils.getDistance(viewer, spot, arena) : SightUtils.getDistance(viewer.x, viewer.y, spot.x, spot.y);
+    return FloorUtils.isSameFloor(spot, viewer) && distance <= viewer.sightRange + this.options.sightMargin;
+  }
+
+  private toHint(player: PlayerState, floor?: number): PlayerHint {
+    const hint: PlayerHint = {
+      id: player.id,
+      name: player.name,
+      score: player.score,
+      isIt: player.isIt,
+      isAI: player.isAI,
+      color: player.color,
+    };
+    if (player.isReconnecting) {
+      hint.isReconnecting = true;
+    }
+    if (floor !== undefined) {
+      hint.floor = floor;
+    }
+    if (player.team) {
+      hint.team = player.team;
+    }
+
+    const cellSize = this.options.hintCellSize;
+    if (cellSize > 0 && !player.isTransparent && !player.concealedIn && !PowerUpUtils.hasEffect(player, 'camouflage')) {
+      hint.approxX = (Math.floor(player.x / cellSize) + 0.5) * cellSize;
+      hint.approxY = (Math.floor(player.y / cellSize) + 0.5) * cellSize;
+      hint.approxRadius = cellSize / 2;
+    }
+
+    return hint;
+  }
+}
@@ -0,0 +1,45 @@
+import { ModeState, RoundEndReason } from '@shared/types';
+import { Player } from '../Player';
+import { GameMode, ModeContext, checkPointThreshold, scoreTag } from './GameMode';
+
+// One IT who hands the role on with every tag and loses points for every second they keep it
+export class ClassicMode implements GameMode {
+  public readonly id = 'classic';
+
+  public assignRoles(_players: Player[], context: ModeContext): void {
+    context.world.ensureItPlayer();
+  }
+
+  public canTag(tagger: Player, target: Player): boolean {
+    return tagger.isIt && !target.isIt;
+  }
+
+  public tag(tagger: Player, target: Player, context: ModeContext): void {
+    tagger.stopBeingIt();
+    target.becomeIt();
+    scoreTag(tagger, target, context);
+  }
+
+  public tick(players: Player[], context: ModeContext): void {
+    players.forEach(player => {
+      if (!player.isIt || !player.becameItTime || player.isStunned) return;
+
+      // Deduct points every second
+      const timeSinceDeduction = context.now - (player.lastPointDeduction || player.becameItTime);
+      if (timeSinceDeduction < 1000) return;
+
+      const pointsToDeduct = Math.floor(timeSinceDeduction / 1000) * context.config.scoring.itPenaltyPerSecond;
+      player.deductItPoints(pointsToDeduct);
+      player.timeAsIt += timeSinceDeduction;
+      context.scoreChanged(player, -pointsToDeduct, 'being_it');
+    });
+  }
+
+  public checkEnd(players: Player[], context: ModeContext): RoundEndReason | null {
+    return checkPointThreshold(players, context.config);
+  }
+
+  public getState(): ModeState {
+    return { id: this.id };
+  }
+}
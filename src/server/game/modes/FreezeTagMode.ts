@@ -0,0 +1,62 @@
+import { ModeState, RoundEndReason } from '@shared/types';
+import { Player } from '../Player';
+import { GameMode, ModeContext } from './GameMode';
+import { TeamUtils } from '../../../shared/utils/TeamUtils';
+
+// IT freezes the runners it tags; a runner touching a frozen teammate (any runner without teams) thaws them.
+// The round ends once every runner is frozen at the same time.
+export class FreezeTagMode implements GameMode {
+  public readonly id = 'freezeTag';
+
+  public start(players: Player[]): void {
+    players.forEach(player => {
+      player.isFrozen = false;
+    });
+  }
+
+  public assignRoles(players: Player[], context: ModeContext): void {
+    context.world.ensureItPlayer();
+
+    // A frozen player who becomes IT (e.g. the last IT left) can chase right away
+    players.forEach(player => {
+      if (player.isIt) player.isFrozen = false;
+    });
+  }
+
+  public canTag(tagger: Player, target: Player): boolean {
+    return tagger.isIt && !target.isIt && !target.isFrozen;
+  }
+
+  // Freezing replaces the stun: the runner already can't move
+  public tag(tagger: Player, target: Player, context: ModeContext): void {
+    target.isFrozen = true;
+    context.scoreChanged(tagger, tagger.awardTagPoints(), 'successful_tag');
+  }
+
+  public touch(a: Player, b: Player, context: ModeContext): void {
+    [[a, b], [b, a]].forEach(([rescuer, frozen]) => {
+      if (!frozen.isFrozen || rescuer.isFrozen || rescuer.isIt || TeamUtils.isOpponent(rescuer, frozen)) return;
+
+      frozen.isFrozen = false;
+      const points = context.config.modes.thawPoints;
+      rescuer.score += points;
+      context.scoreChanged(rescuer, points, 'thaw');
+    });
+  }
+
+  public tick(): void {}
+
+  public checkEnd(players: Player[]): RoundEndReason | null {
+    const runners = players.filter(player => !player.isIt);
+    return runners.length > 0 && runners.every(player => player.isFrozen) ? 'all_caught' : null;
+  }
+
+  public getState(players: Player[]): ModeState {
+    const runners = players.filter(player => !player.isIt);
+    return {
+      id: this.id,
+      runners: runners.filter(player => !player.isFrozen).length,
+      frozen: runners.filter(player => player.isFrozen).length,
+    };
+  }
+}
@@ -0,0 +1,35 @@
+import { GameConfig, GameModeId, ModeState, RoundEndReason, ScoreUpdateData } from '@shared/types';
+import { Player } from '../Player';
+import { GameState } from '../GameState';
+
+export interface ModeContext {
+  now: number;
+  world: GameState;
+  config: GameConfig;
+  scoreChanged(player: Player, change: number, reason: ScoreUpdateData['reason']): void; // Announces a score change to the room
+}
+
+// Rules of one game mode. A fresh instance runs each round; the room handles touching,
+// stuns, transparency and floors and asks the mode what a touch means.
+export interface GameMode {
+  readonly id: GameModeId;
+  start?(players: Player[], context: ModeContext): void; // New round on a new level
+  assignRoles(players: Player[], context: ModeContext): void; // Every tick, e.g. to replace an IT who left
+  canTag(tagger: Player, target: Player): boolean;
+  tag(tagger: Player, target: Player, context: ModeContext): void;
+  touch?(a: Player, b: Player, context: ModeContext): void; // Players touching who can't tag each other
+  tick(players: Player[], context: ModeContext): void; // Scoring and timers
+  checkEnd(players: Player[], context: ModeContext): RoundEndReason | null; // Early round end; the time limit is the room's
+  getState(players: Player[], now: number): ModeState;
+}
+
+// The usual early end: someone reached the point threshold
+export function checkPointThreshold(players: Player[], config: GameConfig): RoundEndReason | null {
+  return players.some(player => player.score >= config.round.pointThreshold) ? 'point_threshold' : null;
+}
+
+// Tagged players are stunned for a moment and the tagger scores
+export function scoreTag(tagger: Player, target: Player, context: ModeContext): void {
+  target.stun(context.config.tag.stunDuration);
+  context.scoreChanged(tagger, tagger.awardTagPoints(), 'successful_tag');
+}
@@ -0,0 +1,18 @@
+import { GameModeId } from '@shared/types';
+import { GameMode } from './GameMode';
+import { ClassicMode } from './ClassicMode';
+import { InfectionMode } from './InfectionMode';
+import { FreezeTagMode } from './FreezeTagMode';
+import { HotPotatoMode } from './HotPotatoMode';
+
+const MODE_FACTORIES: Record<GameModeId, () => GameMode> = {
+  classic: () => new ClassicMode(),
+  infection: () => new InfectionMode(),
+  freezeTag: () => new FreezeTagMode(),
+  hotPotato: () => new HotPotatoMode(),
+};
+
+// Fresh rules for a round; modes keep per-round state such as the hot potato timer
+export function createGameMode(id: GameModeId): GameMode {
+  return MODE_FACTORIES[id]();
+}
@@ -0,0 +1,50 @@
+import { ModeState, RoundEndReason } from '@shared/types';
+import { Player } from '../Player';
+import { GameMode, ModeContext, checkPointThreshold, scoreTag } from './GameMode';
+
+// IT holds a bomb and passes it on by tagging. The bomb keeps ticking as it changes hands;
+// whoever holds it when it goes off loses points and a new bomb starts with a random player.
+export class HotPotatoMode implements GameMode {
+  public readonly id = 'hotPotato';
+  private explodesAt: number | null = null;
+
+  public assignRoles(_players: Player[], context: ModeContext): void {
+    context.world.ensureItPlayer();
+    if (this.explodesAt === null) this.explodesAt = context.now + context.config.modes.bombTimer;
+  }
+
+  public canTag(tagger: Player, target: Player): boolean {
+    return tagger.isIt && !target.isIt;
+  }
+
+  public tag(tagger: Player, target: Player, context: ModeContext): void {
+    tagger.stopBeingIt();
+    target.becomeIt();
+    scoreTag(tagger, target, context);
+  }
+
+  public tick(players: Player[], context: ModeContext): void {
+    if (this.explodesAt === null || context.now < this.explodesAt) return;
+
+    const holder = players.find(player => player.isIt);
+    if (holder) {
+      const penalty = Math.min(holder.score, context.config.modes.bombPenalty);
+      holder.score -= penalty;
+      holder.stun(context.config.tag.stunDuration);
+      holder.stopBeingIt();
+      context.scoreChanged(holder, -penalty, 'bomb_exploded');
+    }
+
+    // The next bomb goes to whoever ensureItPlayer picks
+    this.explodesAt = null;
+    this.assignRoles(players, context);
+  }
+
+  public checkEnd(players: Player[], context: ModeContext): RoundEndReason | null {
+    return checkPointThreshold(players, context.config);
+  }
+
+  public getState(_players: Player[], now: number): ModeState {
+    return { id: this.id, bombTimeLeft: this.explodesAt === null ? undefined : Math.max(0, this.explodesAt - now) };
+  }
+}
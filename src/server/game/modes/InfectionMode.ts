@@ -0,0 +1,41 @@
+import { ModeState, RoundEndReason } from '@shared/types';
+import { Player } from '../Player';
+import { GameMode, ModeContext, scoreTag } from './GameMode';
+
+// Tagged players join the hunters; the round ends once nobody is left running
+export class InfectionMode implements GameMode {
+  public readonly id = 'infection';
+
+  // Everyone starts as a runner except one hunter
+  public start(players: Player[], context: ModeContext): void {
+    players.forEach(player => {
+      if (player.isIt) player.stopBeingIt();
+    });
+    context.world.ensureItPlayer();
+  }
+
+  // Only a new hunter when the last one left; several hunters are the point of the mode
+  public assignRoles(players: Player[], context: ModeContext): void {
+    if (!players.some(player => player.isIt)) context.world.ensureItPlayer();
+  }
+
+  public canTag(tagger: Player, target: Player): boolean {
+    return tagger.isIt && !target.isIt;
+  }
+
+  public tag(tagger: Player, target: Player, context: ModeContext): void {
+    target.becomeIt();
+    scoreTag(tagger, target, context);
+  }
+
+  // Hunters keep their points: most of the room ends up hunting
+  public tick(): void {}
+
+  public checkEnd(players: Player[]): RoundEndReason | null {
+    return players.length >= 2 && players.every(player => player.isIt) ? 'all_caught' : null;
+  }
+
+  public getState(players: Player[]): ModeState {
+    return { id: this.id, runners: players.filter(player => !player.isIt).length };
+  }
+}
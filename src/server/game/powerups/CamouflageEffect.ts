@@ -0,0 +1,8 @@
+import { PowerUpEffect } from './PowerUpEffect';
+
+// Other players only see the holder up close (see VisibilityFilter); tagging still works
+export const CamouflageEffect: PowerUpEffect = {
+  type: 'camouflage',
+  duration: 10000,
+  stacking: 'refresh',
+};
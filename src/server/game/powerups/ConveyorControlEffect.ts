@@ -0,0 +1,8 @@
+import { PowerUpEffect } from './PowerUpEffect';
+
+// Conveyor belts don't carry the holder (see TerrainSystem)
+export const ConveyorControlEffect: PowerUpEffect = {
+  type: 'conveyorControl',
+  duration: 10000,
+  stacking: 'refresh',
+};
@@ -0,0 +1,8 @@
+import { PowerUpEffect } from './PowerUpEffect';
+
+// Reveals every player to the holder, regardless of sight range (see VisibilityFilter)
+export const EchoLocateEffect: PowerUpEffect = {
+  type: 'echoLocate',
+  duration: 5000,
+  stacking: 'refresh',
+};
@@ -0,0 +1,8 @@
+import { PowerUpEffect } from './PowerUpEffect';
+
+// Crushers push the holder aside without stunning them (see TerrainSystem)
+export const IndustrialShieldEffect: PowerUpEffect = {
+  type: 'industrialShield',
+  duration: 10000,
+  stacking: 'refresh',
+};
@@ -0,0 +1,8 @@
+import { PowerUpEffect } from './PowerUpEffect';
+
+// Players hiding in bushes are visible to the holder (see VisibilityFilter)
+export const NaturesCallEffect: PowerUpEffect = {
+  type: 'naturesCall',
+  duration: 8000,
+  stacking: 'refresh',
+};
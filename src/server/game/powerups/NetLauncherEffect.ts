@@ -0,0 +1,16 @@
+import { PowerUpEffect } from './PowerUpEffect';
+
+// A launcher with a few nets; firing is handled by the ProjectileSystem and an empty launcher is held until it runs out
+export const NetLauncherEffect: PowerUpEffect = {
+  type: 'netLauncher',
+  duration: 20000,
+  stacking: 'refresh',
+
+  apply: (player, context) => {
+    player.netCharges = context.config.nets.charges;
+  },
+
+  expire: (player) => {
+    player.netCharges = 0;
+  },
+};
@@ -0,0 +1,8 @@
+import { PowerUpEffect } from './PowerUpEffect';
+
+// Every crusher in the room stays open while anyone holds it (see TerrainSystem)
+export const PlatformLockEffect: PowerUpEffect = {
+  type: 'platformLock',
+  duration: 6000,
+  stacking: 'refresh',
+};
@@ -0,0 +1,16 @@
+import { PowerUpEffect } from './PowerUpEffect';
+
+// Places an entry and then an exit portal; the PortalSystem keeps the pair open after the gun runs out
+export const PortalGunEffect: PowerUpEffect = {
+  type: 'portalGun',
+  duration: 15000,
+  stacking: 'refresh',
+
+  apply: (player) => {
+    player.portalCharges = 2;
+  },
+
+  expire: (player) => {
+    player.portalCharges = 0;
+  },
+};
@@ -0,0 +1,25 @@
+import { GameConfig, PowerUpType } from '@shared/types';
+import { Player } from '../Player';
+import { GameState } from '../GameState';
+
+// What collecting a power-up does while its effect is already active:
+// 'refresh' restarts the timer, 'stack' adds a stack that runs out on its own (up to maxStacks)
+export type PowerUpStacking = 'refresh' | 'stack';
+
+export interface PowerUpContext {
+  now: number;
+  world: GameState; // For effects that move players or look at the map
+  config: GameConfig;
+}
+
+// One power-up type. Hooks are optional; an effect with duration 0 is instant and only applies.
+export interface PowerUpEffect {
+  readonly type: PowerUpType;
+  readonly duration: number; // ms
+  readonly stacking: PowerUpStacking;
+  readonly maxStacks?: number; // For 'stack', unlimited when not set
+  canApply?(player: Player, context: PowerUpContext): boolean;
+  apply?(player: Player, context: PowerUpContext): void; // Each collection that takes effect, after the stacks are updated
+  tick?(player: Player, context: PowerUpContext, deltaTime: number): void; // Every update while active
+  expire?(player: Player, context: PowerUpContext): void; // Each stack that runs out or is cleared, after it is removed
+}
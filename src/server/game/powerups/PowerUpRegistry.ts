@@ -0,0 +1,136 @@
+import { PowerUpType } from '@shared/types';
+import { Player } from '../Player';
+import { PowerUpContext, PowerUpEffect } from './PowerUpEffect';
+import { TransparencyEffect } from './TransparencyEffect';
+import { SpeedEffect } from './SpeedEffect';
+import { StunEffect } from './StunEffect';
+import { SizeEffect } from './SizeEffect';
+import { WallWalkEffect } from './WallWalkEffect';
+import { EchoLocateEffect } from './EchoLocateEffect';
+import { TeleportEffect } from './TeleportEffect';
+import { CamouflageEffect } from './CamouflageEffect';
+import { ConveyorControlEffect } from './ConveyorControlEffect';
+import { PlatformLockEffect } from './PlatformLockEffect';
+import { IndustrialShieldEffect } from './IndustrialShieldEffect';
+import { TreeClimbEffect } from './TreeClimbEffect';
+import { NaturesCallEffect } from './NaturesCallEffect';
+import { NetLauncherEffect } from './NetLauncherEffect';
+import { PortalGunEffect } from './PortalGunEffect';
+
+const DEFAULT_EFFECTS: PowerUpEffect[] = [
+  TransparencyEffect,
+  SpeedEffect,
+  StunEffect,
+  SizeEffect,
+  WallWalkEffect,
+  EchoLocateEffect,
+  TeleportEffect,
+  CamouflageEffect,
+  ConveyorControlEffect,
+  PlatformLockEffect,
+  IndustrialShieldEffect,
+  TreeClimbEffect,
+  NaturesCallEffect,
+  NetLauncherEffect,
+  PortalGunEffect,
+];
+
+// Power-up effects by type. Applies collected power-ups following each effect's stacking
+// rule and runs the tick/expire hooks; stack timers are kept on the player.
+export class PowerUpRegistry {
+  private effects = new Map<PowerUpType, PowerUpEffect>();
+
+  private static defaultRegistry: PowerUpRegistry | null = null;
+
+  // Shared registry with every implemented effect
+  public static getDefault(): PowerUpRegistry {
+    if (!PowerUpRegistry.defaultRegistry) {
+      PowerUpRegistry.defaultRegistry = new PowerUpRegistry(DEFAULT_EFFECTS);
+    }
+    return PowerUpRegistry.defaultRegistry;
+  }
+
+  constructor(effects: PowerUpEffect[] = []) {
+    effects.forEach(effect => this.register(effect));
+  }
+
+  public register(effect: PowerUpEffect): void {
+    if (this.effects.has(effect.type)) {
+      throw new Error(`Power-up effect "${effect.type}" is already registered`);
+    }
+    this.effects.set(effect.type, effect);
+  }
+
+  public has(type: PowerUpType): boolean {
+    return this.effects.has(type);
+  }
+
+  public get(type: PowerUpType): PowerUpEffect | undefined {
+    return this.effects.get(type);
+  }
+
+  public getTypes(): PowerUpType[] {
+    return Array.from(this.effects.keys());
+  }
+
+  // Returns false when the type has no effect or the effect refused the player
+  public activate(player: Player, type: PowerUpType, context: PowerUpContext): boolean {
+    const effect = this.effects.get(type);
+    if (!effect || (effect.canApply && !effect.canApply(player, context))) {
+      return false;
+    }
+
+    if (effect.duration > 0) {
+      const endTime = context.now + effect.duration;
+      const endTimes = player.activeEffects.get(type) || [];
+
+      if (endTimes.length === 0 || effect.stacking === 'refresh') {
+        endTimes.length = 0;
+        endTimes.push(endTime);
+      } else if (effect.maxStacks !== undefined && endTimes.length >= effect.maxStacks) {
+        // At the limit - the new stack replaces the one closest to running out
+        endTimes.shift();
+        endTimes.push(endTime);
+      } else {
+        endTimes.push(endTime);
+      }
+      player.activeEffects.set(type, endTimes);
+    }
+
+    effect.apply?.(player, context);
+    return true;
+  }
+
+  // Run out stacks whose time has come, then tick the effects that are still active
+  public update(player: Player, context: PowerUpContext, deltaTime: number): void {
+    player.activeEffects.forEach((endTimes, type) => {
+      const effect = this.effects.get(type);
+
+      while (endTimes.length > 0 && context.now >= endTimes[0]) {
+        endTimes.shift();
+        if (endTimes.length === 0) {
+          player.activeEffects.delete(type);
+        }
+        effect?.expire?.(player, context);
+      }
+
+      if (endTimes.length > 0) {
+        effect?.tick?.(player, context, deltaTime);
+      }
+    });
+  }
+
+  // End every effect on the player now, e.g. when a new round starts
+  public clear(player: Player, context: PowerUpContext): void {
+    player.activeEffects.forEach((endTimes, type) => {
+      const effect = this.effects.get(type);
+      while (endTimes.length > 0) {
+        endTimes.shift();
+        if (endTimes.length === 0) {
+          player.activeEffects.delete(type);
+        }
+        effect?.expire?.(player, context);
+      }
+    });
+  }
+}
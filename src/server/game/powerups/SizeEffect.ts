@@ -0,0 +1,30 @@
+import { PowerUpEffect } from './PowerUpEffect';
+import { Player } from '../Player';
+
+const RADIUS_PER_STACK = 10;
+
+// Radius follows the number of stacks; each stack runs out on its own
+function updateSize(player: Player): void {
+  const stacks = player.getEffectStacks('size');
+  player.sizeBoostStacks = stacks;
+  player.hasSizeBoost = stacks > 0;
+  player.currentRadius = player.radius + stacks * RADIUS_PER_STACK;
+  player.sizeBoostEndTime = player.getEffectEndTime('size');
+}
+
+// Bigger radius - easier to tag as IT, easier to get caught otherwise
+export const SizeEffect: PowerUpEffect = {
+  type: 'size',
+  duration: 10000,
+  stacking: 'stack',
+  maxStacks: 3,
+
+  apply: (player) => {
+    updateSize(player);
+    console.log(`${player.name} activated size boost stack ${player.sizeBoostStacks} (radius: ${player.currentRadius}px)`);
+  },
+
+  expire: (player) => {
+    updateSize(player);
+  },
+};
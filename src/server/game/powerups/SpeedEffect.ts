@@ -0,0 +1,16 @@
+import { PowerUpEffect } from './PowerUpEffect';
+
+// Faster movement, on top of the IT speed boost
+export const SpeedEffect: PowerUpEffect = {
+  type: 'speed',
+  duration: 8000,
+  stacking: 'refresh',
+
+  apply: (player, context) => {
+    player.speedMultiplier = context.config.powerUps.speedMultiplier;
+  },
+
+  expire: (player) => {
+    player.speedMultiplier = 1;
+  },
+};
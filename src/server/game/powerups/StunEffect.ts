@@ -0,0 +1,17 @@
+import { PowerUpEffect } from './PowerUpEffect';
+
+// Instant: stuns every other player close to the collector on the same floor
+export const StunEffect: PowerUpEffect = {
+  type: 'stun',
+  duration: 0,
+  stacking: 'refresh',
+
+  apply: (player, context) => {
+    const { stunRange, stunDuration } = context.config.powerUps;
+    context.world.forEachPlayer((other) => {
+      if (other.id !== player.id && !other.isTransparent && other.floor === player.floor && context.world.getDistance(player, other) <= stunRange) {
+        other.stun(stunDuration);
+      }
+    });
+  },
+};
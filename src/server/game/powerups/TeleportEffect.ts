@@ -0,0 +1,16 @@
+import { PowerUpEffect } from './PowerUpEffect';
+
+// Instant: jump to a free spawn point on the same floor
+export const TeleportEffect: PowerUpEffect = {
+  type: 'teleport',
+  duration: 0,
+  stacking: 'refresh',
+
+  apply: (player, context) => {
+    const position = context.world.findSafeSpawnPosition(player.floor);
+    console.log(`${player.name} teleported from (${Math.round(player.x)}, ${Math.round(player.y)}) to (${position.x}, ${position.y})`);
+    player.x = position.x;
+    player.y = position.y;
+    player.velocity = { dx: 0, dy: 0 };
+  },
+};
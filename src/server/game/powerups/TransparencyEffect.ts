@@ -0,0 +1,21 @@
+import { PowerUpEffect } from './PowerUpEffect';
+
+// Hidden from everyone and can't be tagged
+export const TransparencyEffect: PowerUpEffect = {
+  type: 'transparency',
+  duration: 10000,
+  stacking: 'refresh',
+
+  canApply: (player) => !player.isAI, // AI players don't get transparency
+
+  apply: (player) => {
+    player.isTransparent = true;
+    player.transparencyEndTime = player.getEffectEndTime('transparency');
+    console.log(`${player.name} became transparent until ${player.transparencyEndTime}`);
+  },
+
+  expire: (player) => {
+    player.isTransparent = false;
+    player.transparencyEndTime = 0;
+  },
+};
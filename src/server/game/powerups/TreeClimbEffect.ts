@@ -0,0 +1,21 @@
+import { PowerUpEffect } from './PowerUpEffect';
+
+// Climb over trees (obstacles of kind 'tree'); a player still in a tree when it runs out is set down beside it
+export const TreeClimbEffect: PowerUpEffect = {
+  type: 'treeClimb',
+  duration: 8000,
+  stacking: 'refresh',
+
+  apply: (player) => {
+    player.canClimbTrees = true;
+  },
+
+  expire: (player, context) => {
+    player.canClimbTrees = false;
+    if (context.world.checkObstacleCollision(player.x, player.y, player.currentRadius, player)) {
+      const position = context.world.findClearPositionNear(player);
+      player.x = position.x;
+      player.y = position.y;
+    }
+  },
+};
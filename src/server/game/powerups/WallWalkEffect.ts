@@ -0,0 +1,21 @@
+import { PowerUpEffect } from './PowerUpEffect';
+
+// Move through obstacles; a player still inside one when it runs out is pushed clear
+export const WallWalkEffect: PowerUpEffect = {
+  type: 'wallWalk',
+  duration: 6000,
+  stacking: 'refresh',
+
+  apply: (player) => {
+    player.canWalkThroughWalls = true;
+  },
+
+  expire: (player, context) => {
+    player.canWalkThroughWalls = false;
+    if (context.world.checkObstacleCollision(player.x, player.y, player.currentRadius, player)) {
+      const position = context.world.findClearPositionNear(player);
+      player.x = position.x;
+      player.y = position.y;
+    }
+  },
+};
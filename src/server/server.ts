@@ -3,10 +3,36 @@ import { createServer } from 'http';
 import { Server } from 'socket.io';
 import cors from 'cors';
 import path from 'path';
+import fs from 'fs';
 import { fileURLToPath } from 'url';
 
-import { ServerToClientEvents, ClientToServerEvents, InterServerEvents, SocketData } from '@shared/types';
-import { GameManager } from './game/GameManager';
+import { ServerToClientEvents, ClientToServerEvents, InterServerEvents, SocketData, CreateRoomRequest, JoinRoomRequest, GameConfig, Level } from '@shared/types';
+import { LevelValidator } from '../shared/utils/LevelValidator';
+import { RoomManager } from './game/RoomManager';
+import { ReplayStore } from './game/ReplayStore';
+import { createAdminRouter } from './admin/AdminRouter';
+import { AuditLog } from './admin/AuditLog';
+import { loadGameConfig, GameConfigError } from './config/GameConfigLoader';
+
+// Gameplay rules: defaults, then the JSON file, then GAME_* environment variables
+function loadConfigOrExit(): GameConfig {
+  const defaultConfigFile = path.join(process.cwd(), 'game.config.json');
+  const filePath = process.env.GAME_CONFIG_FILE || (fs.existsSync(defaultConfigFile) ? defaultConfigFile : undefined);
+
+  try {
+    const config = loadGameConfig({ filePath, env: process.env });
+    console.log(`Game config loaded${filePath ? ` from ${filePath}` : ''}`);
+    return config;
+  } catch (error) {
+    if (error instanceof GameConfigError) {
+      console.error(error.message);
+      process.exit(1);
+    }
+    throw error;
+  }
+}
+
+const gameConfig = loadConfigOrExit();
 
 // Server configuration
 const PORT = process.env.PORT || 3000;
@@ -21,8 +47,52 @@ const io = new Server<ClientToServerEvents, ServerToClientEvents, InterServerEve
   }
 });
 
-// Initialize game manager
-const gameManager = new GameManager(io);
+// Every round with human players is recorded here
+const replayStore = new ReplayStore(process.env.REPLAY_DIR || path.join(process.cwd(), 'replays'));
+
+// Initialize room manager (each room runs its own game manager)
+const roomManager = new RoomManager(io, { replayStore, config: gameConfig });
+
+// Admin actions are appended here as JSON lines
+const auditLog = new AuditLog(process.env.ADMIN_AUDIT_LOG || path.join(process.cwd(), 'logs', 'admin-audit.log'));
+
+// Validate a player name, returning an error message or null if valid
+function validatePlayerName(playerName: unknown): string | null {
+  if (!playerName || typeof playerName !== 'string' || playerName.trim().length === 0) {
+    return 'Invalid player name';
+  }
+
+  if (playerName.length > 15) {
+    return 'Name must be 15 characters or less';
+  }
+
+  return null;
+}
+
+// Test-play rooms each client may open per minute, on top of the server-wide rooms.maxTestRooms
+const TEST_PLAY_LIMIT = 5;
+const TEST_PLAY_WINDOW = 60000;
+const testPlayRequests = new Map<string, number[]>();
+
+function allowTestPlay(clientIp: string): boolean {
+  const now = Date.now();
+  // Forget clients whose requests have all left the window
+  testPlayRequests.forEach((times, ip) => {
+    const recent = times.filter(time => now - time < TEST_PLAY_WINDOW);
+    if (recent.length > 0) {
+      testPlayRequests.set(ip, recent);
+    } else {
+      testPlayRequests.delete(ip);
+    }
+  });
+
+  const times = testPlayRequests.get(clientIp) || [];
+  if (times.length >= TEST_PLAY_LIMIT) {
+    return false;
+  }
+  testPlayRequests.set(clientIp, [...times, now]);
+  return true;
+}
 
 // Middleware
 app.use(cors());
@@ -38,11 +108,75 @@ app.get('/health', (req, res) => {
   res.json({
     status: 'healthy',
     timestamp: new Date().toISOString(),
-    players: gameManager.getPlayerCount(),
+    players: roomManager.getPlayerCount(),
+    rooms: roomManager.getRoomStats(),
     uptime: process.uptime()
   });
 });
 
+app.get('/rooms', (req, res) => {
+  res.json(roomManager.listPublicRooms());
+});
+
+// Active gameplay rules, so clients can show (and predict with) the real numbers
+app.get('/config', (req, res) => {
+  res.json(gameConfig);
+});
+
+app.get('/replays', async (req, res) => {
+  try {
+    res.json(await replayStore.list());
+  } catch (error) {
+    console.error('Error listing replays:', error);
+    res.status(500).json({ error: 'Failed to list replays' });
+  }
+});
+
+app.get('/replays/:id', async (req, res) => {
+  const replayFile = await replayStore.getReplayFile(req.params.id);
+  if (!replayFile) {
+    res.status(404).json({ error: 'Replay not found' });
+    return;
+  }
+  res.download(replayFile, `catchme-replay-${req.params.id}.json`);
+});
+
+// Level editor, and test-play of the edited level in a new private room
+app.get('/editor', (req, res) => {
+  res.sendFile(path.join(process.cwd(), 'client', 'editor.html'));
+});
+
+app.post('/editor/test-play', (req, res) => {
+  const problems = LevelValidator.validate(req.body);
+  if (problems.length > 0) {
+    res.status(400).json({ error: 'Invalid level', problems });
+    return;
+  }
+
+  if (!allowTestPlay(req.ip || 'unknown')) {
+    res.status(429).json({ error: 'Too many test-plays, try again in a minute' });
+    return;
+  }
+
+  const roomCode = roomManager.createTestRoom(req.body as Level);
+  if (!roomCode) {
+    res.status(503).json({ error: 'All test rooms are in use, try again later' });
+    return;
+  }
+  res.json({ roomCode });
+});
+
+// Admin console and API (disabled unless ADMIN_TOKEN is set)
+app.get('/admin', (req, res) => {
+  res.sendFile(path.join(process.cwd(), 'client', 'admin.html'));
+});
+
+app.use('/admin/api', createAdminRouter({
+  token: process.env.ADMIN_TOKEN,
+  roomManager,
+  auditLog
+}));
+
 // Socket.IO connection handling
 io.on('connection', (socket) => {
   console.log(`Player connected: ${socket.id}`);
@@ -50,17 +184,13 @@ io.on('connection', (socket) => {
   // Store connection time
   socket.data.joinTime = Date.now();
 
-  // Handle player joining
+  // Handle player joining (quick join into a public room)
   socket.on('playerJoin', (playerName: string) => {
     try {
       // Validate player name
-      if (!playerName || typeof playerName !== 'string' || playerName.trim().length === 0) {
-        socket.emit('joinError', 'Invalid player name');
-        return;
-      }
-
-      if (playerName.length > 15) {
-        socket.emit('joinError', 'Name must be 15 characters or less');
+      const nameError = validatePlayerName(playerName);
+      if (nameError) {
+        socket.emit('joinError', nameError);
         return;
       }
 
@@ -68,8 +198,8 @@ io.on('connection', (socket) => {
       socket.data.playerId = socket.id;
       socket.data.playerName = playerName.trim();
 
-      // Handle join through game manager
-      gameManager.handlePlayerJoin(socket, playerName.trim());
+      // Handle join through room manager
+      roomManager.quickJoin(socket, playerName.trim());
       
     } catch (error) {
       console.error('Error handling player join:', error);
@@ -77,20 +207,134 @@ io.on('connection', (socket) => {
     }
   });
 
+  // Handle room creation
+  socket.on('createRoom', (request: CreateRoomRequest) => {
+    try {
+      const nameError = validatePlayerName(request?.playerName);
+      if (nameError) {
+        socket.emit('joinError', nameError);
+        return;
+      }
+
+      socket.data.playerId = socket.id;
+      socket.data.playerName = request.playerName.trim();
+
+      roomManager.createRoom(socket, { ...request, playerName: request.playerName.trim() });
+    } catch (error) {
+      console.error('Error handling room creation:', error);
+      socket.emit('joinError', 'Failed to create room');
+    }
+  });
+
+  // Handle joining a room by code
+  socket.on('joinRoom', (request: JoinRoomRequest) => {
+    try {
+      const nameError = validatePlayerName(request?.playerName);
+      if (nameError) {
+        socket.emit('joinError', nameError);
+        return;
+      }
+
+      if (!request.roomCode || typeof request.roomCode !== 'string') {
+        socket.emit('joinError', 'Invalid room code');
+        return;
+      }
+
+      socket.data.playerId = socket.id;
+      socket.data.playerName = request.playerName.trim();
+
+      roomManager.joinRoom(socket, request.roomCode, request.playerName.trim());
+    } catch (error) {
+      console.error('Error handling room join:', error);
+      socket.emit('joinError', 'Failed to join room');
+    }
+  });
+
+  // Handle a client presenting its session token after reconnecting
+  socket.on('resumeSession', (request) => {
+    try {
+      if (!request || typeof request.token !== 'string' || request.token.length > 64) {
+        socket.emit('sessionExpired');
+        return;
+      }
+
+      roomManager.resumeSession(socket, request.token);
+    } catch (error) {
+      console.error('Error handling session resume:', error);
+      socket.emit('sessionExpired');
+    }
+  });
+
+  // Handle watching a room without a player
+  socket.on('spectateJoin', (request) => {
+    try {
+      if (request?.roomCode !== undefined && typeof request.roomCode !== 'string') {
+        socket.emit('joinError', 'Invalid room code');
+        return;
+      }
+
+      roomManager.spectate(socket, request?.roomCode || undefined);
+    } catch (error) {
+      console.error('Error handling spectate join:', error);
+      socket.emit('joinError', 'Failed to spectate room');
+    }
+  });
+
+  socket.on('leaveRoom', () => {
+    try {
+      roomManager.leaveCurrentRoom(socket);
+    } catch (error) {
+      console.error('Error handling room leave:', error);
+    }
+  });
+
+  socket.on('listRooms', () => {
+    socket.emit('roomList', roomManager.listPublicRooms());
+  });
+
   // Handle player input
   socket.on('playerInput', (inputState) => {
     try {
-      gameManager.handlePlayerInput(socket, inputState);
+      roomManager.handlePlayerInput(socket, inputState);
     } catch (error) {
       console.error('Error handling player input:', error);
     }
   });
 
+  // Ready (or not) for the next round
+  socket.on('playerReady', (ready) => {
+    try {
+      roomManager.handlePlayerReady(socket, ready === true);
+    } catch (error) {
+      console.error('Error handling player ready:', error);
+    }
+  });
+
+  // Vote on the next level during the preview
+  socket.on('levelVote', (levelId) => {
+    try {
+      if (typeof levelId === 'string') {
+        roomManager.handleLevelVote(socket, levelId);
+      }
+    } catch (error) {
+      console.error('Error handling level vote:', error);
+    }
+  });
+
+  // Client missed a delta (or switched levels unexpectedly) and needs a full snapshot
+  socket.on('requestResync', (request) => {
+    try {
+      roomManager.handleResyncRequest(socket, !!request?.includeLevel);
+    } catch (error) {
+      console.error('Error handling resync request:', error);
+    }
+  });
+
   // Handle disconnection
   socket.on('disconnect', (reason) => {
     try {
       console.log(`Player disconnected: ${socket.id}, reason: ${reason}`);
-      gameManager.handlePlayerDisconnect(socket);
+      roomManager.handleDisconnect(socket);
     } catch (error) {
       console.error('Error handling player disconnect:', error);
     }
@@ -117,8 +361,8 @@ process.on('unhandledRejection', (reason, promise) => {
 function gracefulShutdown(signal: string) {
   console.log(`${signal} received, shutting down gracefully`);
   
-  // First, stop the game loop
-  gameManager.shutdown();
+  // First, stop the game loops of all rooms
+  roomManager.shutdown();
   
   // Then close Socket.IO connections
   io.close(() => {
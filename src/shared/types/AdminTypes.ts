@@ -0,0 +1,50 @@
+import { RoundPhase } from './SocketEvents';
+
+// Admin API data (REST, /admin/api)
+
+export interface AdminPlayerInfo {
+  id: string;
+  name: string;
+  isAI: boolean;
+  isIt: boolean;
+  score: number;
+  timeAsIt: number;
+  isStunned: boolean;
+  isReconnecting: boolean;
+  connected: boolean;
+  x: number;
+  y: number;
+}
+
+export interface AdminRoomInfo {
+  code: string;
+  name: string;
+  isPrivate: boolean;
+  paused: boolean;
+  autoFillBots: boolean;
+  levelId: string;
+  levelName: string;
+  roundDuration: number; // ms
+  roundTimeRemaining: number; // ms
+  phase: RoundPhase;
+  transitionActive: boolean; // Round end, preview or level change
+  spectatorCount: number;
+  maxPlayers: number;
+  players: AdminPlayerInfo[];
+}
+
+export interface AuditLogEntry {
+  time: string; // ISO timestamp
+  action: string;
+  roomCode?: string;
+  target?: string;
+  details?: Record<string, unknown>;
+  ip?: string;
+  success: boolean;
+}
+
+// Broadcast to players, e.g. for maintenance notices
+export interface AnnouncementData {
+  message: string;
+  from: 'admin' | 'server';
+}
@@ -0,0 +1,168 @@
+// Gameplay rules. Defaults live here; the server overrides them from a JSON file
+// and environment variables at startup and serves the result at /config
+
+export interface GameConfig {
+  round: {
+    duration: number; // ms
+    pointThreshold: number; // First player to reach this score ends the round
+    previewDuration: number; // ms the next level is shown (and voted on) before the level change
+    transitionDuration: number; // ms of the level change; the level switches halfway through
+  };
+  scoring: {
+    tagPoints: number;
+    starPointsIt: number;
+    starPointsRunner: number;
+    itPenaltyPerSecond: number; // Points lost per second as IT
+  };
+  tag: {
+    stunDuration: number; // ms the tagged player is stunned
+    noTagBackWindow: number; // ms after being tagged during which a player can't tag their tagger back
+    spawnProtection: number; // ms players can't be tagged after everyone respawns for a new level
+    stunImmunity: number; // ms players can't be tagged after any stun wears off
+  };
+  movement: {
+    playerSpeed: number; // px per second
+    itSpeedMultiplier: number;
+  };
+  powerUps: {
+    speedMultiplier: number; // Applied on top of the IT multiplier while a speed power-up lasts
+    stunRange: number; // px around the collector of a stun power-up in which other players are stunned
+    stunDuration: number; // ms they are stunned
+  };
+  stunOrbs: {
+    nearStun: number; // ms players within 100 px of an orb collected by IT are stunned
+    midStun: number; // ms for players within 200 px
+    farStun: number; // ms for everyone further away
+  };
+  nets: {
+    charges: number; // Nets in a collected launcher
+    cooldown: number; // ms between shots
+    speed: number; // px per second
+    range: number; // px a net flies before it drops
+    radius: number;
+    rootDuration: number; // ms a hit player can't move
+    slowDuration: number; // ms a hit player is slowed after that
+    slowMultiplier: number;
+  };
+  portals: {
+    lifetime: number; // ms a pair lasts from when its entry is placed
+    radius: number;
+    placeDistance: number; // px in front of the player a portal is placed
+    reentryCooldown: number; // ms before a player who came through can step into a portal again
+    sideOnly: number; // 1 = only players on the owner's side (their team, or IT and the runners) can use a pair, 0 = everyone
+  };
+  modes: {
+    thawPoints: number; // Freeze tag: points for touching a frozen teammate free
+    bombTimer: number; // Hot potato: ms from a new bomb until it goes off
+    bombPenalty: number; // Hot potato: points the holder loses when it does
+  };
+  missions: {
+    stars: number; // Stars a caught player has to collect; 0 turns star missions off
+    duration: number; // ms to collect them
+    reward: number; // Bonus points for completing the mission
+    minDistance: number; // px mission stars spawn at least this far from the holder
+  };
+  lobby: {
+    minReadyPlayers: number; // Humans who have to be ready before a round starts
+    readyCheckDuration: number; // ms to wait for everyone to get ready before starting with those who are
+    countdown: number; // ms from the ready check to the start of the round
+  };
+  visibility: {
+    sightMargin: number; // px beyond a player's sight range that is still sent, so nothing pops in at the fog edge
+    itSeesAll: number; // 1 = IT sees everything through the fog, 0 = IT has the same sight as everyone
+    spectatorsSeeAll: number; // 1 = spectators see everything, 0 = they only get the leaderboard
+  };
+  levels: {
+    generated: number; // Generated levels mixed into each room's rotation next to the level files
+  };
+  rooms: {
+    maxPlayers: number; // Per room, bots included
+    maxRooms: number;
+    maxTestRooms: number; // Level editor test-play rooms, kept apart from maxRooms
+    maxSpectators: number; // Per room
+    reconnectGracePeriod: number; // ms a disconnected player is kept for reconnecting (0 = remove immediately)
+  };
+}
+
+export const DEFAULT_GAME_CONFIG: GameConfig = {
+  round: {
+    duration: 120000, // 2 minutes
+    pointThreshold: 500,
+    previewDuration: 10000,
+    transitionDuration: 3000,
+  },
+  scoring: {
+    tagPoints: 100,
+    starPointsIt: 50,
+    starPointsRunner: 25,
+    itPenaltyPerSecond: 10,
+  },
+  tag: {
+    stunDuration: 3000,
+    noTagBackWindow: 6000,
+    spawnProtection: 3000,
+    stunImmunity: 1000,
+  },
+  movement: {
+    playerSpeed: 60,
+    itSpeedMultiplier: 1.3, // Catcher is 30% faster
+  },
+  powerUps: {
+    speedMultiplier: 1.5,
+    stunRange: 150,
+    stunDuration: 2000,
+  },
+  stunOrbs: {
+    nearStun: 3000,
+    midStun: 4000,
+    farStun: 5000,
+  },
+  nets: {
+    charges: 3,
+    cooldown: 800,
+    speed: 400,
+    range: 350,
+    radius: 8,
+    rootDuration: 800,
+    slowDuration: 2500,
+    slowMultiplier: 0.5,
+  },
+  portals: {
+    lifetime: 20000,
+    radius: 20,
+    placeDistance: 50,
+    reentryCooldown: 1500,
+    sideOnly: 0,
+  },
+  modes: {
+    thawPoints: 50,
+    bombTimer: 20000,
+    bombPenalty: 200,
+  },
+  missions: {
+    stars: 3,
+    duration: 15000,
+    reward: 150,
+    minDistance: 120,
+  },
+  lobby: {
+    minReadyPlayers: 1,
+    readyCheckDuration: 20000,
+    countdown: 3000,
+  },
+  visibility: {
+    sightMargin: 50,
+    itSeesAll: 0,
+    spectatorsSeeAll: 1,
+  },
+  levels: {
+    generated: 0,
+  },
+  rooms: {
+    maxPlayers: 8,
+    maxRooms: 20,
+    maxTestRooms: 5,
+    maxSpectators: 16,
+    reconnectGracePeriod: 15000,
+  },
+};
@@ -33,6 +33,24 @@ export interface PlayerState {
   lastMovement?: number;
   // Circular sight properties (like light radius)
   sightRange: number;        // Circular sight radius in pixels
+  isReconnecting?: boolean;  // Connection dropped; the player is kept while they reconnect
+  effects?: ActiveEffect[];  // Timed power-up effects, omitted when there are none
+  concealedIn?: string;      // Id of the bush the player is hiding in
+  floor?: number;            // Floor the player is on; omitted on the ground floor
+  netCharges?: number;       // Nets left in a held net launcher
+  netted?: 'rooted' | 'slowed'; // Caught in a net: can't move at first, then slowed
+  portalCharges?: number;    // Portals left to place with a held portal gun
+  frozen?: boolean;          // Tagged in freeze tag; stays put until a teammate touches them
+  team?: TeamId;             // Only in team rooms; color is then the team's
+  accent?: string;           // The player's own colour, drawn as an accent in team rooms
+  mission?: StarMission;     // Star mission running since the player was caught
+}
+
+// A timed power-up effect on a player; stacks run out one at a time
+export interface ActiveEffect {
+  type: PowerUpType;
+  stacks: number;
+  endTime: number; // When the last stack runs out
 }
 
 // Game world objects
@@ -43,6 +61,129 @@ export interface Obstacle {
   height?: number;
   radius?: number;
   type: 'rectangle' | 'circle';
+  kind?: ObstacleKind; // Defaults to 'wall'
+  angle?: number; // Radians a rectangle is turned about its centre
+}
+
+export const OBSTACLE_KINDS = ['wall', 'tree'] as const;
+export type ObstacleKind = typeof OBSTACLE_KINDS[number];
+
+// Theme terrain - areas with their own rules; rectangles are centred on x/y like obstacles
+export const CONVEYOR_DIRECTIONS = ['up', 'down', 'left', 'right'] as const;
+export type ConveyorDirection = typeof CONVEYOR_DIRECTIONS[number];
+
+export interface ConveyorBelt {
+  type: 'conveyor';
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+  direction: ConveyorDirection;
+  speed: number; // px per second players on the belt are carried
+}
+
+export interface Crusher {
+  type: 'crusher';
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+  interval: number; // ms from one slam to the next
+  slamDuration: number; // ms the crusher stays down and blocks its area
+  offset?: number; // ms to shift the cycle by, so crushers don't all slam together
+}
+
+export interface Bush {
+  type: 'bush';
+  x: number;
+  y: number;
+  radius: number;
+}
+
+export type TerrainFeature = ConveyorBelt | Crusher | Bush;
+export const TERRAIN_TYPES = ['conveyor', 'crusher', 'bush'] as const;
+
+export type CrusherPhase = 'open' | 'warning' | 'down';
+
+// Synced per crusher; the id is crusher_<index in level.terrain>
+export interface CrusherState {
+  id: string;
+  phase: CrusherPhase;
+}
+
+// Moving walls, rotating bars and doors. x/y is where the obstacle starts.
+export interface DynamicObstacle extends Obstacle {
+  path?: ObstaclePath;
+  rotationSpeed?: number; // Degrees per second, clockwise; only rectangles rotate
+  schedule?: GateSchedule; // Opens and closes on a timer
+  plate?: PressurePlate; // Opens while someone stands on the plate
+}
+
+export const OBSTACLE_PATH_MODES = ['loop', 'pingpong'] as const;
+export type ObstaclePathMode = typeof OBSTACLE_PATH_MODES[number];
+
+export interface ObstaclePath {
+  waypoints: Position[]; // Visited in order after the start position
+  speed: number; // px per second
+  mode?: ObstaclePathMode; // 'loop' (default) heads back to the start, 'pingpong' retraces the path
+}
+
+export interface GateSchedule {
+  openDuration: number; // ms
+  closedDuration: number; // ms
+  offset?: number; // ms to shift the cycle by
+}
+
+export interface PressurePlate {
+  x: number;
+  y: number;
+  radius: number;
+  holdOpen: number; // ms the gate stays open after the plate is left
+}
+
+// Synced per dynamic obstacle; the id is dynamic_<index in level.dynamicObstacles>.
+// Positions are rounded, and unchanged obstacles drop out of deltas.
+export interface DynamicObstacleState {
+  id: string;
+  x: number;
+  y: number;
+  angle?: number; // Only for rotating obstacles
+  open?: boolean; // Only for gates
+}
+
+// Multi-floor levels. The level's own obstacles stand on every floor; each floor adds its own.
+export interface FloorDefinition {
+  name: string;
+  obstacles: Obstacle[];
+}
+
+export const ELEVATOR_MODES = ['timed', 'onDemand'] as const;
+export type ElevatorMode = typeof ELEVATOR_MODES[number];
+
+// The cabin is at the same spot on every floor it stops at
+export interface Elevator {
+  x: number;
+  y: number;
+  radius: number;
+  floors: number[]; // Stops, travelled in order and back
+  mode: ElevatorMode; // 'timed' leaves on a timer, 'onDemand' waits for riders or goes to fetch a waiting player
+  interval: number; // ms between departures ('timed') or from the first rider stepping in to leaving ('onDemand')
+  capacity?: number; // Riders per trip; the rest wait in the queue for the next one
+}
+
+// Standing on the stairs takes a player to the other floor
+export interface Stairs {
+  x: number;
+  y: number;
+  radius: number;
+  floors: [number, number];
+}
+
+// Synced per elevator; the id is elevator_<index in level.elevators>
+export interface ElevatorState {
+  id: string;
+  floor: number;
+  waiting?: number; // Riders queued in the cabin, omitted when empty
 }
 
 // Level system types
@@ -56,6 +197,7 @@ export interface Rectangle {
 export interface SpawnPoint {
   x: number;
   y: number;
+  floor?: number; // Defaults to the ground floor
   type: 'safe' | 'risky' | 'strategic';
   visibility: 'open' | 'hidden' | 'elevated';
   nearbyFeatures: string[];
@@ -79,9 +221,12 @@ export interface PowerUpConfiguration {
   locations: 'random' | 'fixed' | 'strategic';
 }
 
-export type PowerUpType = 'transparency' | 'speed' | 'stun' | 'size' | 'wallWalk' | 'echoLocate' | 'teleport' | 'superJump' | 'bridgeBuilder' | 'waterWalk' | 'conveyorControl' | 'platformLock' | 'industrialShield' | 'treeClimb' | 'camouflage' | 'naturesCall';
+// Runtime lists so level files can be checked against the known values
+export const POWER_UP_TYPES = ['transparency', 'speed', 'stun', 'size', 'wallWalk', 'echoLocate', 'teleport', 'superJump', 'bridgeBuilder', 'waterWalk', 'conveyorControl', 'platformLock', 'industrialShield', 'treeClimb', 'camouflage', 'naturesCall', 'netLauncher', 'portalGun'] as const;
+export type PowerUpType = typeof POWER_UP_TYPES[number];
 
-export type LevelTheme = 'classic' | 'maze' | 'islands' | 'factory' | 'forest';
+export const LEVEL_THEMES = ['classic', 'maze', 'islands', 'factory', 'forest'] as const;
+export type LevelTheme = typeof LEVEL_THEMES[number];
 
 export interface Level {
   id: string;
@@ -94,6 +239,19 @@ export interface Level {
   backgroundElements: BackgroundElement[];
   difficulty: number;
   description: string;
+  powerUpPositions?: FloorPosition[]; // Required when powerUpConfig.locations is 'fixed'
+  terrain?: TerrainFeature[];
+  dynamicObstacles?: DynamicObstacle[];
+  wrap?: boolean; // Leaving through one edge brings players back in through the opposite one
+  floors?: FloorDefinition[]; // Two or more; floor 0 is the ground floor. Not combined with terrain or dynamic obstacles.
+  elevators?: Elevator[];
+  stairs?: Stairs[];
+  mode?: GameModeId; // Played on this level whatever the room's mode
+  seed?: number; // Set on generated levels: LevelGenerator makes the same level again from the theme, difficulty, size and seed
+}
+
+export interface FloorPosition extends Position {
+  floor?: number; // Defaults to the ground floor
 }
 
 export interface LevelTransition {
@@ -113,6 +271,7 @@ export interface PowerUp {
   active: boolean;
   duration: number;
   respawnTime: number;
+  floor?: number; // Only on multi-floor levels
 }
 
 export interface Star {
@@ -124,6 +283,15 @@ export interface Star {
   active: boolean;
   spawnTime: number;
   rotationAngle: number;
+  floor?: number; // Only on multi-floor levels
+  missionFor?: string; // Spawned for this player's star mission; anyone can take it
+}
+
+// Bonus stars a caught player has to collect before the time runs out
+export interface StarMission {
+  collected: number;
+  required: number;
+  timeLeft: number; // ms
 }
 
 export interface StunOrb {
@@ -135,11 +303,76 @@ export interface StunOrb {
   active: boolean;
   spawnTime: number;
   electricPhase: number;
+  floor?: number; // Only on multi-floor levels
+}
+
+// A net in flight
+export interface ProjectileState {
+  id: string;
+  ownerId: string;
+  x: number;
+  y: number;
+  angle: number; // Direction of travel in radians
+  floor?: number; // Only on multi-floor levels
+}
+
+// Portal pair placed by a player; anyone allowed through who steps into the entry comes out at the exit
+export interface PortalState {
+  id: string;
+  ownerId: string;
+  entry: FloorPosition;
+  exit?: FloorPosition; // Not placed yet
+  radius: number;
+  expiresAt: number;
+  sideOnly?: boolean; // Only players on the owner's side (their team, or IT and the runners) can use it
+}
+
+// Team rooms play red against blue
+export const TEAMS = ['red', 'blue'] as const;
+export type TeamId = typeof TEAMS[number];
+
+export const TEAM_COLORS: Record<TeamId, string> = {
+  red: '#E74C3C',
+  blue: '#3498DB',
+};
+
+export interface TeamScore {
+  team: TeamId;
+  score: number; // Sum of the members' scores
+  players: number;
+}
+
+export const GAME_MODES = ['classic', 'infection', 'freezeTag', 'hotPotato'] as const;
+export type GameModeId = typeof GAME_MODES[number];
+
+// The round's game mode with what its HUD shows
+export interface ModeState {
+  id: GameModeId;
+  runners?: number; // Infection and freeze tag: players still running
+  frozen?: number; // Freeze tag: runners waiting to be thawed
+  bombTimeLeft?: number; // Hot potato: ms until the bomb goes off
 }
 
 // Complete game state
+// Reduced view of a player outside the recipient's sight (leaderboard data plus a coarse position)
+export interface PlayerHint {
+  id: string;
+  name: string;
+  score: number;
+  isIt: boolean;
+  isAI: boolean;
+  color: string;
+  approxX?: number; // Center of the coarse grid cell the player is in; omitted when position is withheld
+  approxY?: number;
+  approxRadius?: number; // Uncertainty of the approximate position
+  isReconnecting?: boolean;
+  floor?: number; // Set for players hidden because they are on another floor
+  team?: TeamId;
+}
+
 export interface GameStateData {
   players: PlayerState[];
+  playerHints: PlayerHint[];
   gameActive: boolean;
   timeRemaining: number;
   gameWidth: number;
@@ -148,8 +381,113 @@ export interface GameStateData {
   powerUps: PowerUp[];
   stars: Star[];
   stunOrbs: StunOrb[];
+  crushers?: CrusherState[]; // Only on levels with crushers
+  dynamicObstacles?: DynamicObstacleState[]; // Only on levels with dynamic obstacles
+  elevators?: ElevatorState[]; // Only on levels with elevators
+  projectiles?: ProjectileState[]; // Only while nets are in flight
+  portals?: PortalState[]; // Only while portals are placed
+  mode?: ModeState;
   currentLevel: Level;
   levelTransition?: LevelTransition;
+  spectatorCount?: number;
+}
+
+// State synchronization (snapshot/delta protocol)
+// Per-tick state without static level geometry
+export interface DynamicGameState {
+  levelId: string;
+  players: PlayerState[];
+  playerHints: PlayerHint[];
+  gameActive: boolean;
+  timeRemaining: number;
+  powerUps: PowerUp[];
+  stars: Star[];
+  stunOrbs: StunOrb[];
+  crushers?: CrusherState[]; // Only on levels with crushers
+  dynamicObstacles?: DynamicObstacleState[]; // Only on levels with dynamic obstacles
+  elevators?: ElevatorState[]; // Only on levels with elevators
+  projectiles?: ProjectileState[]; // Only while nets are in flight
+  portals?: PortalState[]; // Only while portals are placed
+  mode?: ModeState;
+  spectatorCount?: number;
+}
+
+export interface StateSnapshot extends DynamicGameState {
+  kind: 'snapshot';
+  seq: number;
+  level?: Level; // Only included when the client asked for level data on resync
+}
+
+// Changed fields of an entity; null marks a field that was removed
+export type EntityFieldChanges<T> = { [K in keyof T]?: T[K] | null } & { id: string };
+
+export interface EntityDelta<T> {
+  upsert: EntityFieldChanges<T>[];
+  remove: string[];
+}
+
+export interface StateDelta {
+  kind: 'delta';
+  seq: number;
+  baseSeq: number;
+  levelId?: string;
+  gameActive?: boolean;
+  timeRemaining?: number;
+  spectatorCount?: number;
+  players?: EntityDelta<PlayerState>;
+  playerHints?: EntityDelta<PlayerHint>;
+  powerUps?: EntityDelta<PowerUp>;
+  stars?: EntityDelta<Star>;
+  stunOrbs?: EntityDelta<StunOrb>;
+  crushers?: EntityDelta<CrusherState>;
+  dynamicObstacles?: EntityDelta<DynamicObstacleState>;
+  elevators?: EntityDelta<ElevatorState>;
+  projectiles?: EntityDelta<ProjectileState>;
+  portals?: EntityDelta<PortalState>;
+  mode?: ModeState; // Sent whole when anything in it changed
+}
+
+export interface ResyncRequest {
+  includeLevel?: boolean;
+}
+
+// Match recording: one replay file per round
+export interface ReplayMetadata {
+  id: string;
+  roomCode: string;
+  roomName: string;
+  levelId: string;
+  levelName: string;
+  seed: number;
+  startTime: number; // Simulation time of the first frame
+  duration: number; // ms of simulation time covered
+  frameCount: number;
+  players: Array<{ id: string; name: string; isAI: boolean }>;
+  endReason: string;
+  winner?: string;
+  recordedAt: number; // Wall-clock time the round started
+}
+
+export interface ReplayInputEvent {
+  tick: number;
+  time: number;
+  playerId: string;
+  input: InputState;
+}
+
+// Keyframes are full snapshots; frames in between are deltas against the previous frame
+export interface ReplayFrame {
+  tick: number;
+  time: number;
+  update: StateSnapshot | StateDelta;
+}
+
+export interface ReplayData {
+  version: 1;
+  metadata: ReplayMetadata;
+  level: Level;
+  frames: ReplayFrame[];
+  inputs: ReplayInputEvent[];
 }
 
 // Input state from clients
@@ -162,6 +500,16 @@ export interface InputState {
   touchX?: number;
   touchY?: number;
   timestamp?: number;
+  action?: InputAction; // Sent with a single input; the server uses it up once
+}
+
+// One-off actions sent alongside movement input
+export const INPUT_ACTIONS = ['fire', 'placePortal'] as const;
+
+export interface InputAction {
+  type: typeof INPUT_ACTIONS[number]; // 'fire' the held net launcher or 'placePortal' with a held portal gun
+  aimX: number; // Aim direction, need not be normalised
+  aimY: number;
 }
 
 // Movement calculation result
@@ -0,0 +1,41 @@
+import { PlayerState, PowerUpType } from './GameTypes';
+
+// How clients draw a power-up pickup and the player holding its effect
+export interface PowerUpRenderHint {
+  label: string; // Name shown in messages
+  icon: string; // Glyph drawn on the pickup
+  color: string; // #rrggbb, used for the pickup and the holder's aura
+  aura: 'ring' | 'pulse' | 'trail' | 'none'; // Drawn around the holder while the effect lasts
+  holderAlpha?: number; // Holder is drawn faded (e.g. inside walls or camouflaged)
+}
+
+export const POWER_UP_RENDER_HINTS: Record<PowerUpType, PowerUpRenderHint> = {
+  transparency: { label: 'Transparency', icon: '◌', color: '#87CEFA', aura: 'none' }, // Drawn by the transparency effect
+  speed: { label: 'Speed', icon: '»', color: '#32CD32', aura: 'trail' },
+  stun: { label: 'Stun', icon: 'ϟ', color: '#8A2BE2', aura: 'none' },
+  size: { label: 'Size', icon: '+', color: '#FFA500', aura: 'none' }, // Drawn by the size boost effect
+  wallWalk: { label: 'Wall Walk', icon: '▦', color: '#A0522D', aura: 'ring', holderAlpha: 0.6 },
+  echoLocate: { label: 'Echo Locate', icon: '◉', color: '#00CED1', aura: 'pulse' },
+  teleport: { label: 'Teleport', icon: '✦', color: '#FF00FF', aura: 'none' },
+  superJump: { label: 'Super Jump', icon: '⤒', color: '#FF6347', aura: 'ring' },
+  bridgeBuilder: { label: 'Bridge Builder', icon: '≡', color: '#DEB887', aura: 'ring' },
+  waterWalk: { label: 'Water Walk', icon: '≈', color: '#1E90FF', aura: 'ring' },
+  conveyorControl: { label: 'Conveyor Control', icon: '⇄', color: '#708090', aura: 'ring' },
+  platformLock: { label: 'Platform Lock', icon: '▣', color: '#B8860B', aura: 'ring' },
+  industrialShield: { label: 'Industrial Shield', icon: '⛨', color: '#C0C0C0', aura: 'ring' },
+  treeClimb: { label: 'Tree Climb', icon: '♣', color: '#228B22', aura: 'ring' },
+  camouflage: { label: 'Camouflage', icon: '❦', color: '#6B8E23', aura: 'ring', holderAlpha: 0.4 },
+  naturesCall: { label: "Nature's Call", icon: '✿', color: '#FF69B4', aura: 'pulse' },
+  netLauncher: { label: 'Net Launcher', icon: '#', color: '#DAA520', aura: 'none' }, // Nets left are drawn by the renderer
+  portalGun: { label: 'Portal Gun', icon: '◎', color: '#1E90FF', aura: 'none' }, // Portals are drawn by the renderer
+};
+
+export const PowerUpUtils = {
+  hasEffect: (player: Pick<PlayerState, 'effects'>, type: PowerUpType): boolean => {
+    return !!player.effects?.some(effect => effect.type === type);
+  },
+
+  getStacks: (player: Pick<PlayerState, 'effects'>, type: PowerUpType): number => {
+    return player.effects?.find(effect => effect.type === type)?.stacks || 0;
+  }
+};
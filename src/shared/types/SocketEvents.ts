@@ -1,4 +1,5 @@
-import { GameStateData, InputState, PlayerState, Level, LevelTransition } from './GameTypes';
+import { GameStateData, InputState, PlayerState, Level, LevelTransition, StateSnapshot, StateDelta, ResyncRequest, PowerUpType, GameModeId, TeamScore } from './GameTypes';
+import { AnnouncementData } from './AdminTypes';
 
 // Score update data
 export interface ScoreUpdateData {
@@ -6,7 +7,7 @@ export interface ScoreUpdateData {
   playerName: string;
   score: number;
   change: number;
-  reason: 'successful_tag' | 'star_collection' | 'being_it';
+  reason: 'successful_tag' | 'star_collection' | 'being_it' | 'thaw' | 'bomb_exploded' | 'mission_complete' | 'mission_failed';
 }
 
 // Star collection data
@@ -22,7 +23,7 @@ export interface StarCollectedData {
 export interface PowerUpCollectedData {
   playerId: string;
   playerName: string;
-  powerUpType: string;
+  powerUpType: PowerUpType;
 }
 
 // Stun orb collection data
@@ -38,15 +39,15 @@ export interface StunOrbCollectedData {
     distance: number;
     stunDuration: number;
   }>;
-  explosionCenter: { x: number; y: number };
+  explosionCenter?: { x: number; y: number }; // Only for recipients who can see the orb
 }
 
 // Explosion event data
 export interface ExplosionData {
   itPlayerId: string;
   itPlayerName: string;
-  explosionX: number;
-  explosionY: number;
+  explosionX?: number; // Only for recipients who can see the orb
+  explosionY?: number;
   explosionRadius: number;
   stunDuration: number;
   affectedPlayers: Array<{
@@ -57,19 +58,76 @@ export interface ExplosionData {
   }>;
 }
 
+// Why a touch didn't count as a tag, in the order the server's tag rules run
+export type TagRejectReason = 'transparent' | 'spawn_protection' | 'stun_immunity' | 'no_tag_back' | 'simultaneous_contact';
+
+// Sent to both players when a tag between them is turned down
+export interface TagRejectedData {
+  taggerId: string;
+  targetId: string;
+  reason: TagRejectReason;
+}
+
 // Player tagged event data
 export interface PlayerTaggedData {
   tagger: string;
   tagged: string;
-  newIt: string;
+  newIt?: string; // Only when the tagged player became IT
 }
 
 // Game join response data
 export interface GameJoinedData {
   playerId: string;
+  sessionToken: string; // Presented on reconnect to get the same player back
+  room: RoomSummary;
   gameState: GameStateData;
 }
 
+// Spectator join response data - spectators get the full, unfogged state
+export interface SpectateJoinedData {
+  room: RoomSummary;
+  gameState: GameStateData;
+}
+
+// Room system data
+export interface RoomSummary {
+  code: string;
+  name: string;
+  isPrivate: boolean;
+  playerCount: number;
+  humanCount: number;
+  maxPlayers: number;
+  spectatorCount: number;
+  maxSpectators: number;
+  levelName: string;
+  mode: GameModeId;
+  teams?: boolean;
+  levelVoting?: boolean;
+}
+
+export interface CreateRoomRequest {
+  playerName: string;
+  roomName?: string;
+  isPrivate?: boolean;
+  maxPlayers?: number;
+  mode?: GameModeId; // Defaults to classic; a level with its own mode overrides it
+  teams?: boolean; // Red against blue, with players put on the smaller team as they join
+  levelVoting?: boolean; // Players vote on the next level during each preview
+}
+
+export interface JoinRoomRequest {
+  playerName: string;
+  roomCode: string;
+}
+
+export interface ResumeSessionRequest {
+  token: string;
+}
+
+export interface SpectateJoinRequest {
+  roomCode?: string; // Defaults to the public room
+}
+
 // Level transition events
 export interface LevelTransitionData {
   fromLevel: Level | null;
@@ -83,20 +141,50 @@ export interface LevelPreviewData {
   level: Level;
   timeRemaining: number;
   previewDuration: number;
+  candidates?: Level[]; // Voting rooms: the levels to vote on, with level being the first of them
+}
+
+export interface LevelVoteTally {
+  levelId: string;
+  votes: number;
 }
 
+// Live tallies while the next level is being voted on
+export interface LevelVoteData {
+  tallies: LevelVoteTally[]; // In candidate order
+  leaderId: string; // The level that would win if the vote ended now
+}
+
+export type RoundEndReason = 'time_limit' | 'point_threshold' | 'all_caught' | 'admin_trigger';
+
 export interface RoundEndData {
   winner?: PlayerState;
-  reason: 'time_limit' | 'point_threshold' | 'admin_trigger';
+  reason: RoundEndReason;
   finalScores: { playerId: string; playerName: string; score: number }[];
+  teamScores?: TeamScore[]; // Team rooms only, best team first
   nextLevelPreview: Level;
+  levelVote?: boolean; // The next level is voted on during the preview instead
+}
+
+// Round lifecycle: waiting for enough humans, ready check, countdown, the round itself,
+// then the round-end screen, the next level's preview and the level change
+export type RoundPhase = 'waiting' | 'readyCheck' | 'countdown' | 'playing' | 'roundEnd' | 'preview' | 'transition';
+
+export interface RoundPhaseData {
+  phase: RoundPhase;
+  timeLeft?: number; // ms until the phase moves on by itself
+  readyPlayerIds: string[]; // Humans who are ready for the next round
+  requiredReady: number; // Ready humans needed before a round can start
 }
 
 // Server to Client Events
 export interface ServerToClientEvents {
   gameJoined: (data: GameJoinedData) => void;
-  gameState: (gameState: GameStateData) => void;
+  spectateJoined: (data: SpectateJoinedData) => void;
+  stateSnapshot: (snapshot: StateSnapshot) => void;
+  stateDelta: (delta: StateDelta) => void;
   playerTagged: (data: PlayerTaggedData) => void;
+  tagRejected: (data: TagRejectedData) => void;
   scoreUpdate: (data: ScoreUpdateData) => void;
   starCollected: (data: StarCollectedData) => void;
   powerUpCollected: (data: PowerUpCollectedData) => void;
@@ -108,15 +196,32 @@ export interface ServerToClientEvents {
   }) => void;
   levelTransitionStart: (data: LevelTransitionData) => void;
   levelPreview: (data: LevelPreviewData) => void;
+  levelVotes: (data: LevelVoteData) => void;
   roundEnd: (data: RoundEndData) => void;
+  roundPhase: (data: RoundPhaseData) => void;
   gameEnd: (reason: string) => void;
   joinError: (error: string) => void;
+  sessionExpired: () => void;
+  kicked: (reason: string) => void;
+  roomClosed: (reason: string) => void; // Sent to spectators of a room that is going away
+  serverAnnouncement: (data: AnnouncementData) => void;
+  gamePaused: (paused: boolean) => void;
+  roomList: (rooms: RoomSummary[]) => void;
 }
 
 // Client to Server Events
 export interface ClientToServerEvents {
   playerJoin: (playerName: string) => void;
   playerInput: (inputState: InputState) => void;
+  createRoom: (request: CreateRoomRequest) => void;
+  joinRoom: (request: JoinRoomRequest) => void;
+  spectateJoin: (request?: SpectateJoinRequest) => void;
+  resumeSession: (request: ResumeSessionRequest) => void;
+  leaveRoom: () => void;
+  listRooms: () => void;
+  requestResync: (request?: ResyncRequest) => void;
+  playerReady: (ready: boolean) => void;
+  levelVote: (levelId: string) => void;
 }
 
 // Inter-server events (if needed for future scaling)
@@ -129,4 +234,6 @@ export interface SocketData {
   playerId?: string;
   playerName?: string;
   joinTime?: number;
+  roomCode?: string;
+  isSpectator?: boolean;
 }
\ No newline at end of file
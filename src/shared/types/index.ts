@@ -1,3 +1,7 @@
 // Re-export all shared types for easy importing
 export * from './GameTypes';
-export * from './SocketEvents';
\ No newline at end of file
+export * from './SocketEvents';
+export * from './AdminTypes';
+export * from './GameConfig';
+export * from './PowerUps';
+
@@ -0,0 +1,43 @@
+import { Position, Velocity } from '../types/GameTypes';
+
+// Size of the playing field; on wrap-around levels the edges join up with the opposite side
+export interface Arena {
+  width: number;
+  height: number;
+  wrap: boolean;
+}
+
+function shortestDelta(delta: number, size: number): number {
+  if (Math.abs(delta) <= size / 2) return delta;
+  return delta > 0 ? delta - size : delta + size;
+}
+
+// Distances and positions that take the seam into account on wrap-around levels
+export const ArenaUtils = {
+  // Vector from one point to another, across the seam when that is shorter
+  getOffset: (from: Position, to: Position, arena: Arena): Velocity => {
+    const dx = to.x - from.x;
+    const dy = to.y - from.y;
+    if (!arena.wrap) return { dx, dy };
+    return { dx: shortestDelta(dx, arena.width), dy: shortestDelta(dy, arena.height) };
+  },
+
+  getDistance: (a: Position, b: Position, arena: Arena): number => {
+    const { dx, dy } = ArenaUtils.getOffset(a, b, arena);
+    return Math.sqrt(dx * dx + dy * dy);
+  },
+
+  // Wraps a position back into the arena, or clamps it to keep a circle of `radius` inside
+  confine: (x: number, y: number, radius: number, arena: Arena): Position => {
+    if (arena.wrap) {
+      return {
+        x: ((x % arena.width) + arena.width) % arena.width,
+        y: ((y % arena.height) + arena.height) % arena.height,
+      };
+    }
+    return {
+      x: Math.max(radius, Math.min(arena.width - radius, x)),
+      y: Math.max(radius, Math.min(arena.height - radius, y)),
+    };
+  },
+};
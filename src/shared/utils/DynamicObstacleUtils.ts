@@ -0,0 +1,112 @@
+import { DynamicObstacle, GateSchedule, Obstacle, Position } from '../types/GameTypes';
+
+const SWEEP_STEP_MIN = 5; // px between sampled positions along a path
+
+export interface ObstaclePose {
+  x: number;
+  y: number;
+  angle: number;
+}
+
+// Corners of the route an obstacle travels, with the leg back to the first point included
+function getRoute(obstacle: DynamicObstacle): Position[] {
+  const points = [{ x: obstacle.x, y: obstacle.y }, ...(obstacle.path?.waypoints || [])];
+  if (obstacle.path?.mode === 'pingpong') {
+    return [...points, ...points.slice(1, -1).reverse(), points[0]];
+  }
+  return [...points, points[0]];
+}
+
+function getRouteLength(route: Position[]): number {
+  let length = 0;
+  for (let i = 1; i < route.length; i++) {
+    length += Math.hypot(route[i].x - route[i - 1].x, route[i].y - route[i - 1].y);
+  }
+  return length;
+}
+
+function getPointAlong(route: Position[], distance: number): Position {
+  let remaining = distance;
+  for (let i = 1; i < route.length; i++) {
+    const from = route[i - 1];
+    const to = route[i];
+    const length = Math.hypot(to.x - from.x, to.y - from.y);
+    if (remaining <= length && length > 0) {
+      const t = remaining / length;
+      return { x: from.x + (to.x - from.x) * t, y: from.y + (to.y - from.y) * t };
+    }
+    remaining -= length;
+  }
+  return route[route.length - 1];
+}
+
+// Movement and gate rules shared by the server simulation, the level validator and the renderer
+export const DynamicObstacleUtils = {
+  getId: (index: number): string => {
+    return `dynamic_${index}`;
+  },
+
+  // Where the obstacle is `elapsed` ms into the level
+  getPose: (obstacle: DynamicObstacle, elapsed: number): ObstaclePose => {
+    let position: Position = { x: obstacle.x, y: obstacle.y };
+    if (obstacle.path && obstacle.path.waypoints.length > 0 && obstacle.path.speed > 0) {
+      const route = getRoute(obstacle);
+      const length = getRouteLength(route);
+      if (length > 0) {
+        position = getPointAlong(route, (obstacle.path.speed * elapsed / 1000) % length);
+      }
+    }
+
+    let angle = obstacle.angle || 0;
+    if (obstacle.rotationSpeed && obstacle.type === 'rectangle') {
+      angle = (angle + (obstacle.rotationSpeed * Math.PI / 180) * (elapsed / 1000)) % (Math.PI * 2);
+    }
+
+    return { x: position.x, y: position.y, angle };
+  },
+
+  isScheduledOpen: (schedule: GateSchedule, elapsed: number): boolean => {
+    const cycle = schedule.openDuration + schedule.closedDuration;
+    const time = ((elapsed + (schedule.offset || 0)) % cycle + cycle) % cycle;
+    return time < schedule.openDuration;
+  },
+
+  isOnPlate: (x: number, y: number, obstacle: DynamicObstacle): boolean => {
+    return !!obstacle.plate && Math.hypot(x - obstacle.plate.x, y - obstacle.plate.y) < obstacle.plate.radius;
+  },
+
+  // (x, y) relative to a turned rectangle's centre, in the rectangle's own axes
+  // (for an unturned obstacle this is just the point itself)
+  toObstacleFrame: (obstacle: { x: number; y: number; angle?: number }, x: number, y: number): Position => {
+    if (!obstacle.angle) return { x, y };
+    const cos = Math.cos(-obstacle.angle);
+    const sin = Math.sin(-obstacle.angle);
+    const dx = x - obstacle.x;
+    const dy = y - obstacle.y;
+    return { x: obstacle.x + dx * cos - dy * sin, y: obstacle.y + dx * sin + dy * cos };
+  },
+
+  // Every spot the obstacle can cover during its cycle, for placing things that can't move out of the way
+  getSweptShapes: (obstacle: DynamicObstacle): Obstacle[] => {
+    const base: Obstacle = { x: obstacle.x, y: obstacle.y, width: obstacle.width, height: obstacle.height, radius: obstacle.radius, type: obstacle.type, angle: obstacle.angle };
+    // A rotating rectangle covers the circle through its corners
+    const shape: Obstacle = obstacle.rotationSpeed && obstacle.type === 'rectangle'
+      ? { x: obstacle.x, y: obstacle.y, radius: Math.hypot(obstacle.width || 0, obstacle.height || 0) / 2, type: 'circle' }
+      : base;
+
+    if (!obstacle.path || obstacle.path.waypoints.length === 0) {
+      return [shape];
+    }
+
+    const route = getRoute(obstacle);
+    const length = getRouteLength(route);
+    const extent = shape.type === 'circle' ? (shape.radius || 0) * 2 : Math.min(shape.width || 0, shape.height || 0);
+    const step = Math.max(SWEEP_STEP_MIN, extent / 2);
+    const shapes: Obstacle[] = [];
+    for (let distance = 0; distance <= length; distance += step) {
+      const point = getPointAlong(route, distance);
+      shapes.push({ ...shape, x: point.x, y: point.y });
+    }
+    return shapes;
+  },
+};
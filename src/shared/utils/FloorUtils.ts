@@ -0,0 +1,41 @@
+import { Level, Obstacle } from '../types/GameTypes';
+
+type Circle = { x: number; y: number; radius: number };
+
+// Floor rules shared by the server simulation, the level validator and the renderer
+export const FloorUtils = {
+  getFloorCount: (level: Level): number => {
+    return level.floors?.length || 1;
+  },
+
+  // Missing floors (older snapshots, single-floor levels) count as the ground floor
+  getFloor: (entity: { floor?: number }): number => {
+    return entity.floor ?? 0;
+  },
+
+  isSameFloor: (a: { floor?: number }, b: { floor?: number }): boolean => {
+    return FloorUtils.getFloor(a) === FloorUtils.getFloor(b);
+  },
+
+  getFloorName: (level: Level, floor: number): string => {
+    return level.floors?.[floor]?.name || `Floor ${floor}`;
+  },
+
+  // The level's own obstacles plus the ones on this floor
+  getObstacles: (level: Level, floor: number): Obstacle[] => {
+    const own = level.floors?.[floor]?.obstacles || [];
+    return own.length > 0 ? [...level.obstacles, ...own] : level.obstacles;
+  },
+
+  getElevatorId: (index: number): string => {
+    return `elevator_${index}`;
+  },
+
+  getStairsId: (index: number): string => {
+    return `stairs_${index}`;
+  },
+
+  isInside: (x: number, y: number, area: Circle): boolean => {
+    return Math.hypot(x - area.x, y - area.y) < area.radius;
+  },
+};
@@ -0,0 +1,574 @@
+import { DynamicObstacle, Level, Obstacle, Position, Rectangle, POWER_UP_TYPES, LEVEL_THEMES, OBSTACLE_KINDS, OBSTACLE_PATH_MODES, TERRAIN_TYPES, CONVEYOR_DIRECTIONS, ELEVATOR_MODES, GAME_MODES } from '../types/GameTypes';
+import { DynamicObstacleUtils } from './DynamicObstacleUtils';
+
+// Clearance around points that must not touch an obstacle
+const SPAWN_CLEARANCE = 20; // Player radius used when spawning
+const PICKUP_CLEARANCE = 15; // Power-up radius
+
+const SPAWN_TYPES = ['safe', 'risky', 'strategic'];
+const SPAWN_VISIBILITIES = ['open', 'hidden', 'elevated'];
+const POWER_UP_LOCATIONS = ['random', 'fixed', 'strategic'];
+const BACKGROUND_TYPES = ['decoration', 'particle', 'ambient'];
+const MAX_CONVEYOR_SPEED = 500; // px per second
+const MAX_OBSTACLE_SPEED = 400; // px per second
+const LAYOUT_CELL = 10; // px grid the reachability check walks
+const MIN_SPAWN_DISTANCE = 100; // px between any two spawn points in checkLayout
+
+type Data = Record<string, unknown>;
+type Blocker = Obstacle & { path: string; floor?: number }; // Obstacle, crusher or spot a dynamic obstacle passes, with where it is in the level (no floor: on every floor)
+
+function isObject(value: unknown): value is Data {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function isNumber(value: unknown): value is number {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+function isPositive(value: unknown): value is number {
+  return isNumber(value) && value > 0;
+}
+
+function checkPosition(value: unknown, path: string, errors: string[]): value is Position {
+  if (!isObject(value) || !isNumber(value.x) || !isNumber(value.y)) {
+    errors.push(`${path} must have numeric x and y`);
+    return false;
+  }
+  return true;
+}
+
+// Same overlap test as GameState.checkObstacleCollision (obstacles are centred on x/y)
+function overlapsObstacle(point: Position, radius: number, obstacle: Obstacle): boolean {
+  if (obstacle.type === 'rectangle' && obstacle.width && obstacle.height) {
+    const local = DynamicObstacleUtils.toObstacleFrame(obstacle, point.x, point.y);
+    const closestX = Math.max(obstacle.x - obstacle.width / 2, Math.min(local.x, obstacle.x + obstacle.width / 2));
+    const closestY = Math.max(obstacle.y - obstacle.height / 2, Math.min(local.y, obstacle.y + obstacle.height / 2));
+    return Math.hypot(local.x - closestX, local.y - closestY) < radius;
+  }
+  if (obstacle.type === 'circle' && obstacle.radius) {
+    return Math.hypot(point.x - obstacle.x, point.y - obstacle.y) < radius + obstacle.radius;
+  }
+  return false;
+}
+
+function insideBoundaries(point: Position, radius: number, bounds: Rectangle): boolean {
+  return point.x - radius >= bounds.x && point.x + radius <= bounds.x + bounds.width &&
+    point.y - radius >= bounds.y && point.y + radius <= bounds.y + bounds.height;
+}
+
+function checkClearPoint(point: Position, radius: number, path: string, bounds: Rectangle | null, obstacles: Blocker[], errors: string[], floor: number = 0): void {
+  if (bounds && !insideBoundaries(point, radius, bounds)) {
+    errors.push(`${path} (${point.x}, ${point.y}) is outside the level boundaries`);
+  }
+  const blocking = obstacles.find(obstacle => (obstacle.floor ?? floor) === floor && overlapsObstacle(point, radius, obstacle));
+  if (blocking) {
+    errors.push(`${path} (${point.x}, ${point.y}) is inside ${blocking.path}`);
+  }
+}
+
+function checkBoundaries(value: unknown, errors: string[]): Rectangle | null {
+  if (!isObject(value) || !isNumber(value.x) || !isNumber(value.y) || !isPositive(value.width) || !isPositive(value.height)) {
+    errors.push('boundaries must have numeric x, y and positive width, height');
+    return null;
+  }
+  return value as unknown as Rectangle;
+}
+
+function checkObstacles(value: unknown, bounds: Rectangle | null, errors: string[]): Blocker[] {
+  if (!Array.isArray(value)) {
+    errors.push('obstacles must be an array');
+    return [];
+  }
+
+  const obstacles: Blocker[] = [];
+  value.forEach((obstacle, index) => {
+    const path = `obstacles[${index}]`;
+    if (checkObstacleShape(obstacle, path, bounds, errors)) {
+      obstacles.push({ ...(obstacle as unknown as Obstacle), path });
+    }
+  });
+  return obstacles;
+}
+
+// Whether the obstacle centred on `at` stays inside the boundaries; a turning rectangle can reach out to its corners
+function fitsInside(obstacle: Data, at: Position, bounds: Rectangle): boolean {
+  if (obstacle.type === 'circle') {
+    return insideBoundaries(at, obstacle.radius as number, bounds);
+  }
+  const width = obstacle.width as number;
+  const height = obstacle.height as number;
+  if (obstacle.angle || obstacle.rotationSpeed) {
+    return insideBoundaries(at, Math.hypot(width, height) / 2, bounds);
+  }
+  return at.x - width / 2 >= bounds.x && at.x + width / 2 <= bounds.x + bounds.width &&
+    at.y - height / 2 >= bounds.y && at.y + height / 2 <= bounds.y + bounds.height;
+}
+
+function checkObstacleShape(obstacle: unknown, path: string, bounds: Rectangle | null, errors: string[]): obstacle is Data {
+  if (!isObject(obstacle) || !isNumber(obstacle.x) || !isNumber(obstacle.y)) {
+    errors.push(`${path} must have numeric x and y`);
+    return false;
+  }
+
+  if (obstacle.type === 'rectangle') {
+    if (!isPositive(obstacle.width) || !isPositive(obstacle.height)) {
+      errors.push(`${path} is a rectangle and needs a positive width and height`);
+      return false;
+    }
+    if (obstacle.angle !== undefined && !isNumber(obstacle.angle)) {
+      errors.push(`${path}.angle must be a number (radians)`);
+      return false;
+    }
+  } else if (obstacle.type === 'circle') {
+    if (!isPositive(obstacle.radius)) {
+      errors.push(`${path} is a circle and needs a positive radius`);
+      return false;
+    }
+  } else {
+    errors.push(`${path} has unknown type ${JSON.stringify(obstacle.type)} (expected rectangle or circle)`);
+    return false;
+  }
+  if (bounds && !fitsInside(obstacle, obstacle as unknown as Position, bounds)) {
+    errors.push(`${path} extends outside the level boundaries`);
+  }
+  if (obstacle.kind !== undefined && !(OBSTACLE_KINDS as readonly unknown[]).includes(obstacle.kind)) {
+    errors.push(`${path} has unknown kind ${JSON.stringify(obstacle.kind)} (expected ${OBSTACLE_KINDS.join(', ')})`);
+  }
+  return true;
+}
+
+// Returns every spot the obstacles pass over, so spawn points and pickups can be kept clear of them
+function checkDynamicObstacles(value: unknown, bounds: Rectangle | null, errors: string[]): Blocker[] {
+  if (value === undefined) return [];
+  if (!Array.isArray(value)) {
+    errors.push('dynamicObstacles must be an array');
+    return [];
+  }
+
+  const swept: Blocker[] = [];
+  value.forEach((obstacle, index) => {
+    const path = `dynamicObstacles[${index}]`;
+    if (!checkObstacleShape(obstacle, path, bounds, errors)) return;
+    let valid = true;
+
+    if (obstacle.path !== undefined) {
+      const route = obstacle.path;
+      if (!isObject(route) || !Array.isArray(route.waypoints) || route.waypoints.length === 0) {
+        errors.push(`${path}.path needs a non-empty waypoints array`);
+        valid = false;
+      } else {
+        route.waypoints.forEach((point, pointIndex) => {
+          const pointPath = `${path}.path.waypoints[${pointIndex}]`;
+          if (!checkPosition(point, pointPath, errors)) {
+            valid = false;
+          } else if (bounds && !fitsInside(obstacle, point, bounds)) {
+            errors.push(`${pointPath} (${point.x}, ${point.y}) takes the obstacle outside the level boundaries`);
+          }
+        });
+        if (!isPositive(route.speed) || route.speed > MAX_OBSTACLE_SPEED) {
+          errors.push(`${path}.path.speed must be between 0 and ${MAX_OBSTACLE_SPEED} px per second`);
+          valid = false;
+        }
+        if (route.mode !== undefined && !(OBSTACLE_PATH_MODES as readonly unknown[]).includes(route.mode)) {
+          errors.push(`${path}.path has unknown mode ${JSON.stringify(route.mode)} (expected ${OBSTACLE_PATH_MODES.join(', ')})`);
+        }
+      }
+    }
+
+    if (obstacle.rotationSpeed !== undefined) {
+      if (!isNumber(obstacle.rotationSpeed) || obstacle.type !== 'rectangle') {
+        errors.push(`${path}.rotationSpeed must be a number, and only rectangles rotate`);
+        valid = false;
+      }
+    }
+
+    if (obstacle.schedule !== undefined) {
+      const schedule = obstacle.schedule;
+      if (!isObject(schedule) || !isPositive(schedule.openDuration) || !isPositive(schedule.closedDuration)) {
+        errors.push(`${path}.schedule needs a positive openDuration and closedDuration`);
+        valid = false;
+      } else if (schedule.offset !== undefined && (!isNumber(schedule.offset) || schedule.offset < 0)) {
+        errors.push(`${path}.schedule.offset must be a number >= 0`);
+      }
+    }
+
+    if (obstacle.plate !== undefined) {
+      const plate = obstacle.plate;
+      if (!isObject(plate) || !checkPosition(plate, `${path}.plate`, errors)) {
+        valid = false;
+      } else if (!isPositive(plate.radius) || !isNumber(plate.holdOpen) || plate.holdOpen < 0) {
+        errors.push(`${path}.plate needs a positive radius and a holdOpen >= 0`);
+        valid = false;
+      } else if (bounds && !insideBoundaries(plate as unknown as Position, plate.radius, bounds)) {
+        errors.push(`${path}.plate extends outside the level boundaries`);
+      }
+    }
+
+    if (valid) {
+      DynamicObstacleUtils.getSweptShapes(obstacle as unknown as DynamicObstacle).forEach(shape => swept.push({ ...shape, path }));
+    }
+  });
+  return swept;
+}
+
+function checkArea(feature: Data, path: string, bounds: Rectangle | null, errors: string[]): boolean {
+  if (!isPositive(feature.width) || !isPositive(feature.height)) {
+    errors.push(`${path} needs a positive width and height`);
+    return false;
+  }
+  if (bounds && (
+    (feature.x as number) - feature.width / 2 < bounds.x || (feature.x as number) + feature.width / 2 > bounds.x + bounds.width ||
+    (feature.y as number) - feature.height / 2 < bounds.y || (feature.y as number) + feature.height / 2 > bounds.y + bounds.height
+  )) {
+    errors.push(`${path} extends outside the level boundaries`);
+  }
+  return true;
+}
+
+// Returns the crushers as rectangle obstacles - spawn points and fixed pickups must stay clear of them
+function checkTerrain(value: unknown, bounds: Rectangle | null, errors: string[]): Blocker[] {
+  if (value === undefined) return [];
+  if (!Array.isArray(value)) {
+    errors.push('terrain must be an array');
+    return [];
+  }
+
+  const crushers: Blocker[] = [];
+  value.forEach((feature, index) => {
+    const path = `terrain[${index}]`;
+    if (!isObject(feature) || !isNumber(feature.x) || !isNumber(feature.y)) {
+      errors.push(`${path} must have numeric x and y`);
+      return;
+    }
+
+    if (feature.type === 'conveyor') {
+      checkArea(feature, path, bounds, errors);
+      if (!(CONVEYOR_DIRECTIONS as readonly unknown[]).includes(feature.direction)) {
+        errors.push(`${path} has unknown direction ${JSON.stringify(feature.direction)} (expected ${CONVEYOR_DIRECTIONS.join(', ')})`);
+      }
+      if (!isPositive(feature.speed) || feature.speed > MAX_CONVEYOR_SPEED) {
+        errors.push(`${path}.speed must be between 0 and ${MAX_CONVEYOR_SPEED} px per second`);
+      }
+    } else if (feature.type === 'crusher') {
+      if (checkArea(feature, path, bounds, errors)) {
+        crushers.push({ x: feature.x, y: feature.y, width: feature.width as number, height: feature.height as number, type: 'rectangle', path });
+      }
+      if (!isPositive(feature.interval) || !isPositive(feature.slamDuration) || feature.slamDuration >= feature.interval) {
+        errors.push(`${path} needs a positive interval and a slamDuration shorter than it`);
+      }
+      if (feature.offset !== undefined && (!isNumber(feature.offset) || feature.offset < 0)) {
+        errors.push(`${path}.offset must be a number >= 0`);
+      }
+    } else if (feature.type === 'bush') {
+      if (!isPositive(feature.radius)) {
+        errors.push(`${path} is a bush and needs a positive radius`);
+      }
+    } else {
+      errors.push(`${path} has unknown type ${JSON.stringify(feature.type)} (expected ${TERRAIN_TYPES.join(', ')})`);
+    }
+  });
+  return crushers;
+}
+
+// Returns each floor's own obstacles, tagged with their floor
+function checkFloors(data: Data, bounds: Rectangle | null, errors: string[]): { count: number; obstacles: Blocker[] } {
+  const value = data.floors;
+  if (value === undefined) {
+    if (data.elevators !== undefined || data.stairs !== undefined) {
+      errors.push('elevators and stairs need a level with floors');
+    }
+    return { count: 1, obstacles: [] };
+  }
+  if (!Array.isArray(value) || value.length < 2) {
+    errors.push('floors must be an array of two or more floors');
+    return { count: 1, obstacles: [] };
+  }
+  if (data.terrain !== undefined || data.dynamicObstacles !== undefined) {
+    errors.push('levels with floors can\'t have terrain or dynamicObstacles');
+  }
+
+  const obstacles: Blocker[] = [];
+  value.forEach((floor, index) => {
+    const path = `floors[${index}]`;
+    if (!isObject(floor) || typeof floor.name !== 'string' || floor.name.trim().length === 0 || !Array.isArray(floor.obstacles)) {
+      errors.push(`${path} needs a name and an obstacles array`);
+      return;
+    }
+    floor.obstacles.forEach((obstacle, obstacleIndex) => {
+      const obstaclePath = `${path}.obstacles[${obstacleIndex}]`;
+      if (checkObstacleShape(obstacle, obstaclePath, bounds, errors)) {
+        obstacles.push({ ...(obstacle as unknown as Obstacle), path: obstaclePath, floor: index });
+      }
+    });
+  });
+  return { count: value.length, obstacles };
+}
+
+// Optional floor of a spawn point or pickup; null when it isn't a valid floor
+function checkFloorIndex(value: unknown, floorCount: number, path: string, errors: string[]): number | null {
+  if (value === undefined) return 0;
+  if (!Number.isInteger(value) || (value as number) < 0 || (value as number) >= floorCount) {
+    errors.push(`${path} must be a floor from 0 to ${floorCount - 1}`);
+    return null;
+  }
+  return value as number;
+}
+
+function checkConnectorFloors(floors: unknown, floorCount: number, path: string, pair: boolean, errors: string[]): floors is number[] {
+  const valid = Array.isArray(floors) && (pair ? floors.length === 2 : floors.length >= 2) && new Set(floors).size === floors.length &&
+    floors.every(floor => Number.isInteger(floor) && floor >= 0 && floor < floorCount);
+  if (!valid) {
+    errors.push(`${path}.floors must list ${pair ? 'two' : 'two or more'} different floors from 0 to ${floorCount - 1}`);
+  }
+  return valid;
+}
+
+// Elevator cabins and stairs must be clear on every floor they reach
+function checkConnectors(data: Data, floorCount: number, bounds: Rectangle | null, obstacles: Blocker[], errors: string[]): void {
+  (['elevators', 'stairs'] as const).forEach((key) => {
+    const value = data[key];
+    if (value === undefined) return;
+    if (!Array.isArray(value)) {
+      errors.push(`${key} must be an array`);
+      return;
+    }
+
+    value.forEach((connector, index) => {
+      const path = `${key}[${index}]`;
+      if (!checkPosition(connector, path, errors)) return;
+      const item = connector as unknown as Data;
+      if (!isPositive(item.radius)) {
+        errors.push(`${path} needs a positive radius`);
+        return;
+      }
+
+      if (key === 'elevators') {
+        if (!(ELEVATOR_MODES as readonly unknown[]).includes(item.mode)) {
+          errors.push(`${path} has unknown mode ${JSON.stringify(item.mode)} (expected ${ELEVATOR_MODES.join(', ')})`);
+        }
+        if (!isPositive(item.interval)) {
+          errors.push(`${path}.interval must be a positive number of ms`);
+        }
+        if (item.capacity !== undefined && (!Number.isInteger(item.capacity) || (item.capacity as number) < 1)) {
+          errors.push(`${path}.capacity must be a whole number >= 1`);
+        }
+      }
+
+      if (checkConnectorFloors(item.floors, floorCount, path, key === 'stairs', errors)) {
+        item.floors.forEach((floor, floorIndex) => {
+          checkClearPoint(connector, item.radius as number, path, floorIndex === 0 ? bounds : null, obstacles, errors, floor);
+        });
+      }
+    });
+  });
+}
+
+function checkSpawnPoints(value: unknown, bounds: Rectangle | null, obstacles: Blocker[], floorCount: number, errors: string[]): void {
+  if (!Array.isArray(value) || value.length === 0) {
+    errors.push('spawnPoints must be a non-empty array');
+    return;
+  }
+
+  value.forEach((spawn, index) => {
+    const path = `spawnPoints[${index}]`;
+    if (!checkPosition(spawn, path, errors)) return;
+
+    const data = spawn as unknown as Data;
+    if (!SPAWN_TYPES.includes(data.type as string)) {
+      errors.push(`${path} has unknown type ${JSON.stringify(data.type)} (expected ${SPAWN_TYPES.join(', ')})`);
+    }
+    if (!SPAWN_VISIBILITIES.includes(data.visibility as string)) {
+      errors.push(`${path} has unknown visibility ${JSON.stringify(data.visibility)} (expected ${SPAWN_VISIBILITIES.join(', ')})`);
+    }
+    if (!Array.isArray(data.nearbyFeatures) || !data.nearbyFeatures.every(feature => typeof feature === 'string')) {
+      errors.push(`${path}.nearbyFeatures must be an array of strings`);
+    }
+
+    const floor = checkFloorIndex(data.floor, floorCount, `${path}.floor`, errors);
+    if (floor !== null) {
+      checkClearPoint(spawn, SPAWN_CLEARANCE, path, bounds, obstacles, errors, floor);
+    }
+  });
+}
+
+function checkPowerUps(level: Data, bounds: Rectangle | null, obstacles: Blocker[], floorCount: number, errors: string[]): void {
+  const config = level.powerUpConfig;
+  if (!isObject(config)) {
+    errors.push('powerUpConfig must be an object');
+    return;
+  }
+
+  if (!isPositive(config.spawnRate)) {
+    errors.push('powerUpConfig.spawnRate must be a positive number of ms');
+  }
+  if (!isNumber(config.maxActive) || config.maxActive < 0 || !Number.isInteger(config.maxActive)) {
+    errors.push('powerUpConfig.maxActive must be a whole number >= 0');
+  }
+  if (!Array.isArray(config.types) || config.types.length === 0) {
+    errors.push('powerUpConfig.types must be a non-empty array');
+  } else {
+    config.types.forEach((type, index) => {
+      if (!(POWER_UP_TYPES as readonly unknown[]).includes(type)) {
+        errors.push(`powerUpConfig.types[${index}] is unknown power-up type ${JSON.stringify(type)}`);
+      }
+    });
+  }
+  if (!POWER_UP_LOCATIONS.includes(config.locations as string)) {
+    errors.push(`powerUpConfig.locations must be one of ${POWER_UP_LOCATIONS.join(', ')}`);
+  }
+
+  const positions = level.powerUpPositions;
+  if (positions === undefined) {
+    if (config.locations === 'fixed') {
+      errors.push('powerUpPositions is required when powerUpConfig.locations is "fixed"');
+    }
+    return;
+  }
+  if (!Array.isArray(positions)) {
+    errors.push('powerUpPositions must be an array');
+    return;
+  }
+  positions.forEach((position, index) => {
+    const path = `powerUpPositions[${index}]`;
+    if (!checkPosition(position, path, errors)) return;
+    const floor = checkFloorIndex((position as unknown as Data).floor, floorCount, `${path}.floor`, errors);
+    if (floor !== null) {
+      checkClearPoint(position, PICKUP_CLEARANCE, path, bounds, obstacles, errors, floor);
+    }
+  });
+}
+
+function checkBackground(value: unknown, errors: string[]): void {
+  if (!Array.isArray(value)) {
+    errors.push('backgroundElements must be an array');
+    return;
+  }
+  value.forEach((element, index) => {
+    const path = `backgroundElements[${index}]`;
+    if (checkPosition(element, path, errors) && !BACKGROUND_TYPES.includes((element as unknown as Data).type as string)) {
+      errors.push(`${path} has unknown type ${JSON.stringify((element as unknown as Data).type)} (expected ${BACKGROUND_TYPES.join(', ')})`);
+    }
+  });
+}
+
+// Groups the cells a player fits in into areas they can walk between, largest first
+function findOpenAreas(level: Level): Position[][] {
+  const bounds = level.boundaries;
+  const columns = Math.floor(bounds.width / LAYOUT_CELL);
+  const rows = Math.floor(bounds.height / LAYOUT_CELL);
+  const cellAt = (index: number): Position => ({
+    x: bounds.x + (index % columns + 0.5) * LAYOUT_CELL,
+    y: bounds.y + (Math.floor(index / columns) + 0.5) * LAYOUT_CELL,
+  });
+  const open = Array.from({ length: columns * rows }, (_, index) => LevelValidator.isClear(level, cellAt(index), SPAWN_CLEARANCE));
+  const seen = new Array<boolean>(open.length).fill(false);
+
+  const areas: Position[][] = [];
+  open.forEach((isOpen, start) => {
+    if (!isOpen || seen[start]) return;
+    const area: Position[] = [];
+    const queue = [start];
+    seen[start] = true;
+    while (queue.length > 0) {
+      const index = queue.pop() as number;
+      area.push(cellAt(index));
+      const column = index % columns;
+      const neighbours = [
+        column > 0 ? index - 1 : -1,
+        column < columns - 1 ? index + 1 : -1,
+        index - columns,
+        index + columns,
+      ];
+      neighbours.forEach(next => {
+        if (next >= 0 && next < open.length && open[next] && !seen[next]) {
+          seen[next] = true;
+          queue.push(next);
+        }
+      });
+    }
+    areas.push(area);
+  });
+  return areas.sort((a, b) => b.length - a.length);
+}
+
+// Schema and geometry checks for level data (level files, editor output)
+export const LevelValidator = {
+  // Returns a list of problems; empty when the data is a valid Level
+  validate: (data: unknown): string[] => {
+    const errors: string[] = [];
+    if (!isObject(data)) {
+      return ['level must be a JSON object'];
+    }
+
+    if (typeof data.id !== 'string' || !/^[a-z0-9_-]+$/.test(data.id)) {
+      errors.push('id must be a non-empty string of lowercase letters, digits, "_" or "-"');
+    }
+    if (typeof data.name !== 'string' || data.name.trim().length === 0) {
+      errors.push('name must be a non-empty string');
+    }
+    if (typeof data.description !== 'string') {
+      errors.push('description must be a string');
+    }
+    if (!(LEVEL_THEMES as readonly unknown[]).includes(data.theme)) {
+      errors.push(`theme must be one of ${LEVEL_THEMES.join(', ')}`);
+    }
+    if (!isNumber(data.difficulty)) {
+      errors.push('difficulty must be a number');
+    }
+    if (data.wrap !== undefined && typeof data.wrap !== 'boolean') {
+      errors.push('wrap must be true or false');
+    }
+    if (data.seed !== undefined && (!Number.isInteger(data.seed) || (data.seed as number) < 0)) {
+      errors.push('seed must be a whole number >= 0');
+    }
+    if (data.mode !== undefined && !(GAME_MODES as readonly unknown[]).includes(data.mode)) {
+      errors.push(`mode must be one of ${GAME_MODES.join(', ')}`);
+    }
+
+    const bounds = checkBoundaries(data.boundaries, errors);
+    const crushers = checkTerrain(data.terrain, bounds, errors);
+    const dynamicObstacles = checkDynamicObstacles(data.dynamicObstacles, bounds, errors);
+    const floors = checkFloors(data, bounds, errors);
+    const obstacles = [...checkObstacles(data.obstacles, bounds, errors), ...crushers, ...dynamicObstacles, ...floors.obstacles];
+    checkSpawnPoints(data.spawnPoints, bounds, obstacles, floors.count, errors);
+    checkPowerUps(data, bounds, obstacles, floors.count, errors);
+    if (floors.count > 1) {
+      checkConnectors(data, floors.count, bounds, obstacles, errors);
+    }
+    checkBackground(data.backgroundElements, errors);
+
+    return errors;
+  },
+
+  isValid: (data: unknown): data is Level => {
+    return LevelValidator.validate(data).length === 0;
+  },
+
+  // Whether a circle at the point is inside the boundaries and clear of the level's obstacles
+  isClear: (level: Level, point: Position, radius: number): boolean => {
+    return insideBoundaries(point, radius, level.boundaries) && !level.obstacles.some(obstacle => overlapsObstacle(point, radius, obstacle));
+  },
+
+  // Playability checks on a valid level: every open area can be walked to from the rest, and spawn
+  // points are spread out. Only looks at the fixed obstacles of a single-floor level without wrapping.
+  checkLayout: (level: Level, minSpawnDistance: number = MIN_SPAWN_DISTANCE): string[] => {
+    const problems: string[] = [];
+    const areas = findOpenAreas(level);
+    if (areas.length === 0) {
+      problems.push('there is no open space for players');
+    }
+    areas.slice(1).forEach(area => {
+      problems.push(`the open area around (${area[0].x}, ${area[0].y}) can't be reached from the rest of the level`);
+    });
+
+    level.spawnPoints.forEach((spawn, index) => {
+      level.spawnPoints.slice(index + 1).forEach((other, offset) => {
+        const distance = Math.hypot(spawn.x - other.x, spawn.y - other.y);
+        if (distance < minSpawnDistance) {
+          problems.push(`spawnPoints[${index}] and spawnPoints[${index + offset + 1}] are only ${Math.round(distance)} px apart (at least ${minSpawnDistance} needed)`);
+        }
+      });
+    });
+    return problems;
+  }
+};
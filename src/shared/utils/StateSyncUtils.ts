@@ -0,0 +1,158 @@
+import { DynamicGameState, EntityDelta, EntityFieldChanges, StateDelta, StateSnapshot } from '../types/GameTypes';
+
+// Fields shared by snapshots and the full client-side game state that deltas can patch
+type SyncedState = Pick<DynamicGameState, 'players' | 'playerHints' | 'gameActive' | 'timeRemaining' | 'spectatorCount' | 'powerUps' | 'stars' | 'stunOrbs' | 'crushers' | 'dynamicObstacles' | 'elevators' | 'projectiles' | 'portals' | 'mode'>;
+
+type SyncedEntity = { id: string };
+
+function valuesEqual(a: unknown, b: unknown): boolean {
+  if (a === b) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function diffEntityFields<T extends SyncedEntity>(prev: T, next: T): EntityFieldChanges<T> | null {
+  const changes: Record<string, unknown> = { id: next.id };
+  let changed = false;
+
+  for (const key of Object.keys(next) as Array<keyof T>) {
+    if (next[key] !== undefined && !valuesEqual(prev[key], next[key])) {
+      changes[key as string] = next[key];
+      changed = true;
+    }
+  }
+
+  // Optional fields that were cleared since the last snapshot
+  for (const key of Object.keys(prev) as Array<keyof T>) {
+    if (prev[key] !== undefined && next[key] === undefined) {
+      changes[key as string] = null;
+      changed = true;
+    }
+  }
+
+  return changed ? (changes as EntityFieldChanges<T>) : null;
+}
+
+function diffEntities<T extends SyncedEntity>(prev: T[], next: T[]): EntityDelta<T> | undefined {
+  const prevById = new Map(prev.map(entity => [entity.id, entity]));
+  const nextIds = new Set(next.map(entity => entity.id));
+  const upsert: EntityFieldChanges<T>[] = [];
+
+  for (const entity of next) {
+    const previous = prevById.get(entity.id);
+    if (!previous) {
+      upsert.push({ ...entity } as EntityFieldChanges<T>);
+      continue;
+    }
+
+    const changes = diffEntityFields(previous, entity);
+    if (changes) {
+      upsert.push(changes);
+    }
+  }
+
+  const remove = prev.filter(entity => !nextIds.has(entity.id)).map(entity => entity.id);
+
+  return upsert.length > 0 || remove.length > 0 ? { upsert, remove } : undefined;
+}
+
+function applyEntityDelta<T extends SyncedEntity>(entities: T[], delta: EntityDelta<T> | undefined): T[] {
+  if (!delta) return entities;
+
+  const removed = new Set(delta.remove);
+  const result = entities.filter(entity => !removed.has(entity.id));
+  const indexById = new Map(result.map((entity, index) => [entity.id, index]));
+
+  for (const changes of delta.upsert) {
+    const index = indexById.get(changes.id);
+    const merged: Record<string, unknown> = index !== undefined ? { ...result[index] } : {};
+
+    for (const [key, value] of Object.entries(changes)) {
+      if (value === null) {
+        delete merged[key];
+      } else {
+        merged[key] = value;
+      }
+    }
+
+    if (index !== undefined) {
+      result[index] = merged as T;
+    } else {
+      indexById.set(changes.id, result.length);
+      result.push(merged as T);
+    }
+  }
+
+  return result;
+}
+
+// Snapshot/delta helpers shared by the server broadcaster and the client state
+export const StateSyncUtils = {
+  // Build the delta that turns `prev` into `next`
+  createDelta(prev: StateSnapshot, next: StateSnapshot): StateDelta {
+    const delta: StateDelta = {
+      kind: 'delta',
+      seq: next.seq,
+      baseSeq: prev.seq,
+    };
+
+    if (prev.levelId !== next.levelId) delta.levelId = next.levelId;
+    if (prev.gameActive !== next.gameActive) delta.gameActive = next.gameActive;
+    if (prev.timeRemaining !== next.timeRemaining) delta.timeRemaining = next.timeRemaining;
+    if (prev.spectatorCount !== next.spectatorCount) delta.spectatorCount = next.spectatorCount;
+    if (next.mode && !valuesEqual(prev.mode, next.mode)) delta.mode = next.mode;
+
+    const players = diffEntities(prev.players, next.players);
+    if (players) delta.players = players;
+    const playerHints = diffEntities(prev.playerHints, next.playerHints);
+    if (playerHints) delta.playerHints = playerHints;
+    const powerUps = diffEntities(prev.powerUps, next.powerUps);
+    if (powerUps) delta.powerUps = powerUps;
+    const stars = diffEntities(prev.stars, next.stars);
+    if (stars) delta.stars = stars;
+    const stunOrbs = diffEntities(prev.stunOrbs, next.stunOrbs);
+    if (stunOrbs) delta.stunOrbs = stunOrbs;
+    const crushers = diffEntities(prev.crushers || [], next.crushers || []);
+    if (crushers) delta.crushers = crushers;
+    const dynamicObstacles = diffEntities(prev.dynamicObstacles || [], next.dynamicObstacles || []);
+    if (dynamicObstacles) delta.dynamicObstacles = dynamicObstacles;
+    const elevators = diffEntities(prev.elevators || [], next.elevators || []);
+    if (elevators) delta.elevators = elevators;
+    const projectiles = diffEntities(prev.projectiles || [], next.projectiles || []);
+    if (projectiles) delta.projectiles = projectiles;
+    const portals = diffEntities(prev.portals || [], next.portals || []);
+    if (portals) delta.portals = portals;
+
+    return delta;
+  },
+
+  // Apply a delta to any state carrying the synced collections (snapshot or full game state)
+  applyDelta<T extends SyncedState>(base: T, delta: StateDelta): T {
+    return {
+      ...base,
+      gameActive: delta.gameActive ?? base.gameActive,
+      timeRemaining: delta.timeRemaining ?? base.timeRemaining,
+      spectatorCount: delta.spectatorCount ?? base.spectatorCount,
+      players: applyEntityDelta(base.players, delta.players),
+      playerHints: applyEntityDelta(base.playerHints, delta.playerHints),
+      powerUps: applyEntityDelta(base.powerUps, delta.powerUps),
+      stars: applyEntityDelta(base.stars, delta.stars),
+      stunOrbs: applyEntityDelta(base.stunOrbs, delta.stunOrbs),
+      crushers: delta.crushers ? applyEntityDelta(base.crushers || [], delta.crushers) : base.crushers,
+      dynamicObstacles: delta.dynamicObstacles ? applyEntityDelta(base.dynamicObstacles || [], delta.dynamicObstacles) : base.dynamicObstacles,
+      elevators: delta.elevators ? applyEntityDelta(base.elevators || [], delta.elevators) : base.elevators,
+      projectiles: delta.projectiles ? applyEntityDelta(base.projectiles || [], delta.projectiles) : base.projectiles,
+      portals: delta.portals ? applyEntityDelta(base.portals || [], delta.portals) : base.portals,
+      mode: delta.mode ?? base.mode,
+    };
+  },
+
+  // Apply a delta to a snapshot, producing the snapshot for the delta's sequence number
+  applySnapshotDelta(base: StateSnapshot, delta: StateDelta): StateSnapshot {
+    const next = StateSyncUtils.applyDelta(base, delta);
+    next.seq = delta.seq;
+    next.levelId = delta.levelId ?? base.levelId;
+    delete next.level;
+    return next;
+  },
+};
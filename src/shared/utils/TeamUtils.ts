@@ -0,0 +1,36 @@
+import { TEAMS, TeamId, TeamScore } from '../types/GameTypes';
+
+type TeamMember = { team?: TeamId };
+
+// Team rules shared by the server simulation, the bots and the leaderboard
+export const TeamUtils = {
+  // Players without a team (rooms without teams) have no teammates
+  isTeammate: (a: TeamMember, b: TeamMember): boolean => {
+    return !!a.team && a.team === b.team;
+  },
+
+  isOpponent: (a: TeamMember, b: TeamMember): boolean => {
+    return !!a.team && !!b.team && a.team !== b.team;
+  },
+
+  // The two sides are the teams in team rooms, otherwise IT and the runners
+  isSameSide: (a: TeamMember & { isIt: boolean }, b: TeamMember & { isIt: boolean }): boolean => {
+    return a.team || b.team ? a.team === b.team : a.isIt === b.isIt;
+  },
+
+  // The team with the fewest members, red on a tie
+  pickTeam: (players: TeamMember[]): TeamId => {
+    const counts = TEAMS.map(team => players.filter(player => player.team === team).length);
+    return TEAMS[counts.indexOf(Math.min(...counts))];
+  },
+
+  // Undefined when nobody is on a team, otherwise the best team first
+  getTeamScores: (players: (TeamMember & { score: number })[]): TeamScore[] | undefined => {
+    if (!players.some(player => player.team)) return undefined;
+
+    return TEAMS.map(team => {
+      const members = players.filter(player => player.team === team);
+      return { team, score: members.reduce((sum, player) => sum + player.score, 0), players: members.length };
+    }).sort((a, b) => b.score - a.score);
+  },
+};
@@ -0,0 +1,58 @@
+import { Bush, ConveyorBelt, ConveyorDirection, Crusher, CrusherPhase, TerrainFeature, Velocity } from '../types/GameTypes';
+
+export const CRUSHER_WARNING_TIME = 1000; // ms a crusher shows it is about to slam
+
+const CONVEYOR_VECTORS: Record<ConveyorDirection, Velocity> = {
+  up: { dx: 0, dy: -1 },
+  down: { dx: 0, dy: 1 },
+  left: { dx: -1, dy: 0 },
+  right: { dx: 1, dy: 0 },
+};
+
+type Area = { x: number; y: number; width: number; height: number };
+
+// Terrain rules shared by the server simulation, client prediction and the renderer
+export const TerrainUtils = {
+  isInsideArea: (x: number, y: number, area: Area): boolean => {
+    return Math.abs(x - area.x) <= area.width / 2 && Math.abs(y - area.y) <= area.height / 2;
+  },
+
+  isInsideBush: (x: number, y: number, bush: Bush): boolean => {
+    return Math.hypot(x - bush.x, y - bush.y) < bush.radius;
+  },
+
+  getConveyorVector: (direction: ConveyorDirection): Velocity => {
+    return CONVEYOR_VECTORS[direction];
+  },
+
+  // Distance the belts under (x, y) carry a player in deltaTime ms
+  getConveyorPush: (x: number, y: number, terrain: TerrainFeature[], deltaTime: number): Velocity => {
+    let dx = 0;
+    let dy = 0;
+    terrain.forEach((feature) => {
+      if (feature.type !== 'conveyor' || !TerrainUtils.isInsideArea(x, y, feature)) return;
+      const vector = CONVEYOR_VECTORS[(feature as ConveyorBelt).direction];
+      const distance = feature.speed * (deltaTime / 1000);
+      dx += vector.dx * distance;
+      dy += vector.dy * distance;
+    });
+    return { dx, dy };
+  },
+
+  // Phase of a crusher `elapsed` ms into the level; the slam is at the end of each interval
+  getCrusherPhase: (crusher: Crusher, elapsed: number): CrusherPhase => {
+    const cycle = ((elapsed + (crusher.offset || 0)) % crusher.interval + crusher.interval) % crusher.interval;
+    const slamStart = crusher.interval - crusher.slamDuration;
+    if (cycle >= slamStart) return 'down';
+    if (cycle >= slamStart - CRUSHER_WARNING_TIME) return 'warning';
+    return 'open';
+  },
+
+  getCrusherId: (terrainIndex: number): string => {
+    return `crusher_${terrainIndex}`;
+  },
+
+  getBushId: (terrainIndex: number): string => {
+    return `bush_${terrainIndex}`;
+  },
+};
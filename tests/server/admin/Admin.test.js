@@ -0,0 +1,220 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const express = require("express");
+const { createAdminRouter } = require("../../../server/admin/AdminRouter");
+const { AuditLog } = require("../../../server/admin/AuditLog");
+const { RoomManager } = require("../../../server/game/RoomManager");
+const { MockSocket, MockIO } = require("../../utils/test-helpers.js");
+
+const TOKEN = "test-admin-token";
+
+describe("AuditLog", () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "catchme-audit-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test("should append entries as JSON lines and keep the latest in memory", async () => {
+    const file = path.join(directory, "logs", "audit.log");
+    const auditLog = new AuditLog(file, 2);
+    auditLog.record({ action: "pause", roomCode: "MAIN", success: true });
+    auditLog.record({ action: "resume", roomCode: "MAIN", success: true });
+    auditLog.record({ action: "kick_player", target: "p1", success: false });
+    await auditLog.flush();
+
+    const lines = fs.readFileSync(file, "utf8").trim().split("\n").map((line) => JSON.parse(line));
+    expect(lines.map((entry) => entry.action)).toEqual(["pause", "resume", "kick_player"]);
+    expect(typeof lines[0].time).toBe("string");
+
+    expect(auditLog.getRecent().map((entry) => entry.action)).toEqual(["kick_player", "resume"]);
+    expect(auditLog.getRecent(1)[0].target).toBe("p1");
+  });
+});
+
+describe("Admin API", () => {
+  let roomManager;
+  let mockIO;
+  let auditLog;
+  let server;
+  let baseUrl;
+
+  function listen(token) {
+    const app = express();
+    app.use(express.json());
+    app.use("/admin/api", createAdminRouter({ token, roomManager, auditLog }));
+
+    return new Promise((resolve) => {
+      server = app.listen(0, "127.0.0.1", () => {
+        baseUrl = `http://127.0.0.1:${server.address().port}/admin/api`;
+        resolve();
+      });
+    });
+  }
+
+  async function request(method, route, body, token = TOKEN) {
+    const response = await fetch(`${baseUrl}${route}`, {
+      method,
+      headers: {
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...(body ? { "Content-Type": "application/json" } : {}),
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  function getMainRoom() {
+    return roomManager.getGameManager(RoomManager.DEFAULT_ROOM_CODE);
+  }
+
+  beforeEach(() => {
+    mockIO = new MockIO();
+    roomManager = new RoomManager(mockIO);
+    auditLog = new AuditLog(null);
+  });
+
+  afterEach(async () => {
+    roomManager.shutdown();
+    if (server) {
+      await new Promise((resolve) => server.close(resolve));
+      server = null;
+    }
+  });
+
+  test("should be disabled without a configured token", async () => {
+    await listen(undefined);
+    const response = await request("GET", "/rooms");
+    expect(response.status).toBe(503);
+  });
+
+  test("should reject and audit requests with a wrong token", async () => {
+    await listen(TOKEN);
+    expect((await request("GET", "/rooms", undefined, null)).status).toBe(401);
+    expect((await request("GET", "/rooms", undefined, "wrong")).status).toBe(401);
+
+    const entries = auditLog.getRecent();
+    expect(entries.length).toBe(2);
+    expect(entries[0]).toMatchObject({ action: "auth_failed", success: false });
+  });
+
+  test("should list rooms with player stats", async () => {
+    await listen(TOKEN);
+    roomManager.quickJoin(new MockSocket(), "Alice");
+
+    const response = await request("GET", "/rooms");
+    expect(response.status).toBe(200);
+    const room = response.body.find((r) => r.code === RoomManager.DEFAULT_ROOM_CODE);
+    const alice = room.players.find((p) => p.name === "Alice");
+    expect(alice).toMatchObject({ isAI: false, connected: true, score: 0 });
+    expect(room.paused).toBe(false);
+
+    expect((await request("GET", "/rooms/NOPE")).status).toBe(404);
+  });
+
+  test("should kick a player and tell their client", async () => {
+    await listen(TOKEN);
+    const socket = new MockSocket();
+    roomManager.quickJoin(socket, "Alice");
+    const { playerId } = socket.emitted.find((e) => e.event === "gameJoined").data;
+
+    const response = await request("POST", `/rooms/MAIN/players/${playerId}/kick`, { reason: "Spamming" });
+    expect(response.status).toBe(200);
+    expect(getMainRoom().gameState.getPlayer(playerId)).toBeUndefined();
+    expect(socket.emitted.find((e) => e.event === "kicked").data).toBe("Spamming");
+    expect(socket.data.roomCode).toBeUndefined();
+
+    expect(auditLog.getRecent(1)[0]).toMatchObject({
+      action: "kick_player",
+      roomCode: "MAIN",
+      target: playerId,
+      success: true,
+    });
+    expect((await request("POST", "/rooms/MAIN/players/missing/kick")).status).toBe(404);
+  });
+
+  test("should pause and resume the room", async () => {
+    await listen(TOKEN);
+    const paused = await request("POST", "/rooms/main/pause");
+    expect(paused.body.paused).toBe(true);
+    expect(getMainRoom().isPaused()).toBe(true);
+    expect(mockIO.emitted).toContainEqual({ event: "gamePaused", data: true, room: expect.any(String) });
+
+    const resumed = await request("POST", "/rooms/MAIN/resume");
+    expect(resumed.body.paused).toBe(false);
+  });
+
+  test("should validate and apply the round duration", async () => {
+    await listen(TOKEN);
+    expect((await request("PUT", "/rooms/MAIN/round-duration", { duration: 500 })).status).toBe(400);
+    expect((await request("PUT", "/rooms/MAIN/round-duration", { duration: "60000" })).status).toBe(400);
+
+    const response = await request("PUT", "/rooms/MAIN/round-duration", { duration: 60000 });
+    expect(response.body.roundDuration).toBe(60000);
+    expect(getMainRoom().getRoundDuration()).toBe(60000);
+  });
+
+  test("should add bots and turn off auto-fill when removing them", async () => {
+    await listen(TOKEN);
+    const added = await request("POST", "/rooms/MAIN/bots", { name: "Robo" });
+    expect(added.body.players.some((p) => p.isAI && p.name === "Robo")).toBe(true);
+
+    const removed = await request("DELETE", "/rooms/MAIN/bots");
+    expect(removed.status).toBe(200);
+    expect(removed.body.autoFillBots).toBe(false);
+    expect(removed.body.players.some((p) => p.isAI)).toBe(false);
+
+    expect((await request("DELETE", "/rooms/MAIN/bots")).status).toBe(404);
+    expect((await request("PUT", "/rooms/MAIN/bots/auto", { enabled: true })).body.autoFillBots).toBe(true);
+  });
+
+  test("should force a known level and reject unknown ones", async () => {
+    await listen(TOKEN);
+    expect((await request("POST", "/rooms/MAIN/level", { levelId: "no-such-level" })).status).toBe(409);
+
+    const levels = (await request("GET", "/rooms/MAIN/levels")).body;
+    const target = levels[levels.length - 1];
+    const response = await request("POST", "/rooms/MAIN/level", { levelId: target.id });
+    expect(response.status).toBe(200);
+    expect(response.body.transitionActive).toBe(true);
+
+    // Only one transition at a time
+    expect((await request("POST", "/rooms/MAIN/round-end")).status).toBe(409);
+  });
+
+  test("should hand out a room's level as JSON for saving", async () => {
+    await listen(TOKEN);
+    const [first] = (await request("GET", "/rooms/MAIN/levels")).body;
+
+    const response = await request("GET", `/rooms/MAIN/levels/${first.id}`);
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual(expect.objectContaining({ id: first.id, name: first.name }));
+    expect(response.body.spawnPoints.length).toBeGreaterThan(0);
+    expect((await request("GET", "/rooms/MAIN/levels/no-such-level")).status).toBe(404);
+  });
+
+  test("should send announcements to everyone or to one room", async () => {
+    await listen(TOKEN);
+    expect((await request("POST", "/announcements", { message: "" })).status).toBe(400);
+
+    await request("POST", "/announcements", { message: "Restarting in 5 minutes" });
+    expect(mockIO.emitted).toContainEqual({
+      event: "serverAnnouncement",
+      data: { message: "Restarting in 5 minutes", from: "admin" },
+    });
+
+    await request("POST", "/announcements", { message: "Hi MAIN", roomCode: "MAIN" });
+    const roomAnnouncement = mockIO.emitted.find((e) => e.event === "serverAnnouncement" && e.room);
+    expect(roomAnnouncement.data.message).toBe("Hi MAIN");
+
+    expect((await request("POST", "/announcements", { message: "Hi", roomCode: "NOPE" })).status).toBe(404);
+
+    const audit = await request("GET", "/audit?limit=2");
+    expect(audit.body.map((entry) => entry.action)).toEqual(["announce", "announce"]);
+  });
+});
@@ -0,0 +1,123 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadGameConfig, GameConfigError, getEnvName } = require("../../../server/config/GameConfigLoader");
+const { DEFAULT_GAME_CONFIG } = require("../../../shared/types/GameConfig");
+const { GameManager } = require("../../../server/game/GameManager");
+const { Player } = require("../../../server/game/Player");
+const { createSimulationContext } = require("../../../server/game/SimulationContext");
+const { MockIO } = require("../../utils/test-helpers.js");
+
+describe("loadGameConfig", () => {
+  let directory;
+
+  function writeConfig(contents) {
+    const file = path.join(directory, "game.config.json");
+    fs.writeFileSync(file, typeof contents === "string" ? contents : JSON.stringify(contents));
+    return file;
+  }
+
+  function getIssues(sources) {
+    try {
+      loadGameConfig(sources);
+    } catch (error) {
+      expect(error).toBeInstanceOf(GameConfigError);
+      return error.issues;
+    }
+    throw new Error("Expected the config to be rejected");
+  }
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "catchme-config-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test("should return the defaults without overrides", () => {
+    expect(loadGameConfig()).toEqual(DEFAULT_GAME_CONFIG);
+  });
+
+  test("should apply the file and then the environment on top", () => {
+    const filePath = writeConfig({ round: { duration: 60000, pointThreshold: 300 }, tag: { stunDuration: 1500 } });
+    const config = loadGameConfig({
+      filePath,
+      env: { GAME_ROUND_DURATION: "90000", GAME_MOVEMENT_IT_SPEED_MULTIPLIER: "1.5" },
+    });
+
+    expect(config.round).toEqual({ ...DEFAULT_GAME_CONFIG.round, duration: 90000, pointThreshold: 300 });
+    expect(config.tag.stunDuration).toBe(1500);
+    expect(config.movement.itSpeedMultiplier).toBe(1.5);
+    expect(config.scoring).toEqual(DEFAULT_GAME_CONFIG.scoring);
+  });
+
+  test("should derive environment variable names from the setting path", () => {
+    expect(getEnvName("scoring", "itPenaltyPerSecond")).toBe("GAME_SCORING_IT_PENALTY_PER_SECOND");
+    expect(getEnvName("rooms", "maxPlayers")).toBe("GAME_ROOMS_MAX_PLAYERS");
+  });
+
+  test("should report every problem at once", () => {
+    const filePath = writeConfig({ round: { duration: "long", pointTreshold: 100 }, bonus: {} });
+    const issues = getIssues({ filePath, env: { GAME_ROOMS_MAX_PLAYERS: "1", GAME_TAG_STUN_DURATION: "soon" } });
+
+    expect(issues).toEqual(expect.arrayContaining([
+      expect.stringContaining("round.duration"),
+      expect.stringContaining('Unknown setting "round.pointTreshold"'),
+      expect.stringContaining('Unknown section "bonus"'),
+      expect.stringContaining("rooms.maxPlayers must be between 2 and 64"),
+      expect.stringContaining("GAME_TAG_STUN_DURATION must be a number"),
+    ]));
+    expect(issues.length).toBe(5);
+  });
+
+  test("should reject unreadable and malformed files", () => {
+    expect(getIssues({ filePath: path.join(directory, "missing.json") })[0]).toContain("Cannot read config file");
+    expect(getIssues({ filePath: writeConfig("{ nope") })[0]).toContain("is not valid JSON");
+    expect(getIssues({ filePath: writeConfig([1, 2]) })[0]).toContain("must contain a JSON object");
+  });
+
+  test("should return a read-only config", () => {
+    const config = loadGameConfig();
+    expect(Object.isFrozen(config)).toBe(true);
+    expect(Object.isFrozen(config.scoring)).toBe(true);
+  });
+});
+
+describe("GameConfig in the simulation", () => {
+  const config = {
+    ...DEFAULT_GAME_CONFIG,
+    round: { duration: 30000, pointThreshold: 200 },
+    scoring: { tagPoints: 40, starPointsIt: 7, starPointsRunner: 3, itPenaltyPerSecond: 2 },
+    movement: { playerSpeed: 100, itSpeedMultiplier: 2 },
+  };
+
+  test("should score and move players by the configured rules", () => {
+    const player = new Player("p1", "Alice", 100, 100, false, createSimulationContext(1, undefined, config));
+
+    expect(player.awardTagPoints()).toBe(40);
+    expect(player.awardStarPoints()).toBe(3);
+    expect(player.getCurrentSpeed()).toBe(100);
+
+    player.becomeIt();
+    expect(player.awardStarPoints()).toBe(7);
+    expect(player.getCurrentSpeed()).toBe(200);
+  });
+
+  test("should use the configured round length and player cap", () => {
+    const manager = new GameManager(new MockIO(), {
+      roomCode: "TEST",
+      roomName: "Test Room",
+      isPrivate: false,
+      maxPlayers: 4,
+      seed: 1,
+      startTime: 1000000,
+      autoStart: false,
+      config,
+    });
+
+    expect(manager.getRoundDuration()).toBe(30000);
+    expect(manager.gameState.gameDuration).toBe(30000);
+    expect(manager.gameState.maxPlayers).toBe(4);
+  });
+});
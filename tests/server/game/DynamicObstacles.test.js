@@ -0,0 +1,170 @@
+const { MovementEngine } = require("../../../server/game/MovementEngine");
+const { ManualClock } = require("../../../server/game/Clock");
+const { createSimulationContext } = require("../../../server/game/SimulationContext");
+const { LevelValidator } = require("../../../shared/utils/LevelValidator");
+const { StateSyncUtils } = require("../../../shared/utils/StateSyncUtils");
+const { createTestLevel, createLevelGameState, addTestPlayer, tickGameState } = require("../../utils/test-helpers.js");
+
+function createLevel(overrides = {}) {
+  return createTestLevel({
+    theme: "maze",
+    dynamicObstacles: [],
+    spawnPoints: [{ x: 40, y: 40, type: "safe", visibility: "open", nearbyFeatures: [] }],
+    ...overrides,
+  });
+}
+
+const slidingWall = {
+  x: 200, y: 300, width: 20, height: 100, type: "rectangle",
+  path: { waypoints: [{ x: 400, y: 300 }], speed: 100, mode: "pingpong" },
+};
+
+describe("Dynamic obstacles", () => {
+  let context;
+  let gameState;
+
+  function createGameState(dynamicObstacles, overrides = {}) {
+    gameState = createLevelGameState(createLevel({ dynamicObstacles, ...overrides }), context);
+  }
+
+  function addPlayer(id, x, y) {
+    return addTestPlayer(gameState, id, x, y);
+  }
+
+  function step(ms) {
+    tickGameState(gameState, ms);
+  }
+
+  beforeEach(() => {
+    context = createSimulationContext(9, new ManualClock(10000));
+  });
+
+  describe("Moving walls", () => {
+    test("should follow the path and come back in pingpong mode", () => {
+      createGameState([slidingWall]);
+      expect(gameState.getDynamicState().dynamicObstacles).toEqual([{ id: "dynamic_0", x: 200, y: 300 }]);
+
+      step(1000);
+      expect(gameState.getDynamicState().dynamicObstacles[0].x).toBe(300);
+      step(2000);
+      expect(gameState.getDynamicState().dynamicObstacles[0].x).toBe(300);
+      expect(gameState.checkObstacleCollision(300, 300, 5)).toBe(true);
+      expect(gameState.checkObstacleCollision(200, 300, 5)).toBe(false);
+    });
+
+    test("should carry players it moves into", () => {
+      createGameState([slidingWall]);
+      const player = addPlayer("p1", 235, 300);
+
+      for (let i = 0; i < 10; i++) step(50);
+
+      // Wall edge at 250 + 10, player pushed to touch it
+      expect(player.x).toBeCloseTo(260 + player.currentRadius);
+      expect(gameState.checkObstacleCollision(player.x, player.y, player.currentRadius)).toBe(false);
+    });
+
+    test("should block movement into a turned rectangle", () => {
+      createGameState([{ x: 400, y: 300, width: 200, height: 20, type: "rectangle", rotationSpeed: 90 }]);
+      step(1000);
+
+      // Turned a quarter: now a vertical bar
+      expect(gameState.checkObstacleCollision(400, 380, 5)).toBe(true);
+      expect(gameState.checkObstacleCollision(480, 300, 5)).toBe(false);
+
+      const player = addPlayer("p1", 370, 380);
+      const result = MovementEngine.validateMovement(player, 20, 0, 800, 600, gameState.getBlockingObstacles());
+      expect(result.x).toBe(370);
+    });
+  });
+
+  describe("Gates", () => {
+    test("should open and close on the schedule and push out players it closes on", () => {
+      createGameState([{ x: 400, y: 300, width: 20, height: 100, type: "rectangle", schedule: { openDuration: 1000, closedDuration: 1000 } }]);
+      expect(gameState.getDynamicState().dynamicObstacles[0].open).toBe(true);
+      expect(gameState.checkObstacleCollision(400, 300, 5)).toBe(false);
+
+      const player = addPlayer("p1", 400, 300);
+      step(1000);
+
+      expect(gameState.getDynamicState().dynamicObstacles[0].open).toBe(false);
+      expect(gameState.checkObstacleCollision(400, 300, 5)).toBe(true);
+      expect(gameState.checkObstacleCollision(player.x, player.y, player.currentRadius)).toBe(false);
+    });
+
+    test("should stay open while the plate is held and for holdOpen after", () => {
+      createGameState([{ x: 400, y: 300, width: 20, height: 100, type: "rectangle", plate: { x: 600, y: 300, radius: 30, holdOpen: 500 } }]);
+      const player = addPlayer("p1", 100, 100);
+      step(16);
+      expect(gameState.getDynamicState().dynamicObstacles[0].open).toBe(false);
+
+      player.x = 600;
+      player.y = 300;
+      step(16);
+      expect(gameState.getDynamicState().dynamicObstacles[0].open).toBe(true);
+
+      player.x = 100;
+      step(400);
+      expect(gameState.getDynamicState().dynamicObstacles[0].open).toBe(true);
+      step(200);
+      expect(gameState.getDynamicState().dynamicObstacles[0].open).toBe(false);
+    });
+  });
+
+  test("should keep random pickups off the path of moving walls", () => {
+    const tallWall = { x: 200, y: 300, width: 40, height: 600, type: "rectangle", path: { waypoints: [{ x: 600, y: 300 }], speed: 100 } };
+    createGameState([tallWall], { powerUpConfig: { spawnRate: 8000, maxActive: 4, types: ["speed"], locations: "random" } });
+
+    const { powerUps } = gameState.getDynamicState();
+    expect(powerUps.length).toBeGreaterThan(0);
+    powerUps.forEach((powerUp) => {
+      expect(powerUp.x < 180 - 15 || powerUp.x > 620 + 15).toBe(true);
+    });
+  });
+
+  test("should only send obstacles that moved in a delta", () => {
+    createGameState([slidingWall, { x: 600, y: 100, radius: 20, type: "circle" }]);
+    const prev = { kind: "snapshot", seq: 1, ...gameState.getDynamicState() };
+    step(33);
+    const next = { kind: "snapshot", seq: 2, ...gameState.getDynamicState() };
+
+    const delta = StateSyncUtils.createDelta(prev, next);
+    expect(delta.dynamicObstacles.upsert).toEqual([{ id: "dynamic_0", x: 203.3 }]);
+    expect(StateSyncUtils.applyDelta(prev, delta).dynamicObstacles).toEqual(next.dynamicObstacles);
+  });
+
+  describe("LevelValidator", () => {
+    test("should reject invalid motion and gate settings", () => {
+      const errors = LevelValidator.validate(createLevel({
+        dynamicObstacles: [
+          { x: 400, y: 300, width: 20, height: 100, type: "rectangle", path: { waypoints: [{ x: 795, y: 300 }], speed: 0, mode: "bounce" } },
+          { x: 200, y: 200, radius: 20, type: "circle", rotationSpeed: 30 },
+          { x: 300, y: 500, width: 20, height: 60, type: "rectangle", schedule: { openDuration: 1000 } },
+          { x: 500, y: 500, width: 20, height: 60, type: "rectangle", plate: { x: 600, y: 500, radius: 20, holdOpen: -1 } },
+        ],
+      }));
+
+      expect(errors).toEqual([
+        "dynamicObstacles[0].path.waypoints[0] (795, 300) takes the obstacle outside the level boundaries",
+        "dynamicObstacles[0].path.speed must be between 0 and 400 px per second",
+        'dynamicObstacles[0].path has unknown mode "bounce" (expected loop, pingpong)',
+        "dynamicObstacles[1].rotationSpeed must be a number, and only rectangles rotate",
+        "dynamicObstacles[2].schedule needs a positive openDuration and closedDuration",
+        "dynamicObstacles[3].plate needs a positive radius and a holdOpen >= 0",
+      ]);
+    });
+
+    test("should reject spawn points and pickups in the path of a moving wall", () => {
+      const errors = LevelValidator.validate(createLevel({
+        dynamicObstacles: [slidingWall],
+        spawnPoints: [{ x: 300, y: 300, type: "safe", visibility: "open", nearbyFeatures: [] }],
+        powerUpConfig: { spawnRate: 8000, maxActive: 1, types: ["speed"], locations: "fixed" },
+        powerUpPositions: [{ x: 300, y: 340 }],
+      }));
+
+      expect(errors).toEqual([
+        "spawnPoints[0] (300, 300) is inside dynamicObstacles[0]",
+        "powerUpPositions[0] (300, 340) is inside dynamicObstacles[0]",
+      ]);
+    });
+  });
+});
@@ -0,0 +1,221 @@
+const { ManualClock } = require("../../../server/game/Clock");
+const { createSimulationContext } = require("../../../server/game/SimulationContext");
+const { VisibilityFilter } = require("../../../server/game/VisibilityFilter");
+const { LevelValidator } = require("../../../shared/utils/LevelValidator");
+const { StateSyncUtils } = require("../../../shared/utils/StateSyncUtils");
+const { createTestLevel, createLevelGameState, createTestGameManager, addTestPlayer, tickGameState } = require("../../utils/test-helpers.js");
+
+function createLevel(overrides = {}) {
+  return createTestLevel({
+    floors: [
+      { name: "Ground", obstacles: [] },
+      { name: "Upstairs", obstacles: [] },
+      { name: "Roof", obstacles: [] },
+    ],
+    elevators: [
+      { x: 400, y: 300, radius: 30, floors: [0, 1, 2], mode: "timed", interval: 5000 },
+      { x: 100, y: 500, radius: 30, floors: [0, 2], mode: "onDemand", interval: 1000, capacity: 1 },
+    ],
+    stairs: [{ x: 700, y: 100, radius: 30, floors: [0, 1] }],
+    spawnPoints: [{ x: 200, y: 200, type: "safe", visibility: "open", nearbyFeatures: [] }],
+    ...overrides,
+  });
+}
+
+describe("Multi-floor levels", () => {
+  let context;
+  let gameState;
+
+  function createGameState(overrides) {
+    gameState = createLevelGameState(createLevel(overrides), context);
+  }
+
+  function addPlayer(id, x, y, floor = 0) {
+    const player = addTestPlayer(gameState, id, x, y);
+    player.floor = floor;
+    return player;
+  }
+
+  function tick(ms) {
+    tickGameState(gameState, ms);
+  }
+
+  beforeEach(() => {
+    context = createSimulationContext(3, new ManualClock(10000));
+  });
+
+  describe("Stairs", () => {
+    test("should take a player to the other floor once per visit", () => {
+      createGameState();
+      const player = addPlayer("p1", 700, 100);
+
+      tick();
+      expect(player.floor).toBe(1);
+
+      // Still standing on the stairs: no bouncing back down
+      tick();
+      expect(player.floor).toBe(1);
+
+      player.x = 600;
+      tick();
+      player.x = 700;
+      tick();
+      expect(player.floor).toBe(0);
+    });
+  });
+
+  describe("Elevators", () => {
+    test("should leave on the timetable with the riders on board", () => {
+      createGameState();
+      const rider = addPlayer("rider", 400, 300);
+
+      tick(4000);
+      expect(rider.floor).toBe(0);
+      expect(gameState.getDynamicState().elevators[0]).toEqual({ id: "elevator_0", floor: 0, waiting: 1 });
+
+      tick(1000);
+      expect(rider.floor).toBe(1);
+      expect(gameState.getDynamicState().elevators[0]).toEqual({ id: "elevator_0", floor: 1 });
+    });
+
+    test("should wait for riders to board and respect capacity", () => {
+      createGameState();
+      const first = addPlayer("first", 100, 500);
+      const second = addPlayer("second", 100, 500);
+
+      tick();
+      tick(900);
+      expect(first.floor).toBe(0);
+
+      tick(100);
+      expect(first.floor).toBe(2);
+      expect(second.floor).toBe(0);
+
+      // The cabin comes back for the player left behind
+      tick();
+      tick(1000);
+      expect(gameState.getDynamicState().elevators[1].floor).toBe(0);
+      tick();
+      tick(1000);
+      expect(second.floor).toBe(2);
+    });
+
+    test("should only send elevator changes in deltas", () => {
+      createGameState();
+      addPlayer("rider", 400, 300);
+      tick();
+      const prev = { ...gameState.getDynamicState(), seq: 1 };
+      tick(5000);
+      const next = { ...gameState.getDynamicState(), seq: 2 };
+
+      const delta = StateSyncUtils.createDelta(prev, next);
+      expect(delta.elevators.upsert).toEqual([{ id: "elevator_0", floor: 1, waiting: null }]);
+      expect(StateSyncUtils.applyDelta(prev, delta).elevators).toEqual(next.elevators);
+    });
+
+    test("should move arrivals clear of the new floor's walls", () => {
+      createGameState({
+        floors: [
+          { name: "Ground", obstacles: [] },
+          { name: "Upstairs", obstacles: [{ x: 760, y: 100, width: 40, height: 40, type: "rectangle" }] },
+        ],
+        elevators: [],
+      });
+      const player = addPlayer("p1", 725, 100);
+
+      tick();
+      expect(player.floor).toBe(1);
+      expect(gameState.checkObstacleCollision(player.x, player.y, player.radius, player)).toBe(false);
+    });
+  });
+
+  test("should only tag players on the same floor", () => {
+    const manager = createTestGameManager([createLevel()]);
+    const chaser = addTestPlayer(manager.gameState, "chaser", 300, 200);
+    const runner = addTestPlayer(manager.gameState, "runner", 310, 200);
+    runner.floor = 1;
+    chaser.becomeIt();
+
+    manager.checkAllPlayerCollisions();
+    expect(runner.isIt).toBe(false);
+
+    runner.floor = 0;
+    manager.checkAllPlayerCollisions();
+    expect(runner.isIt).toBe(true);
+    manager.shutdown();
+  });
+
+  test("should only let players pick up items on their floor", () => {
+    createGameState();
+    const player = addPlayer("p1", 300, 400);
+    gameState.stunOrbs.push({ id: "orb", x: 300, y: 400, type: "stunOrb", radius: 15, active: true, spawnTime: 0, electricPhase: 0, floor: 1 });
+
+    expect(gameState.checkStunOrbCollision(player)).toBeNull();
+    player.floor = 1;
+    expect(gameState.checkStunOrbCollision(player)?.id).toBe("orb");
+  });
+
+  test("should hide players on other floors behind a hint with their floor", () => {
+    createGameState();
+    const viewer = addPlayer("viewer", 300, 300);
+    addPlayer("below", 310, 300, 0);
+    addPlayer("above", 320, 300, 2);
+    const players = Array.from(gameState.getPlayers().values()).map((p) => p.toJSON());
+    const filtered = new VisibilityFilter().filter({ players, playerHints: [], stars: [], stunOrbs: [] }, viewer.id);
+
+    expect(filtered.players.map((p) => p.id).sort()).toEqual(["below", "viewer"]);
+    expect(filtered.playerHints).toHaveLength(1);
+    expect(filtered.playerHints[0]).toMatchObject({ id: "above", floor: 2 });
+  });
+
+  describe("Validation", () => {
+    test("should accept the test level", () => {
+      expect(LevelValidator.validate(createLevel())).toEqual([]);
+    });
+
+    test("should reject bad floors, elevators and stairs", () => {
+      const errors = LevelValidator.validate(
+        createLevel({
+          floors: [{ name: "Ground", obstacles: [] }, { name: "", obstacles: [] }],
+          elevators: [{ x: 400, y: 300, radius: 30, floors: [0, 3], mode: "express", interval: 0 }],
+          stairs: [{ x: 700, y: 100, radius: 30, floors: [1, 1] }],
+          dynamicObstacles: [],
+        })
+      );
+
+      expect(errors).toEqual(
+        expect.arrayContaining([
+          "floors[1] needs a name and an obstacles array",
+          "levels with floors can't have terrain or dynamicObstacles",
+          'elevators[0] has unknown mode "express" (expected timed, onDemand)',
+          "elevators[0].interval must be a positive number of ms",
+          "elevators[0].floors must list two or more different floors from 0 to 1",
+          "stairs[0].floors must list two different floors from 0 to 1",
+        ])
+      );
+    });
+
+    test("should reject connectors and spawns blocked on their floor", () => {
+      const errors = LevelValidator.validate(
+        createLevel({
+          floors: [
+            { name: "Ground", obstacles: [] },
+            { name: "Upstairs", obstacles: [{ x: 700, y: 100, width: 40, height: 40, type: "rectangle" }] },
+            { name: "Roof", obstacles: [] },
+          ],
+          spawnPoints: [{ x: 200, y: 200, floor: 5, type: "safe", visibility: "open", nearbyFeatures: [] }],
+        })
+      );
+
+      expect(errors).toHaveLength(2);
+      expect(errors[0]).toBe("spawnPoints[0].floor must be a floor from 0 to 2");
+      expect(errors[1]).toMatch(/^stairs\[0\].*floors\[1\]\.obstacles\[0\]/);
+    });
+
+    test("should reject elevators on single-floor levels", () => {
+      expect(LevelValidator.validate(createLevel({ floors: undefined, stairs: undefined }))).toEqual([
+        "elevators and stairs need a level with floors",
+      ]);
+    });
+  });
+});
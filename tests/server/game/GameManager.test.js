@@ -276,23 +276,25 @@ describe("GameManager", () => {
   });
 
   describe("Game State Broadcasting", () => {
-    test("should broadcast game state", () => {
-      gameManager.broadcastGameState();
+    test("should send a full snapshot to a newly joined player", () => {
+      gameManager.handlePlayerJoin(mockSocket, "TestPlayer");
 
-      const gameStateEvent = mockIO.emitted.find(
-        (e) => e.event === "gameState"
+      const snapshotEvent = mockSocket.emitted.find(
+        (e) => e.event === "stateSnapshot"
       );
-      expect(gameStateEvent).toBeTruthy();
-      expect(gameStateEvent.room).toBe("game");
+      expect(snapshotEvent).toBeTruthy();
+      expect(snapshotEvent.data.players.length).toBeGreaterThan(0);
+      expect(snapshotEvent.data.obstacles).toBeUndefined();
     });
 
-    test("should broadcast on player join", () => {
+    test("should send deltas after the initial snapshot", () => {
       gameManager.handlePlayerJoin(mockSocket, "TestPlayer");
+      gameManager.broadcastGameState();
 
-      const gameStateEvents = mockIO.emitted.filter(
-        (e) => e.event === "gameState"
+      const deltaEvents = mockSocket.emitted.filter(
+        (e) => e.event === "stateDelta"
       );
-      expect(gameStateEvents.length).toBeGreaterThan(0);
+      expect(deltaEvents.length).toBeGreaterThan(0);
     });
   });
 
@@ -0,0 +1,180 @@
+const { ManualClock } = require("../../../server/game/Clock");
+const { createSimulationContext } = require("../../../server/game/SimulationContext");
+const { createGameMode } = require("../../../server/game/modes/GameModes");
+const { LevelValidator } = require("../../../shared/utils/LevelValidator");
+const { StateSyncUtils } = require("../../../shared/utils/StateSyncUtils");
+const { createTestLevel, createLevelGameState, createTestGameManager, addTestPlayer } = require("../../utils/test-helpers.js");
+
+describe("Game modes", () => {
+  let context;
+  let gameState;
+  let scoreChanges;
+
+  // The first player added is IT
+  function addPlayers(...ids) {
+    return ids.map((id, index) => {
+      const player = addTestPlayer(gameState, id, 100 + index * 200, 300);
+      if (index === 0) player.becomeIt();
+      return player;
+    });
+  }
+
+  function modeContext() {
+    return {
+      now: context.clock.now(),
+      world: gameState,
+      config: context.config,
+      scoreChanged: (player, change, reason) => scoreChanges.push({ id: player.id, change, reason }),
+    };
+  }
+
+  function players() {
+    return Array.from(gameState.getPlayers().values());
+  }
+
+  beforeEach(() => {
+    context = createSimulationContext(3, new ManualClock(10000));
+    scoreChanges = [];
+    gameState = createLevelGameState(createTestLevel(), context);
+  });
+
+  test("classic should hand IT on and drain IT's points", () => {
+    const mode = createGameMode("classic");
+    const [it, runner] = addPlayers("it", "runner");
+    it.score = 100;
+
+    context.clock.advance(2000);
+    mode.tick(players(), modeContext());
+    expect(it.score).toBe(100 - 2 * context.config.scoring.itPenaltyPerSecond);
+
+    mode.tag(it, runner, modeContext());
+    expect(it.isIt).toBe(false);
+    expect(runner.isIt).toBe(true);
+    expect(runner.isStunned).toBe(true);
+    expect(scoreChanges.map((c) => c.reason)).toEqual(["being_it", "successful_tag"]);
+  });
+
+  test("infection should grow the hunters until everyone is caught", () => {
+    const mode = createGameMode("infection");
+    addPlayers("a", "b", "c");
+    players()[1].becomeIt();
+
+    // A new round starts with a single random hunter
+    mode.start(players(), modeContext());
+    expect(players().filter((p) => p.isIt)).toHaveLength(1);
+    const hunter = players().find((p) => p.isIt);
+    const [first, second] = players().filter((p) => !p.isIt);
+
+    mode.tag(hunter, first, modeContext());
+    expect(hunter.isIt && first.isIt).toBe(true);
+    expect(mode.canTag(first, hunter)).toBe(false);
+    expect(mode.getState(players())).toEqual({ id: "infection", runners: 1 });
+    expect(mode.checkEnd(players(), modeContext())).toBeNull();
+
+    // Several hunters are kept
+    mode.assignRoles(players(), modeContext());
+    expect(players().filter((p) => p.isIt)).toHaveLength(2);
+
+    mode.tag(first, second, modeContext());
+    expect(mode.checkEnd(players(), modeContext())).toBe("all_caught");
+  });
+
+  test("freeze tag should freeze runners until a teammate thaws them", () => {
+    const mode = createGameMode("freezeTag");
+    const [it, frozen, rescuer] = addPlayers("it", "frozen", "rescuer");
+
+    mode.tag(it, frozen, modeContext());
+    expect(it.isIt).toBe(true);
+    expect(frozen.isIt).toBe(false);
+    expect(frozen.toJSON().frozen).toBe(true);
+    expect(frozen.getCurrentSpeed()).toBe(0);
+    expect(mode.canTag(it, frozen)).toBe(false);
+    expect(mode.getState(players())).toEqual({ id: "freezeTag", runners: 1, frozen: 1 });
+
+    // IT touching a frozen runner doesn't thaw them
+    mode.touch(it, frozen, modeContext());
+    expect(frozen.isFrozen).toBe(true);
+
+    mode.touch(frozen, rescuer, modeContext());
+    expect(frozen.isFrozen).toBe(false);
+    expect(rescuer.score).toBe(context.config.modes.thawPoints);
+    expect(scoreChanges[1]).toEqual({ id: "rescuer", change: context.config.modes.thawPoints, reason: "thaw" });
+
+    mode.tag(it, frozen, modeContext());
+    mode.tag(it, rescuer, modeContext());
+    expect(mode.checkEnd(players(), modeContext())).toBe("all_caught");
+  });
+
+  test("hot potato should blow up on whoever holds the bomb", () => {
+    const mode = createGameMode("hotPotato");
+    const [holder, runner] = addPlayers("holder", "runner");
+    mode.assignRoles(players(), modeContext());
+    expect(mode.getState(players(), context.clock.now())).toEqual({ id: "hotPotato", bombTimeLeft: context.config.modes.bombTimer });
+
+    // Passing the bomb doesn't reset its timer
+    context.clock.advance(5000);
+    mode.tag(holder, runner, modeContext());
+    expect(runner.isIt).toBe(true);
+    expect(mode.getState(players(), context.clock.now()).bombTimeLeft).toBe(context.config.modes.bombTimer - 5000);
+
+    runner.score = 500;
+    context.clock.advance(context.config.modes.bombTimer - 5000);
+    mode.tick(players(), modeContext());
+    expect(runner.score).toBe(500 - context.config.modes.bombPenalty);
+    expect(scoreChanges.pop()).toEqual({ id: "runner", change: -context.config.modes.bombPenalty, reason: "bomb_exploded" });
+
+    // A new bomb with a full timer
+    expect(players().filter((p) => p.isIt)).toHaveLength(1);
+    expect(mode.getState(players(), context.clock.now()).bombTimeLeft).toBe(context.config.modes.bombTimer);
+  });
+
+  describe("Rooms", () => {
+    function createManager(mode, levelOverrides) {
+      return createTestGameManager([createTestLevel(levelOverrides)], { mode });
+    }
+
+    test("should play the room's mode unless the level has its own", () => {
+      const room = createManager("freezeTag");
+      expect(room.getRoomSummary().mode).toBe("freezeTag");
+      expect(room.getStateSnapshot().mode).toEqual({ id: "freezeTag", runners: 0, frozen: 0 });
+      room.shutdown();
+
+      const level = createManager("freezeTag", { mode: "infection" });
+      expect(level.getRoomSummary().mode).toBe("infection");
+      level.shutdown();
+    });
+
+    test("should tag through the mode and end the round when everyone is caught", () => {
+      const manager = createManager("infection");
+      const io = manager.io;
+      const hunter = addTestPlayer(manager.gameState, "hunter", 300, 200);
+      const runner = addTestPlayer(manager.gameState, "runner", 310, 200);
+      hunter.becomeIt();
+
+      manager.checkAllPlayerCollisions();
+      expect(hunter.isIt && runner.isIt).toBe(true);
+      expect(io.emitted.find((e) => e.event === "playerTagged").data).toEqual({ tagger: "hunter", tagged: "runner", newIt: "runner" });
+
+      manager.checkRoundCompletion(manager.getSimulationTime());
+      expect(io.emitted.find((e) => e.event === "roundEnd").data.reason).toBe("all_caught");
+      manager.shutdown();
+    });
+  });
+
+  test("should send the mode whole in deltas when it changes", () => {
+    const prev = { levelId: "a", seq: 1, players: [], playerHints: [], powerUps: [], stars: [], stunOrbs: [], gameActive: true, timeRemaining: 1, mode: { id: "freezeTag", runners: 2, frozen: 0 } };
+    const next = { ...prev, seq: 2, mode: { id: "freezeTag", runners: 1, frozen: 1 } };
+
+    expect(StateSyncUtils.createDelta(prev, prev).mode).toBeUndefined();
+    const delta = StateSyncUtils.createDelta(prev, next);
+    expect(delta.mode).toEqual(next.mode);
+    expect(StateSyncUtils.applyDelta(prev, delta).mode).toEqual(next.mode);
+  });
+
+  test("should reject unknown level modes", () => {
+    expect(LevelValidator.validate(createTestLevel({ mode: "freezeTag" }))).toEqual([]);
+    expect(LevelValidator.validate(createTestLevel({ mode: "sardines" }))).toEqual([
+      "mode must be one of classic, infection, freezeTag, hotPotato",
+    ]);
+  });
+});
@@ -0,0 +1,151 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { LevelGenerator } = require("../../../server/game/LevelGenerator");
+const { LevelLibrary } = require("../../../server/game/LevelLibrary");
+const { LevelManager } = require("../../../server/game/LevelManager");
+const { SeededRandom } = require("../../../server/game/SeededRandom");
+const { PowerUpRegistry } = require("../../../server/game/powerups/PowerUpRegistry");
+const { LevelValidator } = require("../../../shared/utils/LevelValidator");
+const { LEVEL_THEMES } = require("../../../shared/types/GameTypes");
+
+function createLevel(overrides = {}) {
+  return {
+    id: "layout_test",
+    name: "Layout Test",
+    theme: "classic",
+    description: "A level for layout checks",
+    boundaries: { x: 0, y: 0, width: 800, height: 600 },
+    obstacles: [],
+    spawnPoints: [
+      { x: 100, y: 100, type: "safe", visibility: "open", nearbyFeatures: [] },
+      { x: 700, y: 500, type: "safe", visibility: "open", nearbyFeatures: [] },
+    ],
+    powerUpConfig: { spawnRate: 8000, maxActive: 0, types: ["speed"], locations: "random" },
+    backgroundElements: [],
+    difficulty: 1,
+    ...overrides,
+  };
+}
+
+function distance(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+describe("Level generator", () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "catchme-level-generator-"));
+    fs.writeFileSync(path.join(directory, "01_file.json"), JSON.stringify(createLevel({ id: "file_level" })));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test("should make the same level from the same seed", () => {
+    const options = { theme: "forest", difficulty: 3, seed: 4242 };
+    const level = new LevelGenerator(options).generate();
+
+    expect(new LevelGenerator(options).generate()).toEqual(level);
+    expect(new LevelGenerator({ ...options, seed: 4243 }).generate().obstacles).not.toEqual(level.obstacles);
+    expect(level).toEqual(expect.objectContaining({ id: "generated_forest_3_4242", theme: "forest", difficulty: 3, seed: 4242 }));
+    expect(level.description).toContain("4242");
+  });
+
+  test("should only hand out levels that pass the level and layout checks", () => {
+    LEVEL_THEMES.forEach((theme) => {
+      [1, 5].forEach((difficulty) => {
+        const level = new LevelGenerator({ theme, difficulty, seed: difficulty * 7 }).generate();
+        expect(level).not.toBeNull();
+        expect(LevelValidator.validate(level)).toEqual([]);
+        expect(LevelGenerator.check(level)).toEqual([]);
+        expect(level.obstacles.length).toBeGreaterThan(0);
+      });
+    });
+  });
+
+  test("should only offer power-ups that have an effect", () => {
+    const registry = PowerUpRegistry.getDefault();
+    LEVEL_THEMES.forEach((theme) => {
+      const { types } = new LevelGenerator({ theme, difficulty: 3, seed: 99 }).generate().powerUpConfig;
+      expect(types.filter((type) => !registry.has(type))).toEqual([]);
+    });
+  });
+
+  test("should spread out spawn points and classify them by their surroundings", () => {
+    const level = new LevelGenerator({ theme: "forest", difficulty: 5, seed: 11 }).generate();
+    const { spawnPoints, powerUpPositions, powerUpConfig } = level;
+
+    spawnPoints.forEach((spawn, index) => {
+      spawnPoints.slice(index + 1).forEach((other) => expect(distance(spawn, other)).toBeGreaterThanOrEqual(120));
+    });
+    spawnPoints.filter((spawn) => spawn.type === "strategic").forEach((spawn) => {
+      expect(spawn).toEqual(expect.objectContaining({ visibility: "hidden", nearbyFeatures: ["tree"] }));
+    });
+    expect(spawnPoints.some((spawn) => spawn.type === "strategic")).toBe(true);
+    expect(spawnPoints.every((spawn) => ["safe", "risky", "strategic"].includes(spawn.type))).toBe(true);
+
+    expect(powerUpConfig.locations).toBe("fixed");
+    expect(powerUpPositions.length).toBeGreaterThanOrEqual(powerUpConfig.maxActive);
+    expect(powerUpConfig.types).toContain("treeClimb");
+  });
+
+  test("should report areas that can't be reached and crowded spawn points", () => {
+    // A closed box of walls around the middle of the level
+    const box = [
+      { x: 400, y: 200, width: 200, height: 20, type: "rectangle" },
+      { x: 400, y: 400, width: 200, height: 20, type: "rectangle" },
+      { x: 300, y: 300, width: 20, height: 220, type: "rectangle" },
+      { x: 500, y: 300, width: 20, height: 220, type: "rectangle" },
+    ];
+    const level = createLevel({
+      obstacles: box,
+      spawnPoints: [
+        { x: 100, y: 100, type: "safe", visibility: "open", nearbyFeatures: [] },
+        { x: 150, y: 100, type: "safe", visibility: "open", nearbyFeatures: [] },
+      ],
+    });
+
+    const problems = LevelValidator.checkLayout(level);
+    expect(problems).toHaveLength(2);
+    expect(problems[0]).toMatch(/can't be reached/);
+    expect(problems[1]).toBe("spawnPoints[0] and spawnPoints[1] are only 50 px apart (at least 100 needed)");
+
+    expect(LevelValidator.checkLayout(createLevel({ obstacles: box.slice(1) }))).toEqual([]);
+    expect(LevelValidator.validate(createLevel({ seed: -1 }))).toEqual(["seed must be a whole number >= 0"]);
+  });
+
+  test("should mix generated levels into the rotation and replace them once played", () => {
+    const manager = new LevelManager(
+      { rotation: "sequential", roundDuration: 120000, transitionDuration: 3000, previewDuration: 10000, generatedLevels: 2 },
+      new SeededRandom(5),
+      new LevelLibrary(directory)
+    );
+    const [file, first, second] = manager.getAvailableLevels();
+
+    expect(file.id).toBe("file_level");
+    expect(manager.getAvailableLevels()).toHaveLength(3);
+    [first, second].forEach((level) => expect(level.seed).toEqual(expect.any(Number)));
+
+    expect(manager.advanceToNextLevel().id).toBe(first.id);
+    expect(manager.advanceToNextLevel().id).toBe(second.id);
+    const [, replacement] = manager.getAvailableLevels();
+    expect(replacement.id).not.toBe(first.id);
+    expect(LevelGenerator.check(replacement)).toEqual([]);
+
+    // Edited level files are picked up without losing the generated levels
+    expect(manager.refreshLevels()).toBe(false);
+    expect(manager.getAvailableLevels().map((level) => level.id)).toEqual([file.id, replacement.id, second.id]);
+  });
+
+  test("should keep the rotation to the level files by default", () => {
+    const manager = new LevelManager(
+      { rotation: "sequential", roundDuration: 120000, transitionDuration: 3000, previewDuration: 10000 },
+      new SeededRandom(5),
+      new LevelLibrary(directory)
+    );
+    expect(manager.getAvailableLevels().map((level) => level.id)).toEqual(["file_level"]);
+  });
+});
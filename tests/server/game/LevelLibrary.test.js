@@ -0,0 +1,184 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { LevelLibrary } = require("../../../server/game/LevelLibrary");
+const { LevelManager } = require("../../../server/game/LevelManager");
+const { LevelValidator } = require("../../../shared/utils/LevelValidator");
+const { GameManager } = require("../../../server/game/GameManager");
+const { MockIO } = require("../../utils/test-helpers.js");
+
+function createLevel(overrides = {}) {
+  return {
+    id: "test_level",
+    name: "Test Level",
+    theme: "classic",
+    description: "A level for tests",
+    boundaries: { x: 0, y: 0, width: 800, height: 600 },
+    obstacles: [{ x: 400, y: 300, width: 100, height: 100, type: "rectangle" }],
+    spawnPoints: [{ x: 100, y: 100, type: "safe", visibility: "open", nearbyFeatures: [] }],
+    powerUpConfig: { spawnRate: 8000, maxActive: 2, types: ["speed"], locations: "random" },
+    backgroundElements: [],
+    difficulty: 1,
+    ...overrides,
+  };
+}
+
+describe("LevelValidator", () => {
+  test("should accept a valid level", () => {
+    expect(LevelValidator.validate(createLevel())).toEqual([]);
+  });
+
+  test("should accept every level file shipped in levels/", () => {
+    const directory = path.join(__dirname, "../../../levels");
+    const files = fs.readdirSync(directory).filter((name) => name.endsWith(".json"));
+    expect(files.length).toBeGreaterThan(0);
+
+    files.forEach((file) => {
+      const level = JSON.parse(fs.readFileSync(path.join(directory, file), "utf8"));
+      expect({ file, errors: LevelValidator.validate(level) }).toEqual({ file, errors: [] });
+    });
+  });
+
+  test("should reject obstacles outside the boundaries", () => {
+    const errors = LevelValidator.validate(createLevel({
+      obstacles: [{ x: 790, y: 300, width: 40, height: 40, type: "rectangle" }, { x: 20, y: 20, radius: 30, type: "circle" }],
+    }));
+    expect(errors).toEqual([
+      "obstacles[0] extends outside the level boundaries",
+      "obstacles[1] extends outside the level boundaries",
+    ]);
+  });
+
+  test("should reject spawn points inside obstacles", () => {
+    const errors = LevelValidator.validate(createLevel({
+      spawnPoints: [{ x: 400, y: 300, type: "safe", visibility: "open", nearbyFeatures: [] }],
+    }));
+    expect(errors).toEqual(["spawnPoints[0] (400, 300) is inside obstacles[0]"]);
+  });
+
+  test("should reject unknown power-up types and missing fixed positions", () => {
+    const errors = LevelValidator.validate(createLevel({
+      powerUpConfig: { spawnRate: 8000, maxActive: 2, types: ["speed", "rocketBoots"], locations: "fixed" },
+    }));
+    expect(errors).toEqual([
+      'powerUpConfig.types[1] is unknown power-up type "rocketBoots"',
+      'powerUpPositions is required when powerUpConfig.locations is "fixed"',
+    ]);
+  });
+
+  test("should reject fixed power-up positions inside obstacles", () => {
+    const errors = LevelValidator.validate(createLevel({
+      powerUpConfig: { spawnRate: 8000, maxActive: 2, types: ["speed"], locations: "fixed" },
+      powerUpPositions: [{ x: 200, y: 200 }, { x: 420, y: 310 }],
+    }));
+    expect(errors).toEqual(["powerUpPositions[1] (420, 310) is inside obstacles[0]"]);
+  });
+});
+
+describe("LevelLibrary", () => {
+  let directory;
+
+  function writeLevel(fileName, level) {
+    const filePath = path.join(directory, fileName);
+    fs.writeFileSync(filePath, typeof level === "string" ? level : JSON.stringify(level));
+    // Make sure the change is visible even on coarse mtime filesystems
+    const time = new Date(Date.now() + Math.random() * 100000);
+    fs.utimesSync(filePath, time, time);
+  }
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "catchme-levels-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test("should load valid files in file name order and skip invalid ones", () => {
+    writeLevel("02_second.json", createLevel({ id: "second" }));
+    writeLevel("01_first.json", createLevel({ id: "first" }));
+    writeLevel("03_broken.json", createLevel({ id: "broken", theme: "space" }));
+    writeLevel("04_garbage.json", "{ not json");
+
+    const library = new LevelLibrary(directory);
+    expect(library.getLevels().map((level) => level.id)).toEqual(["first", "second"]);
+
+    const errors = library.getErrors();
+    expect(errors.get("03_broken.json")[0]).toContain("theme must be one of");
+    expect(errors.get("04_garbage.json")[0]).toContain("cannot be parsed");
+  });
+
+  test("should pick up added, changed and removed files on refresh", () => {
+    writeLevel("01_first.json", createLevel({ id: "first" }));
+    const library = new LevelLibrary(directory);
+    const version = library.getVersion();
+    expect(library.refresh()).toBe(false);
+
+    writeLevel("01_first.json", createLevel({ id: "first", name: "Renamed" }));
+    writeLevel("02_second.json", createLevel({ id: "second" }));
+    expect(library.refresh()).toBe(true);
+    expect(library.getVersion()).toBeGreaterThan(version);
+    expect(library.getLevels().map((level) => level.name)).toEqual(["Renamed", "Test Level"]);
+
+    fs.unlinkSync(path.join(directory, "02_second.json"));
+    expect(library.refresh()).toBe(true);
+    expect(library.getLevels().map((level) => level.id)).toEqual(["first"]);
+  });
+
+  test("should keep the last valid version when an edit breaks a file", () => {
+    writeLevel("01_first.json", createLevel({ id: "first" }));
+    const library = new LevelLibrary(directory);
+
+    writeLevel("01_first.json", createLevel({ id: "first", spawnPoints: [] }));
+    expect(library.refresh()).toBe(false);
+    expect(library.getLevels()[0].spawnPoints.length).toBe(1);
+    expect(library.getErrors().get("01_first.json")).toEqual(["spawnPoints must be a non-empty array"]);
+  });
+
+  test("should hold a fixed set of levels without reading any files", () => {
+    const library = LevelLibrary.fromLevels([createLevel({ id: "editor_level" })]);
+    expect(library.getLevels().map((level) => level.id)).toEqual(["editor_level"]);
+    expect(library.refresh()).toBe(false);
+    expect(library.getVersion()).toBe(1);
+  });
+
+  test("should fall back to the built-in arena without valid files", () => {
+    const manager = new LevelManager(
+      { rotation: "sequential", roundDuration: 120000, transitionDuration: 3000, previewDuration: 10000 },
+      undefined,
+      new LevelLibrary(path.join(directory, "missing"))
+    );
+    expect(manager.getCurrentLevel().id).toBe("classic_arena");
+  });
+
+  test("should apply level file changes at the next round boundary", () => {
+    writeLevel("01_first.json", createLevel({ id: "first" }));
+    writeLevel("02_second.json", createLevel({ id: "second" }));
+    const levelLibrary = new LevelLibrary(directory);
+    const manager = new GameManager(new MockIO(), {
+      roomCode: "TEST",
+      roomName: "Test Room",
+      isPrivate: false,
+      maxPlayers: 8,
+      seed: 1,
+      startTime: 1000000,
+      autoStart: false,
+      levelLibrary,
+    });
+    expect(manager.getCurrentLevelInfo().id).toBe("first");
+
+    // Edits during the round don't touch the running level
+    writeLevel("02_second.json", createLevel({ id: "second", name: "Second (edited)" }));
+    writeLevel("03_third.json", createLevel({ id: "third" }));
+    expect(manager.getAvailableLevels().map((level) => level.id)).toEqual(["first", "second"]);
+
+    manager.forceLevel();
+    expect(manager.getAvailableLevels().map((level) => level.id)).toEqual(["first", "second", "third"]);
+
+    // Round end preview plus transition
+    for (let i = 0; i < 1000; i++) {
+      manager.step();
+    }
+    expect(manager.getCurrentLevelInfo().name).toBe("Second (edited)");
+  });
+});
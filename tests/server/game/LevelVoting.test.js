@@ -0,0 +1,140 @@
+const { LevelVote } = require("../../../server/game/LevelVote");
+const { MockSocket, createTestLevel, createTestGameManager } = require("../../utils/test-helpers.js");
+
+function createLevel(id) {
+  return createTestLevel({ id, name: `Level ${id}` });
+}
+
+describe("Level voting", () => {
+  let manager;
+
+  function createManager(options = {}) {
+    manager = createTestGameManager(["a", "b", "c", "d"].map(createLevel), { levelVoting: true, ...options });
+    return manager;
+  }
+
+  function run(ms) {
+    for (let elapsed = 0; elapsed < ms; elapsed += 16) {
+      manager.step();
+    }
+  }
+
+  function emitted(event) {
+    return manager.io.emitted.filter((e) => e.event === event).map((e) => e.data);
+  }
+
+  // Round end, then the preview with the vote
+  function startVote() {
+    manager.forceLevel();
+    run(2000);
+    return emitted("levelPreview").pop().candidates;
+  }
+
+  function votes() {
+    return Object.fromEntries(manager.getLevelVoteState().tallies.map((t) => [t.levelId, t.votes]));
+  }
+
+  afterEach(() => {
+    manager.shutdown();
+  });
+
+  test("should let players move their vote and count the latest one", () => {
+    createManager();
+    const [a, b, c] = ["a", "b", "c"].map(createLevel);
+    const vote = new LevelVote([a, b, c]);
+
+    expect(vote.cast("ann", "b")).toBe(true);
+    expect(vote.cast("bob", "b")).toBe(true);
+    expect(vote.cast("cid", "c")).toBe(true);
+    expect(vote.cast("ann", "c")).toBe(true);
+    expect(vote.cast("ann", "elsewhere")).toBe(false);
+
+    expect(vote.getState()).toEqual({
+      tallies: [
+        { levelId: "a", votes: 0 },
+        { levelId: "b", votes: 1 },
+        { levelId: "c", votes: 2 },
+      ],
+      leaderId: "c",
+    });
+  });
+
+  test("should give a tie to the level that got there first", () => {
+    createManager();
+    const [a, b, c] = ["a", "b", "c"].map(createLevel);
+    const vote = new LevelVote([a, b, c]);
+    expect(vote.resolve().id).toBe("a");
+
+    vote.cast("ann", "c");
+    vote.cast("bob", "b");
+    expect(vote.resolve().id).toBe("c");
+
+    // Moving a vote away and back puts it at the back of the queue
+    vote.cast("ann", "a");
+    vote.cast("ann", "c");
+    expect(vote.resolve().id).toBe("b");
+  });
+
+  test("should offer three other levels when the round ends", () => {
+    createManager();
+    const candidates = startVote();
+
+    expect(emitted("roundEnd")[0].levelVote).toBe(true);
+    expect(candidates).toHaveLength(3);
+    expect(candidates.map((level) => level.id)).not.toContain("a");
+    expect(emitted("levelVotes").length).toBeGreaterThan(0);
+    expect(manager.getRoomSummary().levelVoting).toBe(true);
+  });
+
+  test("should have bots vote and move to the winning level", () => {
+    createManager();
+    manager.addAIPlayer("Bot");
+    const socket = new MockSocket();
+    manager.handlePlayerJoin(socket, "Ann");
+    manager.handlePlayerJoin(new MockSocket(), "Bob");
+    const candidates = startVote();
+    const bots = Array.from(manager.gameState.getPlayers().values()).filter((p) => p.isAI).length;
+
+    // Each bot voted on its own
+    expect(Object.values(votes()).reduce((sum, count) => sum + count, 0)).toBe(bots);
+
+    const target = candidates.find((level) => level.id !== manager.getLevelVoteState().leaderId);
+    manager.handleLevelVote(socket, target.id);
+    expect(emitted("levelVotes").pop().tallies.find((t) => t.levelId === target.id).votes).toBeGreaterThanOrEqual(1);
+
+    const winner = manager.getLevelVoteState().leaderId;
+    run(10000 + 1500);
+    expect(manager.getLevelVoteState()).toBeNull();
+    expect(manager.getCurrentLevelInfo().id).toBe(winner);
+  });
+
+  test("should ignore votes outside the preview and drop the votes of players who leave", () => {
+    createManager();
+    const socket = new MockSocket();
+    manager.handlePlayerJoin(socket, "Ann");
+    manager.handleLevelVote(socket, "b");
+    expect(manager.getLevelVoteState()).toBeNull();
+
+    const candidates = startVote();
+    manager.handleLevelVote(socket, "no-such-level");
+    manager.handleLevelVote(socket, candidates[2].id);
+    const before = votes()[candidates[2].id];
+
+    manager.handlePlayerLeave(socket);
+    expect(votes()[candidates[2].id]).toBe(before - 1);
+  });
+
+  test("should skip the vote for an admin's pick and outside voting rooms", () => {
+    createManager();
+    manager.forceLevel("d");
+    run(2000);
+    expect(emitted("levelPreview")[0]).toEqual(expect.objectContaining({ level: expect.objectContaining({ id: "d" }), candidates: undefined }));
+    expect(manager.getLevelVoteState()).toBeNull();
+    manager.shutdown();
+
+    createManager({ levelVoting: false });
+    expect(startVote()).toBeUndefined();
+    expect(emitted("roundEnd")[0].levelVote).toBeUndefined();
+    expect(manager.getRoomSummary().levelVoting).toBeUndefined();
+  });
+});
@@ -0,0 +1,116 @@
+const { VisibilityFilter } = require("../../../server/game/VisibilityFilter");
+const { DEFAULT_GAME_CONFIG } = require("../../../shared/types/GameConfig");
+const { createTestLevel, createTestGameManager, addTestPlayer } = require("../../utils/test-helpers.js");
+
+describe("Star missions", () => {
+  let manager;
+  let it;
+  let runner;
+
+  function createManager(missions = {}) {
+    manager = createTestGameManager([createTestLevel()], {
+      config: { ...DEFAULT_GAME_CONFIG, missions: { ...DEFAULT_GAME_CONFIG.missions, stars: 2, ...missions } },
+    });
+
+    // Missions only run during a round
+    ["readyCheck", "countdown", "playing"].forEach((phase) => manager.phases.enter(phase));
+
+    // IT catches the runner straight away
+    it = addTestPlayer(manager.gameState, "it", 300, 200);
+    runner = addTestPlayer(manager.gameState, "runner", 310, 200);
+    it.becomeIt();
+    manager.checkAllPlayerCollisions();
+  }
+
+  function missionStars() {
+    return manager.gameState.getDynamicState().stars.filter((star) => star.missionFor);
+  }
+
+  function collect(player, star) {
+    player.x = star.x;
+    player.y = star.y;
+    manager.checkGameEvents(player);
+  }
+
+  function scoreUpdates(reason) {
+    return manager.io.emitted.filter((e) => e.event === "scoreUpdate" && e.data.reason === reason).map((e) => e.data);
+  }
+
+  afterEach(() => {
+    manager.shutdown();
+  });
+
+  test("should give a caught player their own stars away from them", () => {
+    createManager();
+    const { config } = manager.gameState.context;
+
+    expect(runner.toJSON().mission).toEqual({ collected: 0, required: 2, timeLeft: config.missions.duration });
+    expect(missionStars()).toHaveLength(2);
+    missionStars().forEach((star) => {
+      expect(star.missionFor).toBe("runner");
+      expect(Math.hypot(star.x - runner.x, star.y - runner.y)).toBeGreaterThanOrEqual(config.missions.minDistance);
+    });
+  });
+
+  test("should reward a completed mission", () => {
+    createManager();
+    const [first, second] = missionStars();
+
+    collect(runner, first);
+    expect(runner.mission.collected).toBe(1);
+    expect(missionStars()).toHaveLength(1);
+
+    const before = runner.score;
+    collect(runner, second);
+    expect(runner.mission).toBeUndefined();
+    // The usual star points, then the reward
+    const starPoints = scoreUpdates("star_collection").pop().change;
+    expect(runner.score).toBe(before + starPoints + DEFAULT_GAME_CONFIG.missions.reward);
+    expect(scoreUpdates("mission_complete")).toEqual([
+      { playerId: "runner", playerName: "runner", score: runner.score, change: DEFAULT_GAME_CONFIG.missions.reward, reason: "mission_complete" },
+    ]);
+  });
+
+  test("should fail the mission once a stolen star makes it impossible", () => {
+    createManager();
+    collect(it, missionStars()[0]);
+
+    expect(runner.mission).toBeUndefined();
+    expect(missionStars()).toEqual([]);
+    expect(scoreUpdates("star_collection")[0].playerId).toBe("it");
+    expect(scoreUpdates("mission_failed")).toEqual([
+      { playerId: "runner", playerName: "runner", score: runner.score, change: 0, reason: "mission_failed" },
+    ]);
+  });
+
+  test("should fail the mission when time runs out", () => {
+    createManager();
+    it.x = 700;
+    it.y = 500;
+    manager.gameState.context.clock.advance(DEFAULT_GAME_CONFIG.missions.duration);
+    manager.step();
+
+    expect(runner.mission).toBeUndefined();
+    expect(missionStars()).toEqual([]);
+    expect(scoreUpdates("mission_failed")).toHaveLength(1);
+  });
+
+  test("should always show the holder their mission stars", () => {
+    createManager();
+    const state = manager.gameState.getDynamicState();
+    const blind = { ...state, seq: 1, players: state.players.map((p) => ({ ...p, sightRange: 0 })) };
+    const filter = new VisibilityFilter({ sightMargin: 0 });
+
+    // Out of sight, but still sent to the holder
+    expect(filter.filter(blind, "runner").stars.filter((star) => star.missionFor)).toHaveLength(2);
+    expect(filter.filter(blind, "it").stars).toEqual([]);
+  });
+
+  test("should hand out no missions when they are turned off", () => {
+    createManager({ stars: 0 });
+
+    expect(runner.isIt).toBe(true);
+    expect(runner.mission).toBeUndefined();
+    expect(missionStars()).toEqual([]);
+  });
+});
@@ -0,0 +1,188 @@
+const { AIPlayer } = require("../../../server/game/AIPlayer");
+const { MovementEngine } = require("../../../server/game/MovementEngine");
+const { ManualClock } = require("../../../server/game/Clock");
+const { createSimulationContext } = require("../../../server/game/SimulationContext");
+const { VisibilityFilter } = require("../../../server/game/VisibilityFilter");
+const { StateSyncUtils } = require("../../../shared/utils/StateSyncUtils");
+const { DEFAULT_GAME_CONFIG } = require("../../../shared/types/GameConfig");
+const { createTestLevel, createLevelGameState, createTestGameManager, addTestPlayer, tickGameState } = require("../../utils/test-helpers.js");
+
+function createLevel() {
+  return createTestLevel({
+    obstacles: [{ x: 400, y: 150, width: 40, height: 40, type: "rectangle" }],
+    spawnPoints: [{ x: 700, y: 500, type: "safe", visibility: "open", nearbyFeatures: [] }],
+    powerUpConfig: { spawnRate: 8000, maxActive: 0, types: ["portalGun"], locations: "random" },
+  });
+}
+
+describe("Portal gun", () => {
+  let context;
+  let gameState;
+
+  function createGameState(config = DEFAULT_GAME_CONFIG) {
+    context = createSimulationContext(3, new ManualClock(10000), config);
+    gameState = createLevelGameState(createLevel(), context);
+  }
+
+  function addPlayer(id, x, y) {
+    return addTestPlayer(gameState, id, x, y);
+  }
+
+  // Entry ahead of the owner at (150, 300), exit at (150, 400)
+  function placePair(owner) {
+    gameState.applyPowerUp(owner, "portalGun");
+    owner.x = 100;
+    owner.y = 300;
+    gameState.placePortal(owner, { dx: 1, dy: 0 });
+    owner.x = 150;
+    owner.y = 350;
+    gameState.placePortal(owner, { dx: 0, dy: 1 });
+    owner.x = 700;
+    owner.y = 100;
+  }
+
+  function tick(ms) {
+    tickGameState(gameState, ms);
+  }
+
+  test("should only place portals on free floor", () => {
+    createGameState();
+    const unarmed = addPlayer("unarmed", 100, 500);
+    const owner = addPlayer("owner", 100, 300);
+    gameState.applyPowerUp(owner, "portalGun");
+
+    expect(gameState.placePortal(unarmed, { dx: 1, dy: 0 })).toBe(false);
+    expect(owner.portalCharges).toBe(2);
+
+    // Off the level, inside an obstacle, on top of the entry
+    owner.x = 30;
+    expect(gameState.placePortal(owner, { dx: -1, dy: 0 })).toBe(false);
+    owner.x = 350;
+    owner.y = 150;
+    expect(gameState.placePortal(owner, { dx: 1, dy: 0 })).toBe(false);
+    owner.x = 100;
+    owner.y = 300;
+    expect(gameState.placePortal(owner, { dx: 1, dy: 0 })).toBe(true);
+    owner.x = 110;
+    expect(gameState.placePortal(owner, { dx: 1, dy: 0 })).toBe(false);
+
+    expect(owner.portalCharges).toBe(1);
+    expect(gameState.getDynamicState().portals).toEqual([
+      { id: "portal_0", ownerId: "owner", entry: { x: 150, y: 300 }, radius: 20, expiresAt: 10000 + context.config.portals.lifetime },
+    ]);
+  });
+
+  test("should move players through with their offset and a re-entry cooldown", () => {
+    createGameState();
+    placePair(addPlayer("owner", 100, 300));
+    const runner = addPlayer("runner", 155, 300);
+
+    tick();
+    expect(runner.x).toBe(155);
+    expect(runner.y).toBe(400);
+
+    // Stepping straight back in does nothing until the cooldown is over
+    runner.y = 300;
+    tick();
+    expect(runner.y).toBe(300);
+
+    tick(context.config.portals.reentryCooldown);
+    expect(runner.y).toBe(400);
+  });
+
+  test("should keep side-only portals to the owner's side", () => {
+    createGameState({ ...DEFAULT_GAME_CONFIG, portals: { ...DEFAULT_GAME_CONFIG.portals, sideOnly: 1 } });
+    const owner = addPlayer("owner", 100, 300);
+    owner.stopBeingIt();
+    placePair(owner);
+    const chaser = addPlayer("chaser", 150, 300);
+    chaser.becomeIt();
+
+    tick();
+    expect(chaser.y).toBe(300);
+    expect(gameState.getDynamicState().portals[0].sideOnly).toBe(true);
+
+    chaser.x = 500;
+    const runner = addPlayer("runner", 150, 300);
+    tick();
+    expect(runner.y).toBe(400);
+  });
+
+  test("should close portals when they expire", () => {
+    createGameState();
+    placePair(addPlayer("owner", 100, 300));
+
+    tick(context.config.portals.lifetime - 50);
+    expect(gameState.getDynamicState().portals).toHaveLength(1);
+    tick();
+    expect(gameState.getDynamicState().portals).toBeUndefined();
+  });
+
+  test("should close the portals of a tagged owner", () => {
+    const manager = createTestGameManager([createLevel()]);
+    gameState = manager.gameState;
+    const chaser = addTestPlayer(gameState, "chaser", 700, 110);
+    const owner = addTestPlayer(gameState, "owner", 100, 300);
+    chaser.becomeIt();
+    placePair(owner);
+    expect(gameState.getDynamicState().portals).toHaveLength(1);
+
+    manager.checkAllPlayerCollisions();
+    expect(owner.isIt).toBe(true);
+    expect(gameState.getDynamicState().portals).toBeUndefined();
+    manager.shutdown();
+  });
+
+  test("should let AI players take a portal as a shortcut", () => {
+    createGameState();
+    const owner = addPlayer("owner", 100, 300);
+    gameState.applyPowerUp(owner, "portalGun");
+    gameState.placePortal(owner, { dx: 1, dy: 0 });
+    owner.x = 650;
+    gameState.placePortal(owner, { dx: 1, dy: 0 });
+    const ai = new AIPlayer("ai", "AI", 250, 300, context);
+    gameState.addPlayer(ai);
+    ai.becomeIt();
+
+    // Nowhere near the exit: straight for the owner
+    owner.x = 300;
+    owner.y = 500;
+    context.clock.advance(ai.decisionInterval);
+    expect(ai.makeDecision(gameState.toJSON()).dy).toBeGreaterThan(0.5);
+
+    // Next to the exit across the level: back through the entry
+    owner.x = 700;
+    owner.y = 360;
+    context.clock.advance(ai.decisionInterval);
+    expect(ai.makeDecision(gameState.toJSON()).dx).toBeLessThan(-0.5);
+  });
+
+  test("should sync portals in deltas and hide them outside sight", () => {
+    createGameState();
+    const owner = addPlayer("owner", 100, 300);
+    gameState.applyPowerUp(owner, "portalGun");
+    gameState.placePortal(owner, { dx: 1, dy: 0 });
+    const prev = { ...gameState.getDynamicState(), seq: 1 };
+    owner.y = 350;
+    owner.x = 150;
+    gameState.placePortal(owner, { dx: 0, dy: 1 });
+    const next = { ...gameState.getDynamicState(), seq: 2 };
+
+    const delta = StateSyncUtils.createDelta(prev, next);
+    expect(delta.portals.upsert).toEqual([{ id: "portal_0", exit: { x: 150, y: 400 } }]);
+    expect(StateSyncUtils.applyDelta(prev, delta).portals).toEqual(next.portals);
+
+    const viewer = addPlayer("viewer", 700, 100);
+    const state = { ...next, players: Array.from(gameState.getPlayers().values()).map((p) => p.toJSON()) };
+    const filter = new VisibilityFilter();
+    expect(filter.filter(state, owner.id).portals).toHaveLength(1);
+    expect(filter.filter(state, viewer.id).portals).toEqual([]);
+  });
+
+  test("should accept portal placement input", () => {
+    const input = { up: false, down: false, left: false, right: false, isTouchActive: false };
+
+    expect(MovementEngine.validateInputState({ ...input, action: { type: "placePortal", aimX: 0, aimY: 1 } })).toBe(true);
+    expect(MovementEngine.validateInputState({ ...input, action: { type: "placePortal", aimX: 0, aimY: 0 } })).toBe(false);
+  });
+});
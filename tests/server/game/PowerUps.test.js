@@ -0,0 +1,244 @@
+const { Player } = require("../../../server/game/Player");
+const { GameState } = require("../../../server/game/GameState");
+const { ManualClock } = require("../../../server/game/Clock");
+const { createSimulationContext } = require("../../../server/game/SimulationContext");
+const { VisibilityFilter } = require("../../../server/game/VisibilityFilter");
+const { PowerUpRegistry } = require("../../../server/game/powerups/PowerUpRegistry");
+const { SpeedEffect } = require("../../../server/game/powerups/SpeedEffect");
+const { POWER_UP_TYPES } = require("../../../shared/types/GameTypes");
+const { POWER_UP_RENDER_HINTS } = require("../../../shared/types/PowerUps");
+const { DEFAULT_GAME_CONFIG } = require("../../../shared/types/GameConfig");
+
+describe("Power-ups", () => {
+  let clock;
+  let context;
+  let gameState;
+
+  function addPlayer(id, x, y, isAI = false) {
+    const player = new Player(id, id, x, y, isAI, context);
+    gameState.addPlayer(player);
+    return player;
+  }
+
+  beforeEach(() => {
+    clock = new ManualClock(10000);
+    context = createSimulationContext(3, clock);
+    gameState = new GameState(undefined, 8, context);
+    gameState.obstacles = [];
+  });
+
+  describe("PowerUpRegistry", () => {
+    function createTrackedEffect(overrides = {}) {
+      const calls = { apply: 0, tick: 0, expire: 0 };
+      const effect = {
+        type: "superJump",
+        duration: 1000,
+        stacking: "stack",
+        apply: () => calls.apply++,
+        tick: () => calls.tick++,
+        expire: () => calls.expire++,
+        ...overrides,
+      };
+      return { effect, calls };
+    }
+
+    function powerUpContext() {
+      return { now: clock.now(), world: gameState, config: context.config };
+    }
+
+    test("should have a render hint for every declared type", () => {
+      POWER_UP_TYPES.forEach((type) => {
+        expect(POWER_UP_RENDER_HINTS[type]).toBeDefined();
+      });
+    });
+
+    test("should reject registering a type twice", () => {
+      const registry = new PowerUpRegistry([SpeedEffect]);
+      expect(() => registry.register(SpeedEffect)).toThrow(/already registered/);
+    });
+
+    test("should report types without an effect as not applied", () => {
+      const registry = new PowerUpRegistry([SpeedEffect]);
+      const player = addPlayer("p1", 100, 100);
+
+      expect(registry.activate(player, "superJump", powerUpContext())).toBe(false);
+      expect(player.hasEffect("superJump")).toBe(false);
+    });
+
+    test("should tick active effects and expire each stack on its own", () => {
+      const { effect, calls } = createTrackedEffect();
+      const registry = new PowerUpRegistry([effect]);
+      const player = addPlayer("p1", 100, 100);
+
+      registry.activate(player, "superJump", powerUpContext());
+      clock.advance(500);
+      registry.activate(player, "superJump", powerUpContext());
+      expect(calls.apply).toBe(2);
+      expect(player.getEffectStacks("superJump")).toBe(2);
+
+      registry.update(player, powerUpContext(), 16);
+      expect(calls.tick).toBe(1);
+
+      clock.advance(500);
+      registry.update(player, powerUpContext(), 16);
+      expect(calls.expire).toBe(1);
+      expect(player.getEffectStacks("superJump")).toBe(1);
+
+      clock.advance(500);
+      registry.update(player, powerUpContext(), 16);
+      expect(calls.expire).toBe(2);
+      expect(calls.tick).toBe(2);
+      expect(player.hasEffect("superJump")).toBe(false);
+      expect(player.toJSON().effects).toBeUndefined();
+    });
+
+    test("should replace the oldest stack at maxStacks and restart refresh timers", () => {
+      const stacked = createTrackedEffect({ maxStacks: 2 });
+      const refreshed = createTrackedEffect({ type: "treeClimb", stacking: "refresh" });
+      const registry = new PowerUpRegistry([stacked.effect, refreshed.effect]);
+      const player = addPlayer("p1", 100, 100);
+
+      for (let i = 0; i < 3; i++) {
+        registry.activate(player, "superJump", powerUpContext());
+        registry.activate(player, "treeClimb", powerUpContext());
+        clock.advance(100);
+      }
+
+      expect(player.getEffectStacks("superJump")).toBe(2);
+      expect(player.getEffectStacks("treeClimb")).toBe(1);
+      expect(player.getEffectEndTime("treeClimb")).toBe(10200 + 1000);
+      expect(player.toJSON().effects).toEqual([
+        { type: "superJump", stacks: 2, endTime: 11200 },
+        { type: "treeClimb", stacks: 1, endTime: 11200 },
+      ]);
+    });
+
+    test("should expire every effect when cleared", () => {
+      const { effect, calls } = createTrackedEffect();
+      const registry = new PowerUpRegistry([effect]);
+      const player = addPlayer("p1", 100, 100);
+
+      registry.activate(player, "superJump", powerUpContext());
+      registry.activate(player, "superJump", powerUpContext());
+      registry.clear(player, powerUpContext());
+
+      expect(calls.expire).toBe(2);
+      expect(player.activeEffects.size).toBe(0);
+    });
+  });
+
+  describe("Effects", () => {
+    test("should speed the player up until the effect runs out", () => {
+      const player = addPlayer("p1", 100, 100);
+      const baseSpeed = player.getCurrentSpeed();
+
+      gameState.applyPowerUp(player, "speed");
+      expect(player.getCurrentSpeed()).toBeCloseTo(baseSpeed * context.config.powerUps.speedMultiplier);
+
+      clock.advance(8000);
+      gameState.update(16);
+      expect(player.getCurrentSpeed()).toBe(baseSpeed);
+    });
+
+    test("should refuse transparency for AI players", () => {
+      const bot = addPlayer("bot", 100, 100, true);
+      expect(gameState.applyPowerUp(bot, "transparency")).toBe(false);
+      expect(bot.isTransparent).toBe(false);
+    });
+
+    test("should let wall walkers pass obstacles and push them clear when it runs out", () => {
+      gameState.obstacles = [{ x: 400, y: 300, width: 100, height: 100, type: "rectangle" }];
+      const player = addPlayer("p1", 330, 300);
+
+      gameState.updatePlayer(player.id, { dx: 1, dy: 0 }, 1000);
+      expect(player.x).toBe(330);
+
+      gameState.applyPowerUp(player, "wallWalk");
+      gameState.updatePlayer(player.id, { dx: 1, dy: 0 }, 1000);
+      expect(player.x).toBeGreaterThan(350);
+      expect(gameState.checkObstacleCollision(player.x, player.y, player.currentRadius)).toBe(true);
+
+      clock.advance(6000);
+      gameState.update(16);
+      expect(player.canWalkThroughWalls).toBe(false);
+      expect(gameState.checkObstacleCollision(player.x, player.y, player.currentRadius)).toBe(false);
+    });
+
+    test("should teleport the player to a spawn point", () => {
+      const player = addPlayer("p1", 1, 1);
+      expect(gameState.applyPowerUp(player, "teleport")).toBe(true);
+
+      const spawnPoints = gameState.getCurrentLevel().spawnPoints.map(({ x, y }) => ({ x, y }));
+      expect(spawnPoints).toContainEqual({ x: player.x, y: player.y });
+      expect(player.hasEffect("teleport")).toBe(false);
+    });
+
+    test("should stun nearby players when a stun power-up is collected", () => {
+      const player = addPlayer("p1", 100, 100);
+      const near = addPlayer("near", 200, 100);
+      const far = addPlayer("far", 500, 100);
+
+      gameState.applyPowerUp(player, "stun");
+      expect(near.isStunned).toBe(true);
+      expect(far.isStunned).toBe(false);
+      expect(player.isStunned).toBe(false);
+    });
+
+    test("should stun with the configured range and duration", () => {
+      context = createSimulationContext(3, clock, { ...DEFAULT_GAME_CONFIG, powerUps: { ...DEFAULT_GAME_CONFIG.powerUps, stunRange: 500, stunDuration: 700 } });
+      gameState = new GameState(undefined, 8, context);
+      const player = addPlayer("p1", 100, 100);
+      const far = addPlayer("far", 500, 100);
+
+      gameState.applyPowerUp(player, "stun");
+      expect(far.isStunned).toBe(true);
+      expect(far.stunEndTime).toBe(clock.now() + 700);
+    });
+
+    test("should only spawn power-ups that have an effect", () => {
+      const speedOnly = new GameState(undefined, 8, context, new PowerUpRegistry([SpeedEffect]));
+      const { powerUps } = speedOnly.getDynamicState();
+
+      expect(powerUps.length).toBeGreaterThan(0);
+      powerUps.forEach((powerUp) => {
+        expect(powerUp.type).toBe("speed");
+        expect(powerUp.duration).toBe(SpeedEffect.duration);
+      });
+    });
+  });
+
+  describe("Visibility", () => {
+    let filter;
+
+    function view(viewerId) {
+      const players = Array.from(gameState.getPlayers().values()).map((p) => p.toJSON());
+      return filter.filter({ players, playerHints: [], stars: [], stunOrbs: [] }, viewerId);
+    }
+
+    beforeEach(() => {
+      filter = new VisibilityFilter();
+    });
+
+    test("should reveal players outside sight range while echo locating", () => {
+      const viewer = addPlayer("viewer", 100, 100);
+      addPlayer("far", 700, 500);
+      expect(view("viewer").players.map((p) => p.id)).toEqual(["viewer"]);
+
+      gameState.applyPowerUp(viewer, "echoLocate");
+      expect(view("viewer").players.map((p) => p.id)).toEqual(["viewer", "far"]);
+    });
+
+    test("should hide camouflaged players unless they are very close", () => {
+      addPlayer("viewer", 100, 100);
+      const hider = addPlayer("hider", 200, 100);
+      gameState.applyPowerUp(hider, "camouflage");
+
+      const hidden = view("viewer");
+      expect(hidden.players.map((p) => p.id)).toEqual(["viewer"]);
+      expect(hidden.playerHints.find((h) => h.id === "hider").approxX).toBeUndefined();
+
+      hider.x = 150;
+      expect(view("viewer").players.map((p) => p.id)).toEqual(["viewer", "hider"]);
+    });
+  });
+});
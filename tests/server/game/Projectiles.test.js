@@ -0,0 +1,154 @@
+const { MovementEngine } = require("../../../server/game/MovementEngine");
+const { ManualClock } = require("../../../server/game/Clock");
+const { createSimulationContext } = require("../../../server/game/SimulationContext");
+const { VisibilityFilter } = require("../../../server/game/VisibilityFilter");
+const { StateSyncUtils } = require("../../../shared/utils/StateSyncUtils");
+const { MockSocket, createTestLevel, createLevelGameState, createTestGameManager, addTestPlayer, tickGameState } = require("../../utils/test-helpers.js");
+
+function createLevel(overrides = {}) {
+  return createTestLevel({
+    spawnPoints: [{ x: 400, y: 500, type: "safe", visibility: "open", nearbyFeatures: [] }],
+    powerUpConfig: { spawnRate: 8000, maxActive: 0, types: ["netLauncher"], locations: "random" },
+    ...overrides,
+  });
+}
+
+describe("Net launcher", () => {
+  let context;
+  let gameState;
+
+  function createGameState(overrides) {
+    gameState = createLevelGameState(createLevel(overrides), context);
+  }
+
+  function addPlayer(id, x, y) {
+    return addTestPlayer(gameState, id, x, y);
+  }
+
+  function armed(id, x, y) {
+    const player = addPlayer(id, x, y);
+    gameState.applyPowerUp(player, "netLauncher");
+    return player;
+  }
+
+  function tick(ms) {
+    tickGameState(gameState, ms);
+  }
+
+  beforeEach(() => {
+    context = createSimulationContext(3, new ManualClock(10000));
+  });
+
+  test("should only fire with nets left and after the cooldown", () => {
+    createGameState();
+    const unarmed = addPlayer("unarmed", 100, 100);
+    const shooter = armed("shooter", 100, 300);
+
+    expect(gameState.fireNet(unarmed, { dx: 1, dy: 0 })).toBe(false);
+    expect(shooter.netCharges).toBe(3);
+    expect(gameState.fireNet(shooter, { dx: 1, dy: 0 })).toBe(true);
+    expect(gameState.fireNet(shooter, { dx: 1, dy: 0 })).toBe(false);
+
+    context.clock.advance(context.config.nets.cooldown);
+    expect(gameState.fireNet(shooter, { dx: 0, dy: 1 })).toBe(true);
+    expect(shooter.netCharges).toBe(1);
+    expect(gameState.getDynamicState().projectiles).toHaveLength(2);
+  });
+
+  test("should root and then slow the first player hit", () => {
+    createGameState();
+    const shooter = armed("shooter", 100, 300);
+    const target = addPlayer("target", 200, 300);
+    const behind = addPlayer("behind", 250, 300);
+    const speed = target.getCurrentSpeed();
+
+    gameState.fireNet(shooter, { dx: 1, dy: 0 });
+    for (let i = 0; i < 5; i++) tick();
+
+    expect(target.toJSON().netted).toBe("rooted");
+    expect(target.getCurrentSpeed()).toBe(0);
+    expect(behind.toJSON().netted).toBeUndefined();
+    expect(gameState.getDynamicState().projectiles).toBeUndefined();
+
+    context.clock.advance(context.config.nets.rootDuration);
+    expect(target.toJSON().netted).toBe("slowed");
+    expect(target.getCurrentSpeed()).toBeCloseTo(speed * context.config.nets.slowMultiplier);
+
+    context.clock.advance(context.config.nets.slowDuration);
+    expect(target.toJSON().netted).toBeUndefined();
+  });
+
+  test("should stop at obstacles", () => {
+    createGameState({ obstacles: [{ x: 300, y: 300, width: 20, height: 200, type: "rectangle", angle: 0.3 }] });
+    const shooter = armed("shooter", 100, 300);
+    const target = addPlayer("target", 400, 300);
+
+    gameState.fireNet(shooter, { dx: 1, dy: 0 });
+    for (let i = 0; i < 20; i++) tick();
+
+    expect(target.toJSON().netted).toBeUndefined();
+    expect(gameState.getDynamicState().projectiles).toBeUndefined();
+  });
+
+  test("should drop after its range", () => {
+    createGameState();
+    const shooter = armed("shooter", 100, 100);
+    const target = addPlayer("target", 100 + context.config.nets.range + 60, 100);
+
+    gameState.fireNet(shooter, { dx: 1, dy: 0 });
+    for (let i = 0; i < 40; i++) tick();
+
+    expect(target.toJSON().netted).toBeUndefined();
+    expect(gameState.getDynamicState().projectiles).toBeUndefined();
+  });
+
+  test("should sync nets in deltas and hide them outside sight", () => {
+    createGameState();
+    const shooter = armed("shooter", 100, 300);
+    const viewer = addPlayer("viewer", 700, 100);
+    gameState.fireNet(shooter, { dx: 0, dy: 1 });
+    const prev = { ...gameState.getDynamicState(), seq: 1 };
+    tick();
+    const next = { ...gameState.getDynamicState(), seq: 2 };
+
+    const delta = StateSyncUtils.createDelta(prev, next);
+    expect(delta.projectiles.upsert).toEqual([{ id: "net_0", y: next.projectiles[0].y }]);
+    expect(StateSyncUtils.applyDelta(prev, delta).projectiles).toEqual(next.projectiles);
+
+    const filter = new VisibilityFilter();
+    expect(filter.filter(next, shooter.id).projectiles).toHaveLength(1);
+    expect(filter.filter(next, viewer.id).projectiles).toEqual([]);
+  });
+
+  describe("Input", () => {
+    test("should reject fire actions without a usable aim", () => {
+      const input = { up: false, down: false, left: false, right: false, isTouchActive: false };
+
+      expect(MovementEngine.validateInputState({ ...input, action: { type: "fire", aimX: 1, aimY: 0 } })).toBe(true);
+      expect(MovementEngine.validateInputState({ ...input, action: { type: "fire", aimX: 0, aimY: 0 } })).toBe(false);
+      expect(MovementEngine.validateInputState({ ...input, action: { type: "fire", aimX: "1", aimY: 0 } })).toBe(false);
+      expect(MovementEngine.validateInputState({ ...input, action: { type: "jump", aimX: 1, aimY: 0 } })).toBe(false);
+    });
+
+    test("should fire once per input that carries the action", () => {
+      const manager = createTestGameManager([createLevel()]);
+      const socket = new MockSocket();
+      manager.handlePlayerJoin(socket, "Shooter");
+      const shooter = Array.from(manager.gameState.getPlayers().values()).find((p) => !p.isAI);
+      manager.gameState.applyPowerUp(shooter, "netLauncher");
+
+      manager.handlePlayerInput(socket, {
+        up: false,
+        down: false,
+        left: false,
+        right: false,
+        isTouchActive: false,
+        action: { type: "fire", aimX: 0, aimY: -1 },
+      });
+      for (let i = 0; i < 60; i++) manager.step();
+
+      expect(shooter.netCharges).toBe(2);
+      manager.shutdown();
+    });
+  });
+});
@@ -0,0 +1,186 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ReplayRecorder } = require("../../../server/game/ReplayRecorder");
+const { ReplayStore } = require("../../../server/game/ReplayStore");
+const { GameManager } = require("../../../server/game/GameManager");
+const { StateSyncUtils } = require("../../../shared/utils/StateSyncUtils");
+const { MockSocket, MockIO } = require("../../utils/test-helpers.js");
+
+const level = {
+  id: "test-level",
+  name: "Test Level",
+  boundaries: { width: 800, height: 600 },
+  obstacles: [],
+};
+
+function createSnapshot(seq, x, isAI = false) {
+  return {
+    kind: "snapshot",
+    seq,
+    levelId: level.id,
+    players: [{ id: "p1", name: "Player", x, y: 100, isAI, score: seq }],
+    playerHints: [],
+    gameActive: true,
+    timeRemaining: 60000 - seq * 33,
+    powerUps: [],
+    stars: [],
+    stunOrbs: [],
+  };
+}
+
+function createRecorder(id = "TEST-1") {
+  return new ReplayRecorder({
+    id,
+    roomCode: "TEST",
+    roomName: "Test Room",
+    level,
+    seed: 42,
+    recordedAt: 1000,
+  });
+}
+
+function createReplay(id, recordedAt) {
+  const recorder = createRecorder(id);
+  recorder.recordFrame(1, 0, createSnapshot(1, 100));
+  const replay = recorder.finish("time_up");
+  replay.metadata.recordedAt = recordedAt;
+  return replay;
+}
+
+describe("ReplayRecorder", () => {
+  test("should store a keyframe followed by deltas that rebuild every frame", () => {
+    const recorder = createRecorder();
+    const snapshots = [];
+    for (let seq = 1; seq <= 200; seq++) {
+      const snapshot = createSnapshot(seq, 100 + seq);
+      snapshots.push(snapshot);
+      recorder.recordFrame(seq, seq * 33, snapshot);
+    }
+
+    const replay = recorder.finish("time_up", "Player");
+    expect(replay.frames[0].update.kind).toBe("snapshot");
+    expect(replay.frames[1].update.kind).toBe("delta");
+
+    // Periodic keyframes allow seeking
+    const keyframes = replay.frames.filter((frame) => frame.update.kind === "snapshot");
+    expect(keyframes.length).toBe(2);
+
+    let state = null;
+    replay.frames.forEach((frame, index) => {
+      state = frame.update.kind === "snapshot"
+        ? frame.update
+        : StateSyncUtils.applySnapshotDelta(state, frame.update);
+      expect(state.players).toEqual(snapshots[index].players);
+    });
+
+    expect(replay.metadata).toMatchObject({
+      id: "TEST-1",
+      levelId: "test-level",
+      seed: 42,
+      frameCount: 200,
+      duration: 199 * 33,
+      endReason: "time_up",
+      winner: "Player",
+      players: [{ id: "p1", name: "Player", isAI: false }],
+    });
+  });
+
+  test("should only report rounds with human players", () => {
+    const aiOnly = createRecorder();
+    aiOnly.recordFrame(1, 0, createSnapshot(1, 100, true));
+    expect(aiOnly.hasHumanPlayers()).toBe(false);
+
+    const withHuman = createRecorder();
+    withHuman.recordFrame(1, 0, createSnapshot(1, 100));
+    expect(withHuman.hasHumanPlayers()).toBe(true);
+  });
+});
+
+describe("ReplayStore", () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "catchme-replays-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test("should save replays and list them newest first", async () => {
+    const store = new ReplayStore(directory);
+    await store.save(createReplay("TEST-1", 1000));
+    await store.save(createReplay("TEST-2", 2000));
+
+    const replays = await store.list();
+    expect(replays.map((replay) => replay.id)).toEqual(["TEST-2", "TEST-1"]);
+
+    const file = await store.getReplayFile("TEST-1");
+    expect(JSON.parse(fs.readFileSync(file, "utf8")).metadata.id).toBe("TEST-1");
+  });
+
+  test("should prune the oldest replays beyond the limit", async () => {
+    const store = new ReplayStore(directory, 2);
+    await store.save(createReplay("TEST-1", 1000));
+    await store.save(createReplay("TEST-2", 2000));
+    await store.save(createReplay("TEST-3", 3000));
+
+    const replays = await store.list();
+    expect(replays.map((replay) => replay.id)).toEqual(["TEST-3", "TEST-2"]);
+    expect(await store.getReplayFile("TEST-1")).toBeNull();
+  });
+
+  test("should reject unknown and unsafe ids", async () => {
+    const store = new ReplayStore(directory);
+    expect(await store.getReplayFile("missing")).toBeNull();
+    expect(await store.getReplayFile("../secrets")).toBeNull();
+    await expect(store.save(createReplay("../escape", 1000))).rejects.toThrow("Invalid replay id");
+  });
+
+  test("should return an empty list when nothing was recorded", async () => {
+    const store = new ReplayStore(path.join(directory, "missing"));
+    expect(await store.list()).toEqual([]);
+  });
+});
+
+describe("GameManager replay recording", () => {
+  function createManager(replayStore) {
+    return new GameManager(new MockIO(), {
+      roomCode: "TEST",
+      roomName: "Test Room",
+      isPrivate: false,
+      maxPlayers: 8,
+      seed: 7,
+      startTime: 1000000,
+      autoStart: false,
+      replayStore,
+    });
+  }
+
+  test("should save the recorded round when the room shuts down", () => {
+    const replayStore = { save: jest.fn().mockResolvedValue(undefined) };
+    const manager = createManager(replayStore);
+    const socket = new MockSocket();
+    manager.handlePlayerJoin(socket, "Alice");
+
+    for (let i = 0; i < 20; i++) {
+      manager.step();
+    }
+    manager.shutdown();
+
+    expect(replayStore.save).toHaveBeenCalledTimes(1);
+    const replay = replayStore.save.mock.calls[0][0];
+    expect(replay.metadata).toMatchObject({ roomCode: "TEST", seed: 7, endReason: "shutdown" });
+    expect(replay.frames.length).toBeGreaterThanOrEqual(10);
+    expect(replay.frames[0].update.kind).toBe("snapshot");
+  });
+
+  test("should not save rounds without frames", () => {
+    const replayStore = { save: jest.fn().mockResolvedValue(undefined) };
+    const manager = createManager(replayStore);
+    manager.shutdown();
+
+    expect(replayStore.save).not.toHaveBeenCalled();
+  });
+});
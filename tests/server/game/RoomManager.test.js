@@ -0,0 +1,389 @@
+const { RoomManager } = require("../../../server/game/RoomManager");
+const { DEFAULT_GAME_CONFIG } = require("../../../shared/types/GameConfig");
+const { MockSocket, MockIO } = require("../../utils/test-helpers.js");
+
+describe("RoomManager", () => {
+  let roomManager;
+  let mockIO;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    mockIO = new MockIO();
+    roomManager = new RoomManager(mockIO);
+  });
+
+  afterEach(() => {
+    roomManager.shutdown();
+    jest.useRealTimers();
+  });
+
+  describe("Quick Join", () => {
+    test("should join the default public room", () => {
+      const socket = new MockSocket();
+      roomManager.quickJoin(socket, "Alice");
+
+      expect(socket.data.roomCode).toBe(RoomManager.DEFAULT_ROOM_CODE);
+
+      const joined = socket.emitted.find((e) => e.event === "gameJoined");
+      expect(joined).toBeTruthy();
+      expect(joined.data.room.code).toBe(RoomManager.DEFAULT_ROOM_CODE);
+    });
+
+    test("should open a new public room when the default room is full", () => {
+      const defaultRoom = roomManager.rooms.get(RoomManager.DEFAULT_ROOM_CODE);
+      for (let i = 0; i < defaultRoom.gameManager.gameState.maxPlayers; i++) {
+        roomManager.quickJoin(new MockSocket(), `Player${i}`);
+      }
+
+      const socket = new MockSocket();
+      roomManager.quickJoin(socket, "Overflow");
+
+      expect(socket.data.roomCode).toBeDefined();
+      expect(socket.data.roomCode).not.toBe(RoomManager.DEFAULT_ROOM_CODE);
+      expect(roomManager.getRoomCount()).toBe(2);
+    });
+
+    test("should keep players who quick join again where they are", () => {
+      const socket = new MockSocket();
+      roomManager.quickJoin(socket, "Alice");
+      const gameManager = roomManager.getGameManager(RoomManager.DEFAULT_ROOM_CODE);
+      const player = gameManager.gameState.getPlayer(socket.id);
+      player.score = 120;
+
+      roomManager.quickJoin(socket, "Alice");
+
+      expect(gameManager.gameState.getPlayer(socket.id)).toBe(player);
+      expect(player.score).toBe(120);
+      expect(socket.emitted.filter((e) => e.event === "gameJoined")).toHaveLength(1);
+    });
+  });
+
+  describe("Private Rooms", () => {
+    test("should create a private room with a short code", () => {
+      const socket = new MockSocket();
+      roomManager.createRoom(socket, { playerName: "Alice", isPrivate: true });
+
+      expect(socket.data.roomCode).toMatch(/^[A-Z2-9]{5}$/);
+      expect(roomManager.listPublicRooms().map((r) => r.code)).not.toContain(
+        socket.data.roomCode
+      );
+    });
+
+    test("should join a room by code, case-insensitively", () => {
+      const host = new MockSocket();
+      roomManager.createRoom(host, { playerName: "Host", isPrivate: true });
+
+      const guest = new MockSocket();
+      roomManager.joinRoom(guest, host.data.roomCode.toLowerCase(), "Guest");
+
+      expect(guest.data.roomCode).toBe(host.data.roomCode);
+    });
+
+    test("should report unknown room codes", () => {
+      const socket = new MockSocket();
+      roomManager.joinRoom(socket, "ZZZZZ", "Alice");
+
+      const error = socket.emitted.find((e) => e.event === "joinError");
+      expect(error.data).toBe("Room ZZZZZ not found");
+    });
+
+    test("should enforce per-room capacity", () => {
+      const host = new MockSocket();
+      roomManager.createRoom(host, { playerName: "Host", maxPlayers: 2 });
+      const code = host.data.roomCode;
+
+      roomManager.joinRoom(new MockSocket(), code, "Second");
+      const third = new MockSocket();
+      roomManager.joinRoom(third, code, "Third");
+
+      expect(third.data.roomCode).toBeUndefined();
+      const error = third.emitted.find((e) => e.event === "joinError");
+      expect(error.data).toBe(`Room ${code} is full`);
+    });
+
+    test("should keep players in their room when a new one can't be opened", () => {
+      roomManager.shutdown();
+      roomManager = new RoomManager(mockIO, { config: { ...DEFAULT_GAME_CONFIG, rooms: { ...DEFAULT_GAME_CONFIG.rooms, maxRooms: 2 } } });
+      const host = new MockSocket();
+      roomManager.createRoom(host, { playerName: "Host", isPrivate: true });
+      const code = host.data.roomCode;
+
+      roomManager.createRoom(host, { playerName: "Host", isPrivate: true });
+
+      expect(host.emitted.find((e) => e.event === "joinError").data).toBe("Server room limit reached");
+      expect(host.data.roomCode).toBe(code);
+      expect(roomManager.getGameManager(code).getHumanPlayerCount()).toBe(1);
+    });
+  });
+
+  describe("Test Rooms", () => {
+    const level = {
+      id: "editor_level",
+      name: "Editor Level",
+      theme: "forest",
+      description: "Made in the level editor",
+      boundaries: { x: 0, y: 0, width: 600, height: 400 },
+      obstacles: [{ x: 300, y: 200, radius: 30, type: "circle", kind: "tree" }],
+      spawnPoints: [{ x: 100, y: 100, type: "safe", visibility: "open", nearbyFeatures: [] }],
+      powerUpConfig: { spawnRate: 8000, maxActive: 1, types: ["speed"], locations: "random" },
+      backgroundElements: [],
+      difficulty: 1,
+    };
+
+    test("should open a private room that only plays the given level", () => {
+      const code = roomManager.createTestRoom(level);
+      const gameManager = roomManager.getGameManager(code);
+
+      expect(code).toMatch(/^[A-Z2-9]{5}$/);
+      expect(roomManager.listPublicRooms().map((r) => r.code)).not.toContain(code);
+      expect(gameManager.getRoomSummary().name).toBe("Test: Editor Level");
+      expect(gameManager.getAvailableLevels().map((l) => l.id)).toEqual(["editor_level"]);
+      expect(gameManager.getCurrentLevelInfo().id).toBe("editor_level");
+
+      const socket = new MockSocket();
+      roomManager.joinRoom(socket, code, "Tester");
+      expect(socket.data.roomCode).toBe(code);
+    });
+
+    test("should leave generated levels out of test rooms", () => {
+      roomManager.shutdown();
+      roomManager = new RoomManager(mockIO, { config: { ...DEFAULT_GAME_CONFIG, levels: { ...DEFAULT_GAME_CONFIG.levels, generated: 2 } } });
+
+      const gameManager = roomManager.getGameManager(roomManager.createTestRoom(level));
+
+      expect(gameManager.getAvailableLevels().map((l) => l.id)).toEqual(["editor_level"]);
+      expect(roomManager.getGameManager(RoomManager.DEFAULT_ROOM_CODE).getAvailableLevels().length).toBeGreaterThan(2);
+    });
+
+    test("should cap test rooms apart from the other rooms", () => {
+      roomManager.shutdown();
+      roomManager = new RoomManager(mockIO, { config: { ...DEFAULT_GAME_CONFIG, rooms: { ...DEFAULT_GAME_CONFIG.rooms, maxRooms: 2, maxTestRooms: 2 } } });
+
+      expect(roomManager.createTestRoom(level)).not.toBeNull();
+      expect(roomManager.createTestRoom(level)).not.toBeNull();
+      expect(roomManager.createTestRoom(level)).toBeNull();
+
+      // Test rooms don't take the slots players need
+      const socket = new MockSocket();
+      roomManager.createRoom(socket, { playerName: "Alice" });
+      expect(socket.data.roomCode).toBeDefined();
+      expect(roomManager.getRoomCount()).toBe(4);
+    });
+  });
+
+  describe("Room Lifecycle", () => {
+    test("should dispose rooms that stay empty", () => {
+      const socket = new MockSocket();
+      roomManager.createRoom(socket, { playerName: "Alice" });
+      const code = socket.data.roomCode;
+      const gracePeriod = roomManager.rooms.get(code).gameManager.reconnectGracePeriod;
+
+      // The disconnected player is kept for the reconnect grace period first
+      roomManager.handleDisconnect(socket);
+      jest.advanceTimersByTime(gracePeriod + roomManager.emptyRoomTimeout + 2 * roomManager.disposeCheckInterval);
+
+      expect(roomManager.rooms.has(code)).toBe(false);
+    });
+
+    test("should never dispose the default room", () => {
+      const socket = new MockSocket();
+      roomManager.quickJoin(socket, "Alice");
+      roomManager.handleDisconnect(socket);
+
+      jest.advanceTimersByTime(roomManager.emptyRoomTimeout * 2);
+
+      expect(roomManager.rooms.has(RoomManager.DEFAULT_ROOM_CODE)).toBe(true);
+    });
+
+    test("should report players per room", () => {
+      roomManager.quickJoin(new MockSocket(), "Alice");
+
+      const stats = roomManager.getRoomStats();
+      const main = stats.find((r) => r.code === RoomManager.DEFAULT_ROOM_CODE);
+      expect(main.humans).toBe(1);
+    });
+  });
+
+  describe("Reconnecting", () => {
+    function joinAndDrop() {
+      const socket = new MockSocket();
+      roomManager.quickJoin(socket, "Alice");
+      const joined = socket.emitted.find((e) => e.event === "gameJoined");
+      roomManager.handleDisconnect(socket);
+      return joined.data;
+    }
+
+    test("should keep a disconnected player as reconnecting", () => {
+      const { playerId } = joinAndDrop();
+
+      const room = roomManager.rooms.get(RoomManager.DEFAULT_ROOM_CODE);
+      const player = room.gameManager.gameState.getPlayer(playerId);
+      expect(player).toBeDefined();
+      expect(player.toJSON().isReconnecting).toBe(true);
+      expect(room.gameManager.getReconnectingPlayerCount()).toBe(1);
+    });
+
+    test("should re-bind the same player to a new socket", () => {
+      const { playerId, sessionToken } = joinAndDrop();
+      const room = roomManager.rooms.get(RoomManager.DEFAULT_ROOM_CODE);
+      room.gameManager.gameState.getPlayer(playerId).score = 42;
+
+      const socket = new MockSocket();
+      roomManager.resumeSession(socket, sessionToken);
+
+      const joined = socket.emitted.find((e) => e.event === "gameJoined");
+      expect(joined.data.playerId).toBe(playerId);
+      expect(joined.data.sessionToken).toBe(sessionToken);
+      expect(socket.data.roomCode).toBe(RoomManager.DEFAULT_ROOM_CODE);
+
+      const player = room.gameManager.gameState.getPlayer(playerId);
+      expect(player.score).toBe(42);
+      expect(player.isReconnecting).toBe(false);
+      expect(room.gameManager.getPlayerCount()).toBe(1);
+    });
+
+    test("should accept input from the new socket", () => {
+      const { playerId, sessionToken } = joinAndDrop();
+      const socket = new MockSocket();
+      roomManager.resumeSession(socket, sessionToken);
+
+      roomManager.handlePlayerInput(socket, { up: true, down: false, left: false, right: false, isTouchActive: false, timestamp: Date.now() });
+
+      const room = roomManager.rooms.get(RoomManager.DEFAULT_ROOM_CODE);
+      expect(room.gameManager.playerInputStates.has(playerId)).toBe(true);
+    });
+
+    test("should remove the player once the grace period runs out", () => {
+      const { playerId, sessionToken } = joinAndDrop();
+      const room = roomManager.rooms.get(RoomManager.DEFAULT_ROOM_CODE);
+
+      jest.advanceTimersByTime(room.gameManager.reconnectGracePeriod + 1000);
+
+      expect(room.gameManager.gameState.getPlayer(playerId)).toBeUndefined();
+
+      const socket = new MockSocket();
+      roomManager.resumeSession(socket, sessionToken);
+      expect(socket.emitted.find((e) => e.event === "sessionExpired")).toBeTruthy();
+      expect(socket.data.roomCode).toBeUndefined();
+    });
+
+    test("should let the grace period run out while the room is paused", () => {
+      const { playerId } = joinAndDrop();
+      const room = roomManager.rooms.get(RoomManager.DEFAULT_ROOM_CODE);
+      room.gameManager.pause();
+
+      jest.advanceTimersByTime(room.gameManager.reconnectGracePeriod + 1000);
+
+      expect(room.gameManager.gameState.getPlayer(playerId)).toBeUndefined();
+    });
+
+    test("should keep reconnecting players for a grace period longer than the inactivity timeout", () => {
+      roomManager.shutdown();
+      roomManager = new RoomManager(mockIO, { config: { ...DEFAULT_GAME_CONFIG, rooms: { ...DEFAULT_GAME_CONFIG.rooms, reconnectGracePeriod: 60000 } } });
+      const { playerId } = joinAndDrop();
+      const room = roomManager.rooms.get(RoomManager.DEFAULT_ROOM_CODE);
+
+      jest.advanceTimersByTime(45000);
+      expect(room.gameManager.gameState.getPlayer(playerId).isReconnecting).toBe(true);
+
+      jest.advanceTimersByTime(16000);
+      expect(room.gameManager.gameState.getPlayer(playerId)).toBeUndefined();
+    });
+
+    test("should remove players who leave on purpose immediately", () => {
+      const socket = new MockSocket();
+      roomManager.quickJoin(socket, "Alice");
+      roomManager.leaveCurrentRoom(socket);
+
+      const room = roomManager.rooms.get(RoomManager.DEFAULT_ROOM_CODE);
+      expect(room.gameManager.getPlayerCount()).toBe(0);
+    });
+
+    test("should reject unknown session tokens", () => {
+      const socket = new MockSocket();
+      roomManager.resumeSession(socket, "not-a-token");
+
+      expect(socket.emitted.find((e) => e.event === "sessionExpired")).toBeTruthy();
+    });
+  });
+
+  describe("Spectators", () => {
+    test("should watch a room without taking a player slot", () => {
+      const socket = new MockSocket();
+      roomManager.spectate(socket);
+
+      const room = roomManager.rooms.get(RoomManager.DEFAULT_ROOM_CODE);
+      expect(socket.data.roomCode).toBe(RoomManager.DEFAULT_ROOM_CODE);
+      expect(socket.data.isSpectator).toBe(true);
+      expect(room.gameManager.getPlayerCount()).toBe(0);
+
+      const joined = socket.emitted.find((e) => e.event === "spectateJoined");
+      expect(joined).toBeTruthy();
+      expect(joined.data.room.spectatorCount).toBe(1);
+    });
+
+    test("should send spectators the unfogged state", () => {
+      const players = [new MockSocket(), new MockSocket()];
+      players.forEach((socket, i) => roomManager.quickJoin(socket, `Player${i}`));
+
+      const spectator = new MockSocket();
+      roomManager.spectate(spectator);
+
+      const joined = spectator.emitted.find((e) => e.event === "spectateJoined");
+      expect(joined.data.gameState.players).toHaveLength(2);
+      expect(joined.data.gameState.spectatorCount).toBe(1);
+    });
+
+    test("should enforce the spectator limit", () => {
+      const room = roomManager.rooms.get(RoomManager.DEFAULT_ROOM_CODE);
+      const { maxSpectators } = room.gameManager.getRoomSummary();
+      for (let i = 0; i < maxSpectators; i++) {
+        roomManager.spectate(new MockSocket());
+      }
+
+      const socket = new MockSocket();
+      roomManager.spectate(socket);
+
+      expect(socket.data.roomCode).toBeUndefined();
+      expect(socket.emitted.find((e) => e.event === "joinError")).toBeTruthy();
+      expect(room.gameManager.getSpectatorCount()).toBe(maxSpectators);
+    });
+
+    test("should let a spectator join the same room as a player", () => {
+      const socket = new MockSocket();
+      roomManager.spectate(socket);
+      roomManager.joinRoom(socket, RoomManager.DEFAULT_ROOM_CODE, "Alice");
+
+      const room = roomManager.rooms.get(RoomManager.DEFAULT_ROOM_CODE);
+      expect(socket.data.isSpectator).toBeUndefined();
+      expect(room.gameManager.getSpectatorCount()).toBe(0);
+      expect(room.gameManager.getPlayerCount()).toBe(1);
+    });
+
+    test("should not keep empty rooms alive", () => {
+      const host = new MockSocket();
+      roomManager.createRoom(host, { playerName: "Host", isPrivate: true });
+      const code = host.data.roomCode;
+
+      const spectator = new MockSocket();
+      roomManager.spectate(spectator, code);
+      roomManager.handleDisconnect(host);
+      jest.advanceTimersByTime(roomManager.emptyRoomTimeout * 2);
+
+      expect(roomManager.rooms.has(code)).toBe(false);
+      // The spectator is told the room closed instead of watching a dead room
+      expect(spectator.emitted.find((e) => e.event === "roomClosed")).toBeTruthy();
+      expect(spectator.data.roomCode).toBeUndefined();
+      expect(spectator.data.isSpectator).toBeUndefined();
+    });
+
+    test("should report spectators per room", () => {
+      roomManager.spectate(new MockSocket());
+
+      const stats = roomManager.getRoomStats();
+      const main = stats.find((r) => r.code === RoomManager.DEFAULT_ROOM_CODE);
+      expect(main.spectators).toBe(1);
+      expect(main.humans).toBe(0);
+    });
+  });
+});
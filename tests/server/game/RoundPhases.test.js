@@ -0,0 +1,248 @@
+const { RoundPhases } = require("../../../server/game/RoundPhases");
+const { ManualClock } = require("../../../server/game/Clock");
+const { Scheduler } = require("../../../server/game/Scheduler");
+const { DEFAULT_GAME_CONFIG } = require("../../../shared/types/GameConfig");
+const { MockSocket, createTestLevel, createTestGameManager } = require("../../utils/test-helpers.js");
+
+const lobby = { minReadyPlayers: 1, readyCheckDuration: 5000, countdown: 1000 };
+
+describe("Round phases", () => {
+  let manager;
+
+  function createManager(options = {}) {
+    manager = createTestGameManager([createTestLevel()], {
+      config: { ...DEFAULT_GAME_CONFIG, round: { ...DEFAULT_GAME_CONFIG.round, duration: 10000 }, lobby },
+      ...options,
+    });
+    return manager;
+  }
+
+  function join(name) {
+    const socket = new MockSocket();
+    manager.handlePlayerJoin(socket, name);
+    return socket;
+  }
+
+  function run(ms) {
+    for (let elapsed = 0; elapsed < ms; elapsed += 16) {
+      manager.step();
+    }
+  }
+
+  function phase() {
+    return manager.getRoundPhaseData().phase;
+  }
+
+  afterEach(() => {
+    manager.shutdown();
+  });
+
+  test("should wait for a human before the ready check", () => {
+    createManager();
+    manager.addAIPlayer("Bot");
+    run(100);
+    expect(phase()).toBe("waiting");
+    expect(manager.gameState.gameActive).toBe(false);
+
+    const socket = join("Ann");
+    expect(socket.emitted.find((e) => e.event === "roundPhase").data.phase).toBe("waiting");
+    run(16);
+    expect(manager.getRoundPhaseData()).toEqual({
+      phase: "readyCheck",
+      timeLeft: lobby.readyCheckDuration,
+      readyPlayerIds: [],
+      requiredReady: 1,
+    });
+  });
+
+  test("should count down and start the round once everyone is ready", () => {
+    createManager();
+    const ann = join("Ann");
+    const bob = join("Bob");
+    run(16);
+
+    manager.handlePlayerReady(ann, true);
+    run(16);
+    expect(phase()).toBe("readyCheck");
+
+    manager.handlePlayerReady(bob, true);
+    run(16);
+    expect(phase()).toBe("countdown");
+    expect(manager.gameState.gameActive).toBe(false);
+
+    run(lobby.countdown);
+    expect(phase()).toBe("playing");
+    expect(manager.gameState.gameActive).toBe(true);
+    expect(manager.gameState.getTimeRemaining()).toBeGreaterThan(9900);
+
+    const phases = manager.io.emitted.filter((e) => e.event === "roundPhase").map((e) => e.data.phase);
+    expect(phases).toEqual(["readyCheck", "readyCheck", "readyCheck", "countdown", "playing"]);
+  });
+
+  test("should start with whoever is ready when the ready check runs out", () => {
+    createManager();
+    const ann = join("Ann");
+    join("Bob");
+    run(16);
+    manager.handlePlayerReady(ann, true);
+
+    run(lobby.readyCheckDuration - 100);
+    expect(phase()).toBe("readyCheck");
+    run(200);
+    expect(phase()).toBe("countdown");
+  });
+
+  test("should start over when a player takes it back during the countdown", () => {
+    createManager();
+    const ann = join("Ann");
+    run(16);
+    manager.handlePlayerReady(ann, true);
+    run(16);
+    expect(phase()).toBe("countdown");
+
+    manager.handlePlayerReady(ann, false);
+    run(lobby.countdown);
+    expect(phase()).toBe("readyCheck");
+    expect(manager.gameState.gameActive).toBe(false);
+  });
+
+  test("should not tag during the countdown", () => {
+    createManager();
+    const ann = join("Ann");
+    const bob = join("Bob");
+    run(16);
+    manager.handlePlayerReady(ann, true);
+    manager.handlePlayerReady(bob, true);
+    run(16);
+    expect(phase()).toBe("countdown");
+
+    const [it, runner] = [ann, bob].map((socket) => manager.gameState.getPlayer(socket.id));
+    it.becomeIt();
+    runner.x = it.x + 5;
+    runner.y = it.y;
+    run(lobby.countdown / 2);
+
+    expect(it.isIt).toBe(true);
+    expect(runner.isIt).toBe(false);
+    expect(it.score).toBe(0);
+    expect(manager.io.emitted.some((e) => e.event === "playerTagged")).toBe(false);
+  });
+
+  test("should not hand out pickups outside a round", () => {
+    createManager();
+    const ann = join("Ann");
+    run(16);
+    manager.handlePlayerReady(ann, true);
+    run(16);
+    expect(phase()).toBe("countdown");
+
+    const player = manager.gameState.getPlayer(ann.id);
+    player.becomeIt();
+    const star = manager.gameState.stars.find((s) => s.active);
+    const stunOrb = manager.gameState.stunOrbs.find((s) => s.active);
+    manager.checkGameEvents(Object.assign(player, { x: star.x, y: star.y }));
+    manager.checkGameEvents(Object.assign(player, { x: stunOrb.x, y: stunOrb.y }));
+
+    expect(star.active).toBe(true);
+    expect(stunOrb.active).toBe(true);
+    expect(player.score).toBe(0);
+    const events = manager.io.emitted.map((e) => e.event);
+    expect(events).not.toContain("starCollected");
+    expect(events).not.toContain("stunOrbCollected");
+  });
+
+  test("should not take points off IT between rounds", () => {
+    createManager();
+    manager.addAIPlayer("Bot");
+    const bot = Array.from(manager.gameState.getPlayers().values())[0];
+    bot.becomeIt();
+    bot.score = 100;
+
+    run(3000);
+    expect(phase()).toBe("waiting");
+    expect(bot.score).toBe(100);
+    expect(bot.timeAsIt).toBe(0);
+  });
+
+  test("should start every round with fresh scores and the mode set up", () => {
+    createManager({ mode: "freezeTag" });
+    const ann = join("Ann");
+    run(16);
+    manager.handlePlayerReady(ann, true);
+    run(16);
+    expect(phase()).toBe("countdown");
+
+    // Left over from the lobby or the last round
+    const player = manager.gameState.getPlayer(ann.id);
+    player.score = 300;
+    player.timeAsIt = 5000;
+    player.mission = { collected: 1, required: 3, endsAt: 0 };
+    player.isFrozen = true;
+    // Away from the spawn point, where the room's first bot joins, so nobody is tagged at the start
+    player.x = 100;
+    player.y = 100;
+
+    run(lobby.countdown);
+    expect(phase()).toBe("playing");
+    expect(player.score).toBe(0);
+    expect(player.timeAsIt).toBe(0);
+    expect(player.mission).toBeUndefined();
+    expect(player.isFrozen).toBe(false);
+  });
+
+  test("should go round end, preview and level change before the next ready check", () => {
+    createManager();
+    const ann = join("Ann");
+    run(16);
+    manager.handlePlayerReady(ann, true);
+    run(16 + lobby.countdown);
+
+    run(10000);
+    expect(phase()).toBe("roundEnd");
+    expect(manager.gameState.gameActive).toBe(false);
+    expect(manager.forceLevel()).toBe(false);
+
+    run(2000);
+    expect(phase()).toBe("preview");
+    run(10000);
+    expect(phase()).toBe("transition");
+
+    // Ready players stay ready, so the next countdown starts right away
+    run(1500);
+    expect(phase()).toBe("countdown");
+  });
+
+  test("should reject changes the lifecycle doesn't allow", () => {
+    const clock = new ManualClock(0);
+    const changes = [];
+    const phases = new RoundPhases(clock, new Scheduler(clock), (next, previous) => changes.push(`${previous}>${next}`));
+
+    expect(phases.enter("playing")).toBe(false);
+    expect(phases.enter("preview")).toBe(false);
+    expect(phases.getPhase()).toBe("waiting");
+    expect(changes).toEqual([]);
+
+    expect(phases.enter("roundEnd")).toBe(true);
+    expect(phases.canEnter("waiting")).toBe(false);
+    expect(changes).toEqual(["waiting>roundEnd"]);
+  });
+
+  test("should drop a timed phase's callback when cancelled", () => {
+    const clock = new ManualClock(0);
+    const scheduler = new Scheduler(clock);
+    const phases = new RoundPhases(clock, scheduler, () => {});
+    const timeout = jest.fn();
+
+    phases.enter("readyCheck");
+    phases.enter("countdown", 1000, timeout);
+    clock.advance(400);
+    expect(phases.getTimeLeft()).toBe(600);
+
+    phases.cancel();
+    clock.advance(1000);
+    scheduler.runDue();
+    expect(timeout).not.toHaveBeenCalled();
+    expect(scheduler.getPendingCount()).toBe(0);
+    expect(phases.getTimeLeft()).toBeUndefined();
+  });
+});
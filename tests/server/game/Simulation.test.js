@@ -0,0 +1,155 @@
+const { GameManager } = require("../../../server/game/GameManager");
+const { Player } = require("../../../server/game/Player");
+const { GameState } = require("../../../server/game/GameState");
+const { ManualClock } = require("../../../server/game/Clock");
+const { SeededRandom } = require("../../../server/game/SeededRandom");
+const { Scheduler } = require("../../../server/game/Scheduler");
+const { createSimulationContext } = require("../../../server/game/SimulationContext");
+const { MockSocket, MockIO } = require("../../utils/test-helpers.js");
+
+function createManager(seed) {
+  return new GameManager(new MockIO(), {
+    roomCode: "TEST",
+    roomName: "Test Room",
+    isPrivate: false,
+    maxPlayers: 8,
+    seed,
+    startTime: 1000000,
+    autoStart: false,
+  });
+}
+
+function createSocket(id) {
+  const socket = new MockSocket();
+  socket.id = id;
+  return socket;
+}
+
+// Plays a scripted round: two humans join, move around, an AI joins after one second
+function playRound(seed) {
+  const manager = createManager(seed);
+  const alice = createSocket("alice");
+  const bob = createSocket("bob");
+  manager.handlePlayerJoin(alice, "Alice");
+  manager.handlePlayerJoin(bob, "Bob");
+
+  for (let tick = 0; tick < 600; tick++) {
+    if (tick % 30 === 0) {
+      const angle = (tick / 30) * 0.7;
+      manager.handlePlayerInput(alice, { up: false, down: false, left: false, right: false, isTouchActive: true, touchX: Math.cos(angle), touchY: Math.sin(angle), timestamp: tick });
+      manager.handlePlayerInput(bob, { up: tick % 60 === 0, down: false, left: true, right: false, isTouchActive: false, touchX: 0, touchY: 0, timestamp: tick });
+    }
+    manager.step();
+  }
+
+  const state = manager.getStateSnapshot();
+  manager.shutdown();
+  return state;
+}
+
+describe("Deterministic simulation", () => {
+  describe("SeededRandom", () => {
+    test("should produce the same sequence for the same seed", () => {
+      const a = new SeededRandom(1234);
+      const b = new SeededRandom(1234);
+      const sequenceA = Array.from({ length: 5 }, () => a.next());
+      const sequenceB = Array.from({ length: 5 }, () => b.next());
+
+      expect(sequenceA).toEqual(sequenceB);
+      sequenceA.forEach((value) => {
+        expect(value).toBeGreaterThanOrEqual(0);
+        expect(value).toBeLessThan(1);
+      });
+    });
+
+    test("should produce different sequences for different seeds", () => {
+      expect(new SeededRandom(1).next()).not.toBe(new SeededRandom(2).next());
+    });
+  });
+
+  describe("Player timers on the simulation clock", () => {
+    let clock;
+    let player;
+
+    beforeEach(() => {
+      clock = new ManualClock(5000);
+      player = new Player("p1", "Tester", 100, 100, false, createSimulationContext(7, clock));
+    });
+
+    test("should end stun when the clock passes the stun duration", () => {
+      player.stun(3000);
+      clock.advance(2999);
+      player.updatePowerUps(clock.now());
+      expect(player.isStunned).toBe(true);
+
+      clock.advance(1);
+      player.updatePowerUps(clock.now());
+      expect(player.isStunned).toBe(false);
+    });
+
+    test("should expire size boost stacks one at a time", () => {
+      const gameState = new GameState(undefined, 8, createSimulationContext(7, clock));
+      gameState.addPlayer(player);
+      gameState.applyPowerUp(player, "size");
+      clock.advance(4000);
+      gameState.applyPowerUp(player, "size");
+      expect(player.sizeBoostStacks).toBe(2);
+
+      clock.advance(6000);
+      gameState.update(16);
+      expect(player.sizeBoostStacks).toBe(1);
+      expect(player.currentRadius).toBe(25);
+
+      clock.advance(4000);
+      gameState.update(16);
+      expect(player.hasSizeBoost).toBe(false);
+      expect(player.currentRadius).toBe(15);
+    });
+  });
+
+  describe("Scheduler", () => {
+    test("should run due tasks in order once the clock reaches them", () => {
+      const clock = new ManualClock(0);
+      const scheduler = new Scheduler(clock);
+      const calls = [];
+      scheduler.schedule(200, () => calls.push("late"));
+      scheduler.schedule(100, () => calls.push("early"));
+      const cancelled = scheduler.schedule(50, () => calls.push("cancelled"));
+      scheduler.cancel(cancelled);
+
+      clock.advance(150);
+      scheduler.runDue();
+      expect(calls).toEqual(["early"]);
+
+      clock.advance(50);
+      scheduler.runDue();
+      expect(calls).toEqual(["early", "late"]);
+      expect(scheduler.getPendingCount()).toBe(0);
+    });
+  });
+
+  describe("GameManager", () => {
+    test("should advance simulation time only when stepped", () => {
+      const manager = createManager(42);
+      expect(manager.getSimulationTime()).toBe(1000000);
+
+      manager.step(16);
+      manager.step(16);
+      expect(manager.getTick()).toBe(2);
+      expect(manager.getSimulationTime()).toBe(1000032);
+      manager.shutdown();
+    });
+
+    test("should reproduce a round exactly from the same seed and inputs", () => {
+      const first = playRound(42);
+      const second = playRound(42);
+
+      expect(first.players.some((p) => p.isAI)).toBe(true);
+      expect(second).toEqual(first);
+    });
+
+    test("should diverge with a different seed", () => {
+      expect(playRound(43)).not.toEqual(playRound(42));
+    });
+  });
+});
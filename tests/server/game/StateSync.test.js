@@ -0,0 +1,113 @@
+const { StateSync } = require("../../../server/game/StateSync");
+const { StateSyncUtils } = require("../../../shared/utils/StateSyncUtils");
+
+function createState(overrides = {}) {
+  return {
+    levelId: "classic_arena",
+    gameActive: true,
+    timeRemaining: 60000,
+    players: [
+      { id: "p1", name: "Alice", x: 100, y: 100, isIt: true, score: 0 },
+      { id: "p2", name: "Bob", x: 300, y: 200, isIt: false, score: 0 },
+    ],
+    playerHints: [],
+    powerUps: [{ id: "powerup_0", type: "speed", x: 50, y: 50, active: true }],
+    stars: [],
+    stunOrbs: [],
+    ...overrides,
+  };
+}
+
+const level = { id: "classic_arena", name: "Classic Arena", obstacles: [] };
+
+describe("StateSync", () => {
+  let stateSync;
+
+  beforeEach(() => {
+    stateSync = new StateSync();
+    stateSync.addClient("client-1");
+  });
+
+  describe("Snapshots and deltas", () => {
+    test("should send a full snapshot to a new client", () => {
+      const snapshot = stateSync.createSnapshot(createState());
+      const update = stateSync.buildUpdate("client-1", snapshot, level);
+
+      expect(update.kind).toBe("snapshot");
+      expect(update.seq).toBe(1);
+      expect(update.level).toBeUndefined();
+    });
+
+    test("should only carry changed fields in a delta", () => {
+      stateSync.buildUpdate("client-1", stateSync.createSnapshot(createState()), level);
+
+      const next = createState();
+      next.players[0] = { ...next.players[0], x: 110 };
+      const update = stateSync.buildUpdate("client-1", stateSync.createSnapshot(next), level);
+
+      expect(update.kind).toBe("delta");
+      expect(update.baseSeq).toBe(1);
+      expect(update.seq).toBe(2);
+      expect(update.players.upsert).toEqual([{ id: "p1", x: 110 }]);
+      expect(update.powerUps).toBeUndefined();
+      expect(update.timeRemaining).toBeUndefined();
+    });
+
+    test("should report removed entities", () => {
+      stateSync.buildUpdate("client-1", stateSync.createSnapshot(createState()), level);
+
+      const next = createState({ powerUps: [] });
+      next.players = next.players.slice(0, 1);
+      const update = stateSync.buildUpdate("client-1", stateSync.createSnapshot(next), level);
+
+      expect(update.players.remove).toEqual(["p2"]);
+      expect(update.powerUps.remove).toEqual(["powerup_0"]);
+    });
+
+    test("should resend a full snapshot with level data after a resync request", () => {
+      stateSync.buildUpdate("client-1", stateSync.createSnapshot(createState()), level);
+      stateSync.requestResync("client-1", true);
+
+      const update = stateSync.buildUpdate("client-1", stateSync.createSnapshot(createState()), level);
+      expect(update.kind).toBe("snapshot");
+      expect(update.level).toBe(level);
+
+      const following = stateSync.buildUpdate("client-1", stateSync.createSnapshot(createState()), level);
+      expect(following.kind).toBe("delta");
+    });
+
+    test("should ignore unknown clients", () => {
+      const snapshot = stateSync.createSnapshot(createState());
+      expect(stateSync.buildUpdate("unknown", snapshot, level)).toBeNull();
+    });
+  });
+
+  describe("Applying deltas", () => {
+    test("should reconstruct the server snapshot from a delta", () => {
+      const first = stateSync.createSnapshot(createState());
+      stateSync.buildUpdate("client-1", first, level);
+
+      const nextState = createState({ levelId: "maze_runner", timeRemaining: 59000 });
+      nextState.players[1] = { ...nextState.players[1], isIt: true, becameItTime: 1234 };
+      nextState.players.push({ id: "p3", name: "Carol", x: 10, y: 10, isIt: false, score: 5 });
+      const second = stateSync.createSnapshot(nextState);
+      const delta = stateSync.buildUpdate("client-1", second, level);
+
+      const rebuilt = StateSyncUtils.applySnapshotDelta(first, delta);
+      expect(rebuilt).toEqual(second);
+    });
+
+    test("should clear optional fields removed on the server", () => {
+      const withField = createState();
+      withField.players[0] = { ...withField.players[0], becameItTime: 1000 };
+      const first = stateSync.createSnapshot(withField);
+      const second = stateSync.createSnapshot(createState());
+
+      const delta = StateSyncUtils.createDelta(first, second);
+      expect(delta.players.upsert).toEqual([{ id: "p1", becameItTime: null }]);
+
+      const rebuilt = StateSyncUtils.applySnapshotDelta(first, delta);
+      expect(rebuilt.players[0].becameItTime).toBeUndefined();
+    });
+  });
+});
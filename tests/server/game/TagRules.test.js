@@ -0,0 +1,147 @@
+const { DEFAULT_GAME_CONFIG } = require("../../../shared/types/GameConfig");
+const { MockSocket, createTestLevel, createTestGameManager, addTestPlayer } = require("../../utils/test-helpers.js");
+
+const { tag } = DEFAULT_GAME_CONFIG;
+
+describe("Tag rules", () => {
+  let manager;
+
+  function createManager(options = {}) {
+    manager = createTestGameManager([createTestLevel()], {
+      config: { ...DEFAULT_GAME_CONFIG, missions: { ...DEFAULT_GAME_CONFIG.missions, stars: 0 } },
+      ...options,
+    });
+    return manager;
+  }
+
+  // The first player added is IT
+  function addPlayer(id, x, y = 200) {
+    const isFirst = manager.gameState.getPlayerCount() === 0;
+    const player = addTestPlayer(manager.gameState, id, x, y);
+    if (isFirst) player.becomeIt();
+    return player;
+  }
+
+  function advance(ms) {
+    manager.gameState.context.clock.advance(ms);
+    manager.gameState.forEachPlayer((player) => player.updatePowerUps(manager.getSimulationTime()));
+  }
+
+  function reasons() {
+    return manager.getTagRejections().map((rejection) => rejection.reason);
+  }
+
+  afterEach(() => {
+    manager.shutdown();
+  });
+
+  test("should stop a tagged player tagging straight back", () => {
+    createManager();
+    const first = addPlayer("first", 300);
+    const second = addPlayer("second", 310);
+
+    manager.checkAllPlayerCollisions();
+    expect(second.isIt).toBe(true);
+
+    // The stun is over, but the window isn't
+    advance(tag.stunDuration);
+    manager.checkAllPlayerCollisions();
+    expect(first.isIt).toBe(false);
+    expect(manager.getTagRejections()).toEqual([{ taggerId: "second", targetId: "first", reason: "no_tag_back" }]);
+
+    advance(tag.noTagBackWindow - tag.stunDuration);
+    manager.checkAllPlayerCollisions();
+    expect(first.isIt).toBe(true);
+    expect(manager.getTagRejections()).toEqual([]);
+  });
+
+  test("should protect everyone for a moment after they respawn", () => {
+    createManager();
+    const it = addPlayer("it", 300);
+    const runner = addPlayer("runner", 500);
+    manager.respawnAllPlayers();
+    it.x = runner.x;
+    it.y = runner.y;
+
+    manager.checkAllPlayerCollisions();
+    expect(reasons()).toEqual(["spawn_protection"]);
+
+    advance(tag.spawnProtection);
+    manager.checkAllPlayerCollisions();
+    expect(runner.isIt).toBe(true);
+  });
+
+  test("should make players immune for a moment after a stun wears off", () => {
+    createManager();
+    addPlayer("it", 300);
+    const runner = addPlayer("runner", 310);
+    runner.stun(500);
+
+    // Stunned players don't touch anyone at all
+    manager.checkAllPlayerCollisions();
+    expect(reasons()).toEqual([]);
+
+    advance(500);
+    manager.checkAllPlayerCollisions();
+    expect(reasons()).toEqual(["stun_immunity"]);
+
+    advance(tag.stunImmunity);
+    manager.checkAllPlayerCollisions();
+    expect(runner.isIt).toBe(true);
+  });
+
+  test("should give a contested tag to the closest contact", () => {
+    createManager({ mode: "infection" });
+    const hunter = addPlayer("hunter", 300);
+    const near = addPlayer("near", 305);
+    const far = addPlayer("far", 280);
+
+    manager.checkAllPlayerCollisions();
+    expect(near.isIt).toBe(true);
+    expect(far.isIt).toBe(false);
+    expect(manager.getTagRejections()).toEqual([{ taggerId: "hunter", targetId: "far", reason: "simultaneous_contact" }]);
+    expect(hunter.isIt).toBe(true);
+  });
+
+  test("should run the rules the room was set up with, in its order", () => {
+    createManager({ tagRules: ["stun_immunity", "spawn_protection"] });
+    const it = addPlayer("it", 300);
+    const runner = addPlayer("runner", 310);
+    runner.spawnProtectedUntil = manager.getSimulationTime() + 1000;
+    runner.stun(100);
+    advance(100);
+
+    manager.checkAllPlayerCollisions();
+    expect(reasons()).toEqual(["stun_immunity"]);
+
+    // Without the no-tag-back rule the tag can go straight back
+    advance(1000);
+    manager.checkAllPlayerCollisions();
+    expect(runner.isIt).toBe(true);
+    advance(tag.stunDuration);
+    manager.checkAllPlayerCollisions();
+    expect(it.isIt).toBe(true);
+  });
+
+  test("should tell both players once while they keep touching", () => {
+    createManager();
+    const itSocket = new MockSocket();
+    const runnerSocket = new MockSocket();
+    manager.handlePlayerJoin(itSocket, "It");
+    manager.handlePlayerJoin(runnerSocket, "Runner");
+    const [it, runner] = Array.from(manager.gameState.getPlayers().values());
+    it.becomeIt();
+    it.x = 300;
+    it.y = 200;
+    runner.x = 310;
+    runner.y = 200;
+    runner.isTransparent = true;
+
+    manager.checkAllPlayerCollisions();
+    manager.checkAllPlayerCollisions();
+
+    const expected = [{ event: "tagRejected", data: { taggerId: it.id, targetId: runner.id, reason: "transparent" } }];
+    expect(itSocket.emitted.filter((e) => e.event === "tagRejected")).toEqual(expected);
+    expect(runnerSocket.emitted.filter((e) => e.event === "tagRejected")).toEqual(expected);
+  });
+});
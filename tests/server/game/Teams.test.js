@@ -0,0 +1,118 @@
+const { AIPlayer } = require("../../../server/game/AIPlayer");
+const { createGameMode } = require("../../../server/game/modes/GameModes");
+const { TeamUtils } = require("../../../shared/utils/TeamUtils");
+const { TEAM_COLORS } = require("../../../shared/types/GameTypes");
+const { MockSocket, createTestLevel, createTestGameManager, addTestPlayer } = require("../../utils/test-helpers.js");
+
+describe("Teams", () => {
+  let manager;
+
+  function createManager(options = {}) {
+    manager = createTestGameManager([createTestLevel()], { teams: true, ...options });
+    return manager;
+  }
+
+  function addPlayer(id, team, x, y) {
+    const player = addTestPlayer(manager.gameState, id, x, y);
+    player.team = team;
+    return player;
+  }
+
+  afterEach(() => {
+    manager.shutdown();
+  });
+
+  test("should put joining players and bots on the smaller team", () => {
+    createManager();
+    ["Ann", "Bob", "Cid"].forEach((name) => manager.handlePlayerJoin(new MockSocket(), name));
+    manager.addAIPlayer("Bot Alpha");
+
+    const players = Array.from(manager.gameState.getPlayers().values());
+    expect(players.map((p) => p.team)).toEqual(["red", "blue", "red", "blue"]);
+    expect(manager.getRoomSummary().teams).toBe(true);
+
+    // The team colour takes over and the player's own colour stays as the accent
+    const state = players[0].toJSON();
+    expect(state.color).toBe(TEAM_COLORS.red);
+    expect(state.accent).toBe(players[0].accentColor);
+  });
+
+  test("should leave players without a team outside team rooms", () => {
+    createManager({ teams: false });
+    manager.handlePlayerJoin(new MockSocket(), "Ann");
+
+    const state = Array.from(manager.gameState.getPlayers().values())[0].toJSON();
+    expect(state.team).toBeUndefined();
+    expect(state.accent).toBeUndefined();
+    expect(manager.getRoomSummary().teams).toBeUndefined();
+  });
+
+  test("should only let IT tag the other team", () => {
+    createManager();
+    const it = addPlayer("it", "red", 300, 200);
+    const teammate = addPlayer("teammate", "red", 310, 200);
+    it.becomeIt();
+
+    manager.checkAllPlayerCollisions();
+    expect(it.isIt).toBe(true);
+    expect(teammate.isIt).toBe(false);
+
+    const opponent = addPlayer("opponent", "blue", 290, 200);
+    manager.checkAllPlayerCollisions();
+    expect(it.isIt).toBe(false);
+    expect(opponent.isIt).toBe(true);
+  });
+
+  test("should roll scores up into team totals at the end of the round", () => {
+    createManager();
+    addPlayer("a", "red", 100, 100).score = 300;
+    addPlayer("b", "blue", 300, 100).score = 250;
+    addPlayer("c", "blue", 500, 100).score = 100;
+
+    manager.initiateRoundEnd("admin_trigger");
+    const roundEnd = manager.io.emitted.find((e) => e.event === "roundEnd").data;
+    expect(roundEnd.winner.id).toBe("a");
+    expect(roundEnd.teamScores).toEqual([
+      { team: "blue", score: 350, players: 2 },
+      { team: "red", score: 300, players: 1 },
+    ]);
+  });
+
+  test("should only thaw frozen teammates in freeze tag", () => {
+    createManager();
+    const mode = createGameMode("freezeTag");
+    const context = { now: 0, world: manager.gameState, config: manager.gameState.context.config, scoreChanged: () => {} };
+    const frozen = addPlayer("frozen", "blue", 100, 100);
+    const opponent = addPlayer("opponent", "red", 120, 100);
+    const teammate = addPlayer("teammate", "blue", 80, 100);
+    frozen.isFrozen = true;
+
+    mode.touch(frozen, opponent, context);
+    expect(frozen.isFrozen).toBe(true);
+    mode.touch(teammate, frozen, context);
+    expect(frozen.isFrozen).toBe(false);
+  });
+
+  test("should make bots chase opponents and ignore an IT teammate", () => {
+    createManager();
+    const context = manager.gameState.context;
+    const hunter = new AIPlayer("hunter", "Hunter", 400, 300, context);
+    hunter.team = "red";
+    manager.gameState.addPlayer(hunter);
+    hunter.becomeIt();
+    addPlayer("teammate", "red", 300, 300);
+    const bot = new AIPlayer("bot", "Bot", 600, 300, context);
+    bot.team = "blue";
+    manager.gameState.addPlayer(bot);
+
+    // The human teammate is closer, but the opposing bot is the target
+    context.clock.advance(hunter.decisionInterval);
+    expect(hunter.makeDecision(manager.gameState.toJSON()).dx).toBeGreaterThan(0.5);
+
+    // A runner next to its IT teammate has nothing to flee from
+    const runner = new AIPlayer("runner", "Runner", 420, 300, context);
+    runner.team = "red";
+    expect(runner.fleeOrWanderDecision(manager.gameState.toJSON()).priority).not.toBe("flee");
+    expect(TeamUtils.isSameSide(runner, hunter)).toBe(true);
+  });
+});
@@ -0,0 +1,198 @@
+const { ManualClock } = require("../../../server/game/Clock");
+const { createSimulationContext } = require("../../../server/game/SimulationContext");
+const { VisibilityFilter } = require("../../../server/game/VisibilityFilter");
+const { LevelValidator } = require("../../../shared/utils/LevelValidator");
+const { StateSyncUtils } = require("../../../shared/utils/StateSyncUtils");
+const { createTestLevel, createLevelGameState, addTestPlayer } = require("../../utils/test-helpers.js");
+
+function createLevel(overrides = {}) {
+  return createTestLevel({
+    theme: "factory",
+    terrain: [],
+    spawnPoints: [{ x: 40, y: 40, type: "safe", visibility: "open", nearbyFeatures: [] }],
+    ...overrides,
+  });
+}
+
+describe("Terrain", () => {
+  let clock;
+  let context;
+  let gameState;
+
+  function createGameState(overrides) {
+    gameState = createLevelGameState(createLevel(overrides), context);
+  }
+
+  function addPlayer(id, x, y) {
+    return addTestPlayer(gameState, id, x, y);
+  }
+
+  beforeEach(() => {
+    clock = new ManualClock(10000);
+    context = createSimulationContext(5, clock);
+  });
+
+  describe("Conveyors", () => {
+    beforeEach(() => {
+      createGameState({
+        terrain: [{ x: 400, y: 300, width: 300, height: 100, type: "conveyor", direction: "right", speed: 100 }],
+      });
+    });
+
+    test("should carry players along the belt", () => {
+      const player = addPlayer("p1", 400, 300);
+      const bystander = addPlayer("p2", 400, 500);
+
+      gameState.update(500);
+      expect(player.x).toBeCloseTo(450);
+      expect(player.y).toBe(300);
+      expect(bystander.x).toBe(400);
+    });
+
+    test("should not move players holding conveyorControl", () => {
+      const player = addPlayer("p1", 400, 300);
+      gameState.applyPowerUp(player, "conveyorControl");
+
+      gameState.update(500);
+      expect(player.x).toBe(400);
+    });
+  });
+
+  describe("Crushers", () => {
+    beforeEach(() => {
+      createGameState({
+        terrain: [{ x: 400, y: 300, width: 100, height: 100, type: "crusher", interval: 3000, slamDuration: 1000 }],
+      });
+    });
+
+    test("should stun players caught under a slam and push them out", () => {
+      const player = addPlayer("p1", 400, 300);
+      expect(gameState.getDynamicState().crushers).toEqual([{ id: "crusher_0", phase: "open" }]);
+
+      clock.advance(2000);
+      gameState.update(16);
+
+      expect(gameState.getDynamicState().crushers).toEqual([{ id: "crusher_0", phase: "down" }]);
+      expect(player.isStunned).toBe(true);
+      expect(gameState.checkObstacleCollision(player.x, player.y, player.currentRadius)).toBe(false);
+      expect(gameState.getBlockingObstacles()).toHaveLength(1);
+    });
+
+    test("should push out but not stun players holding industrialShield", () => {
+      const player = addPlayer("p1", 400, 300);
+      gameState.applyPowerUp(player, "industrialShield");
+
+      clock.advance(2000);
+      gameState.update(16);
+
+      expect(player.isStunned).toBe(false);
+      expect(gameState.checkObstacleCollision(player.x, player.y, player.currentRadius)).toBe(false);
+    });
+
+    test("should keep crushers open while someone holds platformLock", () => {
+      const player = addPlayer("p1", 400, 300);
+      const locker = addPlayer("p2", 100, 100);
+      gameState.applyPowerUp(locker, "platformLock");
+
+      clock.advance(2000);
+      gameState.update(16);
+
+      expect(gameState.getDynamicState().crushers).toEqual([{ id: "crusher_0", phase: "open" }]);
+      expect(player.isStunned).toBe(false);
+      expect(gameState.getBlockingObstacles()).toHaveLength(0);
+    });
+
+    test("should sync crusher phases in deltas", () => {
+      const prev = { kind: "snapshot", seq: 1, players: [], playerHints: [], powerUps: [], stars: [], stunOrbs: [], crushers: [{ id: "crusher_0", phase: "open" }] };
+      const next = { ...prev, seq: 2, crushers: [{ id: "crusher_0", phase: "warning" }] };
+
+      const delta = StateSyncUtils.createDelta(prev, next);
+      expect(delta.crushers.upsert).toEqual([{ id: "crusher_0", phase: "warning" }]);
+      expect(StateSyncUtils.applyDelta(prev, delta).crushers).toEqual(next.crushers);
+      expect(StateSyncUtils.createDelta(next, next).crushers).toBeUndefined();
+    });
+  });
+
+  describe("Foliage", () => {
+    let filter;
+
+    function view(viewerId) {
+      const players = Array.from(gameState.getPlayers().values()).map((p) => p.toJSON());
+      return filter.filter({ players, playerHints: [], stars: [], stunOrbs: [] }, viewerId);
+    }
+
+    beforeEach(() => {
+      filter = new VisibilityFilter();
+      createGameState({
+        theme: "forest",
+        obstacles: [{ x: 400, y: 300, radius: 40, type: "circle", kind: "tree" }],
+        terrain: [{ x: 200, y: 300, radius: 50, type: "bush" }],
+      });
+    });
+
+    test("should hide players in a bush from viewers outside it", () => {
+      const viewer = addPlayer("viewer", 300, 300);
+      const hider = addPlayer("hider", 200, 300);
+      gameState.update(16);
+
+      expect(hider.toJSON().concealedIn).toBe("bush_0");
+      const hidden = view("viewer");
+      expect(hidden.players.map((p) => p.id)).toEqual(["viewer"]);
+      expect(hidden.playerHints.find((h) => h.id === "hider").approxX).toBeUndefined();
+
+      // Sharing the bush
+      viewer.x = 220;
+      gameState.update(16);
+      expect(view("viewer").players.map((p) => p.id)).toEqual(["viewer", "hider"]);
+    });
+
+    test("should reveal players in bushes to naturesCall holders", () => {
+      const viewer = addPlayer("viewer", 300, 300);
+      addPlayer("hider", 200, 300);
+      gameState.applyPowerUp(viewer, "naturesCall");
+      gameState.update(16);
+
+      expect(view("viewer").players.map((p) => p.id)).toEqual(["viewer", "hider"]);
+    });
+
+    test("should let treeClimb holders pass trees", () => {
+      const player = addPlayer("p1", 330, 300);
+
+      gameState.updatePlayer(player.id, { dx: 1, dy: 0 }, 1000);
+      expect(player.x).toBe(330);
+
+      gameState.applyPowerUp(player, "treeClimb");
+      gameState.updatePlayer(player.id, { dx: 1, dy: 0 }, 1000);
+      expect(player.x).toBeGreaterThan(350);
+    });
+  });
+
+  describe("LevelValidator", () => {
+    test("should reject invalid terrain and spawn points under crushers", () => {
+      const errors = LevelValidator.validate(createLevel({
+        terrain: [
+          { x: 400, y: 300, width: 100, height: 40, type: "conveyor", direction: "sideways", speed: 100 },
+          { x: 100, y: 100, width: 80, height: 80, type: "crusher", interval: 1000, slamDuration: 1000 },
+          { x: 600, y: 300, radius: 0, type: "bush" },
+          { x: 600, y: 500, type: "lava" },
+        ],
+        spawnPoints: [{ x: 100, y: 100, type: "safe", visibility: "open", nearbyFeatures: [] }],
+      }));
+
+      expect(errors).toEqual([
+        'terrain[0] has unknown direction "sideways" (expected up, down, left, right)',
+        "terrain[1] needs a positive interval and a slamDuration shorter than it",
+        "terrain[2] is a bush and needs a positive radius",
+        'terrain[3] has unknown type "lava" (expected conveyor, crusher, bush)',
+        "spawnPoints[0] (100, 100) is inside terrain[1]",
+      ]);
+    });
+
+    test("should reject unknown obstacle kinds", () => {
+      const errors = LevelValidator.validate(createLevel({
+        obstacles: [{ x: 400, y: 300, radius: 30, type: "circle", kind: "boulder" }],
+      }));
+      expect(errors).toEqual(['obstacles[0] has unknown kind "boulder" (expected wall, tree)']);
+    });
+  });
+});
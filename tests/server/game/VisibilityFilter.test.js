@@ -0,0 +1,165 @@
+const { VisibilityFilter } = require("../../../server/game/VisibilityFilter");
+const { DEFAULT_GAME_CONFIG } = require("../../../shared/types/GameConfig");
+const { MockSocket, createTestLevel, createTestGameManager } = require("../../utils/test-helpers.js");
+
+function createPlayer(id, x, y, overrides = {}) {
+  return {
+    id,
+    name: id,
+    x,
+    y,
+    isIt: false,
+    isAI: false,
+    score: 0,
+    isTransparent: false,
+    color: "#ffffff",
+    sightRange: 200,
+    ...overrides,
+  };
+}
+
+function createState(players) {
+  return {
+    players,
+    playerHints: [],
+    stars: [
+      { id: "star_near", x: 150, y: 100, active: true },
+      { id: "star_far", x: 700, y: 500, active: true },
+    ],
+    stunOrbs: [{ id: "orb_far", x: 750, y: 550, active: true }],
+    powerUps: [],
+  };
+}
+
+describe("VisibilityFilter", () => {
+  let players;
+
+  beforeEach(() => {
+    players = [
+      createPlayer("viewer", 100, 100),
+      createPlayer("near", 200, 150),
+      createPlayer("far", 650, 450, { isIt: true, score: 30 }),
+    ];
+  });
+
+  test("should only include players and pickups within sight", () => {
+    const filter = new VisibilityFilter();
+    const view = filter.filter(createState(players), "viewer");
+
+    expect(view.players.map((p) => p.id)).toEqual(["viewer", "near"]);
+    expect(view.stars.map((s) => s.id)).toEqual(["star_near"]);
+    expect(view.stunOrbs).toEqual([]);
+  });
+
+  test("should reduce hidden players to coarse hints", () => {
+    const filter = new VisibilityFilter({ hintCellSize: 200 });
+    const view = filter.filter(createState(players), "viewer");
+
+    expect(view.playerHints).toEqual([
+      {
+        id: "far",
+        name: "far",
+        score: 30,
+        isIt: true,
+        isAI: false,
+        color: "#ffffff",
+        approxX: 700,
+        approxY: 500,
+        approxRadius: 100,
+      },
+    ]);
+  });
+
+  test("should never reveal transparent players to others", () => {
+    players[1].isTransparent = true;
+    const filter = new VisibilityFilter();
+    const view = filter.filter(createState(players), "viewer");
+
+    expect(view.players.map((p) => p.id)).toEqual(["viewer"]);
+    const hint = view.playerHints.find((h) => h.id === "near");
+    expect(hint.approxX).toBeUndefined();
+
+    const ownView = filter.filter(createState(players), "near");
+    expect(ownView.players.map((p) => p.id)).toContain("near");
+  });
+
+  test("should let the IT player see everything when configured", () => {
+    const filter = new VisibilityFilter({ itSeesAll: true });
+    const view = filter.filter(createState(players), "far");
+
+    expect(view.players).toHaveLength(3);
+    expect(view.stars).toHaveLength(2);
+    expect(view.playerHints).toEqual([]);
+  });
+
+  test("should give spectators the full state by default", () => {
+    const filter = new VisibilityFilter();
+    const state = createState(players);
+
+    expect(filter.filter(state, null)).toBe(state);
+
+    filter.setOptions({ spectatorsSeeAll: false });
+    const restricted = filter.filter(state, null);
+    expect(restricted.players).toEqual([]);
+    expect(restricted.playerHints).toHaveLength(3);
+  });
+
+  test("should pass the state through when disabled", () => {
+    const filter = new VisibilityFilter({ enabled: false });
+    const state = createState(players);
+    expect(filter.filter(state, "viewer")).toBe(state);
+  });
+
+  test("should only let recipients see spots within sight", () => {
+    const filter = new VisibilityFilter();
+
+    expect(filter.canSee(players[0], { x: 150, y: 100 })).toBe(true);
+    expect(filter.canSee(players[0], { x: 150, y: 100, floor: 1 })).toBe(false);
+    expect(filter.canSee(players[0], { x: 700, y: 500 })).toBe(false);
+    expect(filter.canSee(undefined, { x: 700, y: 500 })).toBe(true);
+
+    filter.setOptions({ itSeesAll: true });
+    expect(filter.canSee(players[2], { x: 100, y: 100 })).toBe(true);
+  });
+
+  describe("in a room", () => {
+    let manager;
+
+    function createManager(config = DEFAULT_GAME_CONFIG) {
+      manager = createTestGameManager([createTestLevel()], { config });
+      return manager;
+    }
+
+    afterEach(() => {
+      manager.shutdown();
+    });
+
+    test("should take the fog settings from the game config", () => {
+      createManager({ ...DEFAULT_GAME_CONFIG, visibility: { sightMargin: 80, itSeesAll: 1, spectatorsSeeAll: 0 } });
+
+      expect(manager.visibilityFilter.getOptions()).toMatchObject({ sightMargin: 80, itSeesAll: true, spectatorsSeeAll: false });
+    });
+
+    test("should only tell players in sight where a stun orb went off", () => {
+      createManager();
+      const sockets = [new MockSocket(), new MockSocket(), new MockSocket()];
+      sockets.forEach((socket, index) => manager.handlePlayerJoin(socket, `Player${index}`));
+      ["readyCheck", "countdown", "playing"].forEach((phase) => manager.phases.enter(phase));
+
+      const orb = manager.gameState.stunOrbs.find((o) => o.active);
+      const [it, near, far] = sockets.map((socket) => manager.gameState.getPlayer(socket.id));
+      it.becomeIt();
+      Object.assign(it, { x: orb.x, y: orb.y });
+      Object.assign(near, { x: orb.x, y: orb.y });
+      Object.assign(far, { x: orb.x < 400 ? 790 : 10, y: orb.y < 300 ? 590 : 10 });
+      manager.checkGameEvents(it);
+
+      const received = (socket, event) => socket.emitted.find((e) => e.event === event).data;
+      expect(received(sockets[1], "stunOrbCollected").explosionCenter).toEqual({ x: orb.x, y: orb.y });
+      expect(received(sockets[1], "stunOrbExplosion")).toMatchObject({ explosionX: orb.x, explosionY: orb.y });
+      expect(received(sockets[2], "stunOrbCollected").explosionCenter).toBeUndefined();
+      expect(received(sockets[2], "stunOrbExplosion").explosionX).toBeUndefined();
+      expect(received(sockets[2], "stunOrbExplosion").affectedPlayers.map((p) => p.id)).toContain(far.id);
+    });
+  });
+});
@@ -0,0 +1,128 @@
+const { AIPlayer } = require("../../../server/game/AIPlayer");
+const { MovementEngine } = require("../../../server/game/MovementEngine");
+const { ManualClock } = require("../../../server/game/Clock");
+const { createSimulationContext } = require("../../../server/game/SimulationContext");
+const { VisibilityFilter } = require("../../../server/game/VisibilityFilter");
+const { LevelValidator } = require("../../../shared/utils/LevelValidator");
+const { ArenaUtils } = require("../../../shared/utils/ArenaUtils");
+const { createTestLevel, createLevelGameState, createTestGameManager, addTestPlayer } = require("../../utils/test-helpers.js");
+
+function createLevel(overrides = {}) {
+  return createTestLevel({ wrap: true, ...overrides });
+}
+
+describe("Wrap-around arena", () => {
+  const arena = { width: 800, height: 600, wrap: true };
+  let context;
+  let gameState;
+
+  function createGameState(overrides) {
+    gameState = createLevelGameState(createLevel(overrides), context);
+  }
+
+  function addPlayer(id, x, y) {
+    return addTestPlayer(gameState, id, x, y);
+  }
+
+  beforeEach(() => {
+    context = createSimulationContext(3, new ManualClock(10000));
+  });
+
+  describe("ArenaUtils", () => {
+    test("should measure across the seam when that is shorter", () => {
+      expect(ArenaUtils.getOffset({ x: 790, y: 300 }, { x: 10, y: 300 }, arena)).toEqual({ dx: 20, dy: 0 });
+      expect(ArenaUtils.getDistance({ x: 400, y: 5 }, { x: 400, y: 595 }, arena)).toBe(10);
+      expect(ArenaUtils.getDistance({ x: 790, y: 300 }, { x: 10, y: 300 }, { ...arena, wrap: false })).toBe(780);
+    });
+
+    test("should wrap positions on wrap-around arenas and clamp otherwise", () => {
+      expect(ArenaUtils.confine(805, -10, 15, arena)).toEqual({ x: 5, y: 590 });
+      expect(ArenaUtils.confine(805, -10, 15, { ...arena, wrap: false })).toEqual({ x: 785, y: 15 });
+    });
+  });
+
+  describe("Movement", () => {
+    test("should bring players back in through the opposite edge", () => {
+      createGameState();
+      const player = addPlayer("p1", 795, 300);
+
+      gameState.updatePlayer(player.id, { dx: 1, dy: 0 }, 100);
+      expect(player.x).toBeLessThan(50);
+      expect(player.y).toBe(300);
+    });
+
+    test("should only wrap in validateMovement when asked to", () => {
+      createGameState();
+      const player = addPlayer("p1", 400, 10);
+
+      expect(MovementEngine.validateMovement(player, 0, -20, 800, 600, [], true).y).toBe(590);
+      expect(MovementEngine.validateMovement(player, 0, -20, 800, 600, []).y).toBe(player.radius);
+    });
+  });
+
+  test("should tag across the seam", () => {
+    const manager = createTestGameManager([createLevel()]);
+    const chaser = addTestPlayer(manager.gameState, "chaser", 790, 300);
+    const runner = addTestPlayer(manager.gameState, "runner", 10, 300);
+    chaser.becomeIt();
+
+    manager.checkAllPlayerCollisions();
+    expect(runner.isIt).toBe(true);
+    expect(chaser.isIt).toBe(false);
+    manager.shutdown();
+  });
+
+  test("should collect stun orbs across the seam", () => {
+    createGameState();
+    const player = addPlayer("p1", 5, 300);
+    gameState.stunOrbs.push({ id: "orb", x: 795, y: 300, type: "stunOrb", radius: 15, active: true, spawnTime: 0, electricPhase: 0 });
+
+    expect(gameState.checkStunOrbCollision(player)?.id).toBe("orb");
+  });
+
+  describe("AI", () => {
+    function decide(ai, players) {
+      context.clock.advance(ai.decisionInterval);
+      return ai.makeDecision(stateWith(players));
+    }
+
+    function stateWith(players) {
+      return { ...gameState.toJSON(), players: players.map((p) => p.toJSON()) };
+    }
+
+    test("should chase across the seam", () => {
+      createGameState();
+      const ai = new AIPlayer("ai", "AI", 780, 300, context);
+      ai.becomeIt();
+      const target = addPlayer("p1", 20, 300);
+
+      const movement = decide(ai, [ai, target]);
+      expect(movement.dx).toBeGreaterThan(0);
+    });
+
+    test("should flee across the seam", () => {
+      createGameState();
+      const ai = new AIPlayer("ai", "AI", 20, 300, context);
+      const it = addPlayer("p1", 80, 300);
+      it.becomeIt();
+
+      const movement = decide(ai, [ai, it]);
+      expect(movement.dx).toBeLessThan(0);
+    });
+  });
+
+  test("should let players see across the seam", () => {
+    createGameState();
+    const viewer = addPlayer("viewer", 20, 300);
+    addPlayer("other", 780, 300);
+    const players = Array.from(gameState.getPlayers().values()).map((p) => p.toJSON());
+    const filter = new VisibilityFilter();
+
+    expect(filter.filter({ players, playerHints: [], stars: [], stunOrbs: [] }, viewer.id).players).toHaveLength(1);
+    expect(filter.filter({ players, playerHints: [], stars: [], stunOrbs: [] }, viewer.id, gameState.getArena()).players).toHaveLength(2);
+  });
+
+  test("should reject a wrap flag that isn't a boolean", () => {
+    expect(LevelValidator.validate(createLevel({ wrap: "yes" }))).toEqual(["wrap must be true or false"]);
+  });
+});
@@ -6,6 +6,7 @@ class MockSocket {
     this.events = {};
     this.emitted = [];
     this.rooms = new Set();
+    this.data = {};
   }
 
   on(event, callback) {
@@ -79,6 +80,78 @@ function createTestGameState() {
   return new GameState();
 }
 
+// Helper function to create a small open test level; suites pass the features they test as overrides
+function createTestLevel(overrides = {}) {
+  return {
+    id: "test_level",
+    name: "Test Level",
+    theme: "classic",
+    description: "A level for game tests",
+    boundaries: { x: 0, y: 0, width: 800, height: 600 },
+    obstacles: [],
+    spawnPoints: [{ x: 400, y: 300, type: "safe", visibility: "open", nearbyFeatures: [] }],
+    powerUpConfig: { spawnRate: 8000, maxActive: 0, types: ["speed"], locations: "random" },
+    backgroundElements: [],
+    difficulty: 1,
+    ...overrides,
+  };
+}
+
+// Helper function to create a level library without files; levels are checked like level files are
+function createTestLevelLibrary(levels) {
+  const { LevelLibrary } = require("../../server/game/LevelLibrary");
+  const { LevelValidator } = require("../../shared/utils/LevelValidator");
+  levels.forEach((level) => {
+    const problems = LevelValidator.validate(level);
+    if (problems.length > 0) {
+      throw new Error(`Invalid test level ${level.id}: ${problems.join(", ")}`);
+    }
+  });
+  return LevelLibrary.fromLevels(levels);
+}
+
+// Helper function to create a game state playing one level, on the sequential rotation rooms use
+function createLevelGameState(level, context) {
+  const { GameState } = require("../../server/game/GameState");
+  const { LevelManager } = require("../../server/game/LevelManager");
+  const levelManager = new LevelManager(
+    { rotation: "sequential", roundDuration: 120000, transitionDuration: 3000, previewDuration: 10000 },
+    context.random,
+    createTestLevelLibrary([level])
+  );
+  return new GameState(levelManager, 8, context);
+}
+
+// Helper function to create a room playing the given levels, driven by step() instead of the real-time loop
+function createTestGameManager(levels, options = {}) {
+  const { GameManager } = require("../../server/game/GameManager");
+  return new GameManager(new MockIO(), {
+    roomCode: "TEST",
+    roomName: "Test Room",
+    isPrivate: false,
+    maxPlayers: 8,
+    seed: 1,
+    startTime: 1000000,
+    autoStart: false,
+    levelLibrary: createTestLevelLibrary(levels),
+    ...options,
+  });
+}
+
+// Helper function to add a human player to a game state
+function addTestPlayer(gameState, id, x, y) {
+  const { Player } = require("../../server/game/Player");
+  const player = new Player(id, id, x, y, false, gameState.context);
+  gameState.addPlayer(player);
+  return player;
+}
+
+// Helper function to advance a game state's clock and simulation together
+function tickGameState(gameState, ms = 50) {
+  gameState.context.clock.advance(ms);
+  gameState.update(ms);
+}
+
 // Helper function to wait for async operations
 function waitForNextTick() {
   return new Promise((resolve) => process.nextTick(resolve));
@@ -95,6 +168,12 @@ module.exports = {
   MockIO,
   createTestPlayer,
   createTestGameState,
+  createTestLevel,
+  createTestLevelLibrary,
+  createLevelGameState,
+  createTestGameManager,
+  addTestPlayer,
+  tickGameState,
   waitForNextTick,
   advanceTimersAndWait,
 };
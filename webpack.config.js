@@ -5,7 +5,11 @@ module.exports = (env, argv) => {
   const clientPort = process.env.CLIENT_PORT || (parseInt(process.env.PORT || '3000') + 1);
 
   return {
-  entry: './src/client/main.ts',
+  entry: {
+    bundle: './src/client/main.ts',
+    admin: './src/client/admin.ts', // Admin console (client/admin.html)
+    editor: './src/client/editor.ts', // Level editor (client/editor.html)
+  },
   module: {
     rules: [
       {
@@ -33,7 +37,7 @@ module.exports = (env, argv) => {
     },
   },
   output: {
-    filename: 'bundle.js',
+    filename: '[name].js',
     path: path.resolve(__dirname, 'client/dist'),
     publicPath: '/dist/',
   },